@@ -0,0 +1,144 @@
+const { sequelize, Admin, Attendance, AttendanceAudit, AttendanceCorrection } = require('../models');
+const AttendanceCorrectionService = require('../services/AttendanceCorrectionService');
+const NotificationService = require('../services/NotificationService');
+const localDate = require('../utils/localDate');
+
+const student = { email: 's1@university.edu', role: 'student' };
+const faculty = { email: 'faculty@university.edu', role: 'faculty' };
+const otherFaculty = { email: 'other@university.edu', role: 'faculty' };
+const admin = { email: 'admin@university.edu', role: 'admin' };
+const subject = { id: 1, subjectCode: 'CS201', facultyEmail: faculty.email };
+
+// Rows whose update() saves onto themselves, as a model instance would
+const row = (values) => ({
+  ...values,
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+
+describe('Attendance corrections', () => {
+  let attendance;
+  let corrections;
+  let audits;
+  let notifications;
+
+  const recordOn = (date) => {
+    attendance = row({
+      id: 1,
+      subjectId: subject.id,
+      studentEmail: student.email,
+      facultyEmail: faculty.email,
+      date,
+      status: 'absent',
+      remarks: 'Not in class',
+      leaveRequestId: null,
+      subject
+    });
+  };
+
+  beforeEach(() => {
+    corrections = [];
+    audits = [];
+    notifications = [];
+    recordOn(localDate.daysAgo(1));
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback({}));
+    jest.spyOn(Attendance, 'findByPk').mockImplementation(async () => attendance);
+    jest.spyOn(AttendanceAudit, 'create').mockImplementation(async (values) => audits.push(values));
+    jest.spyOn(AttendanceCorrection, 'findOne').mockImplementation(async () => {
+      return corrections.find(correction => ['pending', 'escalated'].includes(correction.status)) || null;
+    });
+    jest.spyOn(AttendanceCorrection, 'create').mockImplementation(async (values) => {
+      const correction = row({ id: corrections.length + 1, ...values, attendance });
+      corrections.push(correction);
+      return correction;
+    });
+    jest.spyOn(AttendanceCorrection, 'findByPk').mockImplementation(async (id) => corrections.find(correction => correction.id === id) || null);
+    jest.spyOn(Admin, 'findAll').mockResolvedValue([{ email: admin.email }]);
+    jest.spyOn(NotificationService, 'notify').mockImplementation(async (email, notification) => {
+      notifications.push([email, notification.title]);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const request = (user, requestedStatus = 'present') => AttendanceCorrectionService.requestCorrection({
+    attendanceId: attendance.id,
+    requestedStatus,
+    reason: 'I was in the lab session'
+  }, user);
+
+  it('should apply a correction approved by the faculty within the edit window', async () => {
+    const correction = await request(student);
+    expect(correction.status).toBe('pending');
+    expect(notifications).toEqual([[faculty.email, 'Attendance correction requested in CS201']]);
+
+    await expect(AttendanceCorrectionService.reviewCorrection(correction, { decision: 'approved' }, otherFaculty))
+      .rejects.toThrow('Correction request is already pending');
+
+    const result = await AttendanceCorrectionService.reviewCorrection(correction, { decision: 'approved', note: 'Checked the lab log' }, faculty);
+
+    expect(result.applied).toBe(true);
+    expect(correction).toEqual(expect.objectContaining({ status: 'approved', reviewedBy: faculty.email, reviewNote: 'Checked the lab log' }));
+    expect(attendance.status).toBe('present');
+    expect(audits).toEqual([expect.objectContaining({
+      attendanceId: 1,
+      source: 'correction',
+      previousStatus: 'absent',
+      newStatus: 'present',
+      reason: 'Correction request 1: I was in the lab session',
+      changedBy: faculty.email
+    })]);
+    expect(notifications.slice(-1)).toEqual([[student.email, 'Attendance correction approved']]);
+  });
+
+  it('should escalate a faculty approval past the edit window to an admin', async () => {
+    recordOn(localDate.daysAgo(30));
+    const correction = await request(student);
+
+    const escalated = await AttendanceCorrectionService.reviewCorrection(correction, { decision: 'approved' }, faculty);
+
+    expect(escalated.applied).toBe(false);
+    expect(correction.status).toBe('escalated');
+    expect(attendance.status).toBe('absent');
+    expect(audits).toEqual([]);
+    expect(notifications.slice(-1)).toEqual([[admin.email, 'Attendance correction needs approval']]);
+    expect(AttendanceCorrectionService.canReview(faculty, correction)).toBe(false);
+
+    const approved = await AttendanceCorrectionService.reviewCorrection(correction, { decision: 'approved' }, admin);
+
+    expect(approved.applied).toBe(true);
+    expect(correction).toEqual(expect.objectContaining({ status: 'approved', reviewedBy: admin.email }));
+    expect(attendance.status).toBe('present');
+    expect(audits).toEqual([expect.objectContaining({ previousStatus: 'absent', newStatus: 'present', changedBy: admin.email })]);
+  });
+
+  it('should only take faculty requests for locked attendance, and send them to an admin', async () => {
+    await expect(request(faculty)).rejects.toThrow('This attendance is not locked; edit it directly');
+
+    recordOn(localDate.daysAgo(30));
+    await expect(request(otherFaculty)).rejects.toThrow('You can only request corrections to attendance of your subjects');
+
+    const correction = await request(faculty, 'excused');
+
+    expect(correction).toEqual(expect.objectContaining({ status: 'escalated', requestedBy: faculty.email, currentStatus: 'absent' }));
+    expect(notifications).toEqual([[admin.email, 'Attendance correction needs approval']]);
+    await expect(request(student)).rejects.toThrow('A correction request for this attendance is already open');
+  });
+
+  it('should leave attendance alone when a correction is rejected', async () => {
+    const correction = await request(student);
+
+    const result = await AttendanceCorrectionService.reviewCorrection(correction, { decision: 'rejected', note: 'Absent on the register' }, faculty);
+
+    expect(result.applied).toBe(false);
+    expect(correction.status).toBe('rejected');
+    expect(attendance.status).toBe('absent');
+    expect(audits).toEqual([]);
+    expect(notifications.slice(-1)).toEqual([[student.email, 'Attendance correction rejected']]);
+  });
+});
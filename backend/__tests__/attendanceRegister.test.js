@@ -0,0 +1,123 @@
+const { Attendance, SubjectEnrollment } = require('../models');
+const AttendanceRegisterService = require('../services/AttendanceRegisterService');
+const AttendanceService = require('../services/AttendanceService');
+const ClassSessionService = require('../services/ClassSessionService');
+const LeaveService = require('../services/LeaveService');
+const attendanceConfig = require('../config/attendance');
+const localDate = require('../utils/localDate');
+
+const faculty = { email: 'faculty@university.edu', role: 'faculty' };
+const admin = { email: 'admin@university.edu', role: 'admin' };
+
+const subject = {
+  id: 1,
+  subjectCode: 'CS201',
+  facultyEmail: faculty.email,
+  enrolledStudents: [
+    { email: 's2@university.edu', name: 'Ben', rollNo: 'CS002' },
+    { email: 's1@university.edu', name: 'Asha', rollNo: 'CS001' }
+  ]
+};
+
+describe('Attendance register import', () => {
+  const recent = localDate.daysAgo(1);
+  const onLeave = localDate.daysAgo(2);
+  const holiday = localDate.daysAgo(3);
+  const locked = localDate.daysAgo(30);
+  const future = localDate.daysAgo(-1);
+
+  const register = Buffer.from([
+    `Roll No,Name,Email,${recent},${onLeave},${holiday},${locked},${future}`,
+    'CS001,Asha,s1@university.edu,P,A,P,,P',
+    'CS002,Ben,,late,absent,,P,Q',
+    'CS009,Zed,,P,,,,',
+    ',,,P,,,,',
+    'CS001,Asha,S1@university.edu,A,,,,'
+  ].join('\n'));
+
+  beforeEach(() => {
+    jest.spyOn(SubjectEnrollment, 'findByPk').mockResolvedValue(subject);
+    jest.spyOn(ClassSessionService, 'assertSessionOn').mockImplementation(async (s, date) => {
+      if (date === holiday) {
+        throw new Error(`CS201 has no class on ${date} (Diwali)`);
+      }
+      return [{ slotId: null }];
+    });
+    jest.spyOn(LeaveService, 'getApprovedLeaveMap').mockImplementation(async (emails, subjectId, date) => {
+      return new Map(date === onLeave ? [['s2@university.edu', { id: 7 }]] : []);
+    });
+    jest.spyOn(Attendance, 'findAll').mockResolvedValue([
+      { studentEmail: 's1@university.edu', date: recent, status: 'present' },
+      { studentEmail: 's2@university.edu', date: locked, status: 'absent' }
+    ]);
+    jest.spyOn(AttendanceService, 'markBulkAttendance').mockImplementation(async ({ studentAttendances }) => ({
+      created: studentAttendances.length,
+      updated: 0
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should preview changes and rejected rows without saving', async () => {
+    const result = await AttendanceRegisterService.importRegister(subject.id, register, { dryRun: true, user: faculty });
+
+    expect(result).toEqual({
+      dryRun: true,
+      changes: [
+        { row: 2, studentEmail: 's1@university.edu', rollNo: 'CS001', date: onLeave, from: null, to: 'absent' },
+        { row: 3, studentEmail: 's2@university.edu', rollNo: 'CS002', date: recent, from: null, to: 'late' },
+        { row: 3, studentEmail: 's2@university.edu', rollNo: 'CS002', date: onLeave, from: null, to: 'excused' }
+      ],
+      rejected: [
+        { row: 2, studentEmail: 's1@university.edu', date: holiday, reason: `CS201 has no class on ${holiday} (Diwali)` },
+        { row: 2, studentEmail: 's1@university.edu', date: future, reason: 'Attendance cannot be marked for a future date' },
+        {
+          row: 3,
+          studentEmail: 's2@university.edu',
+          date: locked,
+          reason: `Attendance for ${locked} is locked after ${attendanceConfig.editWindowDays} days; raise a correction request for admin approval`
+        },
+        { row: 3, studentEmail: 's2@university.edu', date: future, reason: 'Unknown status: Q' },
+        { row: 4, studentEmail: 'CS009', date: null, reason: 'Student not enrolled in this subject' },
+        { row: 5, studentEmail: null, date: null, reason: 'Email or roll number is required' },
+        { row: 6, studentEmail: 's1@university.edu', date: null, reason: 'Student appears more than once' }
+      ],
+      unchanged: 1,
+      applied: 0
+    });
+    expect(AttendanceService.markBulkAttendance).not.toHaveBeenCalled();
+  });
+
+  it('should apply the previewed changes one date at a time', async () => {
+    const preview = await AttendanceRegisterService.importRegister(subject.id, register, { dryRun: true, user: faculty });
+    const result = await AttendanceRegisterService.importRegister(subject.id, register, { user: faculty });
+
+    expect(result.changes).toEqual(preview.changes);
+    expect(result.applied).toBe(3);
+    expect(AttendanceService.markBulkAttendance.mock.calls.map(([data, options]) => [data.date, data.studentAttendances, options.source]))
+      .toEqual([
+        [onLeave, [{ studentEmail: 's1@university.edu', status: 'absent' }, { studentEmail: 's2@university.edu', status: 'excused' }], 'register'],
+        [recent, [{ studentEmail: 's2@university.edu', status: 'late' }], 'register']
+      ]);
+  });
+
+  it('should let an admin giving a reason change locked attendance', async () => {
+    const result = await AttendanceRegisterService.importRegister(subject.id, register, {
+      dryRun: true,
+      user: admin,
+      reason: 'Register found'
+    });
+
+    expect(result.changes).toContainEqual({
+      row: 3, studentEmail: 's2@university.edu', rollNo: 'CS002', date: locked, from: 'absent', to: 'present'
+    });
+    expect(result.rejected.map(rejection => rejection.date)).not.toContain(locked);
+  });
+
+  it('should refuse a register without date columns', async () => {
+    await expect(AttendanceRegisterService.importRegister(subject.id, Buffer.from('Roll No,Name\nCS001,Asha\n'), { dryRun: true }))
+      .rejects.toThrow('Register has no date columns (YYYY-MM-DD)');
+  });
+});
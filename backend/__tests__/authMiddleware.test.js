@@ -0,0 +1,121 @@
+const express = require('express');
+const request = require('supertest');
+const AuthService = require('../services/AuthService');
+const { authenticate, requireRole, requireSelfOr } = require('../middleware/auth');
+
+const users = {
+  admin: { firebaseUid: 'admin-uid', email: 'admin@university.edu', role: 'admin' },
+  faculty: { firebaseUid: 'faculty-uid', email: 'faculty@university.edu', role: 'faculty' },
+  student: { firebaseUid: 'student-uid', email: 'student@university.edu', role: 'student' }
+};
+
+const buildApp = () => {
+  const app = express();
+  const ok = (req, res) => res.json({ status: 'success', email: req.user.email });
+  app.get('/any', authenticate, ok);
+  app.get('/admin', requireRole('admin'), ok);
+  app.get('/staff', requireRole('faculty', 'admin'), ok);
+  app.get('/students/:email', requireSelfOr('admin'), ok);
+  return app;
+};
+
+describe('Auth middleware', () => {
+  let app;
+  let verifyToken;
+
+  beforeEach(() => {
+    verifyToken = jest.spyOn(AuthService, 'verifySessionAndGetUser').mockImplementation(async (token) => {
+      if (token === 'expired') {
+        throw new Error('Session token has expired. Please refresh it or login again.');
+      }
+      return users[token] || null;
+    });
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    AuthService.clearTokenCache();
+  });
+
+  describe('authenticate', () => {
+    it('should require a Bearer token', async () => {
+      const response = await request(app).get('/any').expect(401);
+
+      expect(response.body).toEqual({
+        status: 'error',
+        message: 'Authorization header with Bearer token is required'
+      });
+    });
+
+    it('should reject tokens without a user', async () => {
+      const response = await request(app).get('/any').set('Authorization', 'Bearer unknown').expect(401);
+
+      expect(response.body).toEqual({ status: 'error', message: 'Invalid token' });
+    });
+
+    it('should reject tokens that fail verification', async () => {
+      const response = await request(app).get('/any').set('Authorization', 'Bearer expired').expect(401);
+
+      expect(response.body.message).toBe('Session token has expired. Please refresh it or login again.');
+    });
+
+    it('should verify a token once while it is cached', async () => {
+      await request(app).get('/any').set('Authorization', 'Bearer student').expect(200);
+      await request(app).get('/any').set('Authorization', 'Bearer student').expect(200);
+
+      expect(verifyToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('should verify again after the user\'s cached tokens are cleared', async () => {
+      await request(app).get('/any').set('Authorization', 'Bearer student').expect(200);
+      AuthService.clearTokenCache(users.student.firebaseUid);
+      await request(app).get('/any').set('Authorization', 'Bearer student').expect(200);
+
+      expect(verifyToken).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not cache tokens without a user', async () => {
+      await request(app).get('/any').set('Authorization', 'Bearer unknown').expect(401);
+      await request(app).get('/any').set('Authorization', 'Bearer unknown').expect(401);
+
+      expect(verifyToken).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('requireRole', () => {
+    it('should allow the listed roles', async () => {
+      await request(app).get('/admin').set('Authorization', 'Bearer admin').expect(200);
+      await request(app).get('/staff').set('Authorization', 'Bearer faculty').expect(200);
+      await request(app).get('/staff').set('Authorization', 'Bearer admin').expect(200);
+    });
+
+    it('should refuse other roles with 403', async () => {
+      const admin = await request(app).get('/admin').set('Authorization', 'Bearer faculty').expect(403);
+      const staff = await request(app).get('/staff').set('Authorization', 'Bearer student').expect(403);
+
+      expect(admin.body).toEqual({ status: 'error', message: 'Admin access required' });
+      expect(staff.body).toEqual({ status: 'error', message: 'Faculty or Admin access required' });
+    });
+
+    it('should require authentication first', async () => {
+      await request(app).get('/admin').expect(401);
+    });
+  });
+
+  describe('requireSelfOr', () => {
+    it('should allow the user named in the path and the listed roles', async () => {
+      await request(app).get(`/students/${users.student.email}`).set('Authorization', 'Bearer student').expect(200);
+      await request(app).get(`/students/${users.student.email}`).set('Authorization', 'Bearer admin').expect(200);
+    });
+
+    it('should refuse anyone else', async () => {
+      const response = await request(app)
+        .get(`/students/${users.student.email}`)
+        .set('Authorization', 'Bearer faculty')
+        .expect(403);
+
+      expect(response.body).toEqual({ status: 'error', message: 'Access denied' });
+    });
+  });
+});
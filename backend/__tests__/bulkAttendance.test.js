@@ -0,0 +1,203 @@
+const { sequelize, Attendance, AttendanceAudit, Faculty, Student, SubjectEnrollment } = require('../models');
+const AttendanceService = require('../services/AttendanceService');
+const ClassSessionService = require('../services/ClassSessionService');
+const TimetableService = require('../services/TimetableService');
+const LeaveService = require('../services/LeaveService');
+const dedupeAttendance = require('../scripts/dedupe-attendance');
+const localDate = require('../utils/localDate');
+
+const faculty = { email: 'faculty@university.edu' };
+const students = ['s1@university.edu', 's2@university.edu', 's3@university.edu'];
+const enrolled = students.slice(0, 2);
+const subject = {
+  id: 1,
+  subjectCode: 'CS201',
+  faculty,
+  getEnrolledStudents: async ({ where }) => enrolled
+    .filter(email => where.email[Object.getOwnPropertySymbols(where.email)[0]].includes(email))
+    .map(email => ({ email }))
+};
+
+const yesterday = () => localDate.daysAgo(1);
+
+describe('Bulk attendance', () => {
+  let rows;
+  let audits;
+  let transactions;
+
+  const inBatch = (where) => (row) => row.subjectId === where.subjectId && row.date === where.date &&
+    where.studentEmail[Object.getOwnPropertySymbols(where.studentEmail)[0]].includes(row.studentEmail);
+
+  beforeEach(() => {
+    rows = [];
+    audits = [];
+    transactions = [];
+
+    jest.spyOn(Faculty, 'findOne').mockResolvedValue(faculty);
+    jest.spyOn(SubjectEnrollment, 'findOne').mockResolvedValue(subject);
+    jest.spyOn(Student, 'findAll').mockResolvedValue(students.map(email => ({ email })));
+    jest.spyOn(ClassSessionService, 'assertSessionOn').mockResolvedValue([{ slotId: null }]);
+    jest.spyOn(TimetableService, 'getCurrentSlot').mockResolvedValue(null);
+    jest.spyOn(LeaveService, 'getApprovedLeaveMap').mockResolvedValue(new Map());
+
+    // Writes made in a transaction only land if its callback succeeds
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => {
+      const transaction = { rows: rows.map(row => ({ ...row })), audits: [...audits] };
+      transactions.push(transaction);
+      const result = await callback(transaction);
+      rows = transaction.rows;
+      audits = transaction.audits;
+      return result;
+    });
+    jest.spyOn(Attendance, 'findAll').mockImplementation(async ({ where, transaction }) => {
+      return transaction.rows.filter(inBatch(where)).map(row => ({ ...row }));
+    });
+    // Upsert on the unique (student, subject, date) index, as MySQL does
+    jest.spyOn(Attendance, 'bulkCreate').mockImplementation(async (values, { updateOnDuplicate, transaction }) => {
+      values.forEach(value => {
+        const existing = transaction.rows.find(row => row.studentEmail === value.studentEmail &&
+          row.subjectId === value.subjectId && row.date === value.date);
+        if (!existing) {
+          transaction.rows.push({ id: transaction.rows.length + 1, ...value });
+          return;
+        }
+        updateOnDuplicate.filter(field => field in value).forEach(field => {
+          existing[field] = value[field];
+        });
+      });
+    });
+    jest.spyOn(AttendanceAudit, 'bulkCreate').mockImplementation(async (values, { transaction }) => {
+      transaction.audits.push(...values);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mark = (studentAttendances, date = yesterday()) => AttendanceService.markBulkAttendance({
+    facultyEmail: faculty.email,
+    subjectId: subject.id,
+    date,
+    studentAttendances
+  }, { user: { email: faculty.email, role: 'faculty' } });
+
+  it('should reject the whole batch when one student is not enrolled', async () => {
+    await expect(mark([
+      { studentEmail: students[0], status: 'present' },
+      { studentEmail: students[2], status: 'present' }
+    ])).rejects.toThrow(`Student not enrolled: ${students[2]}`);
+
+    expect(Attendance.bulkCreate).not.toHaveBeenCalled();
+    expect(AttendanceAudit.bulkCreate).not.toHaveBeenCalled();
+    expect(rows).toEqual([]);
+  });
+
+  it('should report every invalid row before touching the database', async () => {
+    await expect(mark([
+      { studentEmail: students[0], status: 'present' },
+      { studentEmail: students[1], status: 'sleeping' },
+      { studentEmail: students[0], status: 'absent' }
+    ])).rejects.toThrow(`Invalid attendance status for ${students[1]}: sleeping; Student listed more than once: ${students[0]}`);
+
+    expect(Faculty.findOne).not.toHaveBeenCalled();
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
+  it('should write attendance and its audit in one transaction', async () => {
+    const result = await mark([
+      { studentEmail: students[0], status: 'present' },
+      { studentEmail: students[1], present: false }
+    ]);
+
+    expect(result).toEqual(expect.objectContaining({ created: 2, updated: 0, unchanged: 0 }));
+    expect(transactions).toHaveLength(1);
+    expect(Attendance.bulkCreate).toHaveBeenCalledTimes(1);
+    expect(Attendance.bulkCreate.mock.calls[0][1].transaction).toBe(transactions[0]);
+    expect(AttendanceAudit.bulkCreate.mock.calls[0][1].transaction).toBe(transactions[0]);
+    expect(rows.map(row => [row.studentEmail, row.status])).toEqual([[students[0], 'present'], [students[1], 'absent']]);
+    expect(audits.map(audit => [audit.attendanceId, audit.previousStatus, audit.newStatus])).toEqual([[1, null, 'present'], [2, null, 'absent']]);
+  });
+
+  it('should keep nothing when writing the audit fails', async () => {
+    AttendanceAudit.bulkCreate.mockRejectedValueOnce(new Error('Audit table unavailable'));
+
+    await expect(mark([{ studentEmail: students[0], status: 'present' }])).rejects.toThrow('Audit table unavailable');
+
+    expect(Attendance.bulkCreate).toHaveBeenCalledTimes(1);
+    expect(rows).toEqual([]);
+  });
+
+  it('should update the existing record when attendance is marked again', async () => {
+    await mark([{ studentEmail: students[0], status: 'present' }, { studentEmail: students[1], status: 'present' }]);
+    const result = await mark([{ studentEmail: students[0], status: 'late', remarks: 'Bus delayed' }, { studentEmail: students[1], status: 'present' }]);
+
+    expect(result).toEqual(expect.objectContaining({ created: 0, updated: 1, unchanged: 1 }));
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toEqual(expect.objectContaining({ id: 1, studentEmail: students[0], status: 'late', remarks: 'Bus delayed' }));
+    expect(Attendance.bulkCreate.mock.calls[1][0]).toHaveLength(1);
+    expect(Attendance.bulkCreate.mock.calls[1][1].updateOnDuplicate).toEqual(expect.arrayContaining(['status', 'remarks']));
+    expect(audits.slice(-1)).toEqual([expect.objectContaining({ attendanceId: 1, previousStatus: 'present', newStatus: 'late' })]);
+  });
+
+  it('should take today from the shared local date', async () => {
+    jest.spyOn(localDate, 'today').mockReturnValue('2026-09-02');
+
+    const result = await mark([{ studentEmail: students[0], status: 'present' }], '2026-09-02');
+    expect(result).toEqual(expect.objectContaining({ created: 1 }));
+    await expect(mark([{ studentEmail: students[0], status: 'present' }], '2026-09-03'))
+      .rejects.toThrow('Attendance cannot be marked for a future date');
+  });
+
+  it('should rely on a unique index on student, subject and date', () => {
+    expect(Attendance.options.indexes).toContainEqual(expect.objectContaining({
+      unique: true,
+      fields: ['student_email', 'subject_id', 'date']
+    }));
+  });
+});
+
+describe('dedupe-attendance script', () => {
+  let records;
+
+  beforeEach(() => {
+    records = [
+      { id: 1, studentEmail: 's1@university.edu', subjectId: 1, date: '2026-09-01', updated_at: new Date('2026-09-01T09:00:00Z') },
+      { id: 2, studentEmail: 's1@university.edu', subjectId: 1, date: '2026-09-01', updated_at: new Date('2026-09-01T10:00:00Z') },
+      { id: 3, studentEmail: 's1@university.edu', subjectId: 1, date: '2026-09-01', updated_at: new Date('2026-09-01T10:00:00Z') },
+      { id: 4, studentEmail: 's2@university.edu', subjectId: 1, date: '2026-09-01', updated_at: new Date('2026-09-01T09:00:00Z') },
+      { id: 5, studentEmail: 's1@university.edu', subjectId: 1, date: '2026-09-02', updated_at: new Date('2026-09-02T09:00:00Z') }
+    ];
+
+    jest.spyOn(sequelize, 'authenticate').mockResolvedValue();
+    jest.spyOn(sequelize, 'close').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // Newest first, as ordered by updated_at and then id
+    jest.spyOn(Attendance, 'findAll').mockImplementation(async () => [...records]
+      .sort((a, b) => b.updated_at - a.updated_at || b.id - a.id));
+    jest.spyOn(Attendance, 'destroy').mockImplementation(async ({ where }) => {
+      records = records.filter(record => !where.id.includes(record.id));
+      return where.id.length;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the most recently updated record of each class', async () => {
+    await dedupeAttendance();
+
+    expect(Attendance.destroy).toHaveBeenCalledWith({ where: { id: [2, 1] } });
+    expect(records.map(record => record.id)).toEqual([3, 4, 5]);
+    expect(console.log).toHaveBeenCalledWith('Removed 2 duplicate record(s).');
+  });
+
+  it('should find nothing to remove when run again', async () => {
+    await dedupeAttendance();
+    await dedupeAttendance();
+
+    expect(Attendance.destroy).toHaveBeenCalledTimes(1);
+    expect(console.log).toHaveBeenLastCalledWith('Removed 0 duplicate record(s).');
+  });
+});
@@ -0,0 +1,178 @@
+const moment = require('moment');
+const { Event, Exam, Assignment } = require('../models');
+const CalendarFeedService = require('../services/CalendarFeedService');
+const EventService = require('../services/EventService');
+const SubjectEnrollmentService = require('../services/SubjectEnrollmentService');
+const TimetableService = require('../services/TimetableService');
+const { parseCalendar } = require('../utils/ical');
+
+const student = { email: 's1@university.edu', name: 'Asha Rao', role: 'student' };
+const subject = { subjectCode: 'CS201', subjectName: 'Data Structures' };
+const stamp = new Date('2026-08-01T10:00:00Z');
+
+const events = [
+  {
+    id: 1,
+    externalUid: null,
+    updated_at: stamp,
+    title: 'Orientation; day one, hall A',
+    description: 'Bring your ID card\nand a pen',
+    location: 'Main Hall',
+    type: 'meeting',
+    startTime: new Date('2026-09-01T04:00:00Z'),
+    endTime: new Date('2026-09-01T06:00:00Z'),
+    allDay: false,
+    audienceType: 'all',
+    recurrenceRule: 'FREQ=WEEKLY;COUNT=3'
+  },
+  {
+    id: 2,
+    externalUid: 'diwali-2026@example.org',
+    updated_at: stamp,
+    title: 'Diwali',
+    type: 'holiday',
+    startTime: new Date(2026, 10, 8),
+    endTime: new Date(2026, 10, 9, 23, 59, 59, 999),
+    allDay: true,
+    audienceType: 'all'
+  },
+  {
+    id: 3,
+    updated_at: stamp,
+    title: 'EE lab induction',
+    type: 'meeting',
+    startTime: new Date('2026-09-02T04:00:00Z'),
+    allDay: false,
+    audienceType: 'branch',
+    audienceValue: 'EE'
+  }
+];
+
+describe('Calendar feed', () => {
+  beforeEach(() => {
+    jest.spyOn(Event, 'findAll').mockResolvedValue(events);
+    jest.spyOn(EventService, 'getUserAudience').mockResolvedValue({
+      everything: false,
+      course: 'BTech',
+      branch: 'CSE',
+      semester: '3',
+      subjectIds: ['1']
+    });
+    jest.spyOn(SubjectEnrollmentService, 'getEnrolledSubjectIds').mockResolvedValue([1]);
+    jest.spyOn(TimetableService, 'getSlots').mockResolvedValue([
+      { id: 4, updated_at: stamp, subject, room: { name: 'LH-101', building: 'Block A' } }
+    ]);
+    jest.spyOn(TimetableService, 'getFirstOccurrence').mockReturnValue({
+      start: new Date('2026-09-07T03:30:00Z'),
+      end: new Date('2026-09-07T04:20:00Z')
+    });
+    jest.spyOn(Exam, 'findAll').mockResolvedValue([
+      { id: 5, updated_at: stamp, subject, title: 'Midterm', examType: 'midterm', venue: 'LH-101', examDate: '2026-10-05', startTime: '10:00:00', durationMinutes: 90 },
+      { id: 6, updated_at: stamp, subject, title: 'Viva', examType: 'practical', venue: null, examDate: '2026-11-20', startTime: null, durationMinutes: null }
+    ]);
+    jest.spyOn(Assignment, 'findAll').mockResolvedValue([
+      { id: 7, updated_at: stamp, subject, title: 'Heaps', description: 'Implement a binary heap – '.repeat(6), dueDate: new Date('2026-09-15T18:29:00Z') }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Unfolded content lines of the VEVENT with a UID
+  const eventLines = (ics, uid) => {
+    const lines = ics.replace(/\r\n /g, '').split('\r\n');
+    const start = lines.indexOf(`UID:${uid}`);
+    return lines.slice(start, lines.indexOf('END:VEVENT', start));
+  };
+
+  it('should write a well-formed calendar with CRLF lines of at most 75 octets', async () => {
+    const ics = await CalendarFeedService.buildUserFeed(student);
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('X-WR-CALNAME:Asha Rao - Campus Cloud\r\n');
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line, 'utf8') <= 75)).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  it('should list the events meant for the user with escaped text', async () => {
+    const ics = await CalendarFeedService.buildUserFeed(student);
+
+    expect(eventLines(ics, 'event-1@campus-cloud')).toEqual([
+      'UID:event-1@campus-cloud',
+      'DTSTAMP:20260801T100000Z',
+      'DTSTART:20260901T040000Z',
+      'DTEND:20260901T060000Z',
+      'SUMMARY:Orientation\\; day one\\, hall A',
+      'DESCRIPTION:Bring your ID card\\nand a pen',
+      'LOCATION:Main Hall',
+      'CATEGORIES:MEETING',
+      'RRULE:FREQ=WEEKLY;COUNT=3'
+    ]);
+    expect(eventLines(ics, 'diwali-2026@example.org')).toEqual(expect.arrayContaining([
+      'DTSTART;VALUE=DATE:20261108',
+      'DTEND;VALUE=DATE:20261110'
+    ]));
+    expect(ics).not.toContain('EE lab induction');
+  });
+
+  it('should add the weekly classes, exams and deadlines of the user\'s subjects', async () => {
+    const ics = await CalendarFeedService.buildUserFeed(student);
+    const midtermStart = moment('2026-10-05 10:00:00', 'YYYY-MM-DD HH:mm:ss');
+
+    expect(TimetableService.getSlots).toHaveBeenCalledWith({ subjectIds: [1] });
+    expect(eventLines(ics, 'class-4@campus-cloud')).toEqual(expect.arrayContaining([
+      'DTSTART:20260907T033000Z',
+      'DTEND:20260907T042000Z',
+      'SUMMARY:CS201 Data Structures',
+      'LOCATION:LH-101\\, Block A',
+      'CATEGORIES:CLASS',
+      'RRULE:FREQ=WEEKLY'
+    ]));
+    expect(eventLines(ics, 'exam-5@campus-cloud')).toEqual(expect.arrayContaining([
+      `DTSTART:${midtermStart.clone().utc().format('YYYYMMDD[T]HHmmss[Z]')}`,
+      `DTEND:${midtermStart.clone().add(90, 'minutes').utc().format('YYYYMMDD[T]HHmmss[Z]')}`,
+      'DESCRIPTION:midterm exam for Data Structures'
+    ]));
+    expect(eventLines(ics, 'exam-6@campus-cloud')).toEqual(expect.arrayContaining([
+      'DTSTART;VALUE=DATE:20261120',
+      'DTEND;VALUE=DATE:20261121'
+    ]));
+    expect(eventLines(ics, 'assignment-7@campus-cloud')).toEqual(expect.arrayContaining([
+      'DTSTART:20260915T182900Z',
+      'SUMMARY:CS201 Heaps due',
+      'CATEGORIES:DEADLINE'
+    ]));
+  });
+
+  it('should read back the same events it wrote', async () => {
+    const parsed = parseCalendar(await CalendarFeedService.buildUserFeed(student));
+
+    expect(parsed.map(event => event.uid)).toEqual([
+      'event-1@campus-cloud',
+      'diwali-2026@example.org',
+      'class-4@campus-cloud',
+      'exam-5@campus-cloud',
+      'exam-6@campus-cloud',
+      'assignment-7@campus-cloud'
+    ]);
+    expect(parsed[0]).toEqual(expect.objectContaining({
+      summary: 'Orientation; day one, hall A',
+      description: 'Bring your ID card\nand a pen',
+      start: events[0].startTime,
+      end: events[0].endTime,
+      rrule: 'FREQ=WEEKLY;COUNT=3'
+    }));
+    expect(parsed[1]).toEqual(expect.objectContaining({ allDay: true, start: events[1].startTime, end: events[1].endTime }));
+    expect(parsed[5].description).toBe('Implement a binary heap – '.repeat(6));
+  });
+
+  it('should leave subject entries out for users without subjects', async () => {
+    const ics = await CalendarFeedService.buildUserFeed({ email: 'admin@university.edu', name: 'Admin', role: 'admin' });
+
+    expect(TimetableService.getSlots).not.toHaveBeenCalled();
+    expect(ics).not.toContain('CATEGORIES:CLASS');
+    expect(ics).toContain('UID:event-1@campus-cloud');
+  });
+});
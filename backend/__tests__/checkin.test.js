@@ -0,0 +1,92 @@
+const { CheckinSession } = require('../models');
+const CheckinService = require('../services/CheckinService');
+const attendanceConfig = require('../config/attendance');
+
+const rotation = attendanceConfig.checkinTokenSeconds * 1000;
+// Start of a rotation window, so a window later is exactly one rotation on
+const openedAt = new Date(Math.floor(Date.parse('2026-09-01T09:00:00Z') / rotation) * rotation);
+const later = (ms) => new Date(openedAt.getTime() + ms);
+
+describe('Check-in tokens', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = {
+      1: { id: 1, subjectId: 10, secret: 'a'.repeat(64), status: 'open', expiresAt: later(15 * 60 * 1000) },
+      2: { id: 2, subjectId: 11, secret: 'b'.repeat(64), status: 'open', expiresAt: later(15 * 60 * 1000) }
+    };
+
+    jest.spyOn(CheckinSession, 'scope').mockReturnValue({
+      findByPk: async (id) => sessions[id] || null
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Swap one part of a session.window.signature token
+  const withPart = (token, index, value) => {
+    const parts = token.split('.');
+    parts[index] = value;
+    return parts.join('.');
+  };
+
+  it('should accept a token in its own and the next rotation window', async () => {
+    const { token, rotatesAt } = await CheckinService.issueToken(sessions[1], openedAt);
+
+    expect(rotatesAt).toEqual(later(rotation));
+    await expect(CheckinService.verifyToken(token, openedAt)).resolves.toBe(sessions[1]);
+    await expect(CheckinService.verifyToken(token, later(rotation + 1000))).resolves.toBe(sessions[1]);
+  });
+
+  it('should reject a token once it has rotated out', async () => {
+    const { token } = await CheckinService.issueToken(sessions[1], openedAt);
+
+    await expect(CheckinService.verifyToken(token, later(2 * rotation)))
+      .rejects.toThrow('Check-in code has expired, scan the current code');
+    await expect(CheckinService.verifyToken(token, later(-1000)))
+      .rejects.toThrow('Check-in code has expired, scan the current code');
+  });
+
+  it('should reject a token whose window or session was changed', async () => {
+    const { token } = await CheckinService.issueToken(sessions[1], openedAt);
+    const window = CheckinService.getWindow(openedAt);
+
+    await expect(CheckinService.verifyToken(withPart(token, 1, String(window + 1)), later(rotation)))
+      .rejects.toThrow('Invalid check-in code');
+    await expect(CheckinService.verifyToken(withPart(token, 0, '2'), openedAt))
+      .rejects.toThrow('Invalid check-in code');
+    await expect(CheckinService.verifyToken(withPart(token, 0, '3'), openedAt))
+      .rejects.toThrow('Invalid check-in code');
+  });
+
+  it('should reject a token signed for another subject or with another secret', async () => {
+    const { token } = await CheckinService.issueToken(sessions[1], openedAt);
+
+    sessions[1].subjectId = 11;
+    await expect(CheckinService.verifyToken(token, openedAt)).rejects.toThrow('Invalid check-in code');
+
+    sessions[1].subjectId = 10;
+    sessions[1].secret = 'c'.repeat(64);
+    await expect(CheckinService.verifyToken(token, openedAt)).rejects.toThrow('Invalid check-in code');
+  });
+
+  it('should reject malformed tokens before looking up a session', async () => {
+    for (const token of [undefined, '', '1.2', '1.2.3.4', 'x.2.sig', '1.y.sig']) {
+      await expect(CheckinService.verifyToken(token, openedAt)).rejects.toThrow('Invalid check-in code');
+    }
+    expect(CheckinSession.scope).not.toHaveBeenCalled();
+  });
+
+  it('should reject a valid token once the session is closed or expired', async () => {
+    const { token } = await CheckinService.issueToken(sessions[1], openedAt);
+
+    sessions[1].expiresAt = later(1000);
+    await expect(CheckinService.verifyToken(token, later(2000))).rejects.toThrow('Check-in session is closed');
+
+    sessions[1].expiresAt = later(15 * 60 * 1000);
+    sessions[1].status = 'closed';
+    await expect(CheckinService.verifyToken(token, openedAt)).rejects.toThrow('Check-in session is closed');
+  });
+});
@@ -0,0 +1,165 @@
+const { sequelize, GradeBand, GradeOverride, SemesterLock, SubjectEnrollment, SubjectGrade } = require('../models');
+const GradeService = require('../services/GradeService');
+const PerformanceService = require('../services/PerformanceService');
+const gradingConfig = require('../config/grading');
+
+const admin = { email: 'admin@university.edu', role: 'admin' };
+const faculty = { email: 'faculty@university.edu', role: 'faculty' };
+
+const subjects = [
+  { id: 1, subjectCode: 'CS201', semester: 3, academicYear: '2025-26', credits: 4 },
+  { id: 2, subjectCode: 'CS202', semester: 3, academicYear: '2025-26', credits: 2 },
+  { id: 3, subjectCode: 'CS201', semester: 3, academicYear: '2026-27', credits: 4 }
+];
+
+describe('Grade points', () => {
+  it('should weight grade points by credits and leave ungraded subjects out', () => {
+    expect(GradeService.calculateGpa([
+      { credits: 4, gradePoints: 9 },
+      { credits: 2, gradePoints: 0 },
+      { credits: 3, gradePoints: null }
+    ])).toEqual({ credits: 6, earnedCredits: 4, gpa: 6 });
+    expect(GradeService.calculateGpa([{ credits: 3, gradePoints: null }])).toEqual({ credits: 0, earnedCredits: 0, gpa: null });
+  });
+
+  it('should grade marks by the band they reach', () => {
+    const bands = gradingConfig.defaultBands;
+
+    expect(GradeService.gradeFor(90, bands)).toEqual({ grade: 'O', gradePoints: 10 });
+    expect(GradeService.gradeFor(89.99, bands)).toEqual({ grade: 'A+', gradePoints: 9 });
+    expect(GradeService.gradeFor(0, bands)).toEqual({ grade: 'F', gradePoints: 0 });
+    expect(GradeService.gradeFor(null, bands)).toEqual({ grade: null, gradePoints: null });
+  });
+});
+
+describe('Semester locks', () => {
+  let locks;
+  let grades;
+  let bands;
+  // Component percentages by subject and student, as PerformanceService reports them
+  let performance;
+
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => {
+    return Array.isArray(value) ? value.includes(row[key]) : row[key] === value;
+  });
+
+  beforeEach(() => {
+    locks = [];
+    grades = [];
+    bands = [];
+    performance = {
+      1: {
+        's1@university.edu': { exams: 80, assignments: 90, attendance: 100 },
+        's2@university.edu': { exams: 50, assignments: 40, attendance: 60 }
+      },
+      2: {
+        's1@university.edu': { exams: 30, assignments: 20, attendance: 50 }
+      },
+      3: {
+        's3@university.edu': { exams: 70, assignments: 70, attendance: 70 }
+      }
+    };
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback({}));
+    jest.spyOn(GradeBand, 'findAll').mockImplementation(async () => bands.map(band => ({ ...band })));
+    jest.spyOn(SubjectEnrollment, 'findAll').mockImplementation(async ({ where }) => subjects.filter(subject => matches(subject, where)));
+    jest.spyOn(SemesterLock, 'findOne').mockImplementation(async ({ where }) => locks.find(lock => matches(lock, where)) || null);
+    jest.spyOn(SemesterLock, 'create').mockImplementation(async (values) => {
+      locks.push(values);
+      return values;
+    });
+    jest.spyOn(SemesterLock, 'destroy').mockImplementation(async ({ where }) => {
+      const before = locks.length;
+      locks = locks.filter(lock => !matches(lock, where));
+      return before - locks.length;
+    });
+    jest.spyOn(SubjectGrade, 'findAll').mockImplementation(async ({ where }) => grades.filter(grade => matches(grade, where)));
+    jest.spyOn(SubjectGrade, 'destroy').mockImplementation(async ({ where }) => {
+      grades = grades.filter(grade => !matches(grade, where));
+    });
+    jest.spyOn(SubjectGrade, 'bulkCreate').mockImplementation(async (rows) => {
+      grades.push(...rows);
+    });
+    jest.spyOn(GradeOverride, 'bulkCreate').mockImplementation(async (rows) => rows);
+    jest.spyOn(PerformanceService, 'computeSubjectPerformance').mockImplementation(async (subject) => ({
+      students: Object.entries(performance[subject.id]).map(([studentEmail, components]) => ({
+        studentEmail,
+        ...components,
+        overall: PerformanceService.weightedScore(components)
+      }))
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const gradeOf = (subjectId, studentEmail) => grades.find(grade => grade.subjectId === subjectId && grade.studentEmail === studentEmail);
+
+  it('should snapshot the grades and attendance of every subject in the semester', async () => {
+    const result = await GradeService.lockSemester(3, '2025-26', admin);
+
+    expect(result).toEqual(expect.objectContaining({ subjectCount: 2, gradeCount: 3 }));
+    expect(locks).toEqual([expect.objectContaining({
+      semester: 3,
+      academicYear: '2025-26',
+      lockedBy: admin.email,
+      gradingScheme: gradingConfig.defaultBands
+    })]);
+    expect(gradeOf(1, 's1@university.edu')).toEqual(expect.objectContaining({ marks: 85, attendance: 100, grade: 'A+', gradePoints: 9, credits: 4 }));
+    expect(gradeOf(1, 's2@university.edu')).toEqual(expect.objectContaining({ marks: 48, grade: 'C', gradePoints: 5 }));
+    expect(gradeOf(2, 's1@university.edu')).toEqual(expect.objectContaining({ marks: 29, grade: 'F', gradePoints: 0 }));
+    expect(gradeOf(3, 's3@university.edu')).toBeUndefined();
+  });
+
+  it('should lock the same semester of each academic year separately', async () => {
+    await GradeService.lockSemester(3, '2025-26', admin);
+
+    await expect(GradeService.lockSemester(3, '2025-26', admin)).rejects.toThrow('Semester 3 of 2025-26 is already locked');
+    await expect(GradeService.lockSemester(5, '2025-26', admin)).rejects.toThrow('No subjects are assigned to semester 5 of 2025-26');
+    await expect(GradeService.authorizeMarksEdit(subjects[2], faculty, '')).resolves.toBeNull();
+
+    await GradeService.lockSemester(3, '2026-27', admin);
+    expect(locks.map(lock => lock.academicYear)).toEqual(['2025-26', '2026-27']);
+  });
+
+  it('should only let an admin with a reason change marks of a locked semester', async () => {
+    await GradeService.lockSemester(3, '2025-26', admin);
+
+    await expect(GradeService.authorizeMarksEdit(subjects[0], faculty, 'Recount'))
+      .rejects.toThrow('Semester 3 of 2025-26 grades are locked; only an admin can change them');
+    await expect(GradeService.authorizeMarksEdit(subjects[0], admin, '  '))
+      .rejects.toThrow('Semester 3 of 2025-26 grades are locked; an override reason is required');
+    await expect(GradeService.authorizeMarksEdit(subjects[0], admin, 'Recount')).resolves.toBe(locks[0]);
+  });
+
+  it('should regrade overrides with the scheme and attendance stored at lock time', async () => {
+    await GradeService.lockSemester(3, '2025-26', admin);
+
+    // A stricter scheme and lower attendance afterwards must not reach the snapshot
+    bands = [{ grade: 'P', minMarks: 95, gradePoints: 4 }, { grade: 'F', minMarks: 0, gradePoints: 0 }];
+    performance[1]['s1@university.edu'] = { exams: 90, assignments: 90, attendance: 0 };
+
+    await GradeService.recordOverrides(subjects[0], [{
+      studentEmail: 's1@university.edu',
+      entityType: 'exam',
+      entityId: 1,
+      previousMarks: 80,
+      newMarks: 90
+    }], 'Recount', admin);
+
+    expect(gradeOf(1, 's1@university.edu')).toEqual(expect.objectContaining({ marks: 91, attendance: 100, grade: 'O', gradePoints: 10 }));
+    expect(gradeOf(2, 's1@university.edu')).toEqual(expect.objectContaining({ marks: 29 }));
+  });
+
+  it('should drop the snapshot of only its own academic year when unlocked', async () => {
+    await GradeService.lockSemester(3, '2025-26', admin);
+    await GradeService.lockSemester(3, '2026-27', admin);
+
+    await expect(GradeService.unlockSemester(3, '2025-26')).resolves.toBe(true);
+    await expect(GradeService.unlockSemester(3, '2025-26')).resolves.toBe(false);
+
+    expect(locks.map(lock => lock.academicYear)).toEqual(['2026-27']);
+    expect(grades.map(grade => grade.subjectId)).toEqual([3]);
+  });
+});
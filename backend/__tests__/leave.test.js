@@ -0,0 +1,123 @@
+const { Op } = require('sequelize');
+const { sequelize, Admin, Attendance, AttendanceAudit, AttendanceCorrection, LeaveRequest } = require('../models');
+const LeaveService = require('../services/LeaveService');
+const NotificationService = require('../services/NotificationService');
+const localDate = require('../utils/localDate');
+
+const faculty = { email: 'faculty@university.edu', role: 'faculty' };
+const admin = { email: 'admin@university.edu', role: 'admin' };
+const student = 's1@university.edu';
+const subject = { id: 1, subjectCode: 'CS201', facultyEmail: faculty.email };
+
+// Rows whose update() saves onto themselves, as a model instance would
+const row = (values) => ({
+  ...values,
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+
+describe('Leave review', () => {
+  let stored;
+  let leave;
+  let absences;
+  let corrections;
+  let audits;
+  let notifications;
+  let committed;
+
+  beforeEach(() => {
+    const recent = localDate.daysAgo(1);
+    const old = localDate.daysAgo(30);
+
+    stored = row({ id: 1, studentEmail: student, subjectId: subject.id, startDate: old, endDate: recent, type: 'medical', status: 'pending' });
+    // The instance the route loaded, which a concurrent review may have left stale
+    leave = {
+      ...stored,
+      subject,
+      async reload() {
+        Object.assign(this, stored);
+        return this;
+      }
+    };
+    absences = [
+      row({ id: 11, studentEmail: student, subjectId: subject.id, facultyEmail: faculty.email, date: old, status: 'absent', subject }),
+      row({ id: 12, studentEmail: student, subjectId: subject.id, facultyEmail: faculty.email, date: recent, status: 'absent', subject })
+    ];
+    corrections = [];
+    audits = [];
+    notifications = [];
+    committed = false;
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => {
+      const result = await callback({ LOCK: { UPDATE: 'UPDATE' } });
+      committed = true;
+      return result;
+    });
+    jest.spyOn(LeaveRequest, 'findByPk').mockImplementation(async () => stored);
+    jest.spyOn(Attendance, 'findAll').mockImplementation(async () => absences);
+    jest.spyOn(Attendance, 'findByPk').mockImplementation(async (id) => absences.find(record => record.id === id) || null);
+    jest.spyOn(Attendance, 'update').mockImplementation(async (values, { where }) => {
+      const matching = absences.filter(record => where.id[Op.in].includes(record.id));
+      matching.forEach(record => Object.assign(record, values));
+      return [matching.length];
+    });
+    jest.spyOn(AttendanceAudit, 'bulkCreate').mockImplementation(async (rows) => audits.push(...rows));
+    jest.spyOn(AttendanceCorrection, 'findAll').mockResolvedValue([]);
+    jest.spyOn(AttendanceCorrection, 'findOne').mockResolvedValue(null);
+    jest.spyOn(AttendanceCorrection, 'create').mockImplementation(async (values, options) => {
+      const correction = { id: corrections.length + 1, ...values, inTransaction: Boolean(options && options.transaction) };
+      corrections.push(correction);
+      return correction;
+    });
+    jest.spyOn(AttendanceCorrection, 'findByPk').mockImplementation(async (id) => {
+      const correction = corrections.find(item => item.id === id);
+      return correction ? { ...correction, attendance: absences.find(record => record.id === correction.attendanceId) } : null;
+    });
+    jest.spyOn(Admin, 'findAll').mockResolvedValue([{ email: admin.email }]);
+    jest.spyOn(NotificationService, 'notify').mockImplementation(async (email, notification) => {
+      notifications.push([email, notification.title, committed]);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refuse a review the stored request has already had', async () => {
+    stored.status = 'approved';
+
+    await expect(LeaveService.reviewLeave(leave, { decision: 'rejected' }, admin))
+      .rejects.toThrow('Leave request is already approved');
+    expect(LeaveRequest.findByPk).toHaveBeenCalledWith(1, expect.objectContaining({ lock: 'UPDATE' }));
+    expect(absences.map(record => record.status)).toEqual(['absent', 'absent']);
+    expect(notifications).toEqual([]);
+  });
+
+  it('should escalate locked absences in the same transaction and notify once it commits', async () => {
+    const result = await LeaveService.reviewLeave(leave, { decision: 'approved', note: 'Certificate seen' }, faculty);
+
+    expect(result).toEqual(expect.objectContaining({ excusedCount: 1, escalatedCount: 1 }));
+    expect(result.leave).toEqual(expect.objectContaining({ status: 'approved', reviewedBy: faculty.email }));
+    expect(absences.map(record => record.status)).toEqual(['absent', 'excused']);
+    expect(corrections).toEqual([expect.objectContaining({
+      attendanceId: 11,
+      requestedStatus: 'excused',
+      status: 'escalated',
+      reason: 'Leave request 1 approved: Certificate seen',
+      inTransaction: true
+    })]);
+    expect(notifications).toEqual([
+      [admin.email, 'Attendance correction needs approval', true],
+      [student, 'Leave approved', true]
+    ]);
+  });
+
+  it('should send no notifications when the review fails', async () => {
+    AttendanceAudit.bulkCreate.mockRejectedValue(new Error('Deadlock found'));
+
+    await expect(LeaveService.reviewLeave(leave, { decision: 'approved' }, faculty)).rejects.toThrow('Deadlock found');
+    expect(notifications).toEqual([]);
+  });
+});
@@ -0,0 +1,182 @@
+const moment = require('moment');
+const { sequelize, Book, BookCopy, Loan, Student } = require('../models');
+const LibraryService = require('../services/LibraryService');
+const libraryConfig = require('../config/library');
+
+const librarian = { email: 'librarian@university.edu', role: 'admin' };
+const students = ['s1@university.edu', 's2@university.edu'];
+
+// Rows whose update() saves onto themselves, as a model instance would
+const row = (values) => ({
+  ...values,
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  },
+  async destroy() {
+    this.deleted_at = new Date();
+  },
+  toJSON() {
+    return { ...this };
+  }
+});
+
+// Enough of Sequelize's where clauses for the queries the library makes
+const matches = (item, where) => Object.entries(where).every(([key, value]) => {
+  return Array.isArray(value) ? value.map(String).includes(String(item[key])) : String(item[key]) === String(value);
+});
+
+describe('Library circulation', () => {
+  let books;
+  let copies;
+  let loans;
+
+  beforeEach(() => {
+    books = [row({ id: 1, title: 'Introduction to Algorithms', totalCopies: 2, availableCopies: 2 })];
+    copies = [
+      row({ id: 11, bookId: 1, accessionNumber: 'B1-1', status: 'available' }),
+      row({ id: 12, bookId: 1, accessionNumber: 'B1-2', status: 'available' })
+    ];
+    loans = [];
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+    jest.spyOn(Student, 'findOne').mockImplementation(async ({ where }) => {
+      return students.includes(where.email) ? { email: where.email } : null;
+    });
+    jest.spyOn(Book, 'findByPk').mockImplementation(async (id) => books.find(book => book.id === Number(id)) || null);
+    jest.spyOn(BookCopy, 'findByPk').mockImplementation(async (id) => copies.find(copy => copy.id === Number(id)) || null);
+    jest.spyOn(BookCopy, 'findOne').mockImplementation(async ({ where }) => copies.find(copy => matches(copy, where)) || null);
+    jest.spyOn(BookCopy, 'findAll').mockImplementation(async ({ where }) => copies.filter(copy => matches(copy, where)));
+    jest.spyOn(BookCopy, 'update').mockImplementation(async (values, { where }) => {
+      const matching = copies.filter(copy => matches(copy, where));
+      matching.forEach(copy => Object.assign(copy, values));
+      return [matching.length];
+    });
+    jest.spyOn(Loan, 'findAll').mockImplementation(async ({ where }) => loans.filter(loan => {
+      return loan.studentEmail === where.studentEmail && loan.returnedAt === where.returnedAt;
+    }));
+    jest.spyOn(Loan, 'findByPk').mockImplementation(async (id) => loans.find(loan => loan.id === id) || null);
+    jest.spyOn(Loan, 'count').mockImplementation(async ({ where }) => loans.filter(loan => matches(loan, where)).length);
+    jest.spyOn(Loan, 'create').mockImplementation(async (values) => {
+      const loan = row({ id: loans.length + 1, returnedAt: null, fineAmount: 0, finePaid: false, renewalCount: 0, ...values });
+      loans.push(loan);
+      return loan;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const borrow = (studentEmail, copyId = null) => LibraryService.borrowBook(1, studentEmail, librarian, copyId);
+
+  it('should issue the first available copy and count it out of stock', async () => {
+    const loan = await borrow(students[0]);
+
+    expect(loan).toEqual(expect.objectContaining({
+      bookId: 1,
+      copyId: 11,
+      studentEmail: students[0],
+      issuedBy: librarian.email,
+      dueDate: moment().add(libraryConfig.loanDays, 'days').format('YYYY-MM-DD')
+    }));
+    expect(copies.map(copy => copy.status)).toEqual(['on_loan', 'available']);
+    expect(books[0]).toEqual(expect.objectContaining({ totalCopies: 2, availableCopies: 1 }));
+  });
+
+  it('should issue the copy asked for only while it is available', async () => {
+    const loan = await borrow(students[0], 12);
+    expect(loan.copyId).toBe(12);
+
+    await expect(borrow(students[1], 12)).rejects.toThrow('This copy is not available to borrow');
+    await borrow(students[1]);
+    expect(books[0].availableCopies).toBe(0);
+  });
+
+  it('should refuse loans the circulation rules do not allow', async () => {
+    await expect(borrow('nobody@university.edu')).rejects.toThrow('Student not found');
+
+    await borrow(students[0]);
+    await expect(borrow(students[0])).rejects.toThrow('Student already has this book on loan');
+
+    await borrow(students[1]);
+    await expect(borrow(students[0])).rejects.toThrow('No copies of this book are available');
+    expect(loans).toHaveLength(2);
+  });
+
+  it('should put a returned copy back in stock and fix the overdue fine', async () => {
+    const loan = await borrow(students[0]);
+    loan.dueDate = moment().subtract(3, 'days').format('YYYY-MM-DD');
+
+    const returned = await LibraryService.returnBook(loan);
+
+    expect(returned).toEqual(expect.objectContaining({ fineAmount: 3 * libraryConfig.finePerDay, finePaid: false }));
+    expect(returned.returnedAt).toBeInstanceOf(Date);
+    expect(copies[0].status).toBe('available');
+    expect(books[0]).toEqual(expect.objectContaining({ totalCopies: 2, availableCopies: 2 }));
+  });
+
+  it('should return a loan only once', async () => {
+    const loan = await borrow(students[0]);
+
+    await LibraryService.returnBook(loan);
+    await expect(LibraryService.returnBook(loan)).rejects.toThrow('Book has already been returned');
+
+    await borrow(students[1]);
+    await expect(LibraryService.returnBook(loan)).rejects.toThrow('Book has already been returned');
+    expect(copies.map(copy => copy.status)).toEqual(['on_loan', 'available']);
+    expect(books[0].availableCopies).toBe(1);
+  });
+
+  it('should take lost copies out of stock but not one that is on loan', async () => {
+    const loan = await borrow(students[0]);
+
+    await expect(LibraryService.setCopyStatus(loan.copyId, 'lost'))
+      .rejects.toThrow('This copy is on loan; return it before changing its status');
+    await LibraryService.setCopyStatus(12, 'lost');
+
+    expect(books[0]).toEqual(expect.objectContaining({ totalCopies: 1, availableCopies: 0 }));
+    await expect(borrow(students[1])).rejects.toThrow('No copies of this book are available');
+  });
+
+  it('should count loans against the limit with the student locked', async () => {
+    await borrow(students[0]);
+
+    expect(Student.findOne).toHaveBeenCalledWith(expect.objectContaining({
+      where: { email: students[0] },
+      lock: 'UPDATE'
+    }));
+  });
+
+  it('should renew a loan only up to the renewal limit', async () => {
+    const loan = await borrow(students[0]);
+    const dueDate = moment(loan.dueDate, 'YYYY-MM-DD');
+
+    for (let i = 0; i < libraryConfig.maxRenewals; i++) {
+      await LibraryService.renewLoan(loan);
+    }
+
+    expect(loan.renewalCount).toBe(libraryConfig.maxRenewals);
+    expect(loan.dueDate).toBe(dueDate.add(libraryConfig.loanDays * libraryConfig.maxRenewals, 'days').format('YYYY-MM-DD'));
+    await expect(LibraryService.renewLoan(loan))
+      .rejects.toThrow(`Loans may be renewed at most ${libraryConfig.maxRenewals} times`);
+  });
+
+  it('should keep loan history and fines of a removed book', async () => {
+    const loan = await borrow(students[0]);
+    loan.dueDate = moment().subtract(2, 'days').format('YYYY-MM-DD');
+
+    await expect(LibraryService.deleteBook(1)).rejects.toThrow('Cannot delete a book with copies on loan');
+    await LibraryService.returnBook(loan);
+    await expect(LibraryService.deleteBook(1)).rejects.toThrow('Cannot delete a book with unpaid fines');
+
+    await LibraryService.payFine(loan);
+    await expect(LibraryService.payFine(loan)).rejects.toThrow('Fine has already been paid');
+    await expect(LibraryService.deleteBook(1)).resolves.toBe(true);
+
+    expect(books[0].deleted_at).toBeInstanceOf(Date);
+    expect(books[0]).toEqual(expect.objectContaining({ totalCopies: 0, availableCopies: 0 }));
+    expect(copies.map(copy => copy.status)).toEqual(['withdrawn', 'withdrawn']);
+    expect(loans).toEqual([expect.objectContaining({ bookId: 1, fineAmount: 2 * libraryConfig.finePerDay, finePaid: true })]);
+  });
+});
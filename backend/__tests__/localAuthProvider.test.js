@@ -0,0 +1,185 @@
+process.env.AUTH_PROVIDER = 'local';
+process.env.JWT_SECRET = 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { User, Session } = require('../models');
+const AuthService = require('../services/AuthService');
+const { getAuthProvider } = require('../services/authProviders');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  return app;
+};
+
+describe('Local auth provider', () => {
+  let app;
+  let user;
+  let sessions;
+
+  beforeAll(async () => {
+    const account = await getAuthProvider().createAccount({ password: 'correct horse' });
+    user = {
+      id: 1,
+      firebaseUid: account.uid,
+      email: 'faculty@university.edu',
+      name: 'Dr. Jane Smith',
+      role: 'faculty',
+      univId: 'FAC001',
+      password: account.passwordHash
+    };
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ where }) => {
+      if (where.email === user.email || where.firebaseUid === user.firebaseUid) {
+        return user;
+      }
+      return null;
+    });
+    sessions = [];
+    jest.spyOn(Session, 'create').mockImplementation(async (values) => {
+      const session = { id: sessions.length + 1, revokedAt: null, ...values };
+      sessions.push(session);
+      return session;
+    });
+    jest.spyOn(Session, 'findOne').mockImplementation(async ({ where }) => {
+      return sessions.find(session => session.accessTokenHash === where.accessTokenHash) || null;
+    });
+    jest.spyOn(Session, 'update').mockResolvedValue([1]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    AuthService.clearTokenCache();
+  });
+
+  const signIn = async () => {
+    const response = await request(app)
+      .post('/api/auth/token')
+      .send({ email: user.email, password: 'correct horse' })
+      .expect(200);
+    return response.body.idToken;
+  };
+
+  const login = async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ idToken: await signIn() })
+      .expect(200);
+    return response.body.accessToken;
+  };
+
+  it('should be chosen by AUTH_PROVIDER', () => {
+    expect(getAuthProvider().name).toBe('local');
+  });
+
+  it('should store a bcrypt hash rather than the password', () => {
+    expect(user.password).not.toBe('correct horse');
+    expect(user.password).toMatch(/^\$2[aby]\$/);
+    expect(user.firebaseUid).toMatch(/^local-/);
+  });
+
+  it('should issue a token that logs in like a Firebase ID token', async () => {
+    const idToken = await signIn();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ idToken })
+      .expect(200);
+
+    expect(response.body.email).toBe(user.email);
+    expect(response.body.role).toBe('faculty');
+    expect(response.body.redirectUrl).toBe('/teacher/dashboard');
+  });
+
+  it('should verify the session opened with an issued token, but not the token itself', async () => {
+    const idToken = await signIn();
+    const accessToken = await login();
+
+    const response = await request(app)
+      .get('/api/auth/verify')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.user.firebaseUid).toBe(user.firebaseUid);
+    await request(app)
+      .get('/api/auth/verify')
+      .set('Authorization', `Bearer ${idToken}`)
+      .expect(401);
+  });
+
+  it('should check access against the session\'s user', async () => {
+    const accessToken = await login();
+
+    await request(app)
+      .post('/api/auth/check-access')
+      .send({ accessToken, requestedFirebaseUid: user.firebaseUid })
+      .expect(200);
+    const response = await request(app)
+      .post('/api/auth/check-access')
+      .send({ accessToken, requestedFirebaseUid: 'someone-else' })
+      .expect(403);
+
+    expect(response.body.message).toBe('Access denied: You can only access your own data');
+  });
+
+  it('should only check access for session access tokens', async () => {
+    const idToken = await signIn();
+
+    await request(app)
+      .post('/api/auth/check-access')
+      .send({ idToken, requestedFirebaseUid: user.firebaseUid })
+      .expect(400);
+    await request(app)
+      .post('/api/auth/check-access')
+      .send({ accessToken: idToken, requestedFirebaseUid: user.firebaseUid })
+      .expect(403);
+  });
+
+  it('should reject a wrong password', async () => {
+    const response = await request(app)
+      .post('/api/auth/token')
+      .send({ email: user.email, password: 'wrong' })
+      .expect(401);
+
+    expect(response.body.message).toBe('Invalid email or password');
+  });
+
+  it('should give the same answer for an unknown email', async () => {
+    const response = await request(app)
+      .post('/api/auth/token')
+      .send({ email: 'nobody@university.edu', password: 'correct horse' })
+      .expect(401);
+
+    expect(response.body.message).toBe('Invalid email or password');
+  });
+
+  it('should reject tokens signed with another secret', async () => {
+    const forged = jwt.sign({}, 'another-secret', { subject: user.firebaseUid, issuer: 'campus-cloud' });
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ idToken: forged })
+      .expect(401);
+
+    expect(response.body.message).toBe('Authentication failed: Invalid token');
+  });
+
+  it('should reject expired tokens', async () => {
+    const expired = jwt.sign({}, 'test-secret', { subject: user.firebaseUid, issuer: 'campus-cloud', expiresIn: -10 });
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ idToken: expired })
+      .expect(401);
+
+    expect(response.body.message).toBe('Authentication failed: Token has expired. Please login again.');
+  });
+});
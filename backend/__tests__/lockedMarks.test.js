@@ -0,0 +1,154 @@
+const { sequelize, Assignment, Exam, ExamResult, SemesterLock, Submission } = require('../models');
+const AssignmentService = require('../services/AssignmentService');
+const ExamService = require('../services/ExamService');
+const GradeService = require('../services/GradeService');
+
+const admin = { email: 'admin@university.edu', role: 'admin' };
+const faculty = { email: 'faculty@university.edu', role: 'faculty' };
+const students = ['s1@university.edu', 's2@university.edu', 's3@university.edu'];
+
+const subject = {
+  id: 1,
+  subjectCode: 'CS201',
+  semester: 3,
+  academicYear: '2025-26',
+  facultyEmail: faculty.email,
+  async getEnrolledStudents() {
+    return students.map(email => ({ email }));
+  }
+};
+
+// Rows whose update() saves onto themselves, as a model instance would
+const row = (values) => ({
+  ...values,
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+
+describe('Exam and assignment changes in a locked semester', () => {
+  let locked;
+  let exam;
+  let results;
+  let assignment;
+  let submissions;
+  let overrides;
+
+  beforeEach(() => {
+    locked = true;
+    exam = row({ id: 5, subjectId: subject.id, maxMarks: 50, subject });
+    results = [
+      { id: 51, examId: 5, studentEmail: students[0], marksObtained: '40', absent: false },
+      { id: 52, examId: 5, studentEmail: students[1], marksObtained: null, absent: true }
+    ];
+    assignment = row({ id: 7, subjectId: subject.id, maxMarks: 20, dueDate: new Date('2025-10-01'), subject });
+    submissions = [
+      { studentEmail: students[0], marksObtained: '18' },
+      { studentEmail: students[1], marksObtained: null }
+    ];
+    overrides = [];
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback({}));
+    jest.spyOn(SemesterLock, 'findOne').mockImplementation(async () => (locked ? { semester: 3, academicYear: '2025-26' } : null));
+    jest.spyOn(GradeService, 'recordOverrides').mockImplementation(async (s, changes, reason) => {
+      overrides.push(...changes.map(change => ({ ...change, reason })));
+    });
+
+    jest.spyOn(Exam, 'findByPk').mockImplementation(async () => exam);
+    jest.spyOn(Exam, 'destroy').mockImplementation(async () => {
+      exam = null;
+      return 1;
+    });
+    jest.spyOn(ExamResult, 'findAll').mockImplementation(async () => results);
+    jest.spyOn(ExamResult, 'max').mockImplementation(async () => 40);
+    jest.spyOn(ExamResult, 'destroy').mockImplementation(async () => {
+      results = [];
+    });
+
+    jest.spyOn(Assignment, 'findByPk').mockImplementation(async () => assignment);
+    jest.spyOn(Assignment, 'destroy').mockImplementation(async () => 1);
+    jest.spyOn(Submission, 'findAll').mockImplementation(async () => submissions);
+    jest.spyOn(Submission, 'max').mockImplementation(async () => 18);
+    jest.spyOn(Submission, 'destroy').mockImplementation(async () => {
+      submissions = [];
+    });
+    jest.spyOn(AssignmentService, 'removeFile').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only let an admin with a reason delete a marked exam', async () => {
+    await expect(ExamService.deleteExam(5, faculty, 'Cancelled'))
+      .rejects.toThrow('Semester 3 of 2025-26 grades are locked; only an admin can change them');
+    await expect(ExamService.deleteExam(5, admin, ''))
+      .rejects.toThrow('Semester 3 of 2025-26 grades are locked; an override reason is required');
+    expect(results).toHaveLength(2);
+    expect(exam).not.toBeNull();
+
+    await expect(ExamService.deleteExam(5, admin, 'Paper leaked')).resolves.toBe(true);
+
+    expect(results).toEqual([]);
+    expect(overrides).toEqual([
+      { studentEmail: students[0], entityType: 'exam', entityId: 5, previousMarks: 40, newMarks: null, reason: 'Paper leaked' },
+      { studentEmail: students[1], entityType: 'exam', entityId: 5, previousMarks: 0, newMarks: null, reason: 'Paper leaked' }
+    ]);
+  });
+
+  it('should record a rescaled exam as an override for every student with a result', async () => {
+    await expect(ExamService.updateExam(5, { maxMarks: 80 }, faculty, 'Rescaled'))
+      .rejects.toThrow('Semester 3 of 2025-26 grades are locked; only an admin can change them');
+    expect(exam.maxMarks).toBe(50);
+
+    await ExamService.updateExam(5, { maxMarks: 80 }, admin, 'Rescaled');
+
+    expect(exam.maxMarks).toBe(80);
+    expect(overrides.map(override => [override.studentEmail, override.previousMarks, override.newMarks, override.reason])).toEqual([
+      [students[0], 40, 40, 'Rescaled (maximum marks 50 to 80)'],
+      [students[1], 0, 0, 'Rescaled (maximum marks 50 to 80)']
+    ]);
+  });
+
+  it('should leave other exam edits and unlocked semesters alone', async () => {
+    await ExamService.updateExam(5, { title: 'Midterm', maxMarks: 50 }, faculty);
+    expect(exam.title).toBe('Midterm');
+
+    locked = false;
+    await expect(ExamService.deleteExam(5, faculty)).resolves.toBe(true);
+    expect(overrides).toEqual([]);
+  });
+
+  it('should count missing work of a past-due assignment when it is deleted', async () => {
+    await expect(AssignmentService.deleteAssignment(assignment, faculty, 'Duplicate'))
+      .rejects.toThrow('Semester 3 of 2025-26 grades are locked; only an admin can change them');
+    expect(submissions).toHaveLength(2);
+    expect(AssignmentService.removeFile).not.toHaveBeenCalled();
+
+    await expect(AssignmentService.deleteAssignment(assignment, admin, 'Duplicate')).resolves.toBe(true);
+
+    expect(overrides.map(override => [override.studentEmail, override.entityType, override.previousMarks, override.newMarks])).toEqual([
+      [students[0], 'assignment', 18, null],
+      [students[2], 'assignment', 0, null]
+    ]);
+  });
+
+  it('should only let an admin with a reason rescale a graded assignment', async () => {
+    await expect(AssignmentService.updateAssignment(assignment, { maxMarks: 25 }, null, admin))
+      .rejects.toThrow('Semester 3 of 2025-26 grades are locked; an override reason is required');
+    expect(assignment.maxMarks).toBe(20);
+
+    await AssignmentService.updateAssignment(assignment, { maxMarks: 25, overrideReason: 'Bonus question' }, null, admin);
+
+    expect(assignment.maxMarks).toBe(25);
+    expect(overrides).toEqual([{
+      studentEmail: students[0],
+      entityType: 'assignment',
+      entityId: 7,
+      previousMarks: 18,
+      newMarks: 18,
+      reason: 'Bonus question (maximum marks 20 to 25)'
+    }]);
+  });
+});
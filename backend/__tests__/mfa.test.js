@@ -0,0 +1,353 @@
+process.env.AUTH_PROVIDER = 'local';
+process.env.JWT_SECRET = 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { User, Session, MfaRecoveryCode, UserRole } = require('../models');
+const AuthService = require('../services/AuthService');
+const MfaService = require('../services/MfaService');
+const AdminService = require('../services/AdminService');
+const { getAuthProvider } = require('../services/authProviders');
+const { generateCode, verifyCode, timeStep, buildOtpauthUrl } = require('../utils/totp');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/admin', require('../routes/admin'));
+  return app;
+};
+
+// Enough of Sequelize's where clauses for the queries MFA makes
+const compare = (actual, value) => {
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    return (!(Op.lt in value) || (actual !== null && Number(actual) < value[Op.lt])) &&
+      (!(Op.gte in value) || Number(actual) >= value[Op.gte]);
+  }
+  return actual === value;
+};
+const matches = (row, where) => Object.entries(where).every(([key, value]) => {
+  return key === 'id' ? String(row[key]) === String(value) : compare(row[key], value);
+}) && (!where[Op.or] || where[Op.or].some(clause => matches(row, clause)));
+
+describe('TOTP', () => {
+  // RFC 6238 test vectors for the SHA-1 secret "12345678901234567890"
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  it('should compute the codes of the RFC test vectors', () => {
+    expect(generateCode(secret, timeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(secret, timeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(secret, timeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  it('should accept codes from the neighbouring step only', () => {
+    const time = 1234567890 * 1000;
+
+    expect(verifyCode(secret, '005924', { time })).toBe(timeStep(time));
+    expect(verifyCode(secret, '005924', { time: time + 30 * 1000 })).toBe(timeStep(time));
+    expect(verifyCode(secret, '005924', { time: time + 90 * 1000 })).toBeNull();
+    expect(verifyCode(secret, 'abcdef', { time })).toBeNull();
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    const url = buildOtpauthUrl({ secret, accountName: 'admin@university.edu', issuer: 'Campus Cloud' });
+
+    expect(url).toBe(`otpauth://totp/Campus%20Cloud%3Aadmin%40university.edu?secret=${secret}` +
+      '&issuer=Campus+Cloud&algorithm=SHA1&digits=6&period=30');
+  });
+});
+
+describe('Admin MFA', () => {
+  let app;
+  let admin;
+  let sessions;
+  let recoveryCodes;
+  // Recovery codes from enrolment that tests sign in with
+  let spareCodes;
+
+  beforeAll(async () => {
+    const account = await getAuthProvider().createAccount({ password: 'Admin2024' });
+    admin = { firebaseUid: account.uid, password: account.passwordHash };
+  });
+
+  beforeEach(() => {
+    Object.assign(admin, {
+      id: 1,
+      email: 'admin@university.edu',
+      name: 'Admin',
+      role: 'admin',
+      mustChangePassword: false,
+      mfaSecret: null,
+      mfaEnabled: false,
+      mfaLastStep: null,
+      mfaFailedAttempts: 0,
+      mfaLockedUntil: null
+    });
+    sessions = [];
+    recoveryCodes = [];
+    spareCodes = [];
+
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ where }) => {
+      return where.email === admin.email || where.firebaseUid === admin.firebaseUid ? { ...admin } : null;
+    });
+    jest.spyOn(User, 'update').mockImplementation(async (values, { where }) => {
+      if (!matches(admin, where)) {
+        return [0];
+      }
+      Object.assign(admin, values);
+      return [1];
+    });
+    jest.spyOn(User, 'increment').mockImplementation(async (field, { where }) => {
+      if (matches(admin, where)) {
+        admin[field] += 1;
+      }
+    });
+    jest.spyOn(Session, 'create').mockImplementation(async (values) => {
+      const session = { id: sessions.length + 1, revokedAt: null, mfaVerifiedAt: null, ...values };
+      sessions.push(session);
+      return session;
+    });
+    jest.spyOn(Session, 'findOne').mockImplementation(async ({ where }) => {
+      return sessions.find(session => matches(session, where)) || null;
+    });
+    jest.spyOn(Session, 'update').mockImplementation(async (values, { where }) => {
+      const matching = sessions.filter(session => matches(session, where));
+      matching.forEach(session => Object.assign(session, values));
+      return [matching.length];
+    });
+    jest.spyOn(MfaRecoveryCode, 'count').mockImplementation(async ({ where }) => {
+      return recoveryCodes.filter(code => matches(code, where)).length;
+    });
+    jest.spyOn(MfaRecoveryCode, 'destroy').mockImplementation(async ({ where }) => {
+      const before = recoveryCodes.length;
+      recoveryCodes = recoveryCodes.filter(code => !matches(code, where));
+      return before - recoveryCodes.length;
+    });
+    jest.spyOn(MfaRecoveryCode, 'bulkCreate').mockImplementation(async (rows) => {
+      rows.forEach(row => recoveryCodes.push({ usedAt: null, ...row }));
+      return rows;
+    });
+    jest.spyOn(MfaRecoveryCode, 'update').mockImplementation(async (values, { where }) => {
+      const matching = recoveryCodes.filter(code => matches(code, where));
+      matching.forEach(code => Object.assign(code, values));
+      return [matching.length];
+    });
+    jest.spyOn(AdminService, 'deleteStudent').mockResolvedValue(true);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    AuthService.clearTokenCache();
+  });
+
+  const signIn = async (mfaCode, status) => {
+    const { body } = await request(app)
+      .post('/api/auth/token')
+      .send({ email: admin.email, password: 'Admin2024' })
+      .expect(200);
+    const login = request(app).post('/api/auth/login');
+    if (mfaCode) {
+      login.set('X-MFA-Code', mfaCode);
+    }
+    return await login.send({ idToken: body.idToken }).expect(status);
+  };
+
+  // Sign in, using up one of the spare recovery codes once MFA is enabled
+  const login = async () => {
+    const response = await signIn(admin.mfaEnabled ? spareCodes.pop() : null, 200);
+    return response.body.accessToken;
+  };
+
+  const deleteStudent = (accessToken) => request(app)
+    .delete('/api/admin/student/CS001')
+    .set('Authorization', `Bearer ${accessToken}`);
+
+  // Enrol the admin, leaving the enrolling session stepped up
+  const enrol = async (accessToken) => {
+    const { body } = await request(app)
+      .post('/api/auth/mfa/setup')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(body.qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(body.otpauthUrl).toContain(body.secret);
+
+    const response = await request(app)
+      .post('/api/auth/mfa/enable')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: generateCode(body.secret) })
+      .expect(200);
+    spareCodes = response.body.recoveryCodes.slice(5);
+    return response.body.recoveryCodes;
+  };
+
+  it('should only sign in users with MFA enabled who send a code', async () => {
+    await enrol(await login());
+
+    const missing = await signIn(null, 401);
+    expect(missing.body).toEqual(expect.objectContaining({ code: 'MFA_REQUIRED' }));
+    const invalid = await signIn('000000', 401);
+    expect(invalid.body).toEqual(expect.objectContaining({ code: 'MFA_REQUIRED', message: 'Invalid verification code' }));
+    expect(sessions).toHaveLength(1);
+
+    const response = await signIn(generateCode(admin.mfaSecret, Number(admin.mfaLastStep) + 1), 200);
+    expect(response.body.accessToken).toBeDefined();
+    expect(sessions).toHaveLength(2);
+    expect(sessions[1].mfaVerifiedAt).toBeNull();
+  });
+
+  it('should refuse destructive actions until MFA is set up', async () => {
+    const accessToken = await login();
+
+    const response = await deleteStudent(accessToken).expect(403);
+
+    expect(response.body.code).toBe('MFA_SETUP_REQUIRED');
+    expect(AdminService.deleteStudent).not.toHaveBeenCalled();
+  });
+
+  it('should enable MFA with a code and trust the enrolling session', async () => {
+    const accessToken = await login();
+
+    const codes = await enrol(accessToken);
+
+    expect(codes).toHaveLength(10);
+    expect(admin.mfaEnabled).toBe(true);
+    expect(recoveryCodes[0].codeHash).toMatch(/^[0-9a-f]{64}$/);
+    await deleteStudent(accessToken).expect(200);
+  });
+
+  it('should require a step-up on other sessions', async () => {
+    await enrol(await login());
+    const accessToken = await login();
+
+    const response = await deleteStudent(accessToken).expect(403);
+    expect(response.body.code).toBe('MFA_REQUIRED');
+
+    await request(app)
+      .post('/api/auth/mfa/verify')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: generateCode(admin.mfaSecret, timeStep() + 1) })
+      .expect(200);
+    await deleteStudent(accessToken).expect(200);
+  });
+
+  it('should expire the step-up', async () => {
+    const accessToken = await login();
+    await enrol(accessToken);
+
+    sessions[0].mfaVerifiedAt = new Date(Date.now() - 11 * 60 * 1000);
+
+    await deleteStudent(accessToken).expect(403);
+  });
+
+  it('should accept each authenticator code once', async () => {
+    await enrol(await login());
+    const accessToken = await login();
+
+    const response = await request(app)
+      .post('/api/auth/mfa/verify')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: generateCode(admin.mfaSecret, admin.mfaLastStep) })
+      .expect(400);
+
+    expect(response.body.message).toBe('This verification code was already used. Wait for the next one.');
+  });
+
+  it('should accept a code only once when two requests race with it', async () => {
+    await enrol(await login());
+    const code = generateCode(admin.mfaSecret, Number(admin.mfaLastStep) + 1);
+
+    const results = await Promise.allSettled([
+      MfaService.verifyCode(admin, code),
+      MfaService.verifyCode(admin, code)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message)
+      .toBe('This verification code was already used. Wait for the next one.');
+  });
+
+  it('should lock codes out after too many invalid ones', async () => {
+    await enrol(await login());
+    const accessToken = await login();
+
+    const verify = (code) => request(app)
+      .post('/api/auth/mfa/verify')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code });
+    const nextCode = () => generateCode(admin.mfaSecret, Number(admin.mfaLastStep) + 1);
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      const response = await verify('000000').expect(400);
+      expect(response.body.message).toBe('Invalid verification code');
+    }
+    const locked = await verify('000000').expect(400);
+    expect(locked.body.message).toBe('Too many invalid verification codes. Try again in 15 minute(s).');
+
+    await verify(nextCode()).expect(400);
+    await deleteStudent(accessToken).set('X-MFA-Code', nextCode()).expect(403);
+
+    admin.mfaLockedUntil = new Date(Date.now() - 1000);
+    await verify(nextCode()).expect(200);
+  });
+
+  it('should start counting invalid codes again after a valid one', async () => {
+    await enrol(await login());
+    const accessToken = await login();
+
+    const verify = (code) => request(app)
+      .post('/api/auth/mfa/verify')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code });
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await verify('000000').expect(400);
+    }
+    await verify(generateCode(admin.mfaSecret, Number(admin.mfaLastStep) + 1)).expect(200);
+    expect(admin.mfaFailedAttempts).toBe(0);
+
+    const response = await verify('000000').expect(400);
+    expect(response.body.message).toBe('Invalid verification code');
+  });
+
+  it('should accept each recovery code once', async () => {
+    const codes = await enrol(await login());
+    const accessToken = await login();
+
+    const verify = (code) => request(app)
+      .post('/api/auth/mfa/verify')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code });
+
+    const response = await verify(codes[0].toUpperCase()).expect(200);
+    expect(response.body.method).toBe('recovery');
+    await verify(codes[0]).expect(400);
+  });
+
+  it('should accept a code in the X-MFA-Code header instead of a stepped-up session', async () => {
+    await enrol(await login());
+    const accessToken = await login();
+
+    await deleteStudent(accessToken)
+      .set('X-MFA-Code', generateCode(admin.mfaSecret, timeStep() + 1))
+      .expect(200);
+    await deleteStudent(accessToken)
+      .set('X-MFA-Code', '000000')
+      .expect(403);
+  });
+
+  it('should only let staff enrol', async () => {
+    const accessToken = await login();
+    admin.role = 'faculty';
+    AuthService.clearTokenCache();
+    jest.spyOn(UserRole, 'count').mockResolvedValue(0);
+
+    await request(app)
+      .post('/api/auth/mfa/setup')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(403);
+  });
+});
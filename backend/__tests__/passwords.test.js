@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'campus-cloud-mail-'));
+process.env.AUTH_PROVIDER = 'local';
+process.env.JWT_SECRET = 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = mailDir;
+
+const express = require('express');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { sequelize, User, PasswordResetToken, Session } = require('../models');
+const AuthService = require('../services/AuthService');
+const { authenticate } = require('../middleware/auth');
+const { getAuthProvider } = require('../services/authProviders');
+const { generatePassword, hashPasswordField, isHashed } = require('../utils/password');
+const MailService = require('../services/MailService');
+const mailConfig = require('../config/mail');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  app.get('/api/profile', authenticate, (req, res) => res.json({ status: 'success' }));
+  return app;
+};
+
+const readMail = () => fs.readdirSync(mailDir).sort()
+  .map(file => JSON.parse(fs.readFileSync(path.join(mailDir, file), 'utf8')));
+
+describe('Passwords', () => {
+  let app;
+  let user;
+  let resetTokens;
+  let sessions;
+
+  beforeEach(async () => {
+    const account = await getAuthProvider().createAccount({ password: 'Initial42' });
+    user = {
+      id: 1,
+      firebaseUid: account.uid,
+      email: 'student@university.edu',
+      name: 'Jane Doe',
+      role: 'student',
+      password: account.passwordHash,
+      mustChangePassword: true,
+      async update(values) {
+        Object.assign(this, values);
+      }
+    };
+    resetTokens = [];
+
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ where }) => {
+      return where.email === user.email || where.firebaseUid === user.firebaseUid ? user : null;
+    });
+    jest.spyOn(User, 'update').mockImplementation(async (values) => {
+      Object.assign(user, values);
+      return [1];
+    });
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(null));
+    jest.spyOn(PasswordResetToken, 'create').mockImplementation(async (values) => {
+      const token = { id: resetTokens.length + 1, usedAt: null, ...values };
+      resetTokens.push(token);
+      return token;
+    });
+    jest.spyOn(PasswordResetToken, 'findOne').mockImplementation(async ({ where }) => {
+      return resetTokens.find(token => token.tokenHash === where.tokenHash &&
+        token.usedAt === null && token.expiresAt > where.expiresAt[Op.gt]) || null;
+    });
+    jest.spyOn(PasswordResetToken, 'update').mockImplementation(async (values, { where }) => {
+      const matching = resetTokens.filter(token => token.usedAt === null &&
+        (where.id === undefined || token.id === where.id) &&
+        (where.userEmail === undefined || token.userEmail === where.userEmail));
+      matching.forEach(token => Object.assign(token, values));
+      return [matching.length];
+    });
+    sessions = [];
+    jest.spyOn(Session, 'create').mockImplementation(async (values) => {
+      const session = { id: sessions.length + 1, revokedAt: null, ...values };
+      sessions.push(session);
+      return session;
+    });
+    jest.spyOn(Session, 'findOne').mockImplementation(async ({ where }) => {
+      return sessions.find(session => session.accessTokenHash === where.accessTokenHash) || null;
+    });
+    jest.spyOn(Session, 'update').mockImplementation(async () => [0]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    fs.rmSync(mailDir, { recursive: true, force: true });
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    AuthService.clearTokenCache();
+  });
+
+  afterAll(() => {
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  });
+
+  const signIn = async (password) => {
+    const response = await request(app)
+      .post('/api/auth/token')
+      .send({ email: user.email, password })
+      .expect(200);
+    return response.body.idToken;
+  };
+
+  const requestResetToken = async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: user.email })
+      .expect(200);
+    const [mail] = readMail().slice(-1);
+    return new URL(mail.text.match(/http\S+/)[0]).searchParams.get('token');
+  };
+
+  it('should generate random passwords with a letter and a digit', () => {
+    const passwords = Array.from({ length: 20 }, () => generatePassword());
+
+    expect(new Set(passwords).size).toBe(20);
+    passwords.forEach(password => {
+      expect(password).toHaveLength(12);
+      expect(password).toMatch(/[a-zA-Z]/);
+      expect(password).toMatch(/\d/);
+    });
+  });
+
+  it('should hash plain text passwords before they are saved', async () => {
+    const student = User.build({ firebaseUid: 'uid', email: 'a@b.edu', name: 'A', role: 'student', password: 'plain1234' });
+
+    await hashPasswordField(student);
+
+    expect(isHashed(student.password)).toBe(true);
+    await expect(getAuthProvider().checkPassword(student, 'plain1234')).resolves.toBe(true);
+  });
+
+  it('should only allow changing a one-time password until it is changed', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ idToken: await signIn('Initial42') })
+      .expect(200);
+    const { accessToken } = login.body;
+    expect(login.body.mustChangePassword).toBe(true);
+    const refused = await request(app)
+      .get('/api/profile')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(403);
+    expect(refused.body.message).toBe('You must change your password before continuing');
+
+    await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ currentPassword: 'Initial42', newPassword: 'Chosen2024' })
+      .expect(200);
+
+    expect(user.mustChangePassword).toBe(false);
+    await request(app).get('/api/profile').set('Authorization', `Bearer ${accessToken}`).expect(200);
+    await signIn('Chosen2024');
+    expect(readMail().map(mail => mail.subject)).toEqual(['Your Campus Cloud password was changed']);
+  });
+
+  it('should check the current password and the strength of the new one', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ idToken: await signIn('Initial42') })
+      .expect(200);
+    const { accessToken } = login.body;
+    const change = (body) => request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(body)
+      .expect(400);
+
+    expect((await change({ currentPassword: 'wrong', newPassword: 'Chosen2024' })).body.message)
+      .toBe('Current password is incorrect');
+    expect((await change({ currentPassword: 'Initial42', newPassword: 'short1' })).body.message)
+      .toBe('Password must be at least 8 characters');
+    expect((await change({ currentPassword: 'Initial42', newPassword: 'lettersonly' })).body.message)
+      .toBe('Password must contain a letter and a digit');
+    expect(user.mustChangePassword).toBe(true);
+  });
+
+  it('should reset a password once with a mailed token', async () => {
+    const token = await requestResetToken();
+
+    expect(resetTokens[0].tokenHash).not.toBe(token);
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'Reset2024' })
+      .expect(200);
+    await signIn('Reset2024');
+    expect(user.mustChangePassword).toBe(false);
+
+    const reused = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'Again2024' })
+      .expect(400);
+    expect(reused.body.message).toBe('Reset link is invalid or has expired');
+  });
+
+  it('should void earlier links and refuse expired ones', async () => {
+    const first = await requestResetToken();
+    const second = await requestResetToken();
+
+    await request(app).post('/api/auth/reset-password').send({ token: first, password: 'Reset2024' }).expect(400);
+
+    resetTokens[1].expiresAt = new Date(Date.now() - 1000);
+    await request(app).post('/api/auth/reset-password').send({ token: second, password: 'Reset2024' }).expect(400);
+  });
+
+  it('should answer the same for unknown emails without sending mail', async () => {
+    const response = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@university.edu' })
+      .expect(200);
+
+    expect(response.body.message).toBe('If an account exists for this email, a password reset link has been sent');
+    expect(fs.existsSync(mailDir)).toBe(false);
+  });
+
+  it.each(['none', 'console'])('should keep passwords and reset links out of the logs with the %s transport', async (transport) => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.replaceProperty(mailConfig, 'transport', transport);
+    MailService.setTransport(null);
+
+    try {
+      await MailService.sendInitialPassword(user, 'Initial42');
+      await MailService.sendPasswordReset(user, 'reset-token-1234');
+    } finally {
+      MailService.setTransport(null);
+    }
+
+    const logged = [...log.mock.calls, ...warn.mock.calls].flat().join('\n');
+    expect(logged).toContain(user.email);
+    expect(logged).not.toContain('Initial42');
+    expect(logged).not.toContain('reset-token-1234');
+    expect(fs.existsSync(mailDir)).toBe(false);
+  });
+});
@@ -0,0 +1,184 @@
+const express = require('express');
+const request = require('supertest');
+const { User, Role, Permission, UserRole } = require('../models');
+const AuthService = require('../services/AuthService');
+const PermissionService = require('../services/PermissionService');
+const { requirePermission } = require('../middleware/auth');
+
+const users = {
+  admin: { firebaseUid: 'admin-uid', email: 'admin@university.edu', role: 'admin' },
+  hod: { firebaseUid: 'hod-uid', email: 'hod@university.edu', role: 'faculty' },
+  registrar: { firebaseUid: 'registrar-uid', email: 'registrar@university.edu', role: 'faculty' },
+  student: { firebaseUid: 'student-uid', email: 'student@university.edu', role: 'student' }
+};
+
+const hod = {
+  id: 1,
+  name: 'hod',
+  departmentScoped: true,
+  permissions: [{ name: 'students.view' }, { name: 'students.update' }]
+};
+const registrar = {
+  id: 2,
+  name: 'registrar',
+  departmentScoped: false,
+  permissions: [{ name: 'students.view' }, { name: 'students.upload' }]
+};
+
+const assignments = {
+  'hod@university.edu': [
+    { role: hod, department: 'CSE' },
+    { role: hod, department: 'ECE' }
+  ],
+  'registrar@university.edu': [
+    { role: registrar, department: null }
+  ]
+};
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  const ok = (req, res) => res.json({ status: 'success', departments: req.permissionDepartments });
+  app.get('/students', requirePermission('students.view', { scoped: true }), ok);
+  app.get('/students/:branch', requirePermission('students.view', { department: (req) => req.params.branch }), ok);
+  app.post('/students/upload', requirePermission('students.upload'), ok);
+  return app;
+};
+
+describe('Permissions', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.spyOn(AuthService, 'verifySessionAndGetUser').mockImplementation(async (token) => users[token] || null);
+    jest.spyOn(PermissionService, 'getUserRoles').mockImplementation(async (email) => assignments[email] || []);
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    AuthService.clearTokenCache();
+  });
+
+  const get = (path, token) => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+  describe('requirePermission', () => {
+    it('should give admin accounts every permission', async () => {
+      const response = await get('/students', 'admin').expect(200);
+
+      expect(response.body.departments).toBeNull();
+      await request(app).post('/students/upload').set('Authorization', 'Bearer admin').expect(200);
+      expect(PermissionService.getUserRoles).not.toHaveBeenCalled();
+    });
+
+    it('should allow roles granting the permission for every department', async () => {
+      await request(app).post('/students/upload').set('Authorization', 'Bearer registrar').expect(200);
+      const response = await get('/students/ME', 'registrar').expect(200);
+
+      expect(response.body.departments).toBeNull();
+    });
+
+    it('should refuse users without the permission', async () => {
+      const response = await request(app)
+        .post('/students/upload')
+        .set('Authorization', 'Bearer hod')
+        .expect(403);
+
+      expect(response.body).toEqual({ status: 'error', message: 'Permission students.upload required' });
+      await get('/students', 'student').expect(403);
+    });
+
+    it('should limit department-scoped roles to their departments', async () => {
+      await get('/students/CSE', 'hod').expect(200);
+      await get('/students/ECE', 'hod').expect(200);
+      await get('/students/ME', 'hod').expect(403);
+    });
+
+    it('should pass the covered departments to scoped routes', async () => {
+      const response = await get('/students', 'hod').expect(200);
+
+      expect(response.body.departments).toEqual(['CSE', 'ECE']);
+    });
+  });
+
+  describe('getUserPermissions', () => {
+    it('should list where each permission applies', async () => {
+      const { roles, permissions } = await PermissionService.getUserPermissions(users.hod);
+
+      expect(roles).toEqual([{ name: 'hod', department: 'CSE' }, { name: 'hod', department: 'ECE' }]);
+      expect(permissions).toEqual({ 'students.view': ['CSE', 'ECE'], 'students.update': ['CSE', 'ECE'] });
+    });
+  });
+
+  describe('assignRole', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findOne').mockImplementation(async ({ where }) => {
+        return Object.values(users).find(user => user.email === where.email) || null;
+      });
+      jest.spyOn(Role, 'findByPk').mockImplementation(async (id) => [hod, registrar].find(role => role.id === Number(id)) || null);
+      jest.spyOn(UserRole, 'findOne').mockResolvedValue(null);
+      jest.spyOn(UserRole, 'create').mockImplementation(async (values) => ({
+        get: () => ({ id: 7, ...values })
+      }));
+    });
+
+    it('should record the department of department-scoped roles', async () => {
+      const assignment = await PermissionService.assignRole(
+        { userEmail: users.hod.email, roleId: 1, department: ' CSE ' },
+        users.admin
+      );
+
+      expect(assignment).toEqual(expect.objectContaining({
+        role: 'hod',
+        department: 'CSE',
+        assignedBy: 'admin@university.edu'
+      }));
+    });
+
+    it('should require a department exactly for department-scoped roles', async () => {
+      await expect(PermissionService.assignRole({ userEmail: users.hod.email, roleId: 1 }))
+        .rejects.toThrow('Role hod is assigned per department; department is required');
+      await expect(PermissionService.assignRole({ userEmail: users.registrar.email, roleId: 2, department: 'CSE' }))
+        .rejects.toThrow('Role registrar applies to every department; leave department empty');
+      expect(UserRole.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse assigning roles to yourself', async () => {
+      await expect(PermissionService.assignRole({ userEmail: users.admin.email, roleId: 2 }, users.admin))
+        .rejects.toThrow('You cannot assign roles to yourself');
+      expect(UserRole.create).not.toHaveBeenCalled();
+    });
+
+    it('should only let staff assign permissions they hold where they hold them', async () => {
+      await expect(PermissionService.assignRole({ userEmail: users.registrar.email, roleId: 1, department: 'CSE' }, users.hod))
+        .resolves.toEqual(expect.objectContaining({ role: 'hod', department: 'CSE' }));
+      await expect(PermissionService.assignRole({ userEmail: users.registrar.email, roleId: 1, department: 'ME' }, users.hod))
+        .rejects.toThrow('You cannot grant permissions you do not hold: students.update, students.view');
+      await expect(PermissionService.assignRole({ userEmail: users.hod.email, roleId: 1, department: 'CSE' }, users.registrar))
+        .rejects.toThrow('You cannot grant permissions you do not hold: students.update');
+      expect(UserRole.create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createRole', () => {
+    beforeEach(() => {
+      jest.spyOn(Role, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Role, 'create').mockImplementation(async (values) => ({
+        ...values,
+        get: () => ({ id: 3, ...values }),
+        setPermissions: async () => {}
+      }));
+      jest.spyOn(Permission, 'findAll').mockImplementation(async ({ where }) => where.name.map(name => ({ name })));
+    });
+
+    it('should not create roles with permissions the creator lacks', async () => {
+      await expect(PermissionService.createRole({ name: 'auditor', permissions: ['students.view', 'students.delete'] }, users.registrar))
+        .rejects.toThrow('You cannot grant permissions you do not hold: students.delete');
+      await expect(PermissionService.createRole({ name: 'viewer', permissions: ['students.view'] }, users.hod))
+        .rejects.toThrow('You cannot grant permissions you do not hold: students.view');
+      expect(Role.create).not.toHaveBeenCalled();
+
+      await expect(PermissionService.createRole({ name: 'viewer', departmentScoped: true, permissions: ['students.view'] }, users.hod))
+        .resolves.toEqual(expect.objectContaining({ name: 'viewer', permissions: ['students.view'] }));
+    });
+  });
+});
@@ -0,0 +1,231 @@
+process.env.AUTH_PROVIDER = 'local';
+process.env.JWT_SECRET = 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { User, Session } = require('../models');
+const AuthService = require('../services/AuthService');
+const { authenticate } = require('../middleware/auth');
+const { getAuthProvider } = require('../services/authProviders');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  app.get('/api/profile', authenticate, (req, res) => res.json({ status: 'success', email: req.user.email }));
+  return app;
+};
+
+// Enough of Sequelize's where clauses for the queries sessions make
+const matches = (row, where) => Object.entries(where).every(([key, condition]) => {
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if (Op.ne in condition) {
+      return row[key] !== condition[Op.ne];
+    }
+    if (Op.gt in condition) {
+      return row[key] > condition[Op.gt];
+    }
+  }
+  return key === 'id' ? String(row[key]) === String(condition) : row[key] === condition;
+});
+
+describe('Sessions', () => {
+  let app;
+  let users;
+  let sessions;
+
+  beforeAll(async () => {
+    const provider = getAuthProvider();
+    const faculty = await provider.createAccount({ password: 'Faculty2024' });
+    const student = await provider.createAccount({ password: 'Student2024' });
+    users = [
+      { firebaseUid: faculty.uid, email: 'faculty@university.edu', name: 'Dr. Jane Smith', role: 'faculty', password: faculty.passwordHash },
+      { firebaseUid: student.uid, email: 'student@university.edu', name: 'John Doe', role: 'student', password: student.passwordHash }
+    ];
+  });
+
+  beforeEach(() => {
+    sessions = [];
+
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ where }) => {
+      return users.find(user => user.email === where.email || user.firebaseUid === where.firebaseUid) || null;
+    });
+    jest.spyOn(Session, 'create').mockImplementation(async (values) => {
+      const session = { id: sessions.length + 1, revokedAt: null, previousRefreshTokenHash: null, created_at: new Date(), ...values };
+      sessions.push(session);
+      return session;
+    });
+    jest.spyOn(Session, 'findOne').mockImplementation(async ({ where }) => {
+      return sessions.find(session => matches(session, where)) || null;
+    });
+    jest.spyOn(Session, 'findAll').mockImplementation(async ({ where }) => {
+      return sessions.filter(session => matches(session, where));
+    });
+    jest.spyOn(Session, 'update').mockImplementation(async (values, { where }) => {
+      const matching = sessions.filter(session => matches(session, where));
+      matching.forEach(session => Object.assign(session, values));
+      return [matching.length];
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    AuthService.clearTokenCache();
+  });
+
+  const login = async (user = users[0], password = 'Faculty2024') => {
+    const { body } = await request(app)
+      .post('/api/auth/token')
+      .send({ email: user.email, password })
+      .expect(200);
+    const response = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Test Browser')
+      .send({ idToken: body.idToken })
+      .expect(200);
+    return response.body;
+  };
+
+  const profile = (accessToken) => request(app)
+    .get('/api/profile')
+    .set('Authorization', `Bearer ${accessToken}`);
+
+  it('should open a session at login whose access token authenticates requests', async () => {
+    const tokens = await login();
+
+    expect(tokens.accessToken).toMatch(/^[0-9a-f]{64}$/);
+    expect(tokens.refreshToken).toMatch(/^[0-9a-f]{64}$/);
+    expect(tokens.expiresIn).toBe(15 * 60);
+    expect(tokens.idToken).toBeUndefined();
+    expect(sessions[0].accessTokenHash).not.toBe(tokens.accessToken);
+    expect(sessions[0].userAgent).toBe('Test Browser');
+
+    const response = await profile(tokens.accessToken).expect(200);
+    expect(response.body.email).toBe('faculty@university.edu');
+  });
+
+  it('should list active sessions and mark the current one', async () => {
+    const first = await login();
+    await login();
+    await login(users[1], 'Student2024');
+
+    const response = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${first.accessToken}`)
+      .expect(200);
+
+    expect(response.body.sessions).toHaveLength(2);
+    expect(response.body.sessions.filter(session => session.current).map(session => session.id)).toEqual([1]);
+    expect(response.body.sessions[0]).toEqual(expect.objectContaining({ userAgent: 'Test Browser' }));
+    expect(response.body.sessions[0].accessTokenHash).toBeUndefined();
+  });
+
+  it('should rotate tokens on refresh', async () => {
+    const tokens = await login();
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: tokens.refreshToken })
+      .expect(200);
+
+    expect(response.body.refreshToken).not.toBe(tokens.refreshToken);
+    await profile(response.body.accessToken).expect(200);
+    const old = await profile(tokens.accessToken).expect(401);
+    expect(old.body.message).toBe('Session has ended. Please login again.');
+  });
+
+  it('should end the session when a replaced refresh token is used again', async () => {
+    const tokens = await login();
+    const { body: rotated } = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: tokens.refreshToken })
+      .expect(200);
+
+    const replay = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: tokens.refreshToken })
+      .expect(401);
+
+    expect(replay.body.message).toBe('Refresh token was already used; the session has been ended. Please login again.');
+    await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.refreshToken }).expect(401);
+    await profile(rotated.accessToken).expect(401);
+  });
+
+  it('should refuse expired access tokens', async () => {
+    const tokens = await login();
+    sessions[0].accessExpiresAt = new Date(Date.now() - 1000);
+
+    const response = await profile(tokens.accessToken).expect(401);
+
+    expect(response.body.message).toBe('Session token has expired. Please refresh it or login again.');
+  });
+
+  it('should end only the current session on logout', async () => {
+    const first = await login();
+    const second = await login();
+    await profile(first.accessToken).expect(200);
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${first.accessToken}`)
+      .expect(200);
+
+    await profile(first.accessToken).expect(401);
+    await profile(second.accessToken).expect(200);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: first.refreshToken }).expect(401);
+  });
+
+  it('should end every session of the user on logout-all', async () => {
+    const first = await login();
+    const second = await login();
+    const other = await login(users[1], 'Student2024');
+
+    const response = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${second.accessToken}`)
+      .expect(200);
+
+    expect(response.body.count).toBe(2);
+    await profile(first.accessToken).expect(401);
+    await profile(second.accessToken).expect(401);
+    await profile(other.accessToken).expect(200);
+  });
+
+  it('should refuse provider tokens outside login, so logout-all signs them out too', async () => {
+    const { body } = await request(app)
+      .post('/api/auth/token')
+      .send({ email: users[0].email, password: 'Faculty2024' })
+      .expect(200);
+    const tokens = await login();
+
+    await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${tokens.accessToken}`)
+      .expect(200);
+
+    const response = await profile(body.idToken).expect(401);
+    expect(response.body.message).toBe('Session access token required. Exchange your ID token at /api/auth/login.');
+    await request(app).get('/api/auth/verify').set('Authorization', `Bearer ${body.idToken}`).expect(401);
+  });
+
+  it('should only let users end their own sessions', async () => {
+    const own = await login();
+    const other = await login(users[1], 'Student2024');
+
+    await request(app)
+      .delete('/api/auth/sessions/2')
+      .set('Authorization', `Bearer ${own.accessToken}`)
+      .expect(404);
+    await profile(other.accessToken).expect(200);
+
+    await request(app)
+      .delete('/api/auth/sessions/2')
+      .set('Authorization', `Bearer ${other.accessToken}`)
+      .expect(200);
+    await profile(other.accessToken).expect(401);
+  });
+});
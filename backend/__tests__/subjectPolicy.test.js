@@ -0,0 +1,242 @@
+const express = require('express');
+const request = require('supertest');
+const { SubjectEnrollment } = require('../models');
+const AuthService = require('../services/AuthService');
+const AttendanceService = require('../services/AttendanceService');
+const SubjectEnrollmentService = require('../services/SubjectEnrollmentService');
+const subjectPolicy = require('../policies/subjectPolicy');
+
+// Tokens name the signed-in user
+const users = {
+  admin: { email: 'admin@university.edu', role: 'admin' },
+  owner: { email: 'owner@university.edu', role: 'faculty' },
+  other: { email: 'other@university.edu', role: 'faculty' },
+  student: { email: 'student@university.edu', role: 'student' }
+};
+
+const subject = { id: 1, subjectName: 'Data Structures', subjectCode: 'CS201', facultyEmail: users.owner.email };
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/attendance', require('../routes/attendance'));
+  app.use('/api/subject-enrollment', require('../routes/subjectEnrollment'));
+  app.use('/api/teacher', require('../routes/teacher'));
+  return app;
+};
+
+describe('Subject policy', () => {
+  describe('canManageSubject', () => {
+    it('should allow admins and the faculty teaching the subject', () => {
+      expect(subjectPolicy.canManageSubject(users.admin, subject)).toBe(true);
+      expect(subjectPolicy.canManageSubject(users.owner, subject)).toBe(true);
+    });
+
+    it('should deny other faculty and students', () => {
+      expect(subjectPolicy.canManageSubject(users.other, subject)).toBe(false);
+      expect(subjectPolicy.canManageSubject({ ...users.student, email: users.owner.email }, subject)).toBe(false);
+      expect(subjectPolicy.canManageSubject(null, subject)).toBe(false);
+    });
+  });
+
+  describe('resolveActingFaculty', () => {
+    it('should act for the subject faculty whoever manages it', () => {
+      expect(subjectPolicy.resolveActingFaculty(users.owner, { subject })).toBe(users.owner.email);
+      expect(subjectPolicy.resolveActingFaculty(users.admin, { subject })).toBe(users.owner.email);
+    });
+
+    it('should refuse faculty acting for a subject they do not teach', () => {
+      expect(subjectPolicy.resolveActingFaculty(users.other, { subject })).toBeNull();
+      expect(subjectPolicy.resolveActingFaculty(users.other, { subject, requestedEmail: users.owner.email })).toBeNull();
+    });
+
+    it('should refuse a requested faculty other than the one teaching the subject', () => {
+      expect(subjectPolicy.resolveActingFaculty(users.owner, { subject, requestedEmail: users.other.email })).toBeNull();
+      expect(subjectPolicy.resolveActingFaculty(users.admin, { subject, requestedEmail: users.other.email })).toBeNull();
+    });
+
+    it('should let faculty act only for themselves without a subject', () => {
+      expect(subjectPolicy.resolveActingFaculty(users.other)).toBe(users.other.email);
+      expect(subjectPolicy.resolveActingFaculty(users.other, { requestedEmail: users.owner.email })).toBeNull();
+      expect(subjectPolicy.resolveActingFaculty(users.admin, { requestedEmail: users.other.email })).toBe(users.other.email);
+    });
+  });
+});
+
+describe('Cross-faculty access', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.spyOn(AuthService, 'verifySessionAndGetUser').mockImplementation(async (token) => users[token] || null);
+    jest.spyOn(SubjectEnrollment, 'findByPk').mockImplementation(async (id) => (String(id) === '1' ? subject : null));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    AuthService.clearTokenCache();
+  });
+
+  describe('Attendance Routes', () => {
+    it('should not let faculty mark attendance in a subject they do not teach', async () => {
+      const markBulkAttendance = jest.spyOn(AttendanceService, 'markBulkAttendance');
+
+      const response = await request(app)
+        .post('/api/attendance/bulk')
+        .set('Authorization', 'Bearer other')
+        .send({
+          facultyEmail: users.owner.email,
+          subjectId: 1,
+          studentAttendances: [{ studentEmail: users.student.email, status: 'present' }]
+        })
+        .expect(403);
+
+      expect(response.body.message).toBe('Access denied');
+      expect(markBulkAttendance).not.toHaveBeenCalled();
+    });
+
+    it('should record attendance under the faculty teaching the subject', async () => {
+      const markBulkAttendance = jest.spyOn(AttendanceService, 'markBulkAttendance')
+        .mockResolvedValue({ created: 1, updated: 0, unchanged: 0 });
+
+      await request(app)
+        .post('/api/attendance/bulk')
+        .set('Authorization', 'Bearer admin')
+        .send({ subjectId: 1, studentAttendances: [{ studentEmail: users.student.email, status: 'present' }] })
+        .expect(200);
+
+      expect(markBulkAttendance.mock.calls[0][0].facultyEmail).toBe(users.owner.email);
+    });
+
+    it('should not show another faculty member the statistics of a subject', async () => {
+      const getStats = jest.spyOn(AttendanceService, 'getSubjectAttendanceStats').mockResolvedValue({});
+
+      await request(app)
+        .get('/api/attendance/stats/subject/1')
+        .set('Authorization', 'Bearer other')
+        .expect(403);
+      await request(app)
+        .get('/api/attendance/stats/subject/1')
+        .set('Authorization', 'Bearer owner')
+        .expect(200);
+
+      expect(getStats).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not list another faculty member\'s subjects', async () => {
+      jest.spyOn(AttendanceService, 'getSubjectsByFaculty').mockResolvedValue([subject]);
+
+      await request(app)
+        .get(`/api/attendance/faculty/${users.owner.email}/subjects`)
+        .set('Authorization', 'Bearer other')
+        .expect(403);
+      await request(app)
+        .get(`/api/attendance/faculty/${users.owner.email}/subjects`)
+        .set('Authorization', 'Bearer admin')
+        .expect(200);
+    });
+
+    it('should return 404 for a missing subject before checking ownership', async () => {
+      await request(app)
+        .get('/api/attendance/eligibility/subject/99')
+        .set('Authorization', 'Bearer other')
+        .expect(404);
+    });
+  });
+
+  describe('Subject Enrollment Routes', () => {
+    it('should not let faculty create a subject for someone else', async () => {
+      const create = jest.spyOn(SubjectEnrollmentService, 'createEnrollmentForAllStudents');
+
+      await request(app)
+        .post('/api/subject-enrollment/create-all')
+        .set('Authorization', 'Bearer other')
+        .send({ emailId: users.owner.email, subjectName: 'Algorithms', subjectCode: 'CS301', credits: 4 })
+        .expect(403);
+
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should create a subject for the signed-in faculty when no email is given', async () => {
+      const create = jest.spyOn(SubjectEnrollmentService, 'createEnrollmentForAllStudents').mockResolvedValue({ id: 2 });
+
+      await request(app)
+        .post('/api/subject-enrollment/create-all')
+        .set('Authorization', 'Bearer other')
+        .send({ subjectName: 'Algorithms', subjectCode: 'CS301', credits: 4 })
+        .expect(201);
+
+      expect(create.mock.calls[0][0].emailId).toBe(users.other.email);
+    });
+
+    it('should not let faculty change the students of another faculty member\'s subject', async () => {
+      const add = jest.spyOn(SubjectEnrollmentService, 'addStudentToEnrollment');
+      const remove = jest.spyOn(SubjectEnrollmentService, 'removeStudentFromEnrollment');
+
+      await request(app)
+        .post('/api/subject-enrollment/1/add-student')
+        .set('Authorization', 'Bearer other')
+        .send({ studentEmail: users.student.email })
+        .expect(403);
+      await request(app)
+        .delete('/api/subject-enrollment/1/remove-student')
+        .set('Authorization', 'Bearer other')
+        .send({ studentEmail: users.student.email })
+        .expect(403);
+
+      expect(add).not.toHaveBeenCalled();
+      expect(remove).not.toHaveBeenCalled();
+    });
+
+    it('should not let faculty update or delete another faculty member\'s subject', async () => {
+      const update = jest.spyOn(SubjectEnrollmentService, 'updateEnrollment');
+      const remove = jest.spyOn(SubjectEnrollmentService, 'deleteEnrollment');
+
+      await request(app)
+        .put('/api/subject-enrollment/1')
+        .set('Authorization', 'Bearer other')
+        .send({ subjectName: 'Renamed' })
+        .expect(403);
+      await request(app)
+        .delete('/api/subject-enrollment/1')
+        .set('Authorization', 'Bearer other')
+        .expect(403);
+
+      expect(update).not.toHaveBeenCalled();
+      expect(remove).not.toHaveBeenCalled();
+    });
+
+    it('should not let faculty hand their subject to someone else', async () => {
+      const update = jest.spyOn(SubjectEnrollmentService, 'updateEnrollment').mockResolvedValue(subject);
+
+      const response = await request(app)
+        .put('/api/subject-enrollment/1')
+        .set('Authorization', 'Bearer owner')
+        .send({ facultyEmail: users.other.email })
+        .expect(403);
+
+      expect(response.body.message).toBe('Only admins can reassign a subject');
+      expect(update).not.toHaveBeenCalled();
+
+      await request(app)
+        .put('/api/subject-enrollment/1')
+        .set('Authorization', 'Bearer admin')
+        .send({ facultyEmail: users.other.email })
+        .expect(200);
+    });
+  });
+
+  describe('Faculty Routes', () => {
+    it('should not show faculty another faculty member\'s students', async () => {
+      const findAll = jest.spyOn(SubjectEnrollment, 'findAll').mockResolvedValue([]);
+
+      await request(app)
+        .get(`/api/teacher/students/${users.owner.email}`)
+        .set('Authorization', 'Bearer other')
+        .expect(403);
+
+      expect(findAll).not.toHaveBeenCalled();
+    });
+  });
+});
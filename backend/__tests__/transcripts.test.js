@@ -0,0 +1,96 @@
+const { Student } = require('../models');
+const GradeService = require('../services/GradeService');
+const TranscriptService = require('../services/TranscriptService');
+
+const issuedAt = new Date('2026-09-01T00:00:00Z');
+
+const transcripts = {
+  'student@university.edu': {
+    student: { name: 'John Doe', rollNo: 'CSE001', univId: 'eoJ123@stu.edu', course: 'BTech', branch: 'CSE' },
+    semesters: [
+      {
+        semester: 3,
+        locked: true,
+        subjects: [
+          { subjectCode: 'CS201', subjectName: 'Data Structures', credits: 4, marks: 81.5, grade: 'A', gradePoints: 9 },
+          { subjectCode: 'CS202', subjectName: 'Discrete Mathematics (Honours)', credits: 3, marks: 38, grade: 'F', gradePoints: 0 }
+        ],
+        credits: 7,
+        earnedCredits: 4,
+        sgpa: 5.14
+      },
+      {
+        semester: 4,
+        locked: false,
+        subjects: [
+          { subjectCode: 'CS301', subjectName: 'Operating Systems', credits: 4, marks: null, grade: null, gradePoints: null }
+        ],
+        credits: 4,
+        earnedCredits: 0,
+        sgpa: null
+      }
+    ],
+    totalCredits: 11,
+    earnedCredits: 4,
+    cgpa: 5.14
+  },
+  'other@university.edu': {
+    student: { name: 'Jane Roe', rollNo: 'CSE002', univId: null, course: 'BTech', branch: 'CSE' },
+    semesters: [],
+    totalCredits: 0,
+    earnedCredits: 0,
+    cgpa: null
+  }
+};
+
+describe('Transcripts', () => {
+  beforeEach(() => {
+    jest.spyOn(GradeService, 'getStudentTranscript').mockImplementation(async (email) => transcripts[email] || null);
+    jest.spyOn(Student, 'findAll').mockResolvedValue([
+      { email: 'student@university.edu' },
+      { email: 'other@university.edu' }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should render the same bytes for the same transcript and issue date', async () => {
+    const first = await TranscriptService.generateStudentTranscript('student@university.edu', issuedAt);
+    const second = await TranscriptService.generateStudentTranscript('student@university.edu', new Date(issuedAt));
+
+    expect(first.fileName).toBe('transcript-CSE001.pdf');
+    expect(Buffer.isBuffer(first.data)).toBe(true);
+    expect(first.data.equals(second.data)).toBe(true);
+  });
+
+  it('should only write the issue date it is given', async () => {
+    const { data } = await TranscriptService.generateStudentTranscript('student@university.edu', issuedAt);
+    const text = data.toString('latin1');
+
+    expect(text.startsWith('%PDF-')).toBe(true);
+    expect(text).toContain('/CreationDate (D:20260901000000Z)');
+    expect(text).toContain('(Issued on 2026-09-01)');
+    expect(text).toContain('(Semester 4 \\(provisional\\))');
+    expect(text).toContain('(Discrete Mathematics \\(Honours\\))');
+
+    const later = await TranscriptService.generateStudentTranscript('student@university.edu', new Date('2026-09-02T00:00:00Z'));
+    expect(later.data.equals(data)).toBe(false);
+    expect(later.data.toString('latin1').replace(/2026-?09-?02/g, '')).toBe(text.replace(/2026-?09-?01/g, ''));
+  });
+
+  it('should render bulk transcripts deterministically, one student after another', async () => {
+    const first = await TranscriptService.generateBulkTranscripts({ branch: 'CSE' }, issuedAt);
+    const second = await TranscriptService.generateBulkTranscripts({ branch: 'CSE' }, issuedAt);
+
+    expect(first.fileName).toBe('transcripts-2026-09-01.pdf');
+    expect(first.count).toBe(2);
+    expect(first.data.equals(second.data)).toBe(true);
+
+    const text = first.data.toString('latin1');
+    expect(text).toContain('(No subjects have been graded yet.)');
+    expect(text.indexOf('(CSE001 - Page 1 of 1)')).toBeGreaterThan(-1);
+    expect(text.indexOf('(CSE002 - Page 1 of 1)')).toBeGreaterThan(-1);
+  });
+});
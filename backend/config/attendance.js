@@ -0,0 +1,37 @@
+require('dotenv').config();
+
+const weight = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+// Attendance rules, overridable through the environment.
+// Students below minimumPercentage of a subject's classes are not eligible for
+// its exams unless condoned; within warningMargin points above it they are at
+// risk and get alerts. Admins can set other minimums per course or subject.
+// Self check-in QR codes rotate every checkinTokenSeconds; a code stays valid
+// for one more rotation so students scanning at the switch are not turned away.
+// The codes link to the student check-in page of the frontend.
+// Percentages count each class by the weight of its status: by default a late
+// arrival is half a class and official duty a full one. Excused absences are
+// left out of the classes a student could attend.
+// statuses lists every status attendance can be recorded with.
+// Attendance older than editWindowDays is locked: only an admin can change it,
+// giving a reason, and faculty approve corrections to it through an admin.
+const attendanceConfig = {
+  minimumPercentage: parseFloat(process.env.ATTENDANCE_MIN_PERCENT) || 75,
+  warningMargin: parseFloat(process.env.ATTENDANCE_WARNING_MARGIN) || 5,
+  checkinTokenSeconds: parseInt(process.env.CHECKIN_TOKEN_SECONDS) || 30,
+  checkinSessionMinutes: parseInt(process.env.CHECKIN_SESSION_MINUTES) || 15,
+  editWindowDays: parseInt(process.env.ATTENDANCE_EDIT_WINDOW_DAYS) || 7,
+  statuses: ['present', 'absent', 'late', 'excused', 'on_duty'],
+  checkinUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/student/checkin`,
+  statusWeights: {
+    present: 1,
+    late: weight(process.env.ATTENDANCE_LATE_WEIGHT, 0.5),
+    on_duty: weight(process.env.ATTENDANCE_ON_DUTY_WEIGHT, 1),
+    absent: 0
+  }
+};
+
+module.exports = attendanceConfig;
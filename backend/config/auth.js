@@ -0,0 +1,43 @@
+require('dotenv').config();
+
+const count = (value, fallback) => {
+  const parsed = parseInt(value);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+// Authentication settings, overridable through the environment.
+// provider picks who signs users in: 'firebase' verifies Firebase ID tokens,
+// 'local' checks passwords stored in the users table and issues its own JWTs
+// signed with jwtSecret, valid for jwtExpiresIn.
+// Signing in opens a session whose access token works for sessionAccessMinutes
+// and whose refresh token, replaced on every use, for sessionRefreshDays.
+// One-time initial passwords must be changed at first sign-in. Password reset
+// links open resetUrl on the frontend and work for passwordResetMinutes.
+// Admins confirm destructive actions with an authenticator code (issued under
+// mfaIssuer); a confirmed session stays trusted for mfaStepUpMinutes.
+// Enabling MFA hands out mfaRecoveryCodes single-use recovery codes.
+// After mfaMaxAttempts invalid codes in a row a user's codes are refused for
+// mfaLockoutMinutes.
+// Verified tokens are remembered for tokenCacheSeconds so a request does not
+// go to the sessions and then the users table every time; 0 turns the cache
+// off. At most tokenCacheSize tokens are kept, dropping the oldest first.
+const authConfig = {
+  provider: (process.env.AUTH_PROVIDER || 'firebase').toLowerCase(),
+  jwtSecret: process.env.JWT_SECRET,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1h',
+  jwtIssuer: process.env.JWT_ISSUER || 'campus-cloud',
+  bcryptRounds: count(process.env.BCRYPT_ROUNDS, 10),
+  sessionAccessMinutes: parseInt(process.env.SESSION_ACCESS_MINUTES) || 15,
+  sessionRefreshDays: parseInt(process.env.SESSION_REFRESH_DAYS) || 30,
+  passwordResetMinutes: parseInt(process.env.PASSWORD_RESET_MINUTES) || 30,
+  resetUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password`,
+  mfaIssuer: process.env.MFA_ISSUER || 'Campus Cloud',
+  mfaStepUpMinutes: parseInt(process.env.MFA_STEP_UP_MINUTES) || 10,
+  mfaRecoveryCodes: parseInt(process.env.MFA_RECOVERY_CODES) || 10,
+  mfaMaxAttempts: parseInt(process.env.MFA_MAX_ATTEMPTS) || 5,
+  mfaLockoutMinutes: parseInt(process.env.MFA_LOCKOUT_MINUTES) || 15,
+  tokenCacheSeconds: count(process.env.AUTH_TOKEN_CACHE_SECONDS, 60),
+  tokenCacheSize: count(process.env.AUTH_TOKEN_CACHE_SIZE, 1000)
+};
+
+module.exports = authConfig;
@@ -0,0 +1,17 @@
+// Default grading scheme used until an admin saves one. Each band maps
+// overall marks of at least minMarks (percent) to a letter grade and the
+// grade points counted towards SGPA/CGPA.
+const gradingConfig = {
+  defaultBands: [
+    { grade: 'O', minMarks: 90, gradePoints: 10 },
+    { grade: 'A+', minMarks: 80, gradePoints: 9 },
+    { grade: 'A', minMarks: 70, gradePoints: 8 },
+    { grade: 'B+', minMarks: 60, gradePoints: 7 },
+    { grade: 'B', minMarks: 50, gradePoints: 6 },
+    { grade: 'C', minMarks: 45, gradePoints: 5 },
+    { grade: 'P', minMarks: 40, gradePoints: 4 },
+    { grade: 'F', minMarks: 0, gradePoints: 0 }
+  ]
+};
+
+module.exports = gradingConfig;
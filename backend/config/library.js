@@ -0,0 +1,11 @@
+require('dotenv').config();
+
+// Circulation rules for the library, overridable through the environment
+const libraryConfig = {
+  loanDays: parseInt(process.env.LIBRARY_LOAN_DAYS) || 14,
+  maxRenewals: parseInt(process.env.LIBRARY_MAX_RENEWALS) || 2,
+  finePerDay: parseFloat(process.env.LIBRARY_FINE_PER_DAY) || 5,
+  maxActiveLoans: parseInt(process.env.LIBRARY_MAX_ACTIVE_LOANS) || 3
+};
+
+module.exports = libraryConfig;
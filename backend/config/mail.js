@@ -0,0 +1,15 @@
+require('dotenv').config();
+
+// Outgoing mail settings, overridable through the environment.
+// transport picks where messages go: 'none' (the default) drops them, 'console'
+// logs who they were for and 'file' writes each one as JSON into fileDir,
+// which tests and local setups can read back. Messages carry initial passwords
+// and reset links, so no transport prints their text. Other transports, such
+// as an SMTP client, can be plugged in with MailService.setTransport.
+const mailConfig = {
+  transport: (process.env.MAIL_TRANSPORT || 'none').toLowerCase(),
+  from: process.env.MAIL_FROM || 'Campus Cloud <no-reply@campus-cloud.local>',
+  fileDir: process.env.MAIL_FILE_DIR || 'mail'
+};
+
+module.exports = mailConfig;
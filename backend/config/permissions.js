@@ -0,0 +1,67 @@
+// Named permissions checked by requirePermission, and the staff roles created
+// by `npm run init-db` and `npm run seed-roles`. Admin accounts hold every
+// permission. A user may hold several roles; roles marked departmentScoped are
+// assigned for one department and then only cover students of that branch and
+// faculty of that department. Roles and their permissions can be changed from
+// the admin settings page, this only sets what a new database starts with.
+const permissionsConfig = {
+  permissions: {
+    'students.view': 'View student records',
+    'students.create': 'Add individual students',
+    'students.upload': 'Bulk upload students from CSV',
+    'students.update': 'Edit student records',
+    'students.delete': 'Delete students',
+    'faculty.view': 'View faculty records',
+    'faculty.create': 'Add faculty',
+    'faculty.update': 'Edit faculty records',
+    'faculty.delete': 'Delete faculty',
+    'transcripts.download': 'Download transcripts in bulk',
+    'attendance.thresholds': 'Set minimum attendance thresholds',
+    'attendance.eligibility': 'View attendance shortages and condone them',
+    'attendance.alerts': 'Send low attendance alerts',
+    'calendar.upload': 'Upload and import the academic calendar',
+    'calendar.manage': 'Edit and delete calendar entries',
+    'announcements.manage': 'Post, edit and delete announcements',
+    'library.books': 'Manage the library catalogue and stock',
+    'library.loans': 'Lend books, take returns and collect fines',
+    'grades.scheme': 'Set the grading scheme',
+    'grades.locks': 'Lock and unlock semester grades',
+    'grades.overrides': 'View grade changes made after a semester was locked',
+    'timetable.rooms': 'Add and remove rooms',
+    'roles.manage': 'Assign roles and change their permissions'
+  },
+  defaultRoles: [
+    {
+      name: 'hod',
+      description: 'Head of department',
+      departmentScoped: true,
+      permissions: ['students.view', 'students.update', 'faculty.view', 'faculty.update', 'transcripts.download']
+    },
+    {
+      name: 'registrar',
+      description: 'Registrar',
+      departmentScoped: false,
+      permissions: [
+        'students.view', 'students.create', 'students.upload', 'students.update',
+        'faculty.view', 'faculty.create', 'transcripts.download',
+        'attendance.thresholds', 'attendance.eligibility', 'attendance.alerts',
+        'calendar.upload', 'calendar.manage', 'announcements.manage',
+        'grades.locks', 'grades.overrides'
+      ]
+    },
+    {
+      name: 'librarian',
+      description: 'Librarian',
+      departmentScoped: false,
+      permissions: ['library.books', 'library.loans']
+    },
+    {
+      name: 'ta',
+      description: 'Teaching assistant',
+      departmentScoped: true,
+      permissions: ['students.view']
+    }
+  ]
+};
+
+module.exports = permissionsConfig;
@@ -0,0 +1,22 @@
+require('dotenv').config();
+
+// Teaching days (ISO weekdays, 1 = Monday) and the bell schedule of periods.
+// Timetable slots refer to periods by number, so renumbering periods moves
+// every slot that uses them.
+const timetableConfig = {
+  days: (process.env.TIMETABLE_DAYS || '1,2,3,4,5,6')
+    .split(',')
+    .map(day => parseInt(day))
+    .filter(day => day >= 1 && day <= 7),
+  periods: [
+    { period: 1, startTime: '09:00', endTime: '09:50' },
+    { period: 2, startTime: '09:50', endTime: '10:40' },
+    { period: 3, startTime: '11:00', endTime: '11:50' },
+    { period: 4, startTime: '11:50', endTime: '12:40' },
+    { period: 5, startTime: '13:40', endTime: '14:30' },
+    { period: 6, startTime: '14:30', endTime: '15:20' },
+    { period: 7, startTime: '15:30', endTime: '16:20' }
+  ]
+};
+
+module.exports = timetableConfig;
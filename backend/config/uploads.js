@@ -0,0 +1,11 @@
+require('dotenv').config();
+
+// Files that only some users may see, like leave documents and assignment
+// submissions, are kept under privateDir. Unlike uploads/, it is not served
+// statically: its files are only sent by routes that check who is asking.
+const uploadsConfig = {
+  privateDir: process.env.PRIVATE_UPLOAD_DIR || 'private-uploads',
+  maxFileSize: 10 * 1024 * 1024 // 10MB
+};
+
+module.exports = uploadsConfig;
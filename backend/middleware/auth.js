@@ -0,0 +1,207 @@
+const AuthService = require('../services/AuthService');
+const MfaService = require('../services/MfaService');
+const PermissionService = require('../services/PermissionService');
+
+// Authentication and role checks shared by every route file. Missing or
+// invalid tokens get 401, signed-in users without access 403, always as
+// { status: 'error', message }.
+
+const ROLE_NAMES = {
+  admin: 'Admin',
+  faculty: 'Faculty',
+  student: 'Student'
+};
+
+const deny = (res, statusCode, message, details = {}) => res.status(statusCode).json({
+  status: 'error',
+  message,
+  ...details
+});
+
+/**
+ * Get the device details recorded on sessions from a request
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent }
+ */
+const requestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+/**
+ * Build middleware loading the user of the Bearer token into req.user and the token into req.authToken
+ * Does nothing if an earlier middleware already authenticated the request.
+ * @param {Object} options - { allowPasswordChange } lets users who still have a
+ *   one-time password through
+ * @returns {Function} Express middleware
+ */
+const buildAuthenticate = ({ allowPasswordChange = false } = {}) => async (req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return deny(res, 401, 'Authorization header with Bearer token is required');
+    }
+
+    const token = authHeader.split(' ')[1];
+    const user = await AuthService.authenticateToken(token, requestContext(req));
+    if (!user) {
+      return deny(res, 401, 'Invalid token');
+    }
+    if (user.mustChangePassword && !allowPasswordChange) {
+      return deny(res, 403, 'You must change your password before continuing');
+    }
+
+    req.user = user;
+    req.authToken = token;
+    next();
+  } catch (error) {
+    deny(res, 401, error.message);
+  }
+};
+
+/**
+ * Middleware loading the user of the Bearer token into req.user
+ * Users who must still change their one-time password are refused.
+ */
+const authenticate = buildAuthenticate();
+
+/**
+ * Middleware like authenticate that also lets through users who must still
+ * change their one-time password, for the change-password route
+ */
+const authenticateForPasswordChange = buildAuthenticate({ allowPasswordChange: true });
+
+/**
+ * Build middleware allowing only users with one of the given roles
+ * @param {...string} roles - Allowed roles, e.g. requireRole('faculty', 'admin')
+ * @returns {Array<Function>} Express middleware, authenticating first
+ */
+const requireRole = (...roles) => {
+  const message = `${roles.map(role => ROLE_NAMES[role] || role).join(' or ')} access required`;
+
+  return [authenticate, (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return deny(res, 403, message);
+    }
+    next();
+  }];
+};
+
+/**
+ * Build middleware allowing the user named by req.params.email, or users with one of the given roles
+ * @param {...string} roles - Roles that may act for anyone, e.g. requireSelfOr('admin')
+ * @returns {Array<Function>} Express middleware, authenticating first
+ */
+const requireSelfOr = (...roles) => [authenticate, (req, res, next) => {
+  if (req.user.email !== req.params.email && !roles.includes(req.user.role)) {
+    return deny(res, 403, 'Access denied');
+  }
+  next();
+}];
+
+/**
+ * Build middleware allowing only users holding a named permission
+ * Admin accounts hold every permission; others get them from their roles.
+ * Roles held for one department only count when the route says which
+ * department a request is about, through one of the options.
+ * @param {string} permission - Permission name, e.g. requirePermission('students.delete')
+ * @param {Object} options - { department } function of the request giving the
+ *   department of the record acted on, or { scoped: true } to let the route
+ *   narrow its results to req.permissionDepartments (null for every department)
+ * @returns {Array<Function>} Express middleware, authenticating first
+ */
+const requirePermission = (permission, { department, scoped = false } = {}) => [authenticate, async (req, res, next) => {
+  try {
+    const departments = await PermissionService.getPermissionDepartments(req.user, permission);
+
+    if (departments !== null) {
+      const allowed = department
+        ? departments.includes(await department(req))
+        : scoped && departments.length > 0;
+      if (!allowed) {
+        return deny(res, 403, `Permission ${permission} required`);
+      }
+    }
+
+    req.permissionDepartments = departments;
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    deny(res, 500, 'Failed to check permissions');
+  }
+}];
+
+/**
+ * Build middleware allowing the user named by req.params.email, or users holding a permission
+ * @param {string} permission - Permission that may act for anyone, e.g. requireSelfOrPermission('library.loans')
+ * @returns {Array<Function>} Express middleware, authenticating first
+ */
+const requireSelfOrPermission = (permission) => [authenticate, async (req, res, next) => {
+  try {
+    if (req.user.email !== req.params.email && !(await PermissionService.hasPermission(req.user, permission))) {
+      return deny(res, 403, 'Access denied');
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    deny(res, 500, 'Failed to check permissions');
+  }
+}];
+
+/**
+ * Middleware allowing only staff: admin accounts and users holding a role
+ */
+const requireStaff = [authenticate, async (req, res, next) => {
+  try {
+    if (!(await PermissionService.isStaff(req.user))) {
+      return deny(res, 403, 'Staff access required');
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    deny(res, 500, 'Failed to check permissions');
+  }
+}];
+
+/**
+ * Middleware requiring a recent multi-factor step-up, for destructive actions
+ * Passes if the session was confirmed within mfaStepUpMinutes, or if the
+ * request carries a valid code in the X-MFA-Code header. Refusals are 403 with
+ * code MFA_SETUP_REQUIRED or MFA_REQUIRED so clients know to ask for a code.
+ */
+const requireStepUp = [authenticate, async (req, res, next) => {
+  try {
+    if (!req.user.mfaEnabled) {
+      return deny(res, 403, 'Set up multi-factor authentication before performing this action', { code: 'MFA_SETUP_REQUIRED' });
+    }
+
+    const code = req.get('x-mfa-code');
+    if (code) {
+      await MfaService.verifyCode(req.user, code);
+      return next();
+    }
+
+    if (!(await MfaService.hasRecentStepUp(req.authToken))) {
+      return deny(res, 403, 'Confirm this action with a code from your authenticator app', { code: 'MFA_REQUIRED' });
+    }
+    next();
+  } catch (error) {
+    deny(res, 403, error.message, { code: 'MFA_REQUIRED' });
+  }
+}];
+
+module.exports = {
+  authenticate,
+  authenticateForPasswordChange,
+  requireRole,
+  requireSelfOr,
+  requirePermission,
+  requireSelfOrPermission,
+  requireStaff,
+  requireStepUp,
+  requestContext
+};
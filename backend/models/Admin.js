@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { hashPasswordField, hashPasswordAttribute } = require('../utils/password');
 
 const Admin = sequelize.define('Admin', {
   id: {
@@ -40,7 +41,12 @@ const Admin = sequelize.define('Admin', {
   tableName: 'admin',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  hooks: {
+    beforeSave: hashPasswordField,
+    beforeBulkCreate: (instances) => Promise.all(instances.map(hashPasswordField)),
+    beforeBulkUpdate: hashPasswordAttribute
+  }
 });
 
 module.exports = Admin;
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Assignment = sequelize.define('Assignment', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subjectId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'subject_id',
+    references: {
+      model: 'subject_enrollments',
+      key: 'id'
+    }
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  dueDate: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'due_date'
+  },
+  maxMarks: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: false,
+    field: 'max_marks'
+  },
+  allowLateSubmission: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'allow_late_submission'
+  },
+  attachmentName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'attachment_name'
+  },
+  attachmentPath: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'attachment_path'
+  },
+  attachmentMimeType: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'attachment_mime_type'
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'created_by'
+  }
+}, {
+  tableName: 'assignments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  defaultScope: {
+    attributes: { exclude: ['attachmentPath'] }
+  },
+  scopes: {
+    withFile: {
+      attributes: { include: ['attachmentPath'] }
+    }
+  }
+});
+
+module.exports = Assignment;
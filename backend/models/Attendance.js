@@ -1,5 +1,19 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const attendanceConfig = require('../config/attendance');
+
+// Statuses under which a student counts as having attended
+const ATTENDED_STATUSES = ['present', 'late', 'on_duty'];
+
+// present and excused are kept for older readers and follow status.
+// Writers that only set present get the matching status.
+const syncStatusFlags = (attendance) => {
+  if (!attendance.status || (attendance.changed('present') && !attendance.changed('status'))) {
+    attendance.status = attendance.present ? 'present' : attendance.excused ? 'excused' : 'absent';
+  }
+  attendance.present = ATTENDED_STATUSES.includes(attendance.status);
+  attendance.excused = attendance.status === 'excused';
+};
 
 const Attendance = sequelize.define('Attendance', {
   id: {
@@ -38,11 +52,38 @@ const Attendance = sequelize.define('Attendance', {
     type: DataTypes.DATEONLY,
     allowNull: false
   },
+  slotId: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'slot_id',
+    references: {
+      model: 'timetable_slots',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM(...attendanceConfig.statuses),
+    allowNull: false
+  },
   present: {
     type: DataTypes.BOOLEAN,
     allowNull: false,
     defaultValue: false
   },
+  excused: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  leaveRequestId: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'leave_request_id',
+    references: {
+      model: 'leave_requests',
+      key: 'id'
+    }
+  },
   remarks: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -51,7 +92,17 @@ const Attendance = sequelize.define('Attendance', {
   tableName: 'attendance',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['student_email', 'subject_id', 'date']
+    }
+  ],
+  hooks: {
+    beforeValidate: syncStatusFlags,
+    beforeBulkCreate: (attendances) => attendances.forEach(syncStatusFlags)
+  }
 });
 
 module.exports = Attendance;
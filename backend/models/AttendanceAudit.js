@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One change to an attendance record: who made it, through which feature and
+// why, with the status and remarks before and after. Newly recorded attendance
+// has no previous values.
+const AttendanceAudit = sequelize.define('AttendanceAudit', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  attendanceId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'attendance_id',
+    references: {
+      model: 'attendance',
+      key: 'id'
+    }
+  },
+  subjectId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'subject_id',
+    references: {
+      model: 'subject_enrollments',
+      key: 'id'
+    }
+  },
+  studentEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'student_email'
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.ENUM('bulk', 'register', 'checkin', 'leave', 'correction'),
+    allowNull: false
+  },
+  previousStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'previous_status'
+  },
+  newStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'new_status'
+  },
+  previousRemarks: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'previous_remarks'
+  },
+  newRemarks: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'new_remarks'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  changedBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'changed_by'
+  }
+}, {
+  tableName: 'attendance_audits',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['attendance_id']
+    },
+    {
+      fields: ['subject_id', 'date']
+    }
+  ]
+});
+
+module.exports = AttendanceAudit;
@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const attendanceConfig = require('../config/attendance');
+
+// A request to change a recorded attendance status. Students' requests go to
+// the faculty member who recorded the attendance; once the record is past the
+// edit window, approval is escalated to an admin. Faculty raise requests for
+// locked records themselves, which go straight to an admin.
+const AttendanceCorrection = sequelize.define('AttendanceCorrection', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  attendanceId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'attendance_id',
+    references: {
+      model: 'attendance',
+      key: 'id'
+    }
+  },
+  studentEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'student_email'
+  },
+  facultyEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'faculty_email'
+  },
+  requestedBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'requested_by'
+  },
+  currentStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'current_status'
+  },
+  requestedStatus: {
+    type: DataTypes.ENUM(...attendanceConfig.statuses),
+    allowNull: false,
+    field: 'requested_status'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'escalated', 'approved', 'rejected', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  reviewedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'reviewed_by'
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'reviewed_at'
+  },
+  reviewNote: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'review_note'
+  }
+}, {
+  tableName: 'attendance_corrections',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['faculty_email', 'status']
+    },
+    {
+      fields: ['student_email']
+    }
+  ]
+});
+
+module.exports = AttendanceCorrection;
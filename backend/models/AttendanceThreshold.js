@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Minimum attendance for a course or a single subject, replacing the default
+// from config/attendance.js. A subject threshold wins over a course threshold.
+const AttendanceThreshold = sequelize.define('AttendanceThreshold', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  scope: {
+    type: DataTypes.ENUM('course', 'subject'),
+    allowNull: false
+  },
+  scopeValue: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'scope_value'
+  },
+  minimumPercentage: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    field: 'minimum_percentage'
+  },
+  updatedBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'updated_by'
+  }
+}, {
+  tableName: 'attendance_thresholds',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['scope', 'scope_value']
+    }
+  ]
+});
+
+module.exports = AttendanceThreshold;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Removed books are only marked deleted (paranoid), so the loans and fines
+// recorded against them stay readable.
+const Book = sequelize.define('Book', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  author: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  isbn: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    unique: true
+  },
+  publisher: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  publicationYear: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'publication_year'
+  },
+  category: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  shelfLocation: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'shelf_location'
+  },
+  totalCopies: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    field: 'total_copies'
+  },
+  availableCopies: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    field: 'available_copies'
+  }
+}, {
+  tableName: 'books',
+  timestamps: true,
+  paranoid: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  deletedAt: 'deleted_at'
+});
+
+module.exports = Book;
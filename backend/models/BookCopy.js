@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A physical copy of a book, identified by the accession number on its label.
+// The copy counts on the book are kept in step with these rows by
+// LibraryService; lost and withdrawn copies no longer count as stock.
+const BookCopy = sequelize.define('BookCopy', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  bookId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'book_id',
+    references: {
+      model: 'books',
+      key: 'id'
+    }
+  },
+  accessionNumber: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true,
+    field: 'accession_number'
+  },
+  status: {
+    type: DataTypes.ENUM('available', 'on_loan', 'lost', 'withdrawn'),
+    allowNull: false,
+    defaultValue: 'available'
+  }
+}, {
+  tableName: 'book_copies',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['book_id', 'status']
+    }
+  ]
+});
+
+module.exports = BookCopy;
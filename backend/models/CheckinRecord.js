@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A student's result in a check-in session, either from scanning the QR code
+// or set by the faculty member when reviewing the session
+const CheckinRecord = sequelize.define('CheckinRecord', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  sessionId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'session_id',
+    references: {
+      model: 'checkin_sessions',
+      key: 'id'
+    }
+  },
+  studentEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'student_email',
+    references: {
+      model: 'students',
+      key: 'email'
+    }
+  },
+  present: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  method: {
+    type: DataTypes.ENUM('qr', 'manual'),
+    allowNull: false,
+    defaultValue: 'qr'
+  },
+  checkedInAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'checked_in_at'
+  },
+  remarks: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'checkin_records',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['session_id', 'student_email']
+    }
+  ]
+});
+
+module.exports = CheckinRecord;
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A window in which the students of a subject can mark themselves present by
+// scanning a QR code. Codes are signed with the session's own secret, which is
+// never sent to clients.
+const CheckinSession = sequelize.define('CheckinSession', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subjectId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'subject_id',
+    references: {
+      model: 'subject_enrollments',
+      key: 'id'
+    }
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  slotId: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'slot_id',
+    references: {
+      model: 'timetable_slots',
+      key: 'id'
+    }
+  },
+  secret: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'closed', 'finalized'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  openedBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'opened_by'
+  },
+  finalizedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finalized_at'
+  }
+}, {
+  tableName: 'checkin_sessions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  defaultScope: {
+    attributes: { exclude: ['secret'] }
+  },
+  scopes: {
+    withSecret: {
+      attributes: { include: ['secret'] }
+    }
+  },
+  indexes: [
+    {
+      fields: ['subject_id', 'date']
+    }
+  ]
+});
+
+module.exports = CheckinSession;
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A change to a subject's weekly timetable on one date: an extra or makeup
+// class, or the cancellation of a scheduled one
+const ClassSession = sequelize.define('ClassSession', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subjectId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'subject_id',
+    references: {
+      model: 'subject_enrollments',
+      key: 'id'
+    }
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('extra', 'makeup', 'cancelled'),
+    allowNull: false
+  },
+  slotId: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'slot_id',
+    references: {
+      model: 'timetable_slots',
+      key: 'id'
+    }
+  },
+  period: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  roomId: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'room_id',
+    references: {
+      model: 'rooms',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'created_by'
+  }
+}, {
+  tableName: 'class_sessions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['subject_id', 'date']
+    }
+  ]
+});
+
+module.exports = ClassSession;
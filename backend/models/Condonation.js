@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// An admin's decision on a student who is short of the attendance required
+// to sit a subject's exams. A condoned student counts as eligible.
+const Condonation = sequelize.define('Condonation', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subjectId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'subject_id',
+    references: {
+      model: 'subject_enrollments',
+      key: 'id'
+    }
+  },
+  studentEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'student_email',
+    references: {
+      model: 'students',
+      key: 'email'
+    }
+  },
+  decision: {
+    type: DataTypes.ENUM('condoned', 'rejected'),
+    allowNull: false
+  },
+  percentage: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  decidedBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'decided_by'
+  }
+}, {
+  tableName: 'condonations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['subject_id', 'student_email']
+    }
+  ]
+});
+
+module.exports = Condonation;
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Event = sequelize.define('Event', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  type: {
+    type: DataTypes.ENUM('holiday', 'exam', 'deadline', 'meeting'),
+    allowNull: false
+  },
+  startTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'start_time'
+  },
+  endTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'end_time'
+  },
+  allDay: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'all_day'
+  },
+  location: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  audienceType: {
+    type: DataTypes.ENUM('all', 'course', 'branch', 'semester', 'subject'),
+    allowNull: false,
+    defaultValue: 'all',
+    field: 'audience_type'
+  },
+  audienceValue: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'audience_value'
+  },
+  recurrenceRule: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'recurrence_rule'
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'created_by'
+  },
+  externalUid: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    field: 'external_uid'
+  }
+}, {
+  tableName: 'events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['start_time']
+    },
+    {
+      fields: ['audience_type', 'audience_value']
+    }
+  ]
+});
+
+module.exports = Event;
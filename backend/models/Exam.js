@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Exam = sequelize.define('Exam', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subjectId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'subject_id',
+    references: {
+      model: 'subject_enrollments',
+      key: 'id'
+    }
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  examType: {
+    type: DataTypes.ENUM('quiz', 'midterm', 'final', 'practical', 'other'),
+    allowNull: false,
+    defaultValue: 'other',
+    field: 'exam_type'
+  },
+  examDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'exam_date'
+  },
+  startTime: {
+    type: DataTypes.TIME,
+    allowNull: true,
+    field: 'start_time'
+  },
+  durationMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_minutes'
+  },
+  maxMarks: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: false,
+    field: 'max_marks'
+  },
+  venue: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'created_by'
+  }
+}, {
+  tableName: 'exams',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = Exam;
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ExamResult = sequelize.define('ExamResult', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  examId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'exam_id',
+    references: {
+      model: 'exams',
+      key: 'id'
+    }
+  },
+  studentEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'student_email',
+    references: {
+      model: 'students',
+      key: 'email'
+    }
+  },
+  marksObtained: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true,
+    field: 'marks_obtained'
+  },
+  absent: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  remarks: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  enteredBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'entered_by'
+  }
+}, {
+  tableName: 'exam_results',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['exam_id', 'student_email']
+    }
+  ]
+});
+
+module.exports = ExamResult;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { hashPasswordField, hashPasswordAttribute } = require('../utils/password');
 
 const Faculty = sequelize.define('Faculty', {
   id: {
@@ -73,7 +74,12 @@ const Faculty = sequelize.define('Faculty', {
   tableName: 'faculty',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  hooks: {
+    beforeSave: hashPasswordField,
+    beforeBulkCreate: (instances) => Promise.all(instances.map(hashPasswordField)),
+    beforeBulkUpdate: hashPasswordAttribute
+  }
 });
 
 module.exports = Faculty;
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Calendar feed tokens are stored as SHA-256 hashes; the raw token is only
+// shown to the user when it is issued.
+const FeedToken = sequelize.define('FeedToken', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'user_email'
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_hash'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_used_at'
+  }
+}, {
+  tableName: 'feed_tokens',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_email']
+    }
+  ]
+});
+
+module.exports = FeedToken;
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const GradeBand = sequelize.define('GradeBand', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  grade: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    unique: true
+  },
+  minMarks: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    field: 'min_marks'
+  },
+  gradePoints: {
+    type: DataTypes.DECIMAL(4, 2),
+    allowNull: false,
+    field: 'grade_points'
+  }
+}, {
+  tableName: 'grade_bands',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = GradeBand;
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const GradeOverride = sequelize.define('GradeOverride', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subjectId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'subject_id',
+    references: {
+      model: 'subject_enrollments',
+      key: 'id'
+    }
+  },
+  studentEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'student_email'
+  },
+  semester: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // exam and assignment entries record a whole exam or assignment being
+  // deleted or rescaled; the others a single student's marks
+  entityType: {
+    type: DataTypes.ENUM('exam_result', 'submission', 'exam', 'assignment'),
+    allowNull: false,
+    field: 'entity_type'
+  },
+  entityId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'entity_id'
+  },
+  previousMarks: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true,
+    field: 'previous_marks'
+  },
+  newMarks: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true,
+    field: 'new_marks'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  overriddenBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'overridden_by'
+  }
+}, {
+  tableName: 'grade_overrides',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = GradeOverride;
@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A student's application for leave over a range of dates, for one subject or
+// for every subject when subjectId is empty. Approved leave excuses absences
+// in the range.
+const LeaveRequest = sequelize.define('LeaveRequest', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  studentEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'student_email',
+    references: {
+      model: 'students',
+      key: 'email'
+    }
+  },
+  subjectId: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'subject_id',
+    references: {
+      model: 'subject_enrollments',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('medical', 'official', 'personal'),
+    allowNull: false
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'start_date'
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'end_date'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  documentPath: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'document_path'
+  },
+  documentName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'document_name'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  reviewedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'reviewed_by'
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'reviewed_at'
+  },
+  reviewNote: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'review_note'
+  }
+}, {
+  tableName: 'leave_requests',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  defaultScope: {
+    attributes: { exclude: ['documentPath'] }
+  },
+  scopes: {
+    withDocument: {
+      attributes: { include: ['documentPath'] }
+    }
+  },
+  indexes: [
+    {
+      fields: ['student_email', 'start_date']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = LeaveRequest;
@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Loan = sequelize.define('Loan', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  bookId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'book_id',
+    references: {
+      model: 'books',
+      key: 'id'
+    }
+  },
+  copyId: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'copy_id',
+    references: {
+      model: 'book_copies',
+      key: 'id'
+    }
+  },
+  studentEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'student_email',
+    references: {
+      model: 'students',
+      key: 'email'
+    }
+  },
+  borrowedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'borrowed_at'
+  },
+  dueDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'due_date'
+  },
+  returnedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'returned_at'
+  },
+  renewalCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'renewal_count'
+  },
+  fineAmount: {
+    type: DataTypes.DECIMAL(8, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'fine_amount'
+  },
+  finePaid: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'fine_paid'
+  },
+  issuedBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'issued_by'
+  }
+}, {
+  tableName: 'loans',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['student_email', 'returned_at']
+    }
+  ]
+});
+
+module.exports = Loan;
@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Single-use codes for signing in without the authenticator app. They are
+// stored as SHA-256 hashes; the user sees them once, when they are generated.
+const MfaRecoveryCode = sequelize.define('MfaRecoveryCode', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'user_email'
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'code_hash'
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'used_at'
+  }
+}, {
+  tableName: 'mfa_recovery_codes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_email']
+    }
+  ]
+});
+
+module.exports = MfaRecoveryCode;
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// In-app message to a single user. Jobs that run repeatedly pass a dedupeKey
+// so the same alert is only sent once.
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'user_email'
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  dedupeKey: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    field: 'dedupe_key'
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'read_at'
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_email', 'read_at']
+    }
+  ]
+});
+
+module.exports = Notification;
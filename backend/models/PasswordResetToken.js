@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Password reset tokens are stored as SHA-256 hashes; the raw token is only
+// sent to the user by email. A token works once and until it expires.
+const PasswordResetToken = sequelize.define('PasswordResetToken', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'user_email'
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_hash'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'used_at'
+  }
+}, {
+  tableName: 'password_reset_tokens',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_email']
+    }
+  ]
+});
+
+module.exports = PasswordResetToken;
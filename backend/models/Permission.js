@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A named permission checked by routes, such as students.delete
+const Permission = sequelize.define('Permission', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'permissions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = Permission;
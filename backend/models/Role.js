@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A staff role, such as hod or librarian, granting a set of permissions.
+// Department-scoped roles are assigned per department (see UserRole).
+const Role = sequelize.define('Role', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  departmentScoped: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'department_scoped'
+  }
+}, {
+  tableName: 'roles',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = Role;
@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Room = sequelize.define('Room', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  building: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  capacity: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'rooms',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = Room;
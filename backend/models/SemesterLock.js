@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A semester whose grades are final. Semester numbers repeat every academic
+// year, so a lock covers the subjects of one semester in one academic year;
+// subjects without an academic year fall under the lock without one.
+const SemesterLock = sequelize.define('SemesterLock', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  semester: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  academicYear: {
+    type: DataTypes.STRING(7),
+    allowNull: true,
+    field: 'academic_year'
+  },
+  lockedBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'locked_by'
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'locked_at'
+  },
+  gradingScheme: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    field: 'grading_scheme'
+  }
+}, {
+  tableName: 'semester_locks',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['semester', 'academic_year']
+    }
+  ]
+});
+
+module.exports = SemesterLock;
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A signed-in device. Its access and refresh tokens are stored as SHA-256
+// hashes; every refresh replaces both, and the previous refresh token is kept
+// to recognise a stolen token being replayed.
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'user_email'
+  },
+  accessTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'access_token_hash'
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'refresh_token_hash'
+  },
+  previousRefreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'previous_refresh_token_hash'
+  },
+  accessExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'access_expires_at'
+  },
+  refreshExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'refresh_expires_at'
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    field: 'ip_address'
+  },
+  userAgent: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'user_agent'
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'last_seen_at'
+  },
+  // When the user last confirmed an authenticator code on this session
+  mfaVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'mfa_verified_at'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  }
+}, {
+  tableName: 'sessions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_email']
+    },
+    {
+      fields: ['previous_refresh_token_hash']
+    }
+  ]
+});
+
+module.exports = Session;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { hashPasswordField, hashPasswordAttribute } = require('../utils/password');
 
 const Student = sequelize.define('Student', {
   id: {
@@ -117,7 +118,12 @@ const Student = sequelize.define('Student', {
   tableName: 'students',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  hooks: {
+    beforeSave: hashPasswordField,
+    beforeBulkCreate: (instances) => Promise.all(instances.map(hashPasswordField)),
+    beforeBulkUpdate: hashPasswordAttribute
+  }
 });
 
 module.exports = Student;
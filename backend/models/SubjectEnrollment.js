@@ -21,6 +21,15 @@ const SubjectEnrollment = sequelize.define('SubjectEnrollment', {
     type: DataTypes.INTEGER,
     allowNull: false
   },
+  semester: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  academicYear: {
+    type: DataTypes.STRING(7),
+    allowNull: true,
+    field: 'academic_year'
+  },
   facultyEmail: {
     type: DataTypes.STRING,
     allowNull: false,
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SubjectGrade = sequelize.define('SubjectGrade', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subjectId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'subject_id',
+    references: {
+      model: 'subject_enrollments',
+      key: 'id'
+    }
+  },
+  studentEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'student_email',
+    references: {
+      model: 'students',
+      key: 'email'
+    }
+  },
+  semester: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  credits: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  marks: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true
+  },
+  // Attendance percentage at lock time, so attendance changed later does not
+  // move the grade when marks are overridden
+  attendance: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true
+  },
+  grade: {
+    type: DataTypes.STRING(5),
+    allowNull: true
+  },
+  gradePoints: {
+    type: DataTypes.DECIMAL(4, 2),
+    allowNull: true,
+    field: 'grade_points'
+  }
+}, {
+  tableName: 'subject_grades',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['subject_id', 'student_email']
+    }
+  ]
+});
+
+module.exports = SubjectGrade;
@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Submission = sequelize.define('Submission', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  assignmentId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'assignment_id',
+    references: {
+      model: 'assignments',
+      key: 'id'
+    }
+  },
+  studentEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'student_email',
+    references: {
+      model: 'students',
+      key: 'email'
+    }
+  },
+  fileName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'file_name'
+  },
+  filePath: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'file_path'
+  },
+  mimeType: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'mime_type'
+  },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'submitted_at'
+  },
+  isLate: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_late'
+  },
+  marksObtained: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true,
+    field: 'marks_obtained'
+  },
+  feedback: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  gradedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'graded_by'
+  },
+  gradedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'graded_at'
+  }
+}, {
+  tableName: 'submissions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  defaultScope: {
+    attributes: { exclude: ['filePath'] }
+  },
+  scopes: {
+    withFile: {
+      attributes: { include: ['filePath'] }
+    }
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['assignment_id', 'student_email']
+    }
+  ]
+});
+
+module.exports = Submission;
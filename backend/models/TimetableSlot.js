@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A weekly meeting of a subject in one period of one day
+const TimetableSlot = sequelize.define('TimetableSlot', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subjectId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'subject_id',
+    references: {
+      model: 'subject_enrollments',
+      key: 'id'
+    }
+  },
+  roomId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'room_id',
+    references: {
+      model: 'rooms',
+      key: 'id'
+    }
+  },
+  dayOfWeek: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'day_of_week'
+  },
+  period: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'created_by'
+  }
+}, {
+  tableName: 'timetable_slots',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['room_id', 'day_of_week', 'period']
+    },
+    {
+      fields: ['subject_id']
+    }
+  ]
+});
+
+module.exports = TimetableSlot;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { hashPasswordField, hashPasswordAttribute } = require('../utils/password');
 
 const User = sequelize.define('User', {
   id: {
@@ -37,12 +38,56 @@ const User = sequelize.define('User', {
   password: {
     type: DataTypes.STRING,
     allowNull: true
+  },
+  // Set for one-time initial passwords until the user picks their own
+  mustChangePassword: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'must_change_password'
+  },
+  // Authenticator app secret in base32, kept from enrolment until MFA is turned off
+  mfaSecret: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'mfa_secret'
+  },
+  // Set once an authenticator code confirmed the enrolment
+  mfaEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'mfa_enabled'
+  },
+  // Time step of the last accepted code, so a code cannot be used twice
+  mfaLastStep: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'mfa_last_step'
+  },
+  // Invalid codes in a row, reset by a valid one
+  mfaFailedAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'mfa_failed_attempts'
+  },
+  // Codes are refused until then after too many invalid ones
+  mfaLockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'mfa_locked_until'
   }
 }, {
   tableName: 'users',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  hooks: {
+    beforeSave: hashPasswordField,
+    beforeBulkCreate: (instances) => Promise.all(instances.map(hashPasswordField)),
+    beforeBulkUpdate: hashPasswordAttribute
+  }
 });
 
 module.exports = User;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A role held by a user, on top of their account type. Department-scoped roles
+// name the department (a student branch or faculty department) they cover.
+const UserRole = sequelize.define('UserRole', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'user_email'
+  },
+  roleId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'role_id'
+  },
+  department: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  assignedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'assigned_by'
+  }
+}, {
+  tableName: 'user_roles',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_email', 'role_id', 'department']
+    }
+  ]
+});
+
+module.exports = UserRole;
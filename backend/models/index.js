@@ -9,6 +9,36 @@ const Attendance = require('./Attendance');
 const Announcement = require('./Announcement');
 const SubjectEnrollment = require('./SubjectEnrollment');
 const Calendar = require('./Calendar');
+const Exam = require('./Exam');
+const ExamResult = require('./ExamResult');
+const Assignment = require('./Assignment');
+const Submission = require('./Submission');
+const Book = require('./Book');
+const BookCopy = require('./BookCopy');
+const Loan = require('./Loan');
+const GradeBand = require('./GradeBand');
+const SemesterLock = require('./SemesterLock');
+const SubjectGrade = require('./SubjectGrade');
+const GradeOverride = require('./GradeOverride');
+const Event = require('./Event');
+const FeedToken = require('./FeedToken');
+const Room = require('./Room');
+const TimetableSlot = require('./TimetableSlot');
+const ClassSession = require('./ClassSession');
+const CheckinSession = require('./CheckinSession');
+const CheckinRecord = require('./CheckinRecord');
+const AttendanceThreshold = require('./AttendanceThreshold');
+const Condonation = require('./Condonation');
+const Notification = require('./Notification');
+const LeaveRequest = require('./LeaveRequest');
+const AttendanceAudit = require('./AttendanceAudit');
+const AttendanceCorrection = require('./AttendanceCorrection');
+const PasswordResetToken = require('./PasswordResetToken');
+const Session = require('./Session');
+const MfaRecoveryCode = require('./MfaRecoveryCode');
+const Role = require('./Role');
+const Permission = require('./Permission');
+const UserRole = require('./UserRole');
 
 // Define associations
 const defineAssociations = () => {
@@ -76,6 +106,312 @@ const defineAssociations = () => {
     sourceKey: 'id',
     as: 'attendanceRecords'
   });
+
+  // Exam associations
+  Exam.belongsTo(SubjectEnrollment, {
+    foreignKey: 'subjectId',
+    targetKey: 'id',
+    as: 'subject'
+  });
+
+  SubjectEnrollment.hasMany(Exam, {
+    foreignKey: 'subjectId',
+    sourceKey: 'id',
+    as: 'exams'
+  });
+
+  ExamResult.belongsTo(Exam, {
+    foreignKey: 'examId',
+    targetKey: 'id',
+    as: 'exam'
+  });
+
+  Exam.hasMany(ExamResult, {
+    foreignKey: 'examId',
+    sourceKey: 'id',
+    as: 'results'
+  });
+
+  ExamResult.belongsTo(Student, {
+    foreignKey: 'studentEmail',
+    targetKey: 'email',
+    as: 'student'
+  });
+
+  Student.hasMany(ExamResult, {
+    foreignKey: 'studentEmail',
+    sourceKey: 'email',
+    as: 'examResults'
+  });
+
+  // Assignment associations
+  Assignment.belongsTo(SubjectEnrollment, {
+    foreignKey: 'subjectId',
+    targetKey: 'id',
+    as: 'subject'
+  });
+
+  SubjectEnrollment.hasMany(Assignment, {
+    foreignKey: 'subjectId',
+    sourceKey: 'id',
+    as: 'assignments'
+  });
+
+  Submission.belongsTo(Assignment, {
+    foreignKey: 'assignmentId',
+    targetKey: 'id',
+    as: 'assignment'
+  });
+
+  Assignment.hasMany(Submission, {
+    foreignKey: 'assignmentId',
+    sourceKey: 'id',
+    as: 'submissions'
+  });
+
+  Submission.belongsTo(Student, {
+    foreignKey: 'studentEmail',
+    targetKey: 'email',
+    as: 'student'
+  });
+
+  Student.hasMany(Submission, {
+    foreignKey: 'studentEmail',
+    sourceKey: 'email',
+    as: 'submissions'
+  });
+
+  // Library associations
+  Loan.belongsTo(Book, {
+    foreignKey: 'bookId',
+    targetKey: 'id',
+    as: 'book'
+  });
+
+  Book.hasMany(Loan, {
+    foreignKey: 'bookId',
+    sourceKey: 'id',
+    as: 'loans'
+  });
+
+  BookCopy.belongsTo(Book, {
+    foreignKey: 'bookId',
+    targetKey: 'id',
+    as: 'book'
+  });
+
+  Book.hasMany(BookCopy, {
+    foreignKey: 'bookId',
+    sourceKey: 'id',
+    as: 'copies'
+  });
+
+  Loan.belongsTo(BookCopy, {
+    foreignKey: 'copyId',
+    targetKey: 'id',
+    as: 'copy'
+  });
+
+  Loan.belongsTo(Student, {
+    foreignKey: 'studentEmail',
+    targetKey: 'email',
+    as: 'student'
+  });
+
+  Student.hasMany(Loan, {
+    foreignKey: 'studentEmail',
+    sourceKey: 'email',
+    as: 'loans'
+  });
+
+  // Grade associations
+  SubjectGrade.belongsTo(SubjectEnrollment, {
+    foreignKey: 'subjectId',
+    targetKey: 'id',
+    as: 'subject'
+  });
+
+  SubjectEnrollment.hasMany(SubjectGrade, {
+    foreignKey: 'subjectId',
+    sourceKey: 'id',
+    as: 'grades'
+  });
+
+  SubjectGrade.belongsTo(Student, {
+    foreignKey: 'studentEmail',
+    targetKey: 'email',
+    as: 'student'
+  });
+
+  Student.hasMany(SubjectGrade, {
+    foreignKey: 'studentEmail',
+    sourceKey: 'email',
+    as: 'subjectGrades'
+  });
+
+  GradeOverride.belongsTo(SubjectEnrollment, {
+    foreignKey: 'subjectId',
+    targetKey: 'id',
+    as: 'subject'
+  });
+
+  // Timetable associations
+  TimetableSlot.belongsTo(SubjectEnrollment, {
+    foreignKey: 'subjectId',
+    targetKey: 'id',
+    as: 'subject'
+  });
+
+  SubjectEnrollment.hasMany(TimetableSlot, {
+    foreignKey: 'subjectId',
+    sourceKey: 'id',
+    as: 'timetableSlots'
+  });
+
+  TimetableSlot.belongsTo(Room, {
+    foreignKey: 'roomId',
+    targetKey: 'id',
+    as: 'room'
+  });
+
+  Room.hasMany(TimetableSlot, {
+    foreignKey: 'roomId',
+    sourceKey: 'id',
+    as: 'slots'
+  });
+
+  Attendance.belongsTo(TimetableSlot, {
+    foreignKey: 'slotId',
+    targetKey: 'id',
+    as: 'slot'
+  });
+
+  ClassSession.belongsTo(SubjectEnrollment, {
+    foreignKey: 'subjectId',
+    targetKey: 'id',
+    as: 'subject'
+  });
+
+  ClassSession.belongsTo(Room, {
+    foreignKey: 'roomId',
+    targetKey: 'id',
+    as: 'room'
+  });
+
+  // Check-in associations
+  CheckinSession.belongsTo(SubjectEnrollment, {
+    foreignKey: 'subjectId',
+    targetKey: 'id',
+    as: 'subject'
+  });
+
+  CheckinSession.hasMany(CheckinRecord, {
+    foreignKey: 'sessionId',
+    sourceKey: 'id',
+    as: 'records'
+  });
+
+  CheckinRecord.belongsTo(CheckinSession, {
+    foreignKey: 'sessionId',
+    targetKey: 'id',
+    as: 'session'
+  });
+
+  CheckinRecord.belongsTo(Student, {
+    foreignKey: 'studentEmail',
+    targetKey: 'email',
+    as: 'student'
+  });
+
+  // Condonation associations
+  Condonation.belongsTo(SubjectEnrollment, {
+    foreignKey: 'subjectId',
+    targetKey: 'id',
+    as: 'subject'
+  });
+
+  Condonation.belongsTo(Student, {
+    foreignKey: 'studentEmail',
+    targetKey: 'email',
+    as: 'student'
+  });
+
+  // Leave associations
+  LeaveRequest.belongsTo(Student, {
+    foreignKey: 'studentEmail',
+    targetKey: 'email',
+    as: 'student'
+  });
+
+  Student.hasMany(LeaveRequest, {
+    foreignKey: 'studentEmail',
+    sourceKey: 'email',
+    as: 'leaveRequests'
+  });
+
+  LeaveRequest.belongsTo(SubjectEnrollment, {
+    foreignKey: 'subjectId',
+    targetKey: 'id',
+    as: 'subject'
+  });
+
+  Attendance.belongsTo(LeaveRequest, {
+    foreignKey: 'leaveRequestId',
+    targetKey: 'id',
+    as: 'leaveRequest'
+  });
+
+  // Attendance audit and correction associations
+  AttendanceAudit.belongsTo(Attendance, {
+    foreignKey: 'attendanceId',
+    targetKey: 'id',
+    as: 'attendance'
+  });
+
+  Attendance.hasMany(AttendanceAudit, {
+    foreignKey: 'attendanceId',
+    sourceKey: 'id',
+    as: 'audits'
+  });
+
+  AttendanceCorrection.belongsTo(Attendance, {
+    foreignKey: 'attendanceId',
+    targetKey: 'id',
+    as: 'attendance'
+  });
+
+  AttendanceCorrection.belongsTo(Student, {
+    foreignKey: 'studentEmail',
+    targetKey: 'email',
+    as: 'student'
+  });
+
+  // Role and permission associations
+  Role.belongsToMany(Permission, {
+    through: 'role_permissions',
+    foreignKey: 'roleId',
+    otherKey: 'permissionId',
+    as: 'permissions'
+  });
+
+  Permission.belongsToMany(Role, {
+    through: 'role_permissions',
+    foreignKey: 'permissionId',
+    otherKey: 'roleId',
+    as: 'roles'
+  });
+
+  UserRole.belongsTo(Role, {
+    foreignKey: 'roleId',
+    targetKey: 'id',
+    as: 'role'
+  });
+
+  Role.hasMany(UserRole, {
+    foreignKey: 'roleId',
+    sourceKey: 'id',
+    as: 'assignments'
+  });
 };
 
 // Initialize associations
@@ -101,5 +437,35 @@ module.exports = {
   Announcement,
   SubjectEnrollment,
   Calendar,
+  Exam,
+  ExamResult,
+  Assignment,
+  Submission,
+  Book,
+  BookCopy,
+  Loan,
+  GradeBand,
+  SemesterLock,
+  SubjectGrade,
+  GradeOverride,
+  Event,
+  FeedToken,
+  Room,
+  TimetableSlot,
+  ClassSession,
+  CheckinSession,
+  CheckinRecord,
+  AttendanceThreshold,
+  Condonation,
+  Notification,
+  LeaveRequest,
+  AttendanceAudit,
+  AttendanceCorrection,
+  PasswordResetToken,
+  Session,
+  MfaRecoveryCode,
+  Role,
+  Permission,
+  UserRole,
   syncDatabase
 };
@@ -0,0 +1,130 @@
+const { SubjectEnrollment } = require('../models');
+
+// Ownership rules for subjects. The faculty a request acts for always comes
+// from the signed-in user, never from the request body: faculty act for
+// themselves and admins act for whoever teaches the subject.
+
+/**
+ * Check whether a user may manage a subject
+ * @param {Object} user - Authenticated user
+ * @param {Object} subject - Subject enrollment
+ * @returns {boolean} True for admins and the faculty teaching the subject
+ */
+const canManageSubject = (user, subject) => {
+  if (!user || !subject) {
+    return false;
+  }
+  if (user.role === 'admin') {
+    return true;
+  }
+  return user.role === 'faculty' && subject.facultyEmail === user.email;
+};
+
+/**
+ * Check whether a user may act for a faculty member, such as listing their subjects
+ * @param {Object} user - Authenticated user
+ * @param {string} facultyEmail - Faculty email
+ * @returns {boolean} True for admins and the faculty member themselves
+ */
+const canActAsFaculty = (user, facultyEmail) => {
+  if (!user || !facultyEmail) {
+    return false;
+  }
+  if (user.role === 'admin') {
+    return true;
+  }
+  return user.role === 'faculty' && user.email === facultyEmail;
+};
+
+/**
+ * Work out which faculty member a request acts for
+ * Faculty always act for themselves; naming anyone else is refused. Admins act
+ * for the faculty teaching the subject, or the one they name when there is no
+ * subject yet.
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { subject, requestedEmail }
+ * @returns {string|null} Faculty email, or null if the user may not act for them
+ */
+const resolveActingFaculty = (user, { subject = null, requestedEmail = null } = {}) => {
+  if (!user) {
+    return null;
+  }
+  if (subject) {
+    if (!canManageSubject(user, subject)) {
+      return null;
+    }
+    if (requestedEmail && requestedEmail !== subject.facultyEmail) {
+      return null;
+    }
+    return subject.facultyEmail;
+  }
+  if (user.role === 'faculty') {
+    return !requestedEmail || requestedEmail === user.email ? user.email : null;
+  }
+  return user.role === 'admin' ? requestedEmail || null : null;
+};
+
+/**
+ * Middleware loading a subject the user manages into req.subject
+ * @param {Function} getSubjectId - Reads the subject ID from the request, by default req.params.subjectId
+ * @param {Object} findOptions - Options for SubjectEnrollment.findByPk, such as include
+ * @returns {Function} Express middleware
+ */
+const loadManagedSubject = (getSubjectId = (req) => req.params.subjectId, findOptions = {}) => async (req, res, next) => {
+  try {
+    const subjectId = getSubjectId(req);
+    if (subjectId === undefined || subjectId === null || isNaN(parseInt(subjectId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subject ID must be a valid number'
+      });
+    }
+
+    const subject = await SubjectEnrollment.findByPk(subjectId, findOptions);
+    if (!subject) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subject not found'
+      });
+    }
+    if (!canManageSubject(req.user, subject)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    req.subject = subject;
+    next();
+  } catch (error) {
+    console.error('Load subject error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Middleware allowing only admins and the faculty member named by req.params.email
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const requireFacultySelf = (req, res, next) => {
+  if (!canActAsFaculty(req.user, req.params.email)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Access denied'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  canManageSubject,
+  canActAsFaculty,
+  resolveActingFaculty,
+  loadManagedSubject,
+  requireFacultySelf
+};
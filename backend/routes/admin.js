@@ -3,7 +3,10 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const AdminService = require('../services/AdminService');
-const AuthService = require('../services/AuthService');
+const { requirePermission, requireStepUp } = require('../middleware/auth');
+const TranscriptService = require('../services/TranscriptService');
+const AttendanceEligibilityService = require('../services/AttendanceEligibilityService');
+const PermissionService = require('../services/PermissionService');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -22,46 +25,31 @@ const upload = multer({
   }
 });
 
-// Middleware to verify admin access
-const verifyAdminAccess = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Authorization header with Bearer token is required'
-      });
-    }
+// Department of the student or faculty a route acts on, for roles held for one department
+const studentBranch = async (req) => {
+  const student = await AdminService.getStudentByRollNo(req.params.rollNo);
+  return student ? student.branch : null;
+};
 
-    const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
-    
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Admin access required'
-      });
-    }
+const facultyDepartment = async (req) => {
+  const faculty = await AdminService.getFacultyByEmail(req.params.email);
+  return faculty ? faculty.department : null;
+};
 
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      status: 'error',
-      message: error.message
-    });
-  }
+// Refuse moving a record into a department the user's role does not cover
+const outsideDepartments = (req, department) => {
+  return req.permissionDepartments !== null && department !== undefined &&
+    !req.permissionDepartments.includes(department);
 };
 
-// Apply admin verification to all routes
-router.use(verifyAdminAccess);
+// Every route checks a named permission; destructive ones also need an MFA step-up
 
 /**
  * @route POST /api/admin/upload-student-details
  * @desc Upload student details in bulk from CSV
- * @access Private (Admin)
+ * @access Private (students.upload permission, MFA step-up)
  */
-router.post('/upload-student-details', upload.single('file'), async (req, res) => {
+router.post('/upload-student-details', requirePermission('students.upload'), requireStepUp, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -90,9 +78,9 @@ router.post('/upload-student-details', upload.single('file'), async (req, res) =
 /**
  * @route POST /api/admin/upload-student
  * @desc Upload individual student detail
- * @access Private (Admin)
+ * @access Private (students.create permission)
  */
-router.post('/upload-student', async (req, res) => {
+router.post('/upload-student', requirePermission('students.create', { department: (req) => req.body.branch }), async (req, res) => {
   try {
     const { name, email } = req.body;
 
@@ -141,9 +129,9 @@ router.post('/upload-student', async (req, res) => {
 /**
  * @route POST /api/admin/upload-faculty
  * @desc Upload faculty detail
- * @access Private (Admin)
+ * @access Private (faculty.create permission)
  */
-router.post('/upload-faculty', async (req, res) => {
+router.post('/upload-faculty', requirePermission('faculty.create', { department: (req) => req.body.department }), async (req, res) => {
   try {
     const faculty = await AdminService.uploadFacultyDetail(req.body);
     
@@ -165,9 +153,9 @@ router.post('/upload-faculty', async (req, res) => {
 /**
  * @route GET /api/admin/student/:rollNo
  * @desc Get student by roll number
- * @access Private (Admin)
+ * @access Private (students.view permission)
  */
-router.get('/student/:rollNo', async (req, res) => {
+router.get('/student/:rollNo', requirePermission('students.view', { department: studentBranch }), async (req, res) => {
   try {
     const { rollNo } = req.params;
     const student = await AdminService.getStudentByRollNo(rollNo);
@@ -196,11 +184,19 @@ router.get('/student/:rollNo', async (req, res) => {
 /**
  * @route PUT /api/admin/student/:rollNo
  * @desc Update student
- * @access Private (Admin)
+ * @access Private (students.update permission)
  */
-router.put('/student/:rollNo', async (req, res) => {
+router.put('/student/:rollNo', requirePermission('students.update', { department: studentBranch }), async (req, res) => {
   try {
     const { rollNo } = req.params;
+
+    if (outsideDepartments(req, req.body.branch)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only move students between branches you manage'
+      });
+    }
+
     const student = await AdminService.updateStudent(rollNo, req.body);
     
     if (!student) {
@@ -228,9 +224,9 @@ router.put('/student/:rollNo', async (req, res) => {
 /**
  * @route DELETE /api/admin/student/:rollNo
  * @desc Delete student
- * @access Private (Admin)
+ * @access Private (students.delete permission, MFA step-up)
  */
-router.delete('/student/:rollNo', async (req, res) => {
+router.delete('/student/:rollNo', requirePermission('students.delete', { department: studentBranch }), requireStepUp, async (req, res) => {
   try {
     const { rollNo } = req.params;
     const success = await AdminService.deleteStudent(rollNo);
@@ -259,9 +255,9 @@ router.delete('/student/:rollNo', async (req, res) => {
 /**
  * @route GET /api/admin/faculty/:email
  * @desc Get faculty by email
- * @access Private (Admin)
+ * @access Private (faculty.view permission)
  */
-router.get('/faculty/:email', async (req, res) => {
+router.get('/faculty/:email', requirePermission('faculty.view', { department: facultyDepartment }), async (req, res) => {
   try {
     const { email } = req.params;
     const faculty = await AdminService.getFacultyByEmail(email);
@@ -290,11 +286,19 @@ router.get('/faculty/:email', async (req, res) => {
 /**
  * @route PUT /api/admin/faculty/:email
  * @desc Update faculty
- * @access Private (Admin)
+ * @access Private (faculty.update permission)
  */
-router.put('/faculty/:email', async (req, res) => {
+router.put('/faculty/:email', requirePermission('faculty.update', { department: facultyDepartment }), async (req, res) => {
   try {
     const { email } = req.params;
+
+    if (outsideDepartments(req, req.body.department)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only move faculty between departments you manage'
+      });
+    }
+
     const faculty = await AdminService.updateFaculty(email, req.body);
     
     if (!faculty) {
@@ -322,9 +326,9 @@ router.put('/faculty/:email', async (req, res) => {
 /**
  * @route DELETE /api/admin/faculty/:email
  * @desc Delete faculty
- * @access Private (Admin)
+ * @access Private (faculty.delete permission, MFA step-up)
  */
-router.delete('/faculty/:email', async (req, res) => {
+router.delete('/faculty/:email', requirePermission('faculty.delete', { department: facultyDepartment }), requireStepUp, async (req, res) => {
   try {
     const { email } = req.params;
     const success = await AdminService.deleteFaculty(email);
@@ -353,11 +357,11 @@ router.delete('/faculty/:email', async (req, res) => {
 /**
  * @route GET /api/admin/students
  * @desc Get all students
- * @access Private (Admin)
+ * @access Private (students.view permission)
  */
-router.get('/students', async (req, res) => {
+router.get('/students', requirePermission('students.view', { scoped: true }), async (req, res) => {
   try {
-    const students = await AdminService.getAllStudents();
+    const students = await AdminService.getAllStudents({ branches: req.permissionDepartments });
     
     res.json({
       status: 'success',
@@ -376,11 +380,11 @@ router.get('/students', async (req, res) => {
 /**
  * @route GET /api/admin/faculty
  * @desc Get all faculty
- * @access Private (Admin)
+ * @access Private (faculty.view permission)
  */
-router.get('/faculty', async (req, res) => {
+router.get('/faculty', requirePermission('faculty.view', { scoped: true }), async (req, res) => {
   try {
-    const faculty = await AdminService.getAllFaculty();
+    const faculty = await AdminService.getAllFaculty({ departments: req.permissionDepartments });
     
     res.json({
       status: 'success',
@@ -396,4 +400,410 @@ router.get('/faculty', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/admin/transcripts
+ * @desc Download the transcripts of all students matching course, branch and semester as one PDF
+ * @access Private (transcripts.download permission)
+ */
+router.get('/transcripts', requirePermission('transcripts.download', { department: (req) => req.query.branch }), async (req, res) => {
+  try {
+    const { course, branch, semester } = req.query;
+
+    if (semester !== undefined && isNaN(parseInt(semester))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Semester must be a number'
+      });
+    }
+
+    const transcripts = await TranscriptService.generateBulkTranscripts({
+      course,
+      branch,
+      semester: semester !== undefined ? parseInt(semester) : undefined
+    });
+
+    if (!transcripts) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No students found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${transcripts.fileName}"`,
+      'Content-Length': transcripts.data.length
+    });
+
+    res.send(transcripts.data);
+
+  } catch (error) {
+    console.error('Generate bulk transcripts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/attendance/thresholds
+ * @desc Get the default and the course and subject attendance thresholds
+ * @access Private (attendance.thresholds permission)
+ */
+router.get('/attendance/thresholds', requirePermission('attendance.thresholds'), async (req, res) => {
+  try {
+    const thresholds = await AttendanceEligibilityService.getThresholds();
+
+    res.json({
+      status: 'success',
+      ...thresholds
+    });
+
+  } catch (error) {
+    console.error('Get attendance thresholds error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/attendance/thresholds
+ * @desc Set the minimum attendance of a course or subject
+ * @access Private (attendance.thresholds permission)
+ */
+router.put('/attendance/thresholds', requirePermission('attendance.thresholds'), async (req, res) => {
+  try {
+    const threshold = await AttendanceEligibilityService.setThreshold(req.body, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Attendance threshold saved successfully',
+      threshold
+    });
+
+  } catch (error) {
+    console.error('Set attendance threshold error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/attendance/thresholds/:id
+ * @desc Delete an attendance threshold
+ * @access Private (attendance.thresholds permission)
+ */
+router.delete('/attendance/thresholds/:id', requirePermission('attendance.thresholds'), async (req, res) => {
+  try {
+    const deleted = await AttendanceEligibilityService.deleteThreshold(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Attendance threshold not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Attendance threshold deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete attendance threshold error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/attendance/ineligible
+ * @desc List students short of attendance per subject, optionally for one subjectId
+ * @access Private (attendance.eligibility permission)
+ */
+router.get('/attendance/ineligible', requirePermission('attendance.eligibility'), async (req, res) => {
+  try {
+    const { subjectId } = req.query;
+    if (subjectId !== undefined && isNaN(parseInt(subjectId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subject ID must be a valid number'
+      });
+    }
+
+    const report = await AttendanceEligibilityService.getIneligibleReport({ subjectId });
+
+    res.json({
+      status: 'success',
+      subjects: report
+    });
+
+  } catch (error) {
+    console.error('Get ineligible students error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/attendance/condonations/:subjectId/:studentEmail
+ * @desc Condone or reject a student's attendance shortage in a subject
+ * @access Private (attendance.eligibility permission)
+ */
+router.put('/attendance/condonations/:subjectId/:studentEmail', requirePermission('attendance.eligibility'), async (req, res) => {
+  try {
+    const { subjectId, studentEmail } = req.params;
+    const condonation = await AttendanceEligibilityService.recordCondonation(subjectId, studentEmail, req.body, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Condonation decision recorded',
+      condonation
+    });
+
+  } catch (error) {
+    console.error('Record condonation error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/attendance/alerts
+ * @desc Send low attendance alerts now instead of waiting for the scheduled job
+ * @access Private (attendance.alerts permission)
+ */
+router.post('/attendance/alerts', requirePermission('attendance.alerts'), async (req, res) => {
+  try {
+    const result = await AttendanceEligibilityService.sendLowAttendanceAlerts();
+
+    res.json({
+      status: 'success',
+      message: `Sent ${result.notificationsSent} notification(s)`,
+      result
+    });
+
+  } catch (error) {
+    console.error('Send attendance alerts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/roles
+ * @desc Get every staff role with its permissions, and the permissions that exist
+ * @access Private (roles.manage permission)
+ */
+router.get('/roles', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { roles, permissions } = await PermissionService.getRoles();
+
+    res.json({
+      status: 'success',
+      roles: roles,
+      permissions: permissions
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/roles
+ * @desc Create a staff role with a name, description, departmentScoped flag and permissions the user holds
+ * @access Private (roles.manage permission, MFA step-up)
+ */
+router.post('/roles', requirePermission('roles.manage'), requireStepUp, async (req, res) => {
+  try {
+    const { name, description, departmentScoped, permissions } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Role name is required'
+      });
+    }
+
+    const role = await PermissionService.createRole({ name, description, departmentScoped, permissions }, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Role created successfully',
+      role: role
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/roles/:id/permissions
+ * @desc Replace the permissions of a role; added permissions must be held by the user
+ * @access Private (roles.manage permission, MFA step-up)
+ */
+router.put('/roles/:id/permissions', requirePermission('roles.manage'), requireStepUp, async (req, res) => {
+  try {
+    const role = await PermissionService.setRolePermissions(req.params.id, req.body.permissions, req.user);
+
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Role permissions updated successfully',
+      role: role
+    });
+
+  } catch (error) {
+    console.error('Update role permissions error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/roles/:id
+ * @desc Delete a role, taking it away from everyone holding it
+ * @access Private (roles.manage permission, MFA step-up)
+ */
+router.delete('/roles/:id', requirePermission('roles.manage'), requireStepUp, async (req, res) => {
+  try {
+    const success = await PermissionService.deleteRole(req.params.id);
+
+    if (!success) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/role-assignments
+ * @desc Get who holds which role, optionally for one user by email
+ * @access Private (roles.manage permission)
+ */
+router.get('/role-assignments', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const assignments = await PermissionService.getAssignments({ userEmail: req.query.email });
+
+    res.json({
+      status: 'success',
+      assignments: assignments
+    });
+
+  } catch (error) {
+    console.error('Get role assignments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/role-assignments
+ * @desc Give another user a role whose permissions the user holds, for one department if the role is department-scoped
+ * @access Private (roles.manage permission, MFA step-up)
+ */
+router.post('/role-assignments', requirePermission('roles.manage'), requireStepUp, async (req, res) => {
+  try {
+    const { userEmail, roleId, department } = req.body;
+
+    if (!userEmail || !roleId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User email and role are required'
+      });
+    }
+
+    const assignment = await PermissionService.assignRole({ userEmail, roleId, department }, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Role assigned successfully',
+      assignment: assignment
+    });
+
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/role-assignments/:id
+ * @desc Take a role away from a user
+ * @access Private (roles.manage permission, MFA step-up)
+ */
+router.delete('/role-assignments/:id', requirePermission('roles.manage'), requireStepUp, async (req, res) => {
+  try {
+    const success = await PermissionService.unassignRole(req.params.id);
+
+    if (!success) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role assignment not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Role removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Unassign role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -1,76 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const AnnouncementService = require('../services/AnnouncementService');
-const AuthService = require('../services/AuthService');
-
-// Middleware to verify admin access for write operations
-const verifyAdminAccess = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Authorization header with Bearer token is required'
-      });
-    }
-
-    const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
-    
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Admin access required'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      status: 'error',
-      message: error.message
-    });
-  }
-};
-
-// Middleware to verify any authenticated user for read operations
-const verifyAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Authorization header with Bearer token is required'
-      });
-    }
-
-    const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
-    
-    if (!user) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid token'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      status: 'error',
-      message: error.message
-    });
-  }
-};
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * @route POST /api/announcements
  * @desc Create a new announcement
- * @access Private (Admin)
+ * @access Private (announcements.manage permission)
  */
-router.post('/', verifyAdminAccess, async (req, res) => {
+router.post('/', requirePermission('announcements.manage'), async (req, res) => {
   try {
     const { message } = req.body;
 
@@ -112,7 +50,7 @@ router.post('/', verifyAdminAccess, async (req, res) => {
  * @desc Get all announcements
  * @access Private (Any authenticated user)
  */
-router.get('/', verifyAuth, async (req, res) => {
+router.get('/', authenticate, async (req, res) => {
   try {
     const announcements = await AnnouncementService.getAllAnnouncements();
     
@@ -135,7 +73,7 @@ router.get('/', verifyAuth, async (req, res) => {
  * @desc Get paginated announcements
  * @access Private (Any authenticated user)
  */
-router.get('/paginated', verifyAuth, async (req, res) => {
+router.get('/paginated', authenticate, async (req, res) => {
   try {
     let { page = 1, limit = 10 } = req.query;
 
@@ -178,7 +116,7 @@ router.get('/paginated', verifyAuth, async (req, res) => {
  * @desc Get the most recent announcement
  * @access Private (Any authenticated user)
  */
-router.get('/current', verifyAuth, async (req, res) => {
+router.get('/current', authenticate, async (req, res) => {
   try {
     const announcement = await AnnouncementService.getCurrentAnnouncement();
     
@@ -208,7 +146,7 @@ router.get('/current', verifyAuth, async (req, res) => {
  * @desc Get announcement by ID
  * @access Private (Any authenticated user)
  */
-router.get('/:id', verifyAuth, async (req, res) => {
+router.get('/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -246,9 +184,9 @@ router.get('/:id', verifyAuth, async (req, res) => {
 /**
  * @route PUT /api/announcements/:id
  * @desc Update an announcement
- * @access Private (Admin)
+ * @access Private (announcements.manage permission)
  */
-router.put('/:id', verifyAdminAccess, async (req, res) => {
+router.put('/:id', requirePermission('announcements.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { message } = req.body;
@@ -287,9 +225,9 @@ router.put('/:id', verifyAdminAccess, async (req, res) => {
 /**
  * @route DELETE /api/announcements/:id
  * @desc Delete an announcement
- * @access Private (Admin)
+ * @access Private (announcements.manage permission)
  */
-router.delete('/:id', verifyAdminAccess, async (req, res) => {
+router.delete('/:id', requirePermission('announcements.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const success = await AnnouncementService.deleteAnnouncement(id);
@@ -0,0 +1,403 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const AssignmentService = require('../services/AssignmentService');
+const SubjectEnrollmentService = require('../services/SubjectEnrollmentService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { createPrivateUpload } = require('../utils/privateUpload');
+
+// Attachments and submissions are only sent through the download routes below
+const upload = createPrivateUpload('assignments');
+
+// Load the assignment named in the route and check the user may see it
+const loadAssignment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid assignment ID is required'
+      });
+    }
+
+    const assignment = await AssignmentService.getAssignmentById(id);
+    if (!assignment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment not found'
+      });
+    }
+
+    let allowed;
+    if (req.user.role === 'student') {
+      const subjectIds = await SubjectEnrollmentService.getEnrolledSubjectIds(req.user.email);
+      allowed = subjectIds.includes(assignment.subjectId);
+    } else {
+      allowed = SubjectEnrollmentService.canManageSubject(req.user, assignment.subject);
+    }
+
+    if (!allowed) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    req.assignment = assignment;
+    next();
+  } catch (error) {
+    console.error('Load assignment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Stream an uploaded file back to the client
+const sendUploadedFile = (res, filePath, fileName) => {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'File not found'
+    });
+  }
+
+  res.download(filePath, fileName);
+};
+
+/**
+ * @route POST /api/assignments
+ * @desc Create an assignment with an optional attachment
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.post('/', requireRole('faculty', 'admin'), upload.single('attachment'), async (req, res) => {
+  try {
+    const { subjectId } = req.body;
+
+    if (!subjectId || isNaN(parseInt(subjectId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subject ID must be a valid number'
+      });
+    }
+
+    const assignment = await AssignmentService.createAssignment(req.body, req.file, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Assignment created successfully',
+      assignment: assignment
+    });
+
+  } catch (error) {
+    console.error('Create assignment error:', error);
+    if (req.file) {
+      AssignmentService.removeFile(req.file.path);
+    }
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/assignments
+ * @desc Get assignments visible to the current user, optionally filtered by subject
+ * @access Private (Any authenticated user)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { subjectId } = req.query;
+
+    if (subjectId && isNaN(parseInt(subjectId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subject ID must be a valid number'
+      });
+    }
+
+    const assignments = await AssignmentService.getAssignmentsForUser(req.user, subjectId);
+
+    res.json({
+      status: 'success',
+      assignments: assignments
+    });
+
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/assignments/submissions/:submissionId/file
+ * @desc Download a submitted file
+ * @access Private (Submitting student/Faculty teaching the subject/Admin)
+ */
+router.get('/submissions/:submissionId/file', authenticate, async (req, res) => {
+  try {
+    const submission = await AssignmentService.getSubmissionById(req.params.submissionId);
+
+    if (!submission) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Submission not found'
+      });
+    }
+
+    const isOwner = req.user.email === submission.studentEmail;
+    if (!isOwner && !SubjectEnrollmentService.canManageSubject(req.user, submission.assignment.subject)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    sendUploadedFile(res, await AssignmentService.getSubmissionFilePath(submission.id), submission.fileName);
+
+  } catch (error) {
+    console.error('Download submission error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/assignments/submissions/:submissionId/grade
+ * @desc Grade a submission with marks and feedback; regrading in a locked semester needs an admin and an overrideReason
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.put('/submissions/:submissionId/grade', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const { marksObtained } = req.body;
+
+    if (marksObtained === undefined || marksObtained === null || isNaN(parseFloat(marksObtained))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Marks obtained must be a valid number'
+      });
+    }
+
+    const submission = await AssignmentService.getSubmissionById(req.params.submissionId);
+
+    if (!submission) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Submission not found'
+      });
+    }
+
+    if (!SubjectEnrollmentService.canManageSubject(req.user, submission.assignment.subject)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const graded = await AssignmentService.gradeSubmission(submission, req.body, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Submission graded successfully',
+      submission: graded
+    });
+
+  } catch (error) {
+    console.error('Grade submission error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/assignments/:id
+ * @desc Get assignment by ID
+ * @access Private (Enrolled students/Faculty teaching the subject/Admin)
+ */
+router.get('/:id', authenticate, loadAssignment, async (req, res) => {
+  res.json({
+    status: 'success',
+    assignment: req.assignment
+  });
+});
+
+/**
+ * @route GET /api/assignments/:id/attachment
+ * @desc Download the assignment attachment
+ * @access Private (Enrolled students/Faculty teaching the subject/Admin)
+ */
+router.get('/:id/attachment', authenticate, loadAssignment, async (req, res) => {
+  try {
+    const attachmentPath = await AssignmentService.getAttachmentPath(req.assignment.id);
+    sendUploadedFile(res, attachmentPath, req.assignment.attachmentName);
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/assignments/:id
+ * @desc Update an assignment, optionally replacing its attachment; changing the maximum marks of a graded assignment in a locked semester needs an admin and an overrideReason
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.put('/:id', requireRole('faculty', 'admin'), loadAssignment, upload.single('attachment'), async (req, res) => {
+  try {
+    const assignment = await AssignmentService.updateAssignment(req.assignment, req.body, req.file, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Assignment updated successfully',
+      assignment: assignment
+    });
+
+  } catch (error) {
+    console.error('Update assignment error:', error);
+    if (req.file) {
+      AssignmentService.removeFile(req.file.path);
+    }
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/assignments/:id
+ * @desc Delete an assignment and its submissions; one that counts towards a locked semester needs an admin and an overrideReason
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.delete('/:id', requireRole('faculty', 'admin'), loadAssignment, async (req, res) => {
+  try {
+    const success = await AssignmentService.deleteAssignment(req.assignment, req.user, req.query.overrideReason || (req.body && req.body.overrideReason));
+
+    if (!success) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Assignment not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Assignment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete assignment error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/assignments/:id/submissions
+ * @desc Submit work for an assignment
+ * @access Private (Enrolled student)
+ */
+router.post('/:id/submissions', requireRole('student'), loadAssignment, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Submission file is required'
+      });
+    }
+
+    const submission = await AssignmentService.submit(
+      req.assignment,
+      req.user.email,
+      req.file,
+      req.body.comment
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: submission.isLate ? 'Submission received after the due date' : 'Submission received',
+      submission: submission
+    });
+
+  } catch (error) {
+    console.error('Submit assignment error:', error);
+    if (req.file) {
+      AssignmentService.removeFile(req.file.path);
+    }
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/assignments/:id/submissions
+ * @desc Get the submission status of every enrolled student
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.get('/:id/submissions', requireRole('faculty', 'admin'), loadAssignment, async (req, res) => {
+  try {
+    const submissions = await AssignmentService.getSubmissions(req.assignment);
+
+    res.json({
+      status: 'success',
+      assignment: req.assignment,
+      submissions: submissions
+    });
+
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/assignments/:id/submissions/mine
+ * @desc Get the current student's submission
+ * @access Private (Enrolled student)
+ */
+router.get('/:id/submissions/mine', requireRole('student'), loadAssignment, async (req, res) => {
+  try {
+    const submission = await AssignmentService.getStudentSubmission(req.assignment.id, req.user.email);
+
+    if (!submission) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No submission found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      submission: submission
+    });
+
+  } catch (error) {
+    console.error('Get own submission error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,82 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const AttendanceService = require('../services/AttendanceService');
-const { SubjectEnrollment, Attendance } = require('../models');
-const AuthService = require('../services/AuthService');
+const CheckinService = require('../services/CheckinService');
+const AttendanceEligibilityService = require('../services/AttendanceEligibilityService');
+const AttendanceRegisterService = require('../services/AttendanceRegisterService');
+const AttendanceQueryService = require('../services/AttendanceQueryService');
+const { SubjectEnrollment, Attendance, Faculty, Student } = require('../models');
+const { authenticate, requireRole } = require('../middleware/auth');
+const subjectPolicy = require('../policies/subjectPolicy');
+
+// Attendance registers are parsed straight from memory
+const registerUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+});
 
-// Middleware to verify faculty access
-const verifyFacultyAccess = async (req, res, next) => {
+// Load a subject the user manages into req.subject
+const loadManagedSubject = subjectPolicy.loadManagedSubject();
+const loadManagedSubjectWithStudents = subjectPolicy.loadManagedSubject((req) => req.params.subjectId, {
+  include: [{ model: Faculty, as: 'faculty' }, { model: Student, as: 'enrolledStudents' }]
+});
+
+// Load the part of the student's attendance the user may see into req.attendanceScope
+const loadStudentScope = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    const scope = await AttendanceQueryService.getScope(req.user, req.params.email);
+    if (!scope) {
+      return res.status(403).json({
         status: 'error',
-        message: 'Authorization header with Bearer token is required'
+        message: 'Access denied'
       });
     }
 
-    const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
-    
-    if (!user || (user.role !== 'faculty' && user.role !== 'admin')) {
+    req.attendanceScope = scope;
+    next();
+  } catch (error) {
+    console.error('Load attendance scope error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Load a check-in session of a subject the user manages into req.checkinSession
+const loadCheckinSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid check-in session ID is required'
+      });
+    }
+
+    const session = await CheckinService.getSessionById(id);
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Check-in session not found'
+      });
+    }
+
+    if (!subjectPolicy.canManageSubject(req.user, session.subject)) {
       return res.status(403).json({
         status: 'error',
-        message: 'Faculty or Admin access required'
+        message: 'Access denied'
       });
     }
 
-    req.user = user;
+    req.checkinSession = session;
     next();
   } catch (error) {
-    res.status(401).json({
+    console.error('Load check-in session error:', error);
+    res.status(500).json({
       status: 'error',
       message: error.message
     });
@@ -38,17 +86,17 @@ const verifyFacultyAccess = async (req, res, next) => {
 /**
  * @route POST /api/attendance/bulk
  * @desc Mark bulk attendance for multiple students
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for their own subjects/Admin)
  */
-router.post('/bulk', verifyFacultyAccess, async (req, res) => {
+router.post('/bulk', requireRole('faculty', 'admin'), async (req, res) => {
   try {
     const { facultyEmail, subjectId, date, studentAttendances } = req.body;
 
     // Input validation
-    if (!facultyEmail || !subjectId || !studentAttendances) {
+    if (!subjectId || !studentAttendances) {
       return res.status(400).json({
         status: 'error',
-        message: 'Faculty email, subject ID, and student attendances are required'
+        message: 'Subject ID and student attendances are required'
       });
     }
 
@@ -59,9 +107,9 @@ router.post('/bulk', verifyFacultyAccess, async (req, res) => {
       });
     }
 
-    // Validate email format
+    // Faculty email is optional; the acting faculty comes from the signed-in user
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(facultyEmail)) {
+    if (facultyEmail && !emailRegex.test(facultyEmail)) {
       return res.status(400).json({
         status: 'error',
         message: 'Invalid faculty email format'
@@ -84,12 +132,31 @@ router.post('/bulk', verifyFacultyAccess, async (req, res) => {
       });
     }
 
-    const result = await AttendanceService.markBulkAttendance(req.body);
+    const subject = await SubjectEnrollment.findByPk(subjectId);
+    if (!subject) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subject not found'
+      });
+    }
+
+    const actingFaculty = subjectPolicy.resolveActingFaculty(req.user, { subject, requestedEmail: facultyEmail });
+    if (!actingFaculty) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const report = await AttendanceService.markBulkAttendance(
+      { ...req.body, facultyEmail: actingFaculty },
+      { user: req.user, source: 'bulk' }
+    );
     
     res.json({
       status: 'success',
-      message: 'Bulk attendance marked successfully',
-      attendance: result
+      message: `Bulk attendance marked successfully: ${report.created} created, ${report.updated} updated, ${report.unchanged} unchanged`,
+      report: report
     });
 
   } catch (error) {
@@ -104,20 +171,14 @@ router.post('/bulk', verifyFacultyAccess, async (req, res) => {
 /**
  * @route GET /api/attendance/subject/:subjectId/date/:date
  * @desc Get attendance records for a subject on a specific date
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for their own subjects/Admin)
  */
-router.get('/subject/:subjectId/date/:date', verifyFacultyAccess, async (req, res) => {
+router.get('/subject/:subjectId/date/:date', requireRole('faculty', 'admin'), loadManagedSubjectWithStudents, async (req, res) => {
   try {
     const { subjectId, date } = req.params;
+    const { subject } = req;
 
     // Input validation
-    if (isNaN(parseInt(subjectId))) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Subject ID must be a valid number'
-      });
-    }
-
     if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
       return res.status(400).json({
         status: 'error',
@@ -125,22 +186,6 @@ router.get('/subject/:subjectId/date/:date', verifyFacultyAccess, async (req, re
       });
     }
 
-    // Get subject with enrolled students
-    const subject = await SubjectEnrollment.findOne({
-      where: { id: subjectId },
-      include: [
-        { model: require('../models').Faculty, as: 'faculty' },
-        { model: require('../models').Student, as: 'enrolledStudents' }
-      ]
-    });
-
-    if (!subject) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Subject not found'
-      });
-    }
-
     // Build attendance DTOs for all enrolled students
     const attendanceDTOs = [];
 
@@ -158,6 +203,8 @@ router.get('/subject/:subjectId/date/:date', verifyFacultyAccess, async (req, re
         subjectCode: subject.subjectCode,
         date: date,
         present: existing ? existing.present : false,
+        excused: existing ? existing.excused : false,
+        status: existing ? existing.status : 'absent',
         remarks: existing ? existing.remarks : null
       };
 
@@ -181,9 +228,9 @@ router.get('/subject/:subjectId/date/:date', verifyFacultyAccess, async (req, re
 /**
  * @route GET /api/attendance/faculty/:email/subjects
  * @desc Get subjects taught by a faculty member
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for themselves/Admin)
  */
-router.get('/faculty/:email/subjects', verifyFacultyAccess, async (req, res) => {
+router.get('/faculty/:email/subjects', requireRole('faculty', 'admin'), subjectPolicy.requireFacultySelf, async (req, res) => {
   try {
     const { email } = req.params;
 
@@ -222,12 +269,11 @@ router.get('/faculty/:email/subjects', verifyFacultyAccess, async (req, res) =>
 /**
  * @route GET /api/attendance/subject/:id/students
  * @desc Get subject with enrolled students
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for their own subjects/Admin)
  */
-router.get('/subject/:id/students', verifyFacultyAccess, async (req, res) => {
+router.get('/subject/:id/students', requireRole('faculty', 'admin'), subjectPolicy.loadManagedSubject((req) => req.params.id), async (req, res) => {
   try {
-    const { id } = req.params;
-    const subject = await AttendanceService.getSubjectWithStudents(id);
+    const subject = await AttendanceService.getSubjectWithStudents(req.subject.id);
     
     res.json({
       status: 'success',
@@ -246,12 +292,11 @@ router.get('/subject/:id/students', verifyFacultyAccess, async (req, res) => {
 /**
  * @route GET /api/attendance/stats/subject/:subjectId
  * @desc Get attendance statistics for a subject
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for their own subjects/Admin)
  */
-router.get('/stats/subject/:subjectId', verifyFacultyAccess, async (req, res) => {
+router.get('/stats/subject/:subjectId', requireRole('faculty', 'admin'), loadManagedSubject, async (req, res) => {
   try {
-    const { subjectId } = req.params;
-    const stats = await AttendanceService.getSubjectAttendanceStats(subjectId);
+    const stats = await AttendanceService.getSubjectAttendanceStats(req.subject.id);
     
     res.json({
       status: 'success',
@@ -267,24 +312,152 @@ router.get('/stats/subject/:subjectId', verifyFacultyAccess, async (req, res) =>
   }
 });
 
+/**
+ * @route GET /api/attendance/eligibility/subject/:subjectId
+ * @desc Get each student's attendance against the exam eligibility threshold
+ * @access Private (Faculty for their own subjects/Admin)
+ */
+router.get('/eligibility/subject/:subjectId', requireRole('faculty', 'admin'), loadManagedSubject, async (req, res) => {
+  try {
+    const eligibility = await AttendanceEligibilityService.getSubjectEligibility(req.subject.id);
+
+    res.json({
+      status: 'success',
+      ...eligibility
+    });
+
+  } catch (error) {
+    console.error('Get attendance eligibility error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/attendance/register/subject/:subjectId
+ * @desc Download a subject's attendance register as CSV
+ * @access Private (Faculty for their own subjects/Admin)
+ */
+router.get('/register/subject/:subjectId', requireRole('faculty', 'admin'), loadManagedSubject, async (req, res) => {
+  try {
+    const register = await AttendanceRegisterService.exportRegister(req.subject.id);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${register.fileName}"`
+    });
+    res.send(register.csv);
+
+  } catch (error) {
+    console.error('Export attendance register error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/attendance/register/subject/:subjectId/import
+ * @desc Import a filled attendance register; with dryRun=true only preview the changes
+ * @access Private (Faculty for their own subjects/Admin)
+ */
+router.post('/register/subject/:subjectId/import', requireRole('faculty', 'admin'), loadManagedSubject, registerUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'File is required'
+      });
+    }
+
+    if (!req.file.originalname.toLowerCase().endsWith('.csv')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only CSV files are allowed'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const report = await AttendanceRegisterService.importRegister(req.subject.id, req.file.buffer, { dryRun, user: req.user, reason: req.body.reason });
+
+    res.json({
+      status: 'success',
+      message: dryRun
+        ? `${report.changes.length} change(s) and ${report.rejected.length} rejection(s) found`
+        : `${report.applied} attendance record(s) updated, ${report.rejected.length} rejected`,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Import attendance register error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/attendance/records/:id/audit
+ * @desc Get the recorded changes to an attendance record
+ * @access Private (Student it belongs to, subject Faculty or Admin)
+ */
+router.get('/records/:id/audit', authenticate, async (req, res) => {
+  try {
+    const record = await Attendance.findByPk(req.params.id, {
+      include: [{ model: SubjectEnrollment, as: 'subject' }]
+    });
+    if (!record) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Attendance record not found'
+      });
+    }
+    if (record.studentEmail !== req.user.email && !subjectPolicy.canManageSubject(req.user, record.subject)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const audit = await AttendanceService.getAuditTrail(record.id);
+
+    res.json({
+      status: 'success',
+      locked: AttendanceService.isEditLocked(record.date),
+      audit: audit
+    });
+
+  } catch (error) {
+    console.error('Get attendance audit error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/attendance/student/:email
- * @desc Get all attendance records for a student
- * @access Private (Faculty/Admin)
+ * @desc Get a page of a student's attendance records, filtered by startDate, endDate and status
+ * @access Private (Student for their own, Faculty for subjects they teach, Admin)
  */
-router.get('/student/:email', verifyFacultyAccess, async (req, res) => {
+router.get('/student/:email', authenticate, loadStudentScope, async (req, res) => {
   try {
-    const { email } = req.params;
-    const attendance = await AttendanceService.getStudentAttendanceHistory(email);
-    
+    const filters = AttendanceQueryService.parseFilters(req.query);
+    const result = await AttendanceQueryService.getAttendance(req.attendanceScope, filters);
+
     res.json({
       status: 'success',
-      attendance: attendance
+      ...result
     });
 
   } catch (error) {
     console.error('Get student attendance error:', error);
-    res.status(500).json({
+    res.status(400).json({
       status: 'error',
       message: error.message
     });
@@ -293,14 +466,13 @@ router.get('/student/:email', verifyFacultyAccess, async (req, res) => {
 
 /**
  * @route GET /api/attendance/student/:email/subjects
- * @desc Get subjects for a student
- * @access Private (Faculty/Admin)
+ * @desc Get the subjects of a student whose attendance the user can see
+ * @access Private (Student for their own, Faculty for subjects they teach, Admin)
  */
-router.get('/student/:email/subjects', verifyFacultyAccess, async (req, res) => {
+router.get('/student/:email/subjects', authenticate, loadStudentScope, async (req, res) => {
   try {
-    const { email } = req.params;
-    const subjects = await AttendanceService.getEnrollmentsByStudent(email);
-    
+    const subjects = await AttendanceQueryService.getSubjects(req.attendanceScope);
+
     res.json({
       status: 'success',
       subjects: subjects
@@ -315,23 +487,134 @@ router.get('/student/:email/subjects', verifyFacultyAccess, async (req, res) =>
   }
 });
 
+/**
+ * @route GET /api/attendance/student/:email/summary
+ * @desc Get a student's attendance summary per subject between startDate and endDate
+ * @access Private (Student for their own, Faculty for subjects they teach, Admin)
+ */
+router.get('/student/:email/summary', authenticate, loadStudentScope, async (req, res) => {
+  try {
+    const { startDate, endDate } = AttendanceQueryService.parseFilters(req.query);
+    const summary = await AttendanceQueryService.getSummary(req.attendanceScope, { startDate, endDate });
+    if (!summary) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Student not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Get student attendance summary error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/attendance/student/:email/subject/:subjectId
- * @desc Get attendance records for a student in a specific subject
- * @access Private (Faculty/Admin)
+ * @desc Get a page of a student's attendance records in a subject, filtered by startDate, endDate and status
+ * @access Private (Student for their own, Faculty for subjects they teach, Admin)
  */
-router.get('/student/:email/subject/:subjectId', verifyFacultyAccess, async (req, res) => {
+router.get('/student/:email/subject/:subjectId', authenticate, loadStudentScope, async (req, res) => {
   try {
-    const { email, subjectId } = req.params;
-    const attendance = await AttendanceService.getStudentAttendanceHistory(email, subjectId);
-    
+    const { subjectId } = req.params;
+    if (isNaN(parseInt(subjectId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subject ID must be a valid number'
+      });
+    }
+    if (!AttendanceQueryService.canViewSubject(req.attendanceScope, subjectId)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const filters = AttendanceQueryService.parseFilters(req.query);
+    const result = await AttendanceQueryService.getAttendance(req.attendanceScope, { ...filters, subjectId });
+
     res.json({
       status: 'success',
-      attendance: attendance
+      ...result
     });
 
   } catch (error) {
     console.error('Get student subject attendance error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/attendance/checkin-sessions
+ * @desc Open a QR check-in session for today's class of a subject
+ * @access Private (Faculty for their own subjects/Admin)
+ */
+router.post('/checkin-sessions', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const { subjectId, slotId, minutes } = req.body;
+    if (!subjectId || isNaN(parseInt(subjectId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subject ID must be a valid number'
+      });
+    }
+
+    const subject = await SubjectEnrollment.findByPk(subjectId);
+    if (!subject) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subject not found'
+      });
+    }
+
+    const session = await CheckinService.openSession(subject, req.user, { slotId, minutes });
+    const qr = await CheckinService.getQrCode(session);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Check-in session opened',
+      session,
+      qr
+    });
+
+  } catch (error) {
+    console.error('Open check-in session error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/attendance/checkin-sessions/:id
+ * @desc Get a check-in session with the check-in of every enrolled student
+ * @access Private (Faculty for their own subjects/Admin)
+ */
+router.get('/checkin-sessions/:id', requireRole('faculty', 'admin'), loadCheckinSession, async (req, res) => {
+  try {
+    const roster = await CheckinService.getRoster(req.checkinSession);
+
+    res.json({
+      status: 'success',
+      session: req.checkinSession,
+      accepting: CheckinService.isAcceptingCheckins(req.checkinSession),
+      roster
+    });
+
+  } catch (error) {
+    console.error('Get check-in session error:', error);
     res.status(500).json({
       status: 'error',
       message: error.message
@@ -339,4 +622,132 @@ router.get('/student/:email/subject/:subjectId', verifyFacultyAccess, async (req
   }
 });
 
+/**
+ * @route GET /api/attendance/checkin-sessions/:id/qr
+ * @desc Get the current QR code of an open check-in session
+ * @access Private (Faculty for their own subjects/Admin)
+ */
+router.get('/checkin-sessions/:id/qr', requireRole('faculty', 'admin'), loadCheckinSession, async (req, res) => {
+  try {
+    const qr = await CheckinService.getQrCode(req.checkinSession);
+
+    res.json({
+      status: 'success',
+      qr
+    });
+
+  } catch (error) {
+    console.error('Get check-in QR code error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/attendance/checkin-sessions/:id/records/:studentEmail
+ * @desc Override a student's check-in before the session is finalized
+ * @access Private (Faculty for their own subjects/Admin)
+ */
+router.put('/checkin-sessions/:id/records/:studentEmail', requireRole('faculty', 'admin'), loadCheckinSession, async (req, res) => {
+  try {
+    const record = await CheckinService.setRecord(req.checkinSession, req.params.studentEmail, req.body);
+
+    res.json({
+      status: 'success',
+      message: 'Check-in updated successfully',
+      record
+    });
+
+  } catch (error) {
+    console.error('Update check-in error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/attendance/checkin-sessions/:id/close
+ * @desc Stop accepting check-ins
+ * @access Private (Faculty for their own subjects/Admin)
+ */
+router.post('/checkin-sessions/:id/close', requireRole('faculty', 'admin'), loadCheckinSession, async (req, res) => {
+  try {
+    const session = await CheckinService.closeSession(req.checkinSession);
+
+    res.json({
+      status: 'success',
+      message: 'Check-in session closed',
+      session
+    });
+
+  } catch (error) {
+    console.error('Close check-in session error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/attendance/checkin-sessions/:id/finalize
+ * @desc Record a check-in session as attendance, marking students who did not check in absent
+ * @access Private (Faculty for their own subjects/Admin)
+ */
+router.post('/checkin-sessions/:id/finalize', requireRole('faculty', 'admin'), loadCheckinSession, async (req, res) => {
+  try {
+    const result = await CheckinService.finalizeSession(req.checkinSession, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Attendance recorded from check-in',
+      session: result.session,
+      report: result.report
+    });
+
+  } catch (error) {
+    console.error('Finalize check-in session error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/attendance/checkin
+ * @desc Check in to a class with a scanned QR code token
+ * @access Private (Student)
+ */
+router.post('/checkin', authenticate, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Check-in token is required'
+      });
+    }
+
+    const { record, subject } = await CheckinService.checkIn(token, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Checked in to ${subject.subjectCode} ${subject.subjectName}`,
+      record
+    });
+
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
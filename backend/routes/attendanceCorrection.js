@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const AttendanceCorrectionService = require('../services/AttendanceCorrectionService');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Load the correction request named in the URL into req.correction
+const loadCorrection = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid correction request ID is required'
+      });
+    }
+
+    const correction = await AttendanceCorrectionService.getCorrectionById(id);
+    if (!correction) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Correction request not found'
+      });
+    }
+
+    req.correction = correction;
+    next();
+  } catch (error) {
+    console.error('Load correction request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+router.use(authenticate);
+
+/**
+ * @route POST /api/attendance-corrections
+ * @desc Request a correction to an attendance record
+ * @access Private (Student for their own attendance, Faculty for locked attendance)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const correction = await AttendanceCorrectionService.requestCorrection(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: correction.status === 'escalated'
+        ? 'Correction request sent for admin approval'
+        : 'Correction request sent to the faculty',
+      correction: correction
+    });
+
+  } catch (error) {
+    console.error('Request correction error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/attendance-corrections/me
+ * @desc Get the correction requests about the current student's attendance
+ * @access Private (Student)
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const corrections = await AttendanceCorrectionService.getCorrectionsForStudent(req.user.email);
+
+    res.json({
+      status: 'success',
+      corrections: corrections
+    });
+
+  } catch (error) {
+    console.error('Get own correction requests error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/attendance-corrections
+ * @desc Get the correction requests the current user can review, optionally filtered by status
+ * @access Private (Faculty/Admin)
+ */
+router.get('/', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const corrections = await AttendanceCorrectionService.getCorrectionsForReviewer(req.user, { status: req.query.status });
+
+    res.json({
+      status: 'success',
+      corrections: corrections
+    });
+
+  } catch (error) {
+    console.error('Get correction requests error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/attendance-corrections/:id/review
+ * @desc Approve or reject a correction request; faculty approval of locked attendance escalates to an admin
+ * @access Private (Faculty who recorded the attendance, or Admin)
+ */
+router.put('/:id/review', requireRole('faculty', 'admin'), loadCorrection, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.correction.facultyEmail !== req.user.email) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const { correction, applied } = await AttendanceCorrectionService.reviewCorrection(req.correction, req.body, req.user);
+
+    res.json({
+      status: 'success',
+      message: correction.status === 'escalated'
+        ? 'Attendance is locked; correction sent for admin approval'
+        : `Correction request ${correction.status}`,
+      correction: correction,
+      applied: applied
+    });
+
+  } catch (error) {
+    console.error('Review correction error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/attendance-corrections/:id
+ * @desc Withdraw an open correction request
+ * @access Private (User who raised it)
+ */
+router.delete('/:id', loadCorrection, async (req, res) => {
+  try {
+    const correction = await AttendanceCorrectionService.cancelCorrection(req.correction, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Correction request withdrawn',
+      correction: correction
+    });
+
+  } catch (error) {
+    console.error('Cancel correction error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const AuthService = require('../services/AuthService');
+const PasswordService = require('../services/PasswordService');
+const SessionService = require('../services/SessionService');
+const MfaService = require('../services/MfaService');
+const PermissionService = require('../services/PermissionService');
+const { authenticate, authenticateForPasswordChange, requireStaff, requestContext } = require('../middleware/auth');
+
+/**
+ * @route POST /api/auth/token
+ * @desc Sign in with email and password and get an ID token for /api/auth/login (local provider only)
+ * @access Public
+ */
+router.post('/token', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email and password are required'
+      });
+    }
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email and password must be strings'
+      });
+    }
+
+    const idToken = await AuthService.signIn(email.trim(), password);
+
+    res.json({
+      status: 'success',
+      idToken: idToken
+    });
+
+  } catch (error) {
+    console.error('Sign in error:', error);
+    res.status(401).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
 
 /**
  * @route POST /api/auth/login
- * @desc Login user with Firebase token
+ * @desc Login user with an ID token from Firebase or /api/auth/token, opening a session; users with MFA enabled also send an X-MFA-Code header
  * @access Public
  */
 router.post('/login', async (req, res) => {
@@ -35,6 +79,29 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // The password or ID token alone is not enough once MFA is enabled; the
+    // code signs in but does not step the new session up
+    if (user.mfaEnabled) {
+      const code = req.get('x-mfa-code');
+      if (!code) {
+        return res.status(401).json({
+          status: 'error',
+          code: 'MFA_REQUIRED',
+          message: 'Enter the code from your authenticator app, or a recovery code, to sign in'
+        });
+      }
+
+      try {
+        await MfaService.verifyCode(user, code);
+      } catch (error) {
+        return res.status(401).json({
+          status: 'error',
+          code: 'MFA_REQUIRED',
+          message: error.message
+        });
+      }
+    }
+
     const redirectUrl = (() => {
       switch (user.role.toLowerCase()) {
         case 'admin':
@@ -48,6 +115,8 @@ router.post('/login', async (req, res) => {
       }
     })();
 
+    const session = await SessionService.createSession(user, requestContext(req));
+
     res.json({
       status: 'success',
       name: user.name,
@@ -55,7 +124,10 @@ router.post('/login', async (req, res) => {
       firebaseUid: user.firebaseUid,
       role: user.role,
       userUnivId: user.univId,
-      idToken: idToken,
+      mustChangePassword: user.mustChangePassword,
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       redirectUrl: redirectUrl
     });
 
@@ -68,9 +140,346 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/auth/refresh
+ * @desc Exchange a refresh token for new session tokens; the old refresh token stops working
+ * @access Public
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Refresh token is required'
+      });
+    }
+
+    const session = await SessionService.refreshSession(refreshToken, requestContext(req));
+
+    res.json({
+      status: 'success',
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
+    });
+
+  } catch (error) {
+    console.error('Session refresh error:', error);
+    res.status(401).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/logout
+ * @desc End the session of the request's access token
+ * @access Private
+ */
+router.post('/logout', authenticateForPasswordChange, async (req, res) => {
+  try {
+    await SessionService.logout(req.user, req.authToken);
+
+    res.json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to log out'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/logout-all
+ * @desc End every session of the signed-in user, including this one
+ * @access Private
+ */
+router.post('/logout-all', authenticateForPasswordChange, async (req, res) => {
+  try {
+    const count = await SessionService.logoutAll(req.user);
+
+    res.json({
+      status: 'success',
+      message: `Logged out of ${count} session(s)`,
+      count: count
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to log out of all devices'
+    });
+  }
+});
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc List the signed-in user's active sessions with last-seen IP address and user agent
+ * @access Private
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await SessionService.getActiveSessions(req.user, req.authToken);
+
+    res.json({
+      status: 'success',
+      sessions: sessions
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @desc End one of the signed-in user's sessions
+ * @access Private
+ */
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeSession(req.user, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Session ended successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to end session'
+    });
+  }
+});
+
+/**
+ * @route GET /api/auth/permissions
+ * @desc Get the signed-in user's roles and, per permission, '*' or the departments it covers
+ * @access Private
+ */
+router.get('/permissions', authenticate, async (req, res) => {
+  try {
+    const { roles, permissions } = await PermissionService.getUserPermissions(req.user);
+
+    res.json({
+      status: 'success',
+      roles: roles,
+      permissions: permissions
+    });
+
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch permissions'
+    });
+  }
+});
+
+/**
+ * @route GET /api/auth/mfa
+ * @desc Get whether multi-factor authentication is on and until when the current session is stepped up
+ * @access Private
+ */
+router.get('/mfa', authenticate, async (req, res) => {
+  try {
+    const mfa = await MfaService.getStatus(req.user, req.authToken);
+
+    res.json({
+      status: 'success',
+      mfa: mfa
+    });
+
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch multi-factor authentication status'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/mfa/setup
+ * @desc Start multi-factor authentication enrolment; returns the secret and a QR code for an authenticator app
+ * @access Private (Admin/Staff)
+ */
+router.post('/mfa/setup', requireStaff, async (req, res) => {
+  try {
+    const { secret, otpauthUrl, qrCode } = await MfaService.startEnrollment(req.user);
+
+    res.json({
+      status: 'success',
+      secret: secret,
+      otpauthUrl: otpauthUrl,
+      qrCode: qrCode
+    });
+
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/mfa/enable
+ * @desc Finish enrolment with a code from the authenticator app; returns recovery codes once
+ * @access Private (Admin/Staff)
+ */
+router.post('/mfa/enable', requireStaff, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification code is required'
+      });
+    }
+
+    const recoveryCodes = await MfaService.confirmEnrollment(req.user, code, req.authToken);
+
+    res.json({
+      status: 'success',
+      message: 'Multi-factor authentication enabled. Store the recovery codes somewhere safe.',
+      recoveryCodes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/mfa/verify
+ * @desc Step up the current session with an authenticator or recovery code
+ * @access Private
+ */
+router.post('/mfa/verify', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification code is required'
+      });
+    }
+
+    const { method, stepUpExpiresAt } = await MfaService.stepUp(req.user, code, req.authToken);
+
+    res.json({
+      status: 'success',
+      message: 'Verification successful',
+      method: method,
+      stepUpExpiresAt: stepUpExpiresAt
+    });
+
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/mfa/recovery-codes
+ * @desc Replace the recovery codes after confirming with a code
+ * @access Private
+ */
+router.post('/mfa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification code is required'
+      });
+    }
+
+    const recoveryCodes = await MfaService.regenerateRecoveryCodes(req.user, code);
+
+    res.json({
+      status: 'success',
+      recoveryCodes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/mfa/disable
+ * @desc Turn multi-factor authentication off after confirming with a code
+ * @access Private
+ */
+router.post('/mfa/disable', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification code is required'
+      });
+    }
+
+    await MfaService.disable(req.user, code);
+
+    res.json({
+      status: 'success',
+      message: 'Multi-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/auth/verify
- * @desc Verify Firebase token
+ * @desc Verify a session access token
  * @access Private
  */
 router.get('/verify', async (req, res) => {
@@ -85,7 +494,7 @@ router.get('/verify', async (req, res) => {
     }
 
     const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
+    const user = await AuthService.authenticateToken(idToken, requestContext(req));
     
     if (!user) {
       return res.status(401).json({
@@ -102,7 +511,8 @@ router.get('/verify', async (req, res) => {
         email: user.email,
         role: user.role,
         firebaseUid: user.firebaseUid,
-        univId: user.univId
+        univId: user.univId,
+        mustChangePassword: user.mustChangePassword
       }
     });
 
@@ -117,25 +527,25 @@ router.get('/verify', async (req, res) => {
 
 /**
  * @route POST /api/auth/check-access
- * @desc Check if user has access to specific resource
+ * @desc Check if the user of a session access token has access to specific resource
  * @access Private
  */
 router.post('/check-access', async (req, res) => {
   try {
-    const { idToken, requestedFirebaseUid } = req.body;
+    const { accessToken, requestedFirebaseUid } = req.body;
 
     // Enhanced input validation
-    if (!idToken || !requestedFirebaseUid) {
+    if (!accessToken || !requestedFirebaseUid) {
       return res.status(400).json({
         status: 'error',
-        message: 'ID token and requested Firebase UID are required'
+        message: 'Access token and requested Firebase UID are required'
       });
     }
 
-    if (typeof idToken !== 'string' || idToken.trim().length === 0) {
+    if (typeof accessToken !== 'string' || accessToken.trim().length === 0) {
       return res.status(400).json({
         status: 'error',
-        message: 'ID token must be a non-empty string'
+        message: 'Access token must be a non-empty string'
       });
     }
 
@@ -146,7 +556,7 @@ router.post('/check-access', async (req, res) => {
       });
     }
 
-    await AuthService.verifyTokenAndCheckAccess(idToken, requestedFirebaseUid);
+    await AuthService.verifyTokenAndCheckAccess(accessToken, requestedFirebaseUid);
 
     res.json({
       status: 'success',
@@ -162,4 +572,100 @@ router.post('/check-access', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/auth/change-password
+ * @desc Change the signed-in user's password; also allowed while a one-time password must be changed
+ * @access Private
+ */
+router.post('/change-password', authenticateForPasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof newPassword !== 'string' || (currentPassword !== undefined && typeof currentPassword !== 'string')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'New password is required and passwords must be strings'
+      });
+    }
+
+    await PasswordService.changePassword(req.user, currentPassword, newPassword, req.authToken);
+
+    res.json({
+      status: 'success',
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Mail a password reset link; answers the same whether or not the email is known
+ * @access Public
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is required'
+      });
+    }
+
+    await PasswordService.requestPasswordReset(email.trim());
+
+    res.json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to send password reset link'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Set a new password with the token from a password reset link
+ * @access Public
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Token and password are required'
+      });
+    }
+
+    await PasswordService.resetPassword(token, password);
+
+    res.json({
+      status: 'success',
+      message: 'Password has been reset. You can now sign in.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const { Calendar } = require('../models');
-const AuthService = require('../services/AuthService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const CalendarFeedService = require('../services/CalendarFeedService');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -21,74 +22,20 @@ const upload = multer({
   }
 });
 
-// Middleware to verify admin access
-const verifyAdminAccess = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Authorization header with Bearer token is required'
-      });
-    }
-
-    const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
-    
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Admin access required'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      status: 'error',
-      message: error.message
-    });
-  }
-};
-
-// Middleware to verify any authenticated user for read operations
-const verifyAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Authorization header with Bearer token is required'
-      });
-    }
-
-    const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
-    
-    if (!user) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid token'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      status: 'error',
-      message: error.message
-    });
+// iCalendar imports are parsed straight from memory
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
   }
-};
+});
 
 /**
  * @route POST /api/calendar/upload
  * @desc Upload calendar file
- * @access Private (Admin)
+ * @access Private (calendar.upload permission)
  */
-router.post('/upload', verifyAdminAccess, upload.single('file'), async (req, res) => {
+router.post('/upload', requirePermission('calendar.upload'), upload.single('file'), async (req, res) => {
   try {
     const { title } = req.body;
 
@@ -155,7 +102,7 @@ router.post('/upload', verifyAdminAccess, upload.single('file'), async (req, res
  * @desc Get all calendar entries
  * @access Private (Any authenticated user)
  */
-router.get('/', verifyAuth, async (req, res) => {
+router.get('/', authenticate, async (req, res) => {
   try {
     const calendars = await Calendar.findAll({
       order: [['lastUpdated', 'DESC']],
@@ -181,7 +128,7 @@ router.get('/', verifyAuth, async (req, res) => {
  * @desc Get the latest calendar
  * @access Private (Any authenticated user)
  */
-router.get('/latest', verifyAuth, async (req, res) => {
+router.get('/latest', authenticate, async (req, res) => {
   try {
     const calendar = await Calendar.findOne({
       order: [['lastUpdated', 'DESC']],
@@ -209,12 +156,165 @@ router.get('/latest', verifyAuth, async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/calendar/feed-token
+ * @desc Issue a personal iCalendar feed URL, revoking the previous one
+ * @access Private (Any authenticated user)
+ */
+router.post('/feed-token', authenticate, async (req, res) => {
+  try {
+    const token = await CalendarFeedService.createFeedToken(req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Calendar feed created successfully',
+      feedUrl: `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`
+    });
+
+  } catch (error) {
+    console.error('Create feed token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/calendar/feed-token
+ * @desc Check whether the user has an active feed URL
+ * @access Private (Any authenticated user)
+ */
+router.get('/feed-token', authenticate, async (req, res) => {
+  try {
+    const feedToken = await CalendarFeedService.getActiveFeedToken(req.user);
+
+    res.json({
+      status: 'success',
+      active: Boolean(feedToken),
+      createdAt: feedToken ? feedToken.created_at : null,
+      lastUsedAt: feedToken ? feedToken.lastUsedAt : null
+    });
+
+  } catch (error) {
+    console.error('Get feed token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/calendar/feed-token
+ * @desc Revoke the user's feed URL
+ * @access Private (Any authenticated user)
+ */
+router.delete('/feed-token', authenticate, async (req, res) => {
+  try {
+    const revoked = await CalendarFeedService.revokeFeedToken(req.user);
+
+    if (!revoked) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No active calendar feed'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Calendar feed revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke feed token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/calendar/feed/:token.ics
+ * @desc Personal iCalendar feed of events, exams and deadlines
+ * @access Public (feed token in the URL)
+ */
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await CalendarFeedService.getUserByFeedToken(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const feed = await CalendarFeedService.buildUserFeed(user);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="calendar.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+
+    res.send(feed);
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/calendar/import
+ * @desc Import events from an iCalendar (.ics) file
+ * @access Private (calendar.upload permission)
+ */
+router.post('/import', requirePermission('calendar.upload'), icsUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'File is required'
+      });
+    }
+
+    if (!req.file.originalname.toLowerCase().endsWith('.ics') && req.file.mimetype !== 'text/calendar') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only iCalendar (.ics) files are allowed'
+      });
+    }
+
+    const report = await CalendarFeedService.importCalendar(req.file.buffer, req.user, req.body.type || 'holiday');
+
+    res.json({
+      status: 'success',
+      message: `Imported ${report.created} new and ${report.updated} updated events`,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Import calendar error:', error);
+    const isValidationError = error.message.includes('iCalendar') || error.message.includes('must be one of');
+    res.status(isValidationError ? 400 : 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/calendar/:id
  * @desc Get calendar by ID
  * @access Private (Any authenticated user)
  */
-router.get('/:id', verifyAuth, async (req, res) => {
+router.get('/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -256,7 +356,7 @@ router.get('/:id', verifyAuth, async (req, res) => {
  * @desc Download calendar file
  * @access Private (Any authenticated user)
  */
-router.get('/:id/download', verifyAuth, async (req, res) => {
+router.get('/:id/download', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
     const calendar = await Calendar.findByPk(id);
@@ -288,9 +388,9 @@ router.get('/:id/download', verifyAuth, async (req, res) => {
 /**
  * @route PUT /api/calendar/:id
  * @desc Update calendar
- * @access Private (Admin)
+ * @access Private (calendar.manage permission)
  */
-router.put('/:id', verifyAdminAccess, async (req, res) => {
+router.put('/:id', requirePermission('calendar.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { title } = req.body;
@@ -339,9 +439,9 @@ router.put('/:id', verifyAdminAccess, async (req, res) => {
 /**
  * @route DELETE /api/calendar/:id
  * @desc Delete calendar
- * @access Private (Admin)
+ * @access Private (calendar.manage permission)
  */
-router.delete('/:id', verifyAdminAccess, async (req, res) => {
+router.delete('/:id', requirePermission('calendar.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const deletedRowsCount = await Calendar.destroy({
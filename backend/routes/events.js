@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment');
+const EventService = require('../services/EventService');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Longest date range a single listing may cover
+const MAX_RANGE_DAYS = 366;
+
+// Middleware to load an event the current user may edit
+const loadManageableEvent = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid event ID is required'
+      });
+    }
+
+    const event = await EventService.getEventById(id);
+    if (!event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    if (!(await EventService.canManageEvent(req.user, event))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    console.error('Load event error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @route GET /api/events
+ * @desc Get event occurrences visible to the current user between from and to (defaults to the next 30 days)
+ * @access Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { type } = req.query;
+    const from = req.query.from ? moment(req.query.from, moment.ISO_8601) : moment().startOf('day');
+    const to = req.query.to ? moment(req.query.to, moment.ISO_8601) : from.clone().add(30, 'days');
+
+    if (!from.isValid() || !to.isValid()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'From and to must be valid dates'
+      });
+    }
+
+    if (to.isBefore(from)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'To cannot be before from'
+      });
+    }
+
+    if (to.diff(from, 'days') > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const events = await EventService.getEventsForUser(req.user, {
+      from: from.toDate(),
+      to: to.toDate(),
+      type
+    });
+
+    res.json({
+      status: 'success',
+      events: events
+    });
+
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/events/upcoming
+ * @desc Get the next events visible to the current user
+ * @access Private
+ */
+router.get('/upcoming', authenticate, async (req, res) => {
+  try {
+    let { days = 30, limit = 10 } = req.query;
+
+    days = parseInt(days);
+    limit = parseInt(limit);
+
+    if (isNaN(days) || days < 1 || days > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Days must be between 1 and ${MAX_RANGE_DAYS}`
+      });
+    }
+
+    if (isNaN(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Limit must be between 1 and 50'
+      });
+    }
+
+    const events = await EventService.getUpcomingEvents(req.user, days, limit);
+
+    res.json({
+      status: 'success',
+      events: events
+    });
+
+  } catch (error) {
+    console.error('Get upcoming events error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/events/:id
+ * @desc Get event by ID
+ * @access Private (Users in the event's audience)
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid event ID is required'
+      });
+    }
+
+    const event = await EventService.getEventById(id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    const audience = await EventService.getUserAudience(req.user);
+    if (!EventService.isInAudience(event, audience)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      event: event
+    });
+
+  } catch (error) {
+    console.error('Get event error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/events
+ * @desc Create an event; faculty may only target subjects they teach
+ * @access Private (Faculty/Admin)
+ */
+router.post('/', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const event = await EventService.createEvent(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Event created successfully',
+      event: event
+    });
+
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/events/:id
+ * @desc Update an event
+ * @access Private (Faculty teaching the event's subject/Admin)
+ */
+router.put('/:id', requireRole('faculty', 'admin'), loadManageableEvent, async (req, res) => {
+  try {
+    const event = await EventService.updateEvent(req.event, req.body, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Event updated successfully',
+      event: event
+    });
+
+  } catch (error) {
+    console.error('Update event error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/events/:id
+ * @desc Delete an event
+ * @access Private (Faculty teaching the event's subject/Admin)
+ */
+router.delete('/:id', requireRole('faculty', 'admin'), loadManageableEvent, async (req, res) => {
+  try {
+    await EventService.deleteEvent(req.event.id);
+
+    res.json({
+      status: 'success',
+      message: 'Event deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete event error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,307 @@
+const express = require('express');
+const router = express.Router();
+const ExamService = require('../services/ExamService');
+const SubjectEnrollmentService = require('../services/SubjectEnrollmentService');
+const { authenticate, requireRole, requireSelfOr } = require('../middleware/auth');
+
+// Load the exam named in the route and check the user may manage it
+const loadManageableExam = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid exam ID is required'
+      });
+    }
+
+    const exam = await ExamService.getExamById(id);
+    if (!exam) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Exam not found'
+      });
+    }
+
+    if (!SubjectEnrollmentService.canManageSubject(req.user, exam.subject)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    req.exam = exam;
+    next();
+  } catch (error) {
+    console.error('Load exam error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @route POST /api/exams
+ * @desc Schedule an exam for a subject
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.post('/', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const { subjectId } = req.body;
+
+    if (!subjectId || isNaN(parseInt(subjectId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subject ID must be a valid number'
+      });
+    }
+
+    const exam = await ExamService.createExam(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Exam scheduled successfully',
+      exam: exam
+    });
+
+  } catch (error) {
+    console.error('Create exam error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/exams
+ * @desc Get exams visible to the current user, optionally filtered by subject
+ * @access Private (Any authenticated user)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { subjectId } = req.query;
+
+    if (subjectId && isNaN(parseInt(subjectId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Subject ID must be a valid number'
+      });
+    }
+
+    const exams = await ExamService.getExamsForUser(req.user, subjectId);
+
+    res.json({
+      status: 'success',
+      exams: exams
+    });
+
+  } catch (error) {
+    console.error('Get exams error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/exams/student/:email/results
+ * @desc Get all exam results of a student
+ * @access Private (Student themselves/Admin)
+ */
+router.get('/student/:email/results', requireSelfOr('admin'), async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const results = await ExamService.getStudentResults(email);
+
+    res.json({
+      status: 'success',
+      results: results
+    });
+
+  } catch (error) {
+    console.error('Get student exam results error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/exams/:id
+ * @desc Get exam by ID
+ * @access Private (Any authenticated user with access to the subject)
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid exam ID is required'
+      });
+    }
+
+    const exam = await ExamService.getExamById(id);
+
+    if (!exam) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Exam not found'
+      });
+    }
+
+    if (req.user.role === 'student') {
+      const subjectIds = await SubjectEnrollmentService.getEnrolledSubjectIds(req.user.email);
+      if (!subjectIds.includes(exam.subjectId)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access denied'
+        });
+      }
+    } else if (!SubjectEnrollmentService.canManageSubject(req.user, exam.subject)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      exam: exam
+    });
+
+  } catch (error) {
+    console.error('Get exam by ID error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/exams/:id
+ * @desc Update an exam; changing the maximum marks of a marked exam in a locked semester needs an admin and an overrideReason
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.put('/:id', requireRole('faculty', 'admin'), loadManageableExam, async (req, res) => {
+  try {
+    const exam = await ExamService.updateExam(req.exam.id, req.body, req.user, req.body.overrideReason);
+
+    if (!exam) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Exam not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Exam updated successfully',
+      exam: exam
+    });
+
+  } catch (error) {
+    console.error('Update exam error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/exams/:id
+ * @desc Delete an exam and its results; a marked exam in a locked semester needs an admin and an overrideReason
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.delete('/:id', requireRole('faculty', 'admin'), loadManageableExam, async (req, res) => {
+  try {
+    const success = await ExamService.deleteExam(req.exam.id, req.user, req.query.overrideReason || (req.body && req.body.overrideReason));
+
+    if (!success) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Exam not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Exam deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete exam error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/exams/:id/results
+ * @desc Enter marks for enrolled students; changing marks of a locked semester needs an admin and an overrideReason
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.post('/:id/results', requireRole('faculty', 'admin'), loadManageableExam, async (req, res) => {
+  try {
+    const { results, overrideReason } = req.body;
+
+    if (!Array.isArray(results) || results.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Results must be a non-empty array'
+      });
+    }
+
+    const saved = await ExamService.recordResults(req.exam, results, req.user, overrideReason);
+
+    res.json({
+      status: 'success',
+      message: 'Exam results saved successfully',
+      results: saved
+    });
+
+  } catch (error) {
+    console.error('Record exam results error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/exams/:id/results
+ * @desc Get the marks sheet of an exam
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.get('/:id/results', requireRole('faculty', 'admin'), loadManageableExam, async (req, res) => {
+  try {
+    const results = await ExamService.getExamResults(req.exam);
+
+    res.json({
+      status: 'success',
+      exam: req.exam,
+      results: results
+    });
+
+  } catch (error) {
+    console.error('Get exam results error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const GradeService = require('../services/GradeService');
+const { authenticate, requirePermission, requireSelfOr } = require('../middleware/auth');
+const { isAcademicYear, describeSemester } = require('../utils/academicYear');
+
+// Validate the :semester route parameter
+const parseSemester = (value) => {
+  const semester = parseInt(value);
+  return isNaN(semester) || semester < 1 || semester > 12 ? null : semester;
+};
+
+/**
+ * @route GET /api/grades/scheme
+ * @desc Get the grading scheme (marks bands to grade points)
+ * @access Private
+ */
+router.get('/scheme', authenticate, async (req, res) => {
+  try {
+    const scheme = await GradeService.getGradingScheme();
+
+    res.json({
+      status: 'success',
+      scheme: scheme
+    });
+
+  } catch (error) {
+    console.error('Get grading scheme error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/grades/scheme
+ * @desc Replace the grading scheme
+ * @access Private (grades.scheme permission)
+ */
+router.put('/scheme', requirePermission('grades.scheme'), async (req, res) => {
+  try {
+    const scheme = await GradeService.updateGradingScheme(req.body.bands);
+
+    res.json({
+      status: 'success',
+      message: 'Grading scheme updated successfully',
+      scheme: scheme
+    });
+
+  } catch (error) {
+    console.error('Update grading scheme error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/grades/student/:email
+ * @desc Get a student's grades with SGPA per semester and CGPA
+ * @access Private (Student themselves/Admin)
+ */
+router.get('/student/:email', requireSelfOr('admin'), async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const transcript = await GradeService.getStudentTranscript(email);
+
+    if (!transcript) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Student not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      transcript: transcript
+    });
+
+  } catch (error) {
+    console.error('Get student grades error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/grades/locks
+ * @desc Get locked semesters
+ * @access Private
+ */
+router.get('/locks', authenticate, async (req, res) => {
+  try {
+    const locks = await GradeService.getLocks();
+
+    res.json({
+      status: 'success',
+      locks: locks
+    });
+
+  } catch (error) {
+    console.error('Get semester locks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/grades/locks/:semester
+ * @desc Lock a semester of the academic year given in the body and snapshot its grades
+ * @access Private (grades.locks permission)
+ */
+router.post('/locks/:semester', requirePermission('grades.locks'), async (req, res) => {
+  try {
+    const semester = parseSemester(req.params.semester);
+
+    if (!semester) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Semester must be a number between 1 and 12'
+      });
+    }
+
+    const academicYear = req.body.academicYear || null;
+    if (academicYear && !isAcademicYear(academicYear)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Academic year must look like 2025-26'
+      });
+    }
+
+    const result = await GradeService.lockSemester(semester, academicYear, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: `${describeSemester(semester, academicYear)} locked successfully`,
+      lock: result.lock,
+      subjectCount: result.subjectCount,
+      gradeCount: result.gradeCount
+    });
+
+  } catch (error) {
+    console.error('Lock semester error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/grades/locks/:semester
+ * @desc Unlock a semester of the academicYear query parameter and discard its grade snapshot
+ * @access Private (grades.locks permission)
+ */
+router.delete('/locks/:semester', requirePermission('grades.locks'), async (req, res) => {
+  try {
+    const semester = parseSemester(req.params.semester);
+
+    if (!semester) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Semester must be a number between 1 and 12'
+      });
+    }
+
+    const academicYear = req.query.academicYear || null;
+    if (academicYear && !isAcademicYear(academicYear)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Academic year must look like 2025-26'
+      });
+    }
+
+    const unlocked = await GradeService.unlockSemester(semester, academicYear);
+
+    if (!unlocked) {
+      return res.status(404).json({
+        status: 'error',
+        message: `${describeSemester(semester, academicYear)} is not locked`
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: `${describeSemester(semester, academicYear)} unlocked successfully`
+    });
+
+  } catch (error) {
+    console.error('Unlock semester error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/grades/overrides
+ * @desc Get marks changed after a semester was locked
+ * @access Private (grades.overrides permission)
+ */
+router.get('/overrides', requirePermission('grades.overrides'), async (req, res) => {
+  try {
+    const { subjectId, studentEmail, semester } = req.query;
+    const overrides = await GradeService.getOverrides({ subjectId, studentEmail, semester });
+
+    res.json({
+      status: 'success',
+      overrides: overrides
+    });
+
+  } catch (error) {
+    console.error('Get grade overrides error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
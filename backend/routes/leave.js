@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const LeaveService = require('../services/LeaveService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { createPrivateUpload } = require('../utils/privateUpload');
+
+// Supporting documents are only sent through GET /api/leave/:id/document
+const upload = createPrivateUpload('leave');
+
+// Load the leave request named in the URL into req.leave
+const loadLeave = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid leave request ID is required'
+      });
+    }
+
+    const leave = await LeaveService.getLeaveById(id);
+    if (!leave) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Leave request not found'
+      });
+    }
+
+    req.leave = leave;
+    next();
+  } catch (error) {
+    console.error('Load leave request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+router.use(authenticate);
+
+/**
+ * @route POST /api/leave
+ * @desc Apply for leave, optionally for one subject, with a supporting document
+ * @access Private (Student)
+ */
+router.post('/', upload.single('document'), async (req, res) => {
+  try {
+    const leave = await LeaveService.submitLeave(req.body, req.file, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Leave request submitted successfully',
+      leave: leave
+    });
+
+  } catch (error) {
+    console.error('Submit leave error:', error);
+    if (req.file) {
+      LeaveService.removeFile(req.file.path);
+    }
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/leave/me
+ * @desc Get the current student's leave requests
+ * @access Private (Student)
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const leaves = await LeaveService.getLeavesForStudent(req.user.email);
+
+    res.json({
+      status: 'success',
+      leaves: leaves
+    });
+
+  } catch (error) {
+    console.error('Get own leave requests error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/leave
+ * @desc Get the leave requests the current user can review, optionally filtered by status
+ * @access Private (Faculty/Admin)
+ */
+router.get('/', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const leaves = await LeaveService.getLeavesForReviewer(req.user, { status: req.query.status });
+
+    res.json({
+      status: 'success',
+      leaves: leaves
+    });
+
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/leave/:id/document
+ * @desc Download the supporting document of a leave request
+ * @access Private (Student who applied, or a reviewer)
+ */
+router.get('/:id/document', loadLeave, async (req, res) => {
+  try {
+    const { leave } = req;
+    if (leave.studentEmail !== req.user.email && !LeaveService.canReview(req.user, leave)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const documentPath = await LeaveService.getDocumentPath(leave.id);
+    if (!documentPath || !fs.existsSync(documentPath)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'File not found'
+      });
+    }
+
+    res.download(documentPath, leave.documentName);
+
+  } catch (error) {
+    console.error('Download leave document error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/leave/:id/review
+ * @desc Approve or reject a pending leave request, excusing absences on approval
+ * @access Private (Subject faculty or Admin)
+ */
+router.put('/:id/review', requireRole('faculty', 'admin'), loadLeave, async (req, res) => {
+  try {
+    if (!LeaveService.canReview(req.user, req.leave)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const { leave, excusedCount, escalatedCount } = await LeaveService.reviewLeave(req.leave, req.body, req.user);
+
+    res.json({
+      status: 'success',
+      message: escalatedCount > 0
+        ? `Leave request ${leave.status}; ${escalatedCount} locked absence(s) sent to an admin to excuse`
+        : `Leave request ${leave.status}`,
+      leave: leave,
+      excusedCount: excusedCount,
+      escalatedCount: escalatedCount
+    });
+
+  } catch (error) {
+    console.error('Review leave error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/leave/:id
+ * @desc Withdraw a pending leave request
+ * @access Private (Student who applied)
+ */
+router.delete('/:id', loadLeave, async (req, res) => {
+  try {
+    const leave = await LeaveService.cancelLeave(req.leave, req.user);
+
+    res.json({
+      status: 'success',
+      message: 'Leave request withdrawn',
+      leave: leave
+    });
+
+  } catch (error) {
+    console.error('Cancel leave error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,545 @@
+const express = require('express');
+const router = express.Router();
+const LibraryService = require('../services/LibraryService');
+const PermissionService = require('../services/PermissionService');
+const { authenticate, requirePermission, requireSelfOrPermission } = require('../middleware/auth');
+
+// Load the loan named in the route; students may only touch their own loans
+const loadLoan = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid loan ID is required'
+      });
+    }
+
+    const loan = await LibraryService.getLoanById(id);
+    if (!loan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Loan not found'
+      });
+    }
+
+    if (req.user.email !== loan.studentEmail && !(await PermissionService.hasPermission(req.user, 'library.loans'))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    req.loan = loan;
+    next();
+  } catch (error) {
+    console.error('Load loan error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @route GET /api/library/books
+ * @desc Search the catalog by title, author or ISBN
+ * @access Private (Any authenticated user)
+ */
+router.get('/books', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    if (isNaN(parseInt(page)) || parseInt(page) < 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Page must be a positive integer'
+      });
+    }
+
+    if (isNaN(parseInt(limit)) || parseInt(limit) < 1 || parseInt(limit) > 100) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Limit must be between 1 and 100'
+      });
+    }
+
+    const result = await LibraryService.searchBooks(req.query);
+
+    res.json({
+      status: 'success',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Search books error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/library/books
+ * @desc Add a book to the catalog
+ * @access Private (library.books permission)
+ */
+router.post('/books', requirePermission('library.books'), async (req, res) => {
+  try {
+    const book = await LibraryService.createBook(req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Book added successfully',
+      book: book
+    });
+
+  } catch (error) {
+    console.error('Create book error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/library/books/:id
+ * @desc Get book by ID
+ * @access Private (Any authenticated user)
+ */
+router.get('/books/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid book ID is required'
+      });
+    }
+
+    const book = await LibraryService.getBookById(id);
+
+    if (!book) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Book not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      book: book
+    });
+
+  } catch (error) {
+    console.error('Get book by ID error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/library/books/:id
+ * @desc Update catalog details of a book
+ * @access Private (library.books permission)
+ */
+router.put('/books/:id', requirePermission('library.books'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid book ID is required'
+      });
+    }
+
+    if (req.body.totalCopies !== undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Use the stock endpoint to change the number of copies'
+      });
+    }
+
+    const book = await LibraryService.updateBook(id, req.body);
+
+    if (!book) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Book not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Book updated successfully',
+      book: book
+    });
+
+  } catch (error) {
+    console.error('Update book error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/library/books/:id/stock
+ * @desc Set the number of copies the library owns
+ * @access Private (library.books permission)
+ */
+router.put('/books/:id/stock', requirePermission('library.books'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { totalCopies } = req.body;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid book ID is required'
+      });
+    }
+
+    if (totalCopies === undefined || isNaN(parseInt(totalCopies))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Total copies must be a valid number'
+      });
+    }
+
+    const book = await LibraryService.adjustStock(id, totalCopies);
+
+    if (!book) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Book not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Stock updated successfully',
+      book: book
+    });
+
+  } catch (error) {
+    console.error('Adjust stock error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/library/books/:id/copies
+ * @desc Get the copies of a book and who has each one on loan
+ * @access Private (library.books permission)
+ */
+router.get('/books/:id/copies', requirePermission('library.books'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid book ID is required'
+      });
+    }
+
+    const copies = await LibraryService.getCopies(id);
+
+    if (!copies) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Book not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      copies: copies
+    });
+
+  } catch (error) {
+    console.error('Get copies error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/library/copies/:copyId
+ * @desc Mark a copy as lost, withdrawn or available again
+ * @access Private (library.books permission)
+ */
+router.put('/copies/:copyId', requirePermission('library.books'), async (req, res) => {
+  try {
+    const { copyId } = req.params;
+
+    if (!copyId || isNaN(parseInt(copyId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid copy ID is required'
+      });
+    }
+
+    const copy = await LibraryService.setCopyStatus(copyId, req.body.status);
+
+    if (!copy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Copy not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Copy updated successfully',
+      copy: copy
+    });
+
+  } catch (error) {
+    console.error('Update copy error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/library/books/:id
+ * @desc Remove a book from the catalog
+ * @access Private (library.books permission)
+ */
+router.delete('/books/:id', requirePermission('library.books'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid book ID is required'
+      });
+    }
+
+    const success = await LibraryService.deleteBook(id);
+
+    if (!success) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Book not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Book deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete book error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/library/books/:id/borrow
+ * @desc Borrow a copy of a book; holders of library.loans issue a copy to the student named in the body
+ * @access Private (Student/library.loans permission)
+ */
+router.post('/books/:id/borrow', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid book ID is required'
+      });
+    }
+
+    let studentEmail;
+    let copyId = null;
+    if (await PermissionService.hasPermission(req.user, 'library.loans')) {
+      studentEmail = req.body.studentEmail;
+      copyId = req.body.copyId || null;
+      if (!studentEmail) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Student email is required'
+        });
+      }
+    } else if (req.user.role === 'student') {
+      studentEmail = req.user.email;
+    } else {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Student or library staff access required'
+      });
+    }
+
+    const loan = await LibraryService.borrowBook(id, studentEmail, req.user, copyId);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Book borrowed, due on ${loan.dueDate}`,
+      loan: LibraryService.formatLoan(loan)
+    });
+
+  } catch (error) {
+    console.error('Borrow book error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/library/loans
+ * @desc Get loans filtered by status, student or book
+ * @access Private (library.loans permission)
+ */
+router.get('/loans', requirePermission('library.loans'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !['active', 'overdue', 'returned'].includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Status must be one of: active, overdue, returned'
+      });
+    }
+
+    const loans = await LibraryService.getLoans(req.query);
+
+    res.json({
+      status: 'success',
+      loans: loans
+    });
+
+  } catch (error) {
+    console.error('Get loans error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/library/loans/:id/return
+ * @desc Return a borrowed copy
+ * @access Private (library.loans permission)
+ */
+router.post('/loans/:id/return', requirePermission('library.loans'), loadLoan, async (req, res) => {
+  try {
+    const loan = await LibraryService.returnBook(req.loan);
+    const formatted = LibraryService.formatLoan(loan);
+
+    res.json({
+      status: 'success',
+      message: formatted.fineAmount > 0
+        ? `Book returned with a fine of ${formatted.fineAmount}`
+        : 'Book returned successfully',
+      loan: formatted
+    });
+
+  } catch (error) {
+    console.error('Return book error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/library/loans/:id/renew
+ * @desc Extend the due date of a loan
+ * @access Private (Borrowing student/Admin)
+ */
+router.post('/loans/:id/renew', authenticate, loadLoan, async (req, res) => {
+  try {
+    const loan = await LibraryService.renewLoan(req.loan);
+
+    res.json({
+      status: 'success',
+      message: `Loan renewed, due on ${loan.dueDate}`,
+      loan: LibraryService.formatLoan(loan)
+    });
+
+  } catch (error) {
+    console.error('Renew loan error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/library/loans/:id/pay-fine
+ * @desc Record payment of an overdue fine
+ * @access Private (library.loans permission)
+ */
+router.post('/loans/:id/pay-fine', requirePermission('library.loans'), loadLoan, async (req, res) => {
+  try {
+    const loan = await LibraryService.payFine(req.loan);
+
+    res.json({
+      status: 'success',
+      message: 'Fine marked as paid',
+      loan: LibraryService.formatLoan(loan)
+    });
+
+  } catch (error) {
+    console.error('Pay fine error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/library/students/:email/loans
+ * @desc Get a student's active loans, history and outstanding fines
+ * @access Private (Student themselves/library.loans permission)
+ */
+router.get('/students/:email/loans', requireSelfOrPermission('library.loans'), async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const summary = await LibraryService.getStudentLoans(email);
+
+    res.json({
+      status: 'success',
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Get student loans error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
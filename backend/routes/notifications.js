@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const NotificationService = require('../services/NotificationService');
+const { authenticate } = require('../middleware/auth');
+
+router.use(authenticate);
+
+/**
+ * @route GET /api/notifications
+ * @desc Get the current user's notifications, newest first
+ * @access Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { notifications, unreadCount } = await NotificationService.getForUser(req.user.email, {
+      unreadOnly: req.query.unread === 'true'
+    });
+
+    res.json({
+      status: 'success',
+      notifications,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/notifications/read-all
+ * @desc Mark all of the current user's notifications as read
+ * @access Private
+ */
+router.put('/read-all', async (req, res) => {
+  try {
+    const updated = await NotificationService.markAllRead(req.user.email);
+
+    res.json({
+      status: 'success',
+      message: `${updated} notification(s) marked as read`
+    });
+
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/notifications/:id/read
+ * @desc Mark a notification as read
+ * @access Private
+ */
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notification = await NotificationService.markRead(req.params.id, req.user.email);
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const PerformanceService = require('../services/PerformanceService');
+const SubjectEnrollmentService = require('../services/SubjectEnrollmentService');
+const { requireRole, requireSelfOr } = require('../middleware/auth');
+
+/**
+ * @route GET /api/performance/student/:email
+ * @desc Get a student's per-subject and per-semester performance trajectory
+ * @access Private (Student themselves/Admin)
+ */
+router.get('/student/:email', requireSelfOr('admin'), async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const performance = await PerformanceService.getStudentPerformance(email);
+
+    res.json({
+      status: 'success',
+      performance: performance
+    });
+
+  } catch (error) {
+    console.error('Get student performance error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/performance/subjects
+ * @desc Get class averages of every subject the user teaches (all subjects for admins)
+ * @access Private (Faculty/Admin)
+ */
+router.get('/subjects', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const subjects = await PerformanceService.getSubjectsOverview(req.user);
+
+    res.json({
+      status: 'success',
+      subjects: subjects
+    });
+
+  } catch (error) {
+    console.error('Get performance overview error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/performance/subject/:subjectId
+ * @desc Get ranked student scores, assessment statistics and score distribution of a subject
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.get('/subject/:subjectId', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+
+    if (!subjectId || isNaN(parseInt(subjectId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid subject ID is required'
+      });
+    }
+
+    const subject = await SubjectEnrollmentService.getEnrollmentById(subjectId);
+
+    if (!subject) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subject not found'
+      });
+    }
+
+    if (!SubjectEnrollmentService.canManageSubject(req.user, subject)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const performance = await PerformanceService.getSubjectPerformance(subject);
+
+    res.json({
+      status: 'success',
+      performance: performance
+    });
+
+  } catch (error) {
+    console.error('Get subject performance error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
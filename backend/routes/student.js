@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { Student, Attendance, SubjectEnrollment } = require('../models');
-const AuthService = require('../services/AuthService');
+const { Student, SubjectEnrollment } = require('../models');
+const { requireRole, requireSelfOr } = require('../middleware/auth');
+const TranscriptService = require('../services/TranscriptService');
+const SubjectEnrollmentService = require('../services/SubjectEnrollmentService');
+const AttendanceQueryService = require('../services/AttendanceQueryService');
 
 // Configure multer for image uploads
 const storage = multer.diskStorage({
@@ -28,57 +31,18 @@ const upload = multer({
   }
 });
 
-// Middleware to verify student access
-const verifyStudentAccess = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Authorization header with Bearer token is required'
-      });
-    }
-
-    const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
-    
-    if (!user || user.role !== 'student') {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Student access required'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      status: 'error',
-      message: error.message
-    });
-  }
-};
-
 // Apply student verification to all routes
-router.use(verifyStudentAccess);
+router.use(requireRole('student'));
 
 /**
  * @route GET /api/student/profile/:email
  * @desc Get student profile by email
  * @access Private (Student)
  */
-router.get('/profile/:email', async (req, res) => {
+router.get('/profile/:email', requireSelfOr(), async (req, res) => {
   try {
     const { email } = req.params;
 
-    // Verify the student is accessing their own profile
-    if (req.user.email !== email) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied'
-      });
-    }
-
     const student = await Student.findOne({
       where: { email }
     });
@@ -109,18 +73,10 @@ router.get('/profile/:email', async (req, res) => {
  * @desc Get all subjects for a student
  * @access Private (Student)
  */
-router.get('/subjects/:email', async (req, res) => {
+router.get('/subjects/:email', requireSelfOr(), async (req, res) => {
   try {
     const { email } = req.params;
 
-    // Verify the student is accessing their own data
-    if (req.user.email !== email) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied'
-      });
-    }
-
     const student = await Student.findOne({
       where: { email },
       include: [
@@ -157,89 +113,38 @@ router.get('/subjects/:email', async (req, res) => {
 
 /**
  * @route GET /api/student/attendance-summary/:email
- * @desc Get attendance summary for all subjects
+ * @desc Get attendance summary for all subjects between startDate and endDate
  * @access Private (Student)
  */
 router.get('/attendance-summary/:email', async (req, res) => {
   try {
-    const { email } = req.params;
-    const { startDate, endDate } = req.query;
+    const scope = await AttendanceQueryService.getScope(req.user, req.params.email);
 
     // Verify the student is accessing their own data
-    if (req.user.email !== email) {
+    if (!scope) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied'
       });
     }
 
-    const start = startDate || new Date(Date.now() - 6 * 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    const end = endDate || new Date().toISOString().split('T')[0];
-
-    // Get student with enrolled subjects
-    const student = await Student.findOne({
-      where: { email },
-      include: [
-        {
-          model: SubjectEnrollment,
-          as: 'enrolledStudents',
-          include: [
-            { model: require('../models').Faculty, as: 'faculty' }
-          ]
-        }
-      ]
-    });
-
-    if (!student) {
+    const { startDate, endDate } = AttendanceQueryService.parseFilters(req.query);
+    const summary = await AttendanceQueryService.getSummary(scope, { startDate, endDate });
+    if (!summary) {
       return res.status(404).json({
         status: 'error',
         message: 'Student not found'
       });
     }
 
-    const attendanceSummary = [];
-
-    for (const subject of student.enrolledStudents) {
-      // Get attendance records for this subject
-      const records = await Attendance.findAll({
-        where: {
-          studentEmail: email,
-          subjectId: subject.id,
-          date: {
-            [require('sequelize').Op.between]: [start, end]
-          }
-        }
-      });
-
-      const totalClasses = new Set(records.map(r => r.date)).size;
-      const presentCount = records.filter(r => r.present).length;
-      const percentage = totalClasses > 0 ? 
-        Math.round((presentCount * 100.0 / totalClasses) * 100) / 100.0 : 0.0;
-
-      attendanceSummary.push({
-        subjectName: `${subject.subjectName} (${subject.credits})`,
-        subjectCode: subject.subjectCode,
-        faculty: subject.faculty.name,
-        totalLectures: totalClasses,
-        totalPresent: presentCount,
-        percentage: percentage
-      });
-    }
-
-    const overallPercentage = attendanceSummary.length > 0 ?
-      Math.round(attendanceSummary.reduce((sum, s) => sum + s.percentage, 0) / attendanceSummary.length * 100) / 100.0 : 0.0;
-
     res.json({
       status: 'success',
-      startDate: start,
-      endDate: end,
-      overallPercentage: overallPercentage,
-      subjects: attendanceSummary
+      ...summary
     });
 
   } catch (error) {
     console.error('Get attendance summary error:', error);
-    res.status(500).json({
+    res.status(400).json({
       status: 'error',
       message: error.message
     });
@@ -248,15 +153,16 @@ router.get('/attendance-summary/:email', async (req, res) => {
 
 /**
  * @route GET /api/student/attendance/:email/:subjectId
- * @desc Get detailed attendance for a specific subject
+ * @desc Get a page of detailed attendance for a specific subject, filtered by startDate, endDate and status
  * @access Private (Student)
  */
 router.get('/attendance/:email/:subjectId', async (req, res) => {
   try {
     const { email, subjectId } = req.params;
+    const scope = await AttendanceQueryService.getScope(req.user, email);
 
     // Verify the student is accessing their own data
-    if (req.user.email !== email) {
+    if (!scope) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied'
@@ -264,44 +170,25 @@ router.get('/attendance/:email/:subjectId', async (req, res) => {
     }
 
     // Verify the student is enrolled in this subject
-    const student = await Student.findOne({
-      where: { email },
-      include: [
-        {
-          model: SubjectEnrollment,
-          as: 'enrolledStudents',
-          where: { id: subjectId }
-        }
-      ]
-    });
-
-    if (!student || student.enrolledStudents.length === 0) {
+    const enrolledIds = await SubjectEnrollmentService.getEnrolledSubjectIds(email);
+    if (!enrolledIds.some(id => String(id) === String(subjectId))) {
       return res.status(403).json({
         status: 'error',
         message: 'Student is not enrolled in this subject'
       });
     }
 
-    const records = await Attendance.findAll({
-      where: {
-        studentEmail: email,
-        subjectId: subjectId
-      },
-      include: [
-        { model: SubjectEnrollment, as: 'subject' },
-        { model: require('../models').Faculty, as: 'faculty' }
-      ],
-      order: [['date', 'DESC']]
-    });
+    const filters = AttendanceQueryService.parseFilters(req.query);
+    const result = await AttendanceQueryService.getAttendance(scope, { ...filters, subjectId });
 
     res.json({
       status: 'success',
-      attendance: records
+      ...result
     });
 
   } catch (error) {
     console.error('Get subject attendance error:', error);
-    res.status(500).json({
+    res.status(400).json({
       status: 'error',
       message: error.message
     });
@@ -368,18 +255,10 @@ router.post('/upload-image', upload.single('image'), async (req, res) => {
  * @desc Get student profile image
  * @access Private (Student)
  */
-router.get('/profile-image/:email', async (req, res) => {
+router.get('/profile-image/:email', requireSelfOr(), async (req, res) => {
   try {
     const { email } = req.params;
 
-    // Verify the student is accessing their own image
-    if (req.user.email !== email) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied'
-      });
-    }
-
     const student = await Student.findOne({
       where: { email }
     });
@@ -410,4 +289,39 @@ router.get('/profile-image/:email', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/student/transcript/:email
+ * @desc Download the student's transcript as a PDF
+ * @access Private (Student)
+ */
+router.get('/transcript/:email', requireSelfOr(), async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const transcript = await TranscriptService.generateStudentTranscript(email);
+
+    if (!transcript) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Student not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${transcript.fileName}"`,
+      'Content-Length': transcript.data.length
+    });
+
+    res.send(transcript.data);
+
+  } catch (error) {
+    console.error('Generate transcript error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
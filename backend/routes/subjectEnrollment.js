@@ -1,96 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const SubjectEnrollmentService = require('../services/SubjectEnrollmentService');
-const AuthService = require('../services/AuthService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const subjectPolicy = require('../policies/subjectPolicy');
+const { isAcademicYear } = require('../utils/academicYear');
 
-// Middleware to verify faculty access
-const verifyFacultyAccess = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Authorization header with Bearer token is required'
-      });
-    }
-
-    const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
-    
-    if (!user || (user.role !== 'faculty' && user.role !== 'admin')) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Faculty or Admin access required'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      status: 'error',
-      message: error.message
-    });
-  }
-};
-
-// Middleware to verify any authenticated user for read operations
-const verifyAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Authorization header with Bearer token is required'
-      });
-    }
-
-    const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
-    
-    if (!user) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid token'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      status: 'error',
-      message: error.message
-    });
-  }
-};
+// Load the enrollment named by :enrollmentId or :id, if the user manages it, into req.subject
+const loadManagedEnrollment = subjectPolicy.loadManagedSubject((req) => req.params.enrollmentId || req.params.id);
 
 /**
  * @route POST /api/subject-enrollment/create-all
  * @desc Create enrollment for all students
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for themselves/Admin)
  */
-router.post('/create-all', verifyFacultyAccess, async (req, res) => {
+router.post('/create-all', requireRole('faculty', 'admin'), async (req, res) => {
   try {
-    const { emailId, subjectName, subjectCode, credits } = req.body;
+    const { emailId, subjectName, subjectCode, credits, semester, academicYear } = req.body;
 
     // Enhanced input validation
-    if (!emailId || !subjectName || !subjectCode || credits === undefined || credits === null) {
+    if (!subjectName || !subjectCode || credits === undefined || credits === null) {
       return res.status(400).json({
         status: 'error',
-        message: 'Email ID, subject name, subject code, and credits are required'
+        message: 'Subject name, subject code, and credits are required'
+      });
+    }
+
+    // Faculty create subjects for themselves; admins name the faculty
+    if (!emailId && req.user.role === 'admin') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email ID is required'
       });
     }
 
-    // Email validation
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(emailId)) {
+    if (emailId && !emailRegex.test(emailId)) {
       return res.status(400).json({
         status: 'error',
         message: 'Invalid email format'
       });
     }
 
+    const facultyEmail = subjectPolicy.resolveActingFaculty(req.user, { requestedEmail: emailId });
+    if (!facultyEmail) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
     // String validations
     if (typeof subjectName !== 'string' || subjectName.trim().length === 0) {
       return res.status(400).json({
@@ -115,11 +73,30 @@ router.post('/create-all', verifyFacultyAccess, async (req, res) => {
       });
     }
 
+    if (semester !== undefined && semester !== null) {
+      const semesterNum = parseInt(semester);
+      if (isNaN(semesterNum) || semesterNum < 1 || semesterNum > 12) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Semester must be a number between 1 and 12'
+        });
+      }
+    }
+
+    if (academicYear && !isAcademicYear(academicYear)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Academic year must look like 2025-26'
+      });
+    }
+
     const enrollment = await SubjectEnrollmentService.createEnrollmentForAllStudents({
-      emailId,
+      emailId: facultyEmail,
       subjectName,
       subjectCode,
-      credits
+      credits,
+      semester,
+      academicYear
     });
 
     res.status(201).json({
@@ -140,29 +117,44 @@ router.post('/create-all', verifyFacultyAccess, async (req, res) => {
 /**
  * @route POST /api/subject-enrollment/create-specific
  * @desc Create enrollment for specific students
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for themselves/Admin)
  */
-router.post('/create-specific', verifyFacultyAccess, async (req, res) => {
+router.post('/create-specific', requireRole('faculty', 'admin'), async (req, res) => {
   try {
-    const { emailId, subjectName, subjectCode, credits, studentEmails } = req.body;
+    const { emailId, subjectName, subjectCode, credits, semester, academicYear, studentEmails } = req.body;
 
     // Enhanced input validation
-    if (!emailId || !subjectName || !subjectCode || credits === undefined || credits === null || !studentEmails || !Array.isArray(studentEmails)) {
+    if (!subjectName || !subjectCode || credits === undefined || credits === null || !studentEmails || !Array.isArray(studentEmails)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Email ID, subject name, subject code, credits, and student emails array are required'
+        message: 'Subject name, subject code, credits, and student emails array are required'
+      });
+    }
+
+    // Faculty create subjects for themselves; admins name the faculty
+    if (!emailId && req.user.role === 'admin') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email ID is required'
       });
     }
 
-    // Email validation
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(emailId)) {
+    if (emailId && !emailRegex.test(emailId)) {
       return res.status(400).json({
         status: 'error',
         message: 'Invalid faculty email format'
       });
     }
 
+    const facultyEmail = subjectPolicy.resolveActingFaculty(req.user, { requestedEmail: emailId });
+    if (!facultyEmail) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
     // Validate all student emails
     if (studentEmails.length === 0) {
       return res.status(400).json({
@@ -204,11 +196,30 @@ router.post('/create-specific', verifyFacultyAccess, async (req, res) => {
       });
     }
 
+    if (semester !== undefined && semester !== null) {
+      const semesterNum = parseInt(semester);
+      if (isNaN(semesterNum) || semesterNum < 1 || semesterNum > 12) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Semester must be a number between 1 and 12'
+        });
+      }
+    }
+
+    if (academicYear && !isAcademicYear(academicYear)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Academic year must look like 2025-26'
+      });
+    }
+
     const enrollment = await SubjectEnrollmentService.createEnrollmentForSpecificStudents({
-      emailId,
+      emailId: facultyEmail,
       subjectName,
       subjectCode,
       credits,
+      semester,
+      academicYear,
       studentEmails
     });
 
@@ -232,7 +243,7 @@ router.post('/create-specific', verifyFacultyAccess, async (req, res) => {
  * @desc Get all enrollments
  * @access Private (Any authenticated user)
  */
-router.get('/', verifyAuth, async (req, res) => {
+router.get('/', authenticate, async (req, res) => {
   try {
     const enrollments = await SubjectEnrollmentService.getAllEnrollments();
     
@@ -255,7 +266,7 @@ router.get('/', verifyAuth, async (req, res) => {
  * @desc Get enrollment by ID
  * @access Private (Any authenticated user)
  */
-router.get('/:id', verifyAuth, async (req, res) => {
+router.get('/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
     const enrollment = await SubjectEnrollmentService.getEnrollmentById(id);
@@ -286,7 +297,7 @@ router.get('/:id', verifyAuth, async (req, res) => {
  * @desc Get enrollments by faculty
  * @access Private (Any authenticated user)
  */
-router.get('/faculty/:email', verifyAuth, async (req, res) => {
+router.get('/faculty/:email', authenticate, async (req, res) => {
   try {
     const { email } = req.params;
     const enrollments = await SubjectEnrollmentService.getEnrollmentsByFaculty(email);
@@ -310,7 +321,7 @@ router.get('/faculty/:email', verifyAuth, async (req, res) => {
  * @desc Get enrollments by student
  * @access Private (Any authenticated user)
  */
-router.get('/student/:email', verifyAuth, async (req, res) => {
+router.get('/student/:email', authenticate, async (req, res) => {
   try {
     const { email } = req.params;
     const enrollments = await SubjectEnrollmentService.getEnrollmentsByStudent(email);
@@ -332,9 +343,9 @@ router.get('/student/:email', verifyAuth, async (req, res) => {
 /**
  * @route POST /api/subject-enrollment/:enrollmentId/add-student
  * @desc Add student to enrollment
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for their own subjects/Admin)
  */
-router.post('/:enrollmentId/add-student', verifyFacultyAccess, async (req, res) => {
+router.post('/:enrollmentId/add-student', requireRole('faculty', 'admin'), loadManagedEnrollment, async (req, res) => {
   try {
     const { enrollmentId } = req.params;
     const { studentEmail } = req.body;
@@ -388,9 +399,9 @@ router.post('/:enrollmentId/add-student', verifyFacultyAccess, async (req, res)
 /**
  * @route DELETE /api/subject-enrollment/:enrollmentId/remove-student
  * @desc Remove student from enrollment
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for their own subjects/Admin)
  */
-router.delete('/:enrollmentId/remove-student', verifyFacultyAccess, async (req, res) => {
+router.delete('/:enrollmentId/remove-student', requireRole('faculty', 'admin'), loadManagedEnrollment, async (req, res) => {
   try {
     const { enrollmentId } = req.params;
     const { studentEmail } = req.body;
@@ -428,11 +439,28 @@ router.delete('/:enrollmentId/remove-student', verifyFacultyAccess, async (req,
 /**
  * @route PUT /api/subject-enrollment/:id
  * @desc Update enrollment
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for their own subjects/Admin)
  */
-router.put('/:id', verifyFacultyAccess, async (req, res) => {
+router.put('/:id', requireRole('faculty', 'admin'), loadManagedEnrollment, async (req, res) => {
   try {
     const { id } = req.params;
+
+    if (req.body.academicYear && !isAcademicYear(req.body.academicYear)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Academic year must look like 2025-26'
+      });
+    }
+
+    // Only admins can hand a subject to another faculty member
+    const { facultyEmail } = req.body;
+    if (facultyEmail !== undefined && facultyEmail !== req.subject.facultyEmail && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only admins can reassign a subject'
+      });
+    }
+
     const enrollment = await SubjectEnrollmentService.updateEnrollment(id, req.body);
     
     if (!enrollment) {
@@ -460,9 +488,9 @@ router.put('/:id', verifyFacultyAccess, async (req, res) => {
 /**
  * @route DELETE /api/subject-enrollment/:id
  * @desc Delete enrollment
- * @access Private (Faculty/Admin)
+ * @access Private (Faculty for their own subjects/Admin)
  */
-router.delete('/:id', verifyFacultyAccess, async (req, res) => {
+router.delete('/:id', requireRole('faculty', 'admin'), loadManagedEnrollment, async (req, res) => {
   try {
     const { id } = req.params;
     const success = await SubjectEnrollmentService.deleteEnrollment(id);
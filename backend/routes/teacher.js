@@ -1,41 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { Faculty, SubjectEnrollment, Attendance } = require('../models');
-const AuthService = require('../services/AuthService');
-
-// Middleware to verify faculty access
-const verifyFacultyAccess = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Authorization header with Bearer token is required'
-      });
-    }
-
-    const idToken = authHeader.split(' ')[1];
-    const user = await AuthService.verifyTokenAndGetUser(idToken);
-    
-    if (!user || user.role !== 'faculty') {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Faculty access required'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      status: 'error',
-      message: error.message
-    });
-  }
-};
+const { requireRole } = require('../middleware/auth');
+const AttendanceService = require('../services/AttendanceService');
+const subjectPolicy = require('../policies/subjectPolicy');
 
 // Apply faculty verification to all routes
-router.use(verifyFacultyAccess);
+router.use(requireRole('faculty'));
 
 /**
  * @route GET /api/teacher/profile/:email
@@ -64,7 +35,7 @@ router.get('/profile/:email', async (req, res) => {
     }
 
     // Verify the teacher is accessing their own profile
-    if (req.user.email !== email) {
+    if (!subjectPolicy.canActAsFaculty(req.user, email)) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied'
@@ -106,7 +77,7 @@ router.get('/subjects/:email', async (req, res) => {
     const { email } = req.params;
 
     // Verify the teacher is accessing their own data
-    if (req.user.email !== email) {
+    if (!subjectPolicy.canActAsFaculty(req.user, email)) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied'
@@ -145,7 +116,7 @@ router.get('/students/:email', async (req, res) => {
     const { email } = req.params;
 
     // Verify the teacher is accessing their own data
-    if (req.user.email !== email) {
+    if (!subjectPolicy.canActAsFaculty(req.user, email)) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied'
@@ -193,7 +164,7 @@ router.get('/attendance/:email', async (req, res) => {
     const { email } = req.params;
 
     // Verify the teacher is accessing their own data
-    if (req.user.email !== email) {
+    if (!subjectPolicy.canActAsFaculty(req.user, email)) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied'
@@ -233,7 +204,7 @@ router.get('/attendance-stats/:email', async (req, res) => {
     const { email } = req.params;
 
     // Verify the teacher is accessing their own data
-    if (req.user.email !== email) {
+    if (!subjectPolicy.canActAsFaculty(req.user, email)) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied'
@@ -255,10 +226,9 @@ router.get('/attendance-stats/:email', async (req, res) => {
       });
 
       const totalClasses = new Set(attendance.map(a => a.date)).size;
-      const totalPresent = attendance.filter(a => a.present).length;
-      const totalPossible = totalClasses * subject.enrolledStudents.length;
-      const percentage = totalPossible > 0 ? 
-        Math.round((totalPresent * 100.0 / totalPossible) * 100) / 100.0 : 0.0;
+      const { totalPresent, totalExcused, percentage } =
+        AttendanceService.weighAttendance(attendance, totalClasses * subject.enrolledStudents.length);
+      const totalPossible = totalClasses * subject.enrolledStudents.length - totalExcused;
 
       stats.push({
         subjectId: subject.id,
@@ -267,6 +237,7 @@ router.get('/attendance-stats/:email', async (req, res) => {
         totalStudents: subject.enrolledStudents.length,
         totalClasses: totalClasses,
         totalPresent: totalPresent,
+        totalExcused: totalExcused,
         totalPossible: totalPossible,
         percentage: percentage
       });
@@ -313,7 +284,7 @@ router.put('/profile/:email', async (req, res) => {
     }
 
     // Verify the teacher is updating their own profile
-    if (req.user.email !== email) {
+    if (!subjectPolicy.canActAsFaculty(req.user, email)) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied'
@@ -0,0 +1,411 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment');
+const { SubjectEnrollment } = require('../models');
+const TimetableService = require('../services/TimetableService');
+const ClassSessionService = require('../services/ClassSessionService');
+const SubjectEnrollmentService = require('../services/SubjectEnrollmentService');
+const { authenticate, requireRole, requirePermission } = require('../middleware/auth');
+
+// Longest date range a session listing may cover
+const MAX_RANGE_DAYS = 366;
+
+// Conflicts are reported as 409 so clients can tell them from bad input
+const slotErrorStatus = (error) => (error.message.startsWith('Timetable conflict') ? 409 : 400);
+
+// Middleware to load a slot the current user may reschedule
+const loadManageableSlot = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid slot ID is required'
+      });
+    }
+
+    const slot = await TimetableService.getSlotById(id);
+    if (!slot) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Timetable slot not found'
+      });
+    }
+
+    if (!SubjectEnrollmentService.canManageSubject(req.user, slot.subject)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    req.slot = slot;
+    next();
+  } catch (error) {
+    console.error('Load slot error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @route GET /api/timetable/me
+ * @desc Get the weekly timetable of the current user with the bell schedule
+ * @access Private
+ */
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const slots = await TimetableService.getTimetableForUser(req.user);
+
+    res.json({
+      status: 'success',
+      ...TimetableService.getSchedule(),
+      slots
+    });
+
+  } catch (error) {
+    console.error('Get my timetable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/timetable
+ * @desc Get timetable slots, optionally filtered by subject, room or faculty
+ * @access Private (Faculty/Admin)
+ */
+router.get('/', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const { subjectId, roomId, facultyEmail } = req.query;
+
+    const slots = await TimetableService.getSlots({
+      subjectIds: subjectId ? [subjectId] : null,
+      roomId,
+      facultyEmail
+    });
+
+    res.json({
+      status: 'success',
+      ...TimetableService.getSchedule(),
+      slots
+    });
+
+  } catch (error) {
+    console.error('Get timetable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/timetable/subject/:subjectId/current
+ * @desc Get the slot of a subject that is in progress
+ * @access Private (Faculty/Admin)
+ */
+router.get('/subject/:subjectId/current', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    if (isNaN(parseInt(subjectId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid subject ID is required'
+      });
+    }
+
+    const slot = await TimetableService.getCurrentSlot(subjectId);
+
+    res.json({
+      status: 'success',
+      slot: slot ? await TimetableService.getSlotById(slot.id) : null,
+      period: slot ? TimetableService.getPeriod(slot.period) : null
+    });
+
+  } catch (error) {
+    console.error('Get current slot error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/timetable/rooms
+ * @desc Get all rooms
+ * @access Private (Faculty/Admin)
+ */
+router.get('/rooms', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const rooms = await TimetableService.getRooms();
+
+    res.json({
+      status: 'success',
+      rooms
+    });
+
+  } catch (error) {
+    console.error('Get rooms error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/timetable/rooms
+ * @desc Add a room
+ * @access Private (timetable.rooms permission)
+ */
+router.post('/rooms', requirePermission('timetable.rooms'), async (req, res) => {
+  try {
+    const room = await TimetableService.createRoom(req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Room created successfully',
+      room
+    });
+
+  } catch (error) {
+    console.error('Create room error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/timetable/rooms/:id
+ * @desc Delete a room that has no timetable slots
+ * @access Private (timetable.rooms permission)
+ */
+router.delete('/rooms/:id', requirePermission('timetable.rooms'), async (req, res) => {
+  try {
+    const deleted = await TimetableService.deleteRoom(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Room not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Room deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete room error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/timetable/slots
+ * @desc Schedule a subject in a room for one period every week
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.post('/slots', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const slot = await TimetableService.createSlot(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Timetable slot created successfully',
+      slot
+    });
+
+  } catch (error) {
+    console.error('Create slot error:', error);
+    res.status(slotErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/timetable/slots/:id
+ * @desc Move a slot to another room, day or period
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.put('/slots/:id', requireRole('faculty', 'admin'), loadManageableSlot, async (req, res) => {
+  try {
+    const slot = await TimetableService.updateSlot(req.slot, req.body);
+
+    res.json({
+      status: 'success',
+      message: 'Timetable slot updated successfully',
+      slot
+    });
+
+  } catch (error) {
+    console.error('Update slot error:', error);
+    res.status(slotErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/timetable/slots/:id
+ * @desc Remove a slot from the timetable
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.delete('/slots/:id', requireRole('faculty', 'admin'), loadManageableSlot, async (req, res) => {
+  try {
+    await TimetableService.deleteSlot(req.slot.id);
+
+    res.json({
+      status: 'success',
+      message: 'Timetable slot deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete slot error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/timetable/subject/:subjectId/sessions
+ * @desc Get the class sessions of a subject between from and to (defaults to 30 days either side of today), with the dates lost to holidays and cancellations
+ * @access Private (Faculty/Admin)
+ */
+router.get('/subject/:subjectId/sessions', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const subject = await SubjectEnrollment.findByPk(req.params.subjectId);
+    if (!subject) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subject not found'
+      });
+    }
+
+    const from = req.query.from ? moment(req.query.from, 'YYYY-MM-DD', true) : moment().subtract(30, 'days');
+    const to = req.query.to ? moment(req.query.to, 'YYYY-MM-DD', true) : moment().add(30, 'days');
+
+    if (!from.isValid() || !to.isValid() || to.isBefore(from)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'From and to must be dates in YYYY-MM-DD format with from before to'
+      });
+    }
+
+    if (to.diff(from, 'days') > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const { sessions, excluded } = await ClassSessionService.getSessions(
+      subject,
+      from.format('YYYY-MM-DD'),
+      to.format('YYYY-MM-DD')
+    );
+
+    res.json({
+      status: 'success',
+      sessions,
+      excluded
+    });
+
+  } catch (error) {
+    console.error('Get class sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/timetable/subject/:subjectId/sessions
+ * @desc Add an extra or makeup class, or cancel a scheduled class
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.post('/subject/:subjectId/sessions', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const subject = await SubjectEnrollment.findByPk(req.params.subjectId);
+    if (!subject) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subject not found'
+      });
+    }
+
+    const session = await ClassSessionService.createSession(subject, req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: session.type === 'cancelled' ? 'Class cancelled successfully' : 'Class added successfully',
+      session
+    });
+
+  } catch (error) {
+    console.error('Create class session error:', error);
+    res.status(slotErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/timetable/sessions/:id
+ * @desc Remove an extra class or restore a cancelled one
+ * @access Private (Faculty teaching the subject/Admin)
+ */
+router.delete('/sessions/:id', requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const session = await ClassSessionService.getSessionById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Class session not found'
+      });
+    }
+
+    const subject = await SubjectEnrollment.findByPk(session.subjectId);
+    if (!SubjectEnrollmentService.canManageSubject(req.user, subject)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    await ClassSessionService.deleteSession(session.id);
+
+    res.json({
+      status: 'success',
+      message: 'Class session removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete class session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
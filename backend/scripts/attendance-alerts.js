@@ -0,0 +1,28 @@
+const { sequelize } = require('../models');
+const AttendanceEligibilityService = require('../services/AttendanceEligibilityService');
+
+// Meant to run daily from cron, e.g. `0 7 * * * npm run attendance-alerts`.
+// Alerts are deduplicated per week, so running it more often is harmless.
+async function sendAttendanceAlerts() {
+  try {
+    console.log('Checking attendance against thresholds...');
+
+    await sequelize.authenticate();
+    const result = await AttendanceEligibilityService.sendLowAttendanceAlerts();
+
+    console.log(`Checked ${result.subjects} subject(s): ${result.atRisk} at risk, ${result.ineligible} ineligible.`);
+    console.log(`Sent ${result.notificationsSent} notification(s).`);
+
+    await sequelize.close();
+  } catch (error) {
+    console.error('Attendance alerts failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  sendAttendanceAlerts();
+}
+
+module.exports = sendAttendanceAlerts;
@@ -0,0 +1,42 @@
+const { Op } = require('sequelize');
+const { sequelize, Attendance } = require('../models');
+
+// Run once after the status column is added by `npm run init-db`. Records
+// written before then only have the present and excused flags, so their status
+// is set from those. Records whose status agrees with the flags are left alone,
+// so running it again is harmless.
+async function backfillAttendanceStatus() {
+  try {
+    console.log('Backfilling attendance status...');
+
+    await sequelize.authenticate();
+
+    const attended = ['present', 'late', 'on_duty'];
+    const [present] = await Attendance.update(
+      { status: 'present' },
+      { where: { present: true, status: { [Op.notIn]: attended } } }
+    );
+    const [excused] = await Attendance.update(
+      { status: 'excused' },
+      { where: { present: false, excused: true, status: { [Op.ne]: 'excused' } } }
+    );
+    const [absent] = await Attendance.update(
+      { status: 'absent' },
+      { where: { present: false, excused: false, status: { [Op.ne]: 'absent' } } }
+    );
+
+    console.log(`Updated ${present} present, ${excused} excused and ${absent} absent record(s).`);
+
+    await sequelize.close();
+  } catch (error) {
+    console.error('Attendance status backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfillAttendanceStatus();
+}
+
+module.exports = backfillAttendanceStatus;
@@ -0,0 +1,64 @@
+const { sequelize, Book, BookCopy, Loan } = require('../models');
+const LibraryService = require('../services/LibraryService');
+
+// Run once after `npm run init-db` adds the book_copies table. Books catalogued
+// before copies were tracked get one copy per copy counted, and each of their
+// active loans is assigned one. Books that already have copies are skipped, so
+// running it again changes nothing.
+async function backfillBookCopies() {
+  try {
+    console.log('Labelling copies of existing books...');
+
+    await sequelize.authenticate();
+
+    const books = await Book.findAll({ attributes: ['id'], order: [['id', 'ASC']] });
+    let labelled = 0;
+
+    for (const { id } of books) {
+      const added = await sequelize.transaction(async (transaction) => {
+        const book = await Book.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (await BookCopy.count({ where: { bookId: id }, transaction }) > 0) {
+          return false;
+        }
+
+        const loans = await Loan.findAll({
+          where: { bookId: id, returnedAt: null },
+          order: [['borrowedAt', 'ASC']],
+          transaction
+        });
+        await LibraryService.addCopies(book, Math.max(book.totalCopies, loans.length), transaction);
+        const copies = await BookCopy.findAll({
+          where: { bookId: id },
+          order: [['id', 'ASC']],
+          transaction
+        });
+
+        for (let i = 0; i < loans.length; i++) {
+          await copies[i].update({ status: 'on_loan' }, { transaction });
+          await loans[i].update({ copyId: copies[i].id }, { transaction });
+        }
+
+        await LibraryService.syncCopyCounts(book, transaction);
+        return true;
+      });
+
+      if (added) {
+        labelled++;
+      }
+    }
+
+    console.log(`Labelled copies of ${labelled} book(s).`);
+
+    await sequelize.close();
+  } catch (error) {
+    console.error('Book copy backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfillBookCopies();
+}
+
+module.exports = backfillBookCopies;
@@ -0,0 +1,48 @@
+const { sequelize, Attendance } = require('../models');
+
+// Run before `npm run init-db` adds the unique index on student, subject and
+// date. Older bulk marking could record a student twice for the same class; the
+// most recently updated record is kept and the others are deleted. Running it
+// again finds nothing to remove.
+async function dedupeAttendance() {
+  try {
+    console.log('Removing duplicate attendance records...');
+
+    await sequelize.authenticate();
+
+    const records = await Attendance.findAll({
+      attributes: ['id', 'studentEmail', 'subjectId', 'date', 'updated_at'],
+      order: [['updated_at', 'DESC'], ['id', 'DESC']],
+      raw: true
+    });
+
+    const kept = new Set();
+    const duplicateIds = [];
+    for (const record of records) {
+      const key = `${record.studentEmail}|${record.subjectId}|${record.date}`;
+      if (kept.has(key)) {
+        duplicateIds.push(record.id);
+      } else {
+        kept.add(key);
+      }
+    }
+
+    if (duplicateIds.length > 0) {
+      await Attendance.destroy({ where: { id: duplicateIds } });
+    }
+
+    console.log(`Removed ${duplicateIds.length} duplicate record(s).`);
+
+    await sequelize.close();
+  } catch (error) {
+    console.error('Attendance dedupe failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  dedupeAttendance();
+}
+
+module.exports = dedupeAttendance;
@@ -0,0 +1,42 @@
+const { Op } = require('sequelize');
+const { sequelize, User, Student, Faculty, Admin } = require('../models');
+const { isHashed, hashPassword } = require('../utils/password');
+
+// Run once on databases from before passwords were hashed. Student and faculty
+// records used to keep their initial password in plain text; every password
+// column is hashed in place. Hashed values are left alone, so running it again
+// is harmless.
+async function hashPasswords() {
+  try {
+    console.log('Hashing stored passwords...');
+
+    await sequelize.authenticate();
+
+    for (const Model of [User, Student, Faculty, Admin]) {
+      const records = await Model.findAll({ where: { password: { [Op.ne]: null } } });
+      let hashed = 0;
+
+      for (const record of records) {
+        if (record.password && !isHashed(record.password)) {
+          record.password = await hashPassword(record.password);
+          await record.save({ fields: ['password'] });
+          hashed++;
+        }
+      }
+
+      console.log(`${Model.tableName}: hashed ${hashed} password(s).`);
+    }
+
+    await sequelize.close();
+  } catch (error) {
+    console.error('Password hashing failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  hashPasswords();
+}
+
+module.exports = hashPasswords;
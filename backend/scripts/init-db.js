@@ -1,4 +1,5 @@
 const { sequelize, syncDatabase } = require('../models');
+const PermissionService = require('../services/PermissionService');
 
 async function initializeDatabase() {
   try {
@@ -11,6 +12,10 @@ async function initializeDatabase() {
     // Sync database (create tables)
     await syncDatabase();
     console.log('Database synchronized successfully.');
+
+    // Create the default permissions and staff roles
+    await PermissionService.syncDefaults();
+    console.log('Permissions and roles created.');
     
     // Close connection
     await sequelize.close();
@@ -11,7 +11,8 @@ async function seedData() {
       'admin123',
       'System Administrator',
       'admin',
-      'ADMIN001'
+      'ADMIN001',
+      { mustChangePassword: true }
     );
 
     console.log('Admin user created:', adminUser.email);
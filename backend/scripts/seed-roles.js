@@ -0,0 +1,28 @@
+const { sequelize } = require('../models');
+const PermissionService = require('../services/PermissionService');
+
+// Create the permissions and staff roles listed in config/permissions.js that
+// the database does not have yet. Roles that already exist keep the
+// permissions an admin gave them, so running it again is harmless.
+async function seedRoles() {
+  try {
+    console.log('Creating missing permissions and roles...');
+
+    await sequelize.authenticate();
+
+    const created = await PermissionService.syncDefaults();
+    console.log(`Created ${created.permissions} permission(s) and ${created.roles} role(s).`);
+
+    await sequelize.close();
+  } catch (error) {
+    console.error('Seeding roles failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  seedRoles();
+}
+
+module.exports = seedRoles;
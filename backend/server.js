@@ -5,7 +5,7 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const { testConnection } = require('./config/database');
-const { initializeFirebase } = require('./config/firebase');
+const { getAuthProvider } = require('./services/authProviders');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -16,6 +16,16 @@ const attendanceRoutes = require('./routes/attendance');
 const announcementRoutes = require('./routes/announcement');
 const calendarRoutes = require('./routes/calendar');
 const subjectEnrollmentRoutes = require('./routes/subjectEnrollment');
+const examRoutes = require('./routes/exam');
+const assignmentRoutes = require('./routes/assignment');
+const libraryRoutes = require('./routes/library');
+const performanceRoutes = require('./routes/performance');
+const gradeRoutes = require('./routes/grades');
+const eventRoutes = require('./routes/events');
+const timetableRoutes = require('./routes/timetable');
+const notificationRoutes = require('./routes/notifications');
+const leaveRoutes = require('./routes/leave');
+const attendanceCorrectionRoutes = require('./routes/attendanceCorrection');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -44,8 +54,8 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Static files
 app.use('/uploads', express.static('uploads'));
 
-// Initialize Firebase
-initializeFirebase();
+// Initialize the identity provider chosen by AUTH_PROVIDER
+getAuthProvider().initialize();
 
 // Test database connection
 testConnection().catch(err => {
@@ -75,6 +85,16 @@ app.use('/api/attendance', attendanceRoutes);
 app.use('/api/announcements', announcementRoutes);
 app.use('/api/calendar', calendarRoutes);
 app.use('/api/subject-enrollment', subjectEnrollmentRoutes);
+app.use('/api/exams', examRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/library', libraryRoutes);
+app.use('/api/performance', performanceRoutes);
+app.use('/api/grades', gradeRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/timetable', timetableRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/leave', leaveRoutes);
+app.use('/api/attendance-corrections', attendanceCorrectionRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
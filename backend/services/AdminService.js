@@ -1,5 +1,7 @@
 const { Student, Faculty, User } = require('../models');
 const UserService = require('./UserService');
+const MailService = require('./MailService');
+const { generatePassword } = require('../utils/password');
 const csv = require('csv-parser');
 const fs = require('fs');
 
@@ -16,12 +18,39 @@ class AdminService {
   }
 
   /**
-   * Generate password from date of birth
-   * @param {string} dob - Date of birth
+   * Generate a random one-time initial password
    * @returns {string} Generated password
    */
-  generatePassword(dob) {
-    return dob.toString();
+  generatePassword() {
+    return generatePassword();
+  }
+
+  /**
+   * Create the account of a new student or faculty member and mail them its
+   * one-time password, which must be changed at first sign-in
+   * @param {Object} person - Student or faculty with email, name and univId
+   * @param {string} role - User role
+   * @returns {Promise<Object>} Created user
+   */
+  async createAccount(person, role) {
+    const password = this.generatePassword();
+    const user = await UserService.createUser(
+      person.email,
+      password,
+      person.name,
+      role,
+      person.univId,
+      { mustChangePassword: true }
+    );
+
+    try {
+      await MailService.sendInitialPassword(user, password);
+    } catch (error) {
+      // The account works regardless; the user can still ask for a reset link
+      console.error('Initial password mail error:', error);
+    }
+
+    return user;
   }
 
   /**
@@ -163,20 +192,11 @@ class AdminService {
       // Create Firebase users and update students
       for (const student of savedStudents) {
         const rollNo = this.generateRollNo(student.year, student.branch, student.id);
-        const password = this.generatePassword(student.dob);
         
         student.rollNo = rollNo;
-        student.password = password;
         student.univId = this.generateUnivId(student.name, student.contactNo);
 
-        // Create Firebase user
-        const user = await UserService.createUser(
-          student.email,
-          student.password,
-          student.name,
-          'student',
-          student.univId
-        );
+        const user = await this.createAccount(student, 'student');
         
         student.firebaseUid = user.firebaseUid;
         await student.save();
@@ -222,11 +242,8 @@ class AdminService {
       throw new Error('Email already exists');
     }
 
-    // Set default values
-    if (!studentData.password) {
-      studentData.password = studentData.dob ? 
-        this.generatePassword(studentData.dob) : 'password123';
-    }
+    // The account gets a generated one-time password instead
+    delete studentData.password;
 
     // Save student first to generate ID
     const savedStudent = await Student.create(studentData);
@@ -250,14 +267,7 @@ class AdminService {
     }
 
     try {
-      // Create Firebase user
-      const user = await UserService.createUser(
-        savedStudent.email,
-        savedStudent.password,
-        savedStudent.name,
-        'student',
-        savedStudent.univId
-      );
+      const user = await this.createAccount(savedStudent, 'student');
       
       savedStudent.firebaseUid = user.firebaseUid;
       return await savedStudent.save();
@@ -302,21 +312,17 @@ class AdminService {
       throw new Error('Faculty email already exists');
     }
 
+    // The account gets a generated one-time password instead
+    delete facultyData.password;
+
     const savedFaculty = await Faculty.create(facultyData);
     
-    savedFaculty.password = this.generatePassword(savedFaculty.dob);
     savedFaculty.univId = this.generateUnivIdFaculty(
       savedFaculty.name, 
       savedFaculty.contactNo
     );
 
-    const user = await UserService.createUser(
-      savedFaculty.email,
-      savedFaculty.password,
-      savedFaculty.name,
-      'faculty',
-      savedFaculty.univId
-    );
+    const user = await this.createAccount(savedFaculty, 'faculty');
     
     savedFaculty.firebaseUid = user.firebaseUid;
     return await savedFaculty.save();
@@ -410,20 +416,34 @@ class AdminService {
 
   /**
    * Get all students
+   * @param {Object} filters - { branches } to only get students of these branches
    * @returns {Promise<Array>} Array of students
    */
-  async getAllStudents() {
+  async getAllStudents({ branches } = {}) {
+    const where = {};
+    if (Array.isArray(branches)) {
+      where.branch = branches;
+    }
+
     return await Student.findAll({
+      where,
       order: [['createdAt', 'DESC']]
     });
   }
 
   /**
    * Get all faculty
+   * @param {Object} filters - { departments } to only get faculty of these departments
    * @returns {Promise<Array>} Array of faculty
    */
-  async getAllFaculty() {
+  async getAllFaculty({ departments } = {}) {
+    const where = {};
+    if (Array.isArray(departments)) {
+      where.department = departments;
+    }
+
     return await Faculty.findAll({
+      where,
       order: [['createdAt', 'DESC']]
     });
   }
@@ -0,0 +1,494 @@
+const fs = require('fs');
+const { sequelize, Assignment, Submission, SubjectEnrollment, Student, Faculty } = require('../models');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+const GradeService = require('./GradeService');
+
+class AssignmentService {
+  /**
+   * Validate assignment fields shared by create and update
+   * @param {Object} data - Assignment data
+   * @param {boolean} partial - Whether missing fields are allowed
+   */
+  validateAssignmentData(data, partial = false) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Assignment data is required');
+    }
+
+    const { title, dueDate, maxMarks } = data;
+
+    if (!partial || title !== undefined) {
+      if (!title || typeof title !== 'string' || title.trim().length === 0) {
+        throw new Error('Title is required and must be a non-empty string');
+      }
+      if (title.length > 200) {
+        throw new Error('Title must not exceed 200 characters');
+      }
+    }
+
+    if (!partial || dueDate !== undefined) {
+      if (!dueDate || isNaN(new Date(dueDate).getTime())) {
+        throw new Error('Due date must be a valid date');
+      }
+    }
+
+    if (!partial || maxMarks !== undefined) {
+      const max = parseFloat(maxMarks);
+      if (isNaN(max) || max <= 0 || max > 1000) {
+        throw new Error('Maximum marks must be a number between 0 and 1000');
+      }
+    }
+  }
+
+  /**
+   * Parse a boolean sent as a multipart form field
+   * @param {*} value - Raw value
+   * @param {boolean} defaultValue - Value used when missing
+   * @returns {boolean} Parsed value
+   */
+  parseBoolean(value, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+      return defaultValue;
+    }
+    return value === true || value === 'true' || value === '1';
+  }
+
+  /**
+   * Remove an uploaded file, ignoring files that are already gone
+   * @param {string} filePath - Path of the uploaded file
+   */
+  removeFile(filePath) {
+    if (!filePath) {
+      return;
+    }
+    fs.unlink(filePath, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error('Failed to remove uploaded file:', error);
+      }
+    });
+  }
+
+  /**
+   * Get where an assignment's attachment is stored
+   * Paths are left out of assignments by default so they never reach clients.
+   * @param {number} assignmentId - Assignment ID
+   * @returns {Promise<string|null>} Path of the attachment, or null if there is none
+   */
+  async getAttachmentPath(assignmentId) {
+    const assignment = await Assignment.scope('withFile').findByPk(assignmentId, { attributes: ['attachmentPath'] });
+    return assignment ? assignment.attachmentPath : null;
+  }
+
+  /**
+   * Get where a submitted file is stored
+   * @param {number} submissionId - Submission ID
+   * @returns {Promise<string|null>} Path of the file, or null if there is none
+   */
+  async getSubmissionFilePath(submissionId) {
+    const submission = await Submission.scope('withFile').findByPk(submissionId, { attributes: ['filePath'] });
+    return submission ? submission.filePath : null;
+  }
+
+  /**
+   * Create an assignment for a subject
+   * @param {Object} assignmentData - Assignment data including subjectId
+   * @param {Object|null} file - Optional multer attachment
+   * @param {Object} user - User creating the assignment
+   * @returns {Promise<Object>} Created assignment
+   */
+  async createAssignment(assignmentData, file, user) {
+    this.validateAssignmentData(assignmentData);
+
+    const subject = await SubjectEnrollment.findByPk(assignmentData.subjectId);
+    if (!subject) {
+      throw new Error('Subject not found');
+    }
+    if (!SubjectEnrollmentService.canManageSubject(user, subject)) {
+      throw new Error('Faculty doesn\'t teach this subject');
+    }
+
+    const assignment = await Assignment.create({
+      subjectId: subject.id,
+      title: assignmentData.title.trim(),
+      description: assignmentData.description || null,
+      dueDate: new Date(assignmentData.dueDate),
+      maxMarks: assignmentData.maxMarks,
+      allowLateSubmission: this.parseBoolean(assignmentData.allowLateSubmission, true),
+      attachmentName: file ? file.originalname : null,
+      attachmentPath: file ? file.path : null,
+      attachmentMimeType: file ? file.mimetype : null,
+      createdBy: user.email
+    });
+
+    return await this.getAssignmentById(assignment.id);
+  }
+
+  /**
+   * Get assignment by ID
+   * @param {number} id - Assignment ID
+   * @returns {Promise<Object|null>} Assignment with subject or null
+   */
+  async getAssignmentById(id) {
+    return await Assignment.findByPk(id, {
+      include: [
+        {
+          model: SubjectEnrollment,
+          as: 'subject',
+          include: [{ model: Faculty, as: 'faculty' }]
+        }
+      ]
+    });
+  }
+
+  /**
+   * Get assignments visible to a user
+   * Students only see assignments of subjects they are enrolled in, together
+   * with their own submission if they made one.
+   * @param {Object} user - Authenticated user
+   * @param {number} subjectId - Optional subject filter
+   * @returns {Promise<Array>} Array of assignments
+   */
+  async getAssignmentsForUser(user, subjectId = null) {
+    const subjectWhere = {};
+    const include = [];
+
+    if (user.role === 'faculty') {
+      subjectWhere.facultyEmail = user.email;
+    } else if (user.role === 'student') {
+      subjectWhere.id = await SubjectEnrollmentService.getEnrolledSubjectIds(user.email);
+      include.push({
+        model: Submission,
+        as: 'submissions',
+        where: { studentEmail: user.email },
+        required: false
+      });
+    }
+
+    const whereClause = {};
+    if (subjectId) {
+      whereClause.subjectId = subjectId;
+    }
+
+    return await Assignment.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: SubjectEnrollment,
+          as: 'subject',
+          where: subjectWhere,
+          include: [{ model: Faculty, as: 'faculty' }]
+        },
+        ...include
+      ],
+      order: [['dueDate', 'ASC']]
+    });
+  }
+
+  /**
+   * Get the marks an assignment counts for in each student's score
+   * Graded submissions count their marks, and once the due date has passed
+   * students who did not submit count as zero.
+   * @param {Object} assignment - Assignment with subject loaded
+   * @param {Object} options - { includeMissing } whether missing work counts
+   * @returns {Promise<Array>} Array of { studentEmail, marks }
+   */
+  async getCountedMarks(assignment, { includeMissing = true } = {}) {
+    const submissions = await Submission.findAll({
+      where: { assignmentId: assignment.id },
+      attributes: ['studentEmail', 'marksObtained']
+    });
+
+    const counted = submissions
+      .filter(submission => submission.marksObtained !== null)
+      .map(submission => ({ studentEmail: submission.studentEmail, marks: parseFloat(submission.marksObtained) }));
+
+    if (includeMissing && new Date(assignment.dueDate) < new Date()) {
+      const submitted = new Set(submissions.map(submission => submission.studentEmail));
+      const enrolledStudents = await assignment.subject.getEnrolledStudents({ attributes: ['email'] });
+      enrolledStudents
+        .filter(student => !submitted.has(student.email))
+        .forEach(student => counted.push({ studentEmail: student.email, marks: 0 }));
+    }
+
+    return counted;
+  }
+
+  /**
+   * Update an assignment
+   * Changing the maximum marks of a graded assignment in a locked semester
+   * rescales locked grades, so it needs an admin and an overrideReason and is
+   * recorded as an override for every graded student.
+   * @param {Object} assignment - Assignment to update, with subject loaded
+   * @param {Object} updateData - Data to update, with an optional overrideReason
+   * @param {Object|null} file - Optional replacement attachment
+   * @param {Object} user - User updating the assignment
+   * @returns {Promise<Object>} Updated assignment
+   */
+  async updateAssignment(assignment, updateData, file, user) {
+    this.validateAssignmentData(updateData, true);
+
+    const changes = {};
+    for (const field of ['title', 'description', 'maxMarks']) {
+      if (updateData[field] !== undefined) {
+        changes[field] = updateData[field];
+      }
+    }
+    if (updateData.dueDate !== undefined) {
+      changes.dueDate = new Date(updateData.dueDate);
+    }
+    if (updateData.allowLateSubmission !== undefined) {
+      changes.allowLateSubmission = this.parseBoolean(updateData.allowLateSubmission, true);
+    }
+
+    let graded = [];
+    if (changes.maxMarks !== undefined) {
+      const highest = await Submission.max('marksObtained', { where: { assignmentId: assignment.id } });
+      if (highest !== null && parseFloat(highest) > parseFloat(changes.maxMarks)) {
+        throw new Error('Maximum marks cannot be lower than marks already awarded');
+      }
+      if (parseFloat(changes.maxMarks) !== parseFloat(assignment.maxMarks)) {
+        graded = await this.getCountedMarks(assignment, { includeMissing: false });
+      }
+    }
+
+    // Rescaling marks already given changes every graded student's score
+    const lock = graded.length > 0
+      ? await GradeService.authorizeMarksEdit(assignment.subject, user, updateData.overrideReason)
+      : null;
+    const previousMaxMarks = parseFloat(assignment.maxMarks);
+    const previousAttachmentPath = file ? await this.getAttachmentPath(assignment.id) : null;
+
+    if (file) {
+      changes.attachmentName = file.originalname;
+      changes.attachmentPath = file.path;
+      changes.attachmentMimeType = file.mimetype;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await assignment.update(changes, { transaction });
+
+      if (lock) {
+        const reason = `${String(updateData.overrideReason).trim()} (maximum marks ${previousMaxMarks} to ${parseFloat(changes.maxMarks)})`;
+        await GradeService.recordOverrides(assignment.subject, graded.map(({ studentEmail, marks }) => ({
+          studentEmail,
+          entityType: 'assignment',
+          entityId: assignment.id,
+          previousMarks: marks,
+          newMarks: marks
+        })), reason, user, transaction);
+      }
+    });
+
+    this.removeFile(previousAttachmentPath);
+    return await this.getAssignmentById(assignment.id);
+  }
+
+  /**
+   * Delete an assignment, its submissions and their files
+   * Deleting an assignment that counts towards scores in a locked semester
+   * needs an admin and a reason, and is recorded as an override for every
+   * student it counted for. Files are only removed once the rows are gone.
+   * @param {Object} assignment - Assignment to delete, with subject loaded
+   * @param {Object} user - User deleting the assignment
+   * @param {string} overrideReason - Reason for changing a locked semester
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteAssignment(assignment, user, overrideReason = null) {
+    const counted = await this.getCountedMarks(assignment);
+    const lock = counted.length > 0
+      ? await GradeService.authorizeMarksEdit(assignment.subject, user, overrideReason)
+      : null;
+
+    const submissions = await Submission.scope('withFile').findAll({
+      where: { assignmentId: assignment.id },
+      attributes: ['filePath']
+    });
+    const attachmentPath = await this.getAttachmentPath(assignment.id);
+
+    const deleted = await sequelize.transaction(async (transaction) => {
+      await Submission.destroy({ where: { assignmentId: assignment.id }, transaction });
+      const deletedRowsCount = await Assignment.destroy({
+        where: { id: assignment.id },
+        transaction
+      });
+
+      if (lock) {
+        await GradeService.recordOverrides(assignment.subject, counted.map(({ studentEmail, marks }) => ({
+          studentEmail,
+          entityType: 'assignment',
+          entityId: assignment.id,
+          previousMarks: marks,
+          newMarks: null
+        })), overrideReason, user, transaction);
+      }
+
+      return deletedRowsCount > 0;
+    });
+
+    submissions.forEach(submission => this.removeFile(submission.filePath));
+    this.removeFile(attachmentPath);
+
+    return deleted;
+  }
+
+  /**
+   * Submit (or resubmit) work for an assignment
+   * Submissions after the due date are flagged as late, or rejected when
+   * the assignment does not allow late work. Graded work cannot be replaced.
+   * @param {Object} assignment - Assignment with subject loaded
+   * @param {string} studentEmail - Submitting student
+   * @param {Object} file - Multer upload
+   * @param {string} comment - Optional comment
+   * @returns {Promise<Object>} Saved submission
+   */
+  async submit(assignment, studentEmail, file, comment) {
+    if (!file) {
+      throw new Error('Submission file is required');
+    }
+
+    const subjectIds = await SubjectEnrollmentService.getEnrolledSubjectIds(studentEmail);
+    if (!subjectIds.includes(assignment.subjectId)) {
+      throw new Error('Student is not enrolled in this subject');
+    }
+
+    const submittedAt = new Date();
+    const isLate = submittedAt > new Date(assignment.dueDate);
+    if (isLate && !assignment.allowLateSubmission) {
+      throw new Error('The due date for this assignment has passed');
+    }
+
+    const values = {
+      fileName: file.originalname,
+      filePath: file.path,
+      mimeType: file.mimetype,
+      comment: comment || null,
+      submittedAt,
+      isLate
+    };
+
+    let submission = await Submission.scope('withFile').findOne({
+      where: { assignmentId: assignment.id, studentEmail }
+    });
+
+    if (!submission) {
+      submission = await Submission.create({
+        assignmentId: assignment.id,
+        studentEmail,
+        ...values
+      });
+    } else {
+      if (submission.gradedAt) {
+        throw new Error('Submission has already been graded');
+      }
+      this.removeFile(submission.filePath);
+      await submission.update(values);
+    }
+
+    return await Submission.findByPk(submission.id);
+  }
+
+  /**
+   * Get the submission status of every enrolled student
+   * @param {Object} assignment - Assignment with subject loaded
+   * @returns {Promise<Array>} Array of submission rows
+   */
+  async getSubmissions(assignment) {
+    const students = await assignment.subject.getEnrolledStudents({
+      attributes: ['email', 'name', 'rollNo'],
+      order: [['rollNo', 'ASC']]
+    });
+    const submissions = await Submission.findAll({ where: { assignmentId: assignment.id } });
+    const submissionsByEmail = new Map(submissions.map(s => [s.studentEmail, s]));
+
+    return students.map(student => {
+      const submission = submissionsByEmail.get(student.email);
+      return {
+        id: submission ? submission.id : null,
+        studentEmail: student.email,
+        studentName: student.name,
+        rollNo: student.rollNo,
+        submitted: Boolean(submission),
+        fileName: submission ? submission.fileName : null,
+        submittedAt: submission ? submission.submittedAt : null,
+        isLate: submission ? submission.isLate : false,
+        marksObtained: submission && submission.marksObtained !== null ? parseFloat(submission.marksObtained) : null,
+        feedback: submission ? submission.feedback : null,
+        gradedAt: submission ? submission.gradedAt : null
+      };
+    });
+  }
+
+  /**
+   * Get a student's own submission for an assignment
+   * @param {number} assignmentId - Assignment ID
+   * @param {string} studentEmail - Student email
+   * @returns {Promise<Object|null>} Submission or null
+   */
+  async getStudentSubmission(assignmentId, studentEmail) {
+    return await Submission.findOne({
+      where: { assignmentId, studentEmail }
+    });
+  }
+
+  /**
+   * Get submission by ID
+   * @param {number} id - Submission ID
+   * @returns {Promise<Object|null>} Submission with assignment and subject or null
+   */
+  async getSubmissionById(id) {
+    return await Submission.findByPk(id, {
+      include: [
+        {
+          model: Assignment,
+          as: 'assignment',
+          include: [{ model: SubjectEnrollment, as: 'subject' }]
+        },
+        { model: Student, as: 'student', attributes: ['email', 'name', 'rollNo'] }
+      ]
+    });
+  }
+
+  /**
+   * Grade a submission
+   * Regrading in a locked semester needs an admin and an overrideReason, and
+   * is recorded as a grade override in the same transaction as the marks.
+   * @param {Object} submission - Submission with assignment and subject loaded
+   * @param {Object} gradeData - { marksObtained, feedback, overrideReason }
+   * @param {Object} user - Grading user
+   * @returns {Promise<Object>} Graded submission
+   */
+  async gradeSubmission(submission, gradeData, user) {
+    const maxMarks = parseFloat(submission.assignment.maxMarks);
+    const marks = parseFloat(gradeData.marksObtained);
+
+    if (isNaN(marks) || marks < 0 || marks > maxMarks) {
+      throw new Error(`Marks must be between 0 and ${maxMarks}`);
+    }
+
+    const subject = submission.assignment.subject;
+    const lock = await GradeService.authorizeMarksEdit(subject, user, gradeData.overrideReason);
+    const previousMarks = submission.marksObtained !== null ? parseFloat(submission.marksObtained) : null;
+
+    await sequelize.transaction(async (transaction) => {
+      await submission.update({
+        marksObtained: marks,
+        feedback: gradeData.feedback || null,
+        gradedBy: user.email,
+        gradedAt: new Date()
+      }, { transaction });
+
+      if (lock && previousMarks !== marks) {
+        await GradeService.recordOverrides(subject, [{
+          studentEmail: submission.studentEmail,
+          entityType: 'submission',
+          entityId: submission.id,
+          previousMarks,
+          newMarks: marks
+        }], gradeData.overrideReason, user, transaction);
+      }
+    });
+
+    return submission;
+  }
+}
+
+module.exports = new AssignmentService();
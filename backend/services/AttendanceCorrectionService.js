@@ -0,0 +1,295 @@
+const { Op } = require('sequelize');
+const { sequelize, Attendance, AttendanceAudit, AttendanceCorrection, SubjectEnrollment, Student, Admin } = require('../models');
+const AttendanceService = require('./AttendanceService');
+const NotificationService = require('./NotificationService');
+const attendanceConfig = require('../config/attendance');
+
+const DECISIONS = ['approved', 'rejected'];
+const OPEN_STATUSES = ['pending', 'escalated'];
+
+const correctionInclude = [
+  {
+    model: Attendance,
+    as: 'attendance',
+    attributes: ['id', 'date', 'status', 'remarks', 'subjectId', 'facultyEmail'],
+    include: [{ model: SubjectEnrollment, as: 'subject', attributes: ['id', 'subjectName', 'subjectCode'] }]
+  },
+  { model: Student, as: 'student', attributes: ['email', 'name', 'rollNo'] }
+];
+
+class AttendanceCorrectionService {
+  /**
+   * Check whether a user may approve or reject a correction request
+   * Pending requests go to the faculty member who recorded the attendance;
+   * admins review any open request, including escalated ones.
+   * @param {Object} user - Authenticated user
+   * @param {Object} correction - Correction request
+   * @returns {boolean} True if the user may review it
+   */
+  canReview(user, correction) {
+    if (!user || !correction || !OPEN_STATUSES.includes(correction.status)) {
+      return false;
+    }
+    if (user.role === 'admin') {
+      return true;
+    }
+    return user.role === 'faculty' && correction.status === 'pending' && correction.facultyEmail === user.email;
+  }
+
+  /**
+   * Notify every admin of a correction awaiting their approval
+   * @param {Object} correction - Correction request loaded with getCorrectionById
+   */
+  async notifyAdmins(correction) {
+    const admins = await Admin.findAll({ attributes: ['email'] });
+    const { attendance } = correction;
+    for (const admin of admins) {
+      await NotificationService.notify(admin.email, {
+        type: 'attendance_correction',
+        title: 'Attendance correction needs approval',
+        message: `${correction.studentEmail} in ${attendance.subject.subjectCode} on ${attendance.date}: ${correction.currentStatus} to ${correction.requestedStatus}. ${correction.reason}`
+      });
+    }
+  }
+
+  /**
+   * Notify whoever reviews a new correction request: an admin for escalated
+   * requests, otherwise the faculty member who recorded the attendance
+   * @param {Object} correction - Correction request loaded with getCorrectionById
+   */
+  async notifyRequested(correction) {
+    if (correction.status === 'escalated') {
+      await this.notifyAdmins(correction);
+      return;
+    }
+
+    const { attendance } = correction;
+    await NotificationService.notify(correction.facultyEmail, {
+      type: 'attendance_correction',
+      title: `Attendance correction requested in ${attendance.subject.subjectCode}`,
+      message: `${correction.studentEmail} asks for ${attendance.date} to be changed from ${correction.currentStatus} to ${correction.requestedStatus}: ${correction.reason}`
+    });
+  }
+
+  /**
+   * Raise a correction request for an attendance record
+   * Students may only ask about their own attendance. Faculty raise requests
+   * for locked attendance of their subjects, which go straight to an admin.
+   * @param {Object} correctionData - { attendanceId, requestedStatus, reason }
+   * @param {Object} user - Student or faculty raising it
+   * @param {Object} transaction - Optional transaction to raise it in; the
+   *   caller then sends notifyRequested once the transaction commits
+   * @returns {Promise<Object>} Created correction request
+   */
+  async requestCorrection(correctionData, user, transaction = null) {
+    const { attendanceId, requestedStatus, reason } = correctionData || {};
+    if (!attendanceId) {
+      throw new Error('Attendance ID is required');
+    }
+    if (!attendanceConfig.statuses.includes(requestedStatus)) {
+      throw new Error(`Requested status must be one of: ${attendanceConfig.statuses.join(', ')}`);
+    }
+    if (!reason || String(reason).trim() === '') {
+      throw new Error('A reason is required');
+    }
+
+    const attendance = await Attendance.findByPk(attendanceId, {
+      include: [{ model: SubjectEnrollment, as: 'subject' }],
+      transaction
+    });
+    if (!attendance) {
+      throw new Error('Attendance record not found');
+    }
+
+    let status = 'pending';
+    if (user.role === 'student') {
+      if (attendance.studentEmail !== user.email) {
+        throw new Error('You can only request corrections to your own attendance');
+      }
+    } else if (user.role === 'faculty') {
+      if (attendance.facultyEmail !== user.email && attendance.subject.facultyEmail !== user.email) {
+        throw new Error('You can only request corrections to attendance of your subjects');
+      }
+      if (!AttendanceService.isEditLocked(attendance.date)) {
+        throw new Error('This attendance is not locked; edit it directly');
+      }
+      status = 'escalated';
+    } else {
+      throw new Error('Admins can edit attendance directly');
+    }
+
+    if (attendance.status === requestedStatus) {
+      throw new Error(`Attendance is already ${requestedStatus}`);
+    }
+
+    const open = await AttendanceCorrection.findOne({
+      where: { attendanceId: attendance.id, status: { [Op.in]: OPEN_STATUSES } },
+      transaction
+    });
+    if (open) {
+      throw new Error('A correction request for this attendance is already open');
+    }
+
+    const created = await AttendanceCorrection.create({
+      attendanceId: attendance.id,
+      studentEmail: attendance.studentEmail,
+      facultyEmail: attendance.facultyEmail,
+      requestedBy: user.email,
+      currentStatus: attendance.status,
+      requestedStatus,
+      reason: String(reason).trim(),
+      status
+    }, { transaction });
+
+    const correction = await this.getCorrectionById(created.id, transaction);
+    if (!transaction) {
+      await this.notifyRequested(correction);
+    }
+
+    return correction;
+  }
+
+  /**
+   * Get correction request by ID
+   * @param {number} id - Correction request ID
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object|null>} Correction request with attendance and student, or null
+   */
+  async getCorrectionById(id, transaction = null) {
+    return await AttendanceCorrection.findByPk(id, { include: correctionInclude, transaction });
+  }
+
+  /**
+   * Get the correction requests about a student's attendance, newest first
+   * @param {string} studentEmail - Student email
+   * @returns {Promise<Array>} Correction requests
+   */
+  async getCorrectionsForStudent(studentEmail) {
+    return await AttendanceCorrection.findAll({
+      where: { studentEmail },
+      include: correctionInclude,
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Get the correction requests a user can review or has raised
+   * Faculty see requests about attendance they recorded; admins see all.
+   * @param {Object} user - Faculty or admin
+   * @param {Object} filters - { status }
+   * @returns {Promise<Array>} Correction requests, oldest first
+   */
+  async getCorrectionsForReviewer(user, filters = {}) {
+    const whereClause = {};
+    if (filters.status) {
+      whereClause.status = filters.status;
+    }
+    if (user.role !== 'admin') {
+      whereClause.facultyEmail = user.email;
+    }
+
+    return await AttendanceCorrection.findAll({
+      where: whereClause,
+      include: correctionInclude,
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Approve or reject a correction request
+   * Faculty approving a correction to locked attendance escalate it to an
+   * admin instead of applying it. An applied correction is audited with the
+   * request's reason.
+   * @param {Object} correction - Correction request loaded with getCorrectionById
+   * @param {Object} reviewData - { decision, note }
+   * @param {Object} user - Reviewing faculty or admin
+   * @returns {Promise<Object>} { correction, applied }
+   */
+  async reviewCorrection(correction, reviewData, user) {
+    const { decision, note } = reviewData || {};
+    if (!DECISIONS.includes(decision)) {
+      throw new Error(`Decision must be one of: ${DECISIONS.join(', ')}`);
+    }
+    if (!this.canReview(user, correction)) {
+      throw new Error(`Correction request is already ${correction.status}`);
+    }
+
+    const review = {
+      reviewedBy: user.email,
+      reviewedAt: new Date(),
+      reviewNote: note || null
+    };
+
+    if (decision === 'rejected') {
+      await correction.update({ status: 'rejected', ...review });
+      await this.notifyDecision(correction);
+      return { correction, applied: false };
+    }
+
+    const attendance = await Attendance.findByPk(correction.attendanceId);
+    if (user.role !== 'admin' && AttendanceService.isEditLocked(attendance.date)) {
+      await correction.update({ status: 'escalated', ...review });
+      await this.notifyAdmins(correction);
+      return { correction, applied: false };
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const previousStatus = attendance.status;
+      await attendance.update({
+        status: correction.requestedStatus,
+        leaveRequestId: correction.requestedStatus === 'excused' ? attendance.leaveRequestId : null
+      }, { transaction });
+
+      await AttendanceAudit.create({
+        attendanceId: attendance.id,
+        subjectId: attendance.subjectId,
+        studentEmail: attendance.studentEmail,
+        date: attendance.date,
+        source: 'correction',
+        previousStatus,
+        newStatus: correction.requestedStatus,
+        previousRemarks: attendance.remarks,
+        newRemarks: attendance.remarks,
+        reason: `Correction request ${correction.id}: ${correction.reason}`,
+        changedBy: user.email
+      }, { transaction });
+
+      await correction.update({ status: 'approved', ...review }, { transaction });
+    });
+
+    await this.notifyDecision(correction);
+    return { correction, applied: true };
+  }
+
+  /**
+   * Tell the student the outcome of a correction request
+   * @param {Object} correction - Correction request loaded with getCorrectionById
+   */
+  async notifyDecision(correction) {
+    const { attendance } = correction;
+    await NotificationService.notify(correction.studentEmail, {
+      type: 'attendance_correction',
+      title: `Attendance correction ${correction.status}`,
+      message: `The request to change your ${attendance.subject.subjectCode} attendance on ${attendance.date} to ${correction.requestedStatus} was ${correction.status}${correction.reviewNote ? `: ${correction.reviewNote}` : '.'}`
+    });
+  }
+
+  /**
+   * Withdraw an open correction request
+   * @param {Object} correction - Correction request
+   * @param {Object} user - User who raised it
+   * @returns {Promise<Object>} Cancelled correction request
+   */
+  async cancelCorrection(correction, user) {
+    if (correction.requestedBy !== user.email) {
+      throw new Error('You can only withdraw your own correction requests');
+    }
+    if (!OPEN_STATUSES.includes(correction.status)) {
+      throw new Error(`Correction request is already ${correction.status}`);
+    }
+
+    return await correction.update({ status: 'cancelled' });
+  }
+}
+
+module.exports = new AttendanceCorrectionService();
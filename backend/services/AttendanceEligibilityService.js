@@ -0,0 +1,286 @@
+const moment = require('moment');
+const { AttendanceThreshold, Condonation, SubjectEnrollment, Student } = require('../models');
+const AttendanceService = require('./AttendanceService');
+const NotificationService = require('./NotificationService');
+const attendanceConfig = require('../config/attendance');
+
+const THRESHOLD_SCOPES = ['course', 'subject'];
+const DECISIONS = ['condoned', 'rejected'];
+
+class AttendanceEligibilityService {
+  /**
+   * Get all attendance thresholds
+   * @returns {Promise<Object>} { defaultPercentage, warningMargin, thresholds }
+   */
+  async getThresholds() {
+    const thresholds = await AttendanceThreshold.findAll({
+      order: [['scope', 'ASC'], ['scopeValue', 'ASC']]
+    });
+
+    return {
+      defaultPercentage: attendanceConfig.minimumPercentage,
+      warningMargin: attendanceConfig.warningMargin,
+      thresholds
+    };
+  }
+
+  /**
+   * Set the minimum attendance of a course or subject
+   * @param {Object} thresholdData - { scope, scopeValue, minimumPercentage }
+   * @param {Object} user - Admin setting the threshold
+   * @returns {Promise<Object>} Saved threshold
+   */
+  async setThreshold(thresholdData, user) {
+    const { scope, scopeValue, minimumPercentage } = thresholdData || {};
+    if (!THRESHOLD_SCOPES.includes(scope)) {
+      throw new Error(`Scope must be one of: ${THRESHOLD_SCOPES.join(', ')}`);
+    }
+    if (scopeValue === undefined || scopeValue === null || String(scopeValue).trim() === '') {
+      throw new Error(scope === 'subject' ? 'Subject ID is required' : 'Course is required');
+    }
+
+    const minimum = parseFloat(minimumPercentage);
+    if (isNaN(minimum) || minimum < 0 || minimum > 100) {
+      throw new Error('Minimum percentage must be between 0 and 100');
+    }
+
+    const value = String(scopeValue).trim();
+    if (scope === 'subject' && !(await SubjectEnrollment.findByPk(value))) {
+      throw new Error('Subject not found');
+    }
+
+    const existing = await AttendanceThreshold.findOne({ where: { scope, scopeValue: value } });
+    if (existing) {
+      return await existing.update({ minimumPercentage: minimum, updatedBy: user.email });
+    }
+    return await AttendanceThreshold.create({
+      scope,
+      scopeValue: value,
+      minimumPercentage: minimum,
+      updatedBy: user.email
+    });
+  }
+
+  /**
+   * Delete a threshold, falling back to the course or default minimum
+   * @param {number} id - Threshold ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteThreshold(id) {
+    const deletedRowsCount = await AttendanceThreshold.destroy({ where: { id } });
+    return deletedRowsCount > 0;
+  }
+
+  /**
+   * Work out the minimum attendance that applies to a student in a subject
+   * @param {Array} thresholds - All thresholds
+   * @param {Object} subject - Subject enrollment
+   * @param {Object} student - Student with course
+   * @returns {number} Minimum percentage
+   */
+  resolveMinimum(thresholds, subject, student) {
+    const subjectThreshold = thresholds.find(t => t.scope === 'subject' && t.scopeValue === String(subject.id));
+    if (subjectThreshold) {
+      return parseFloat(subjectThreshold.minimumPercentage);
+    }
+
+    const courseThreshold = thresholds.find(t => t.scope === 'course' && t.scopeValue === student.course);
+    if (courseThreshold) {
+      return parseFloat(courseThreshold.minimumPercentage);
+    }
+
+    return attendanceConfig.minimumPercentage;
+  }
+
+  /**
+   * Get the attendance standing of every student of a subject
+   * Students under the minimum are ineligible for exams unless condoned, and
+   * those within the warning margin above it are at risk. Nobody is flagged
+   * before the first class is recorded.
+   * @param {number} subjectId - Subject ID
+   * @param {Array} thresholds - Thresholds, loaded if not given
+   * @returns {Promise<Object>} { subject, totalClasses, students } where students are
+   *   { studentEmail, studentName, rollNo, totalPresent, totalAbsent, totalExcused, percentage,
+   *   minimumPercentage, status, condonation }
+   */
+  async getSubjectEligibility(subjectId, thresholds = null) {
+    const subject = await SubjectEnrollment.findByPk(subjectId, {
+      include: [{ model: Student, as: 'enrolledStudents', attributes: ['email', 'name', 'rollNo', 'course'] }]
+    });
+    if (!subject) {
+      throw new Error('Subject not found');
+    }
+
+    const [allThresholds, attendance, condonations] = await Promise.all([
+      thresholds || AttendanceThreshold.findAll(),
+      AttendanceService.getStudentAttendancePercentages(subject.id),
+      Condonation.findAll({ where: { subjectId: subject.id } })
+    ]);
+
+    const students = subject.enrolledStudents
+      .map(student => {
+        const record = attendance.students[student.email] ||
+          AttendanceService.weighAttendance([], attendance.totalClasses);
+        const minimumPercentage = this.resolveMinimum(allThresholds, subject, student);
+        const condonation = condonations.find(c => c.studentEmail === student.email) || null;
+
+        let status = 'eligible';
+        if (attendance.totalClasses > 0 && record.percentage < minimumPercentage) {
+          status = condonation && condonation.decision === 'condoned' ? 'condoned' : 'ineligible';
+        } else if (attendance.totalClasses > 0 && record.percentage < minimumPercentage + attendanceConfig.warningMargin) {
+          status = 'at_risk';
+        }
+
+        return {
+          studentEmail: student.email,
+          studentName: student.name,
+          rollNo: student.rollNo,
+          totalPresent: record.totalPresent,
+          totalAbsent: record.totalAbsent,
+          totalExcused: record.totalExcused,
+          percentage: record.percentage,
+          minimumPercentage,
+          status,
+          condonation: condonation && {
+            decision: condonation.decision,
+            reason: condonation.reason,
+            decidedBy: condonation.decidedBy,
+            decidedAt: condonation.updated_at
+          }
+        };
+      })
+      .sort((a, b) => String(a.rollNo).localeCompare(String(b.rollNo)));
+
+    return {
+      subject: {
+        id: subject.id,
+        subjectName: subject.subjectName,
+        subjectCode: subject.subjectCode,
+        facultyEmail: subject.facultyEmail
+      },
+      totalClasses: attendance.totalClasses,
+      students
+    };
+  }
+
+  /**
+   * List the students short of attendance in each subject
+   * Condoned students are listed too so decisions can be reviewed.
+   * @param {Object} filters - { subjectId }
+   * @returns {Promise<Array>} { subject, totalClasses, students } for subjects with such students
+   */
+  async getIneligibleReport(filters = {}) {
+    const whereClause = filters.subjectId ? { id: filters.subjectId } : {};
+    const [subjects, thresholds] = await Promise.all([
+      SubjectEnrollment.findAll({ where: whereClause, attributes: ['id'], order: [['subjectCode', 'ASC']] }),
+      AttendanceThreshold.findAll()
+    ]);
+
+    const report = [];
+    for (const subject of subjects) {
+      const eligibility = await this.getSubjectEligibility(subject.id, thresholds);
+      const students = eligibility.students.filter(s => s.status === 'ineligible' || s.status === 'condoned');
+      if (students.length > 0) {
+        report.push({ ...eligibility, students });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Record an admin's decision on a student short of attendance
+   * @param {number} subjectId - Subject ID
+   * @param {string} studentEmail - Student email
+   * @param {Object} decisionData - { decision, reason }
+   * @param {Object} user - Deciding admin
+   * @returns {Promise<Object>} Saved condonation
+   */
+  async recordCondonation(subjectId, studentEmail, decisionData, user) {
+    const { decision, reason } = decisionData || {};
+    if (!DECISIONS.includes(decision)) {
+      throw new Error(`Decision must be one of: ${DECISIONS.join(', ')}`);
+    }
+    if (!reason || String(reason).trim() === '') {
+      throw new Error('A reason is required');
+    }
+
+    const eligibility = await this.getSubjectEligibility(subjectId);
+    const standing = eligibility.students.find(s => s.studentEmail === studentEmail);
+    if (!standing) {
+      throw new Error(`Student not enrolled: ${studentEmail}`);
+    }
+    if (standing.status !== 'ineligible' && standing.status !== 'condoned') {
+      throw new Error('Student meets the attendance requirement');
+    }
+
+    const fields = {
+      decision,
+      reason: String(reason).trim(),
+      percentage: standing.percentage,
+      decidedBy: user.email
+    };
+
+    const existing = await Condonation.findOne({ where: { subjectId: eligibility.subject.id, studentEmail } });
+    if (existing) {
+      return await existing.update(fields);
+    }
+    return await Condonation.create({ subjectId: eligibility.subject.id, studentEmail, ...fields });
+  }
+
+  /**
+   * Notify students who are at risk or ineligible, and their faculty
+   * Each student gets at most one alert per subject and status a week, and
+   * each faculty member one summary per subject a week.
+   * @param {Date} at - Time of the run
+   * @returns {Promise<Object>} { subjects, atRisk, ineligible, notificationsSent }
+   */
+  async sendLowAttendanceAlerts(at = new Date()) {
+    const week = moment(at).format('GGGG-[W]WW');
+    const [subjects, thresholds] = await Promise.all([
+      SubjectEnrollment.findAll({ attributes: ['id'] }),
+      AttendanceThreshold.findAll()
+    ]);
+
+    const result = { subjects: subjects.length, atRisk: 0, ineligible: 0, notificationsSent: 0 };
+    const count = (notification) => {
+      if (notification) result.notificationsSent++;
+    };
+
+    for (const { id } of subjects) {
+      const { subject, totalClasses, students } = await this.getSubjectEligibility(id, thresholds);
+      const flagged = students.filter(s => s.status === 'at_risk' || s.status === 'ineligible');
+      if (flagged.length === 0) {
+        continue;
+      }
+
+      for (const student of flagged) {
+        const ineligible = student.status === 'ineligible';
+        result[ineligible ? 'ineligible' : 'atRisk']++;
+
+        count(await NotificationService.notify(student.studentEmail, {
+          type: 'attendance_alert',
+          title: ineligible
+            ? `Not eligible for ${subject.subjectCode} exams`
+            : `Low attendance in ${subject.subjectCode}`,
+          message: ineligible
+            ? `Your attendance in ${subject.subjectName} is ${student.percentage}% of ${totalClasses} classes, below the required ${student.minimumPercentage}%. You cannot sit its exams unless the shortage is condoned.`
+            : `Your attendance in ${subject.subjectName} is ${student.percentage}% of ${totalClasses} classes, close to the required ${student.minimumPercentage}%.`,
+          dedupeKey: `attendance:${subject.id}:${student.studentEmail}:${student.status}:${week}`
+        }));
+      }
+
+      const lines = flagged.map(s => `${s.rollNo} ${s.studentName}: ${s.percentage}% (${s.status === 'ineligible' ? 'ineligible' : 'at risk'})`);
+      count(await NotificationService.notify(subject.facultyEmail, {
+        type: 'attendance_alert',
+        title: `${flagged.length} student(s) short of attendance in ${subject.subjectCode}`,
+        message: lines.join('\n'),
+        dedupeKey: `attendance:${subject.id}:faculty:${week}`
+      }));
+    }
+
+    return result;
+  }
+}
+
+module.exports = new AttendanceEligibilityService();
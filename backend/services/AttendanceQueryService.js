@@ -0,0 +1,214 @@
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { Attendance, AttendanceThreshold, SubjectEnrollment, Faculty, Student } = require('../models');
+const AttendanceService = require('./AttendanceService');
+const AttendanceEligibilityService = require('./AttendanceEligibilityService');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+const attendanceConfig = require('../config/attendance');
+const localDate = require('../utils/localDate');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Summaries default to roughly the last six months
+const DEFAULT_SUMMARY_DAYS = 180;
+
+class AttendanceQueryService {
+  /**
+   * Work out which of a student's attendance a user may see
+   * Students see all of their own attendance, faculty the subjects they teach
+   * that the student is enrolled in, and admins everything.
+   * @param {Object} user - Authenticated user
+   * @param {string} studentEmail - Student email
+   * @returns {Promise<Object|null>} { studentEmail, subjectIds } where subjectIds is null when
+   *   unrestricted, or null if the user may not see the student's attendance
+   */
+  async getScope(user, studentEmail) {
+    if (!user || !studentEmail) {
+      return null;
+    }
+    if (user.role === 'admin' || (user.role === 'student' && user.email === studentEmail)) {
+      return { studentEmail, subjectIds: null };
+    }
+    if (user.role !== 'faculty') {
+      return null;
+    }
+
+    const enrolledIds = await SubjectEnrollmentService.getEnrolledSubjectIds(studentEmail);
+    const taught = await SubjectEnrollment.findAll({
+      where: { id: { [Op.in]: enrolledIds }, facultyEmail: user.email },
+      attributes: ['id']
+    });
+    if (taught.length === 0) {
+      return null;
+    }
+
+    return { studentEmail, subjectIds: taught.map(subject => subject.id) };
+  }
+
+  /**
+   * Check whether a scope covers a subject
+   * @param {Object} scope - Scope from getScope
+   * @param {number} subjectId - Subject ID
+   * @returns {boolean} True if the subject's attendance is visible
+   */
+  canViewSubject(scope, subjectId) {
+    return Boolean(scope) && (scope.subjectIds === null || scope.subjectIds.some(id => String(id) === String(subjectId)));
+  }
+
+  /**
+   * Validate and normalise attendance query parameters
+   * @param {Object} query - { startDate, endDate, status, page, limit }
+   * @returns {Object} { startDate, endDate, status, page, limit }
+   */
+  parseFilters(query = {}) {
+    const { startDate, endDate, status } = query;
+    for (const [name, value] of [['Start date', startDate], ['End date', endDate]]) {
+      if (value && !moment(value, 'YYYY-MM-DD', true).isValid()) {
+        throw new Error(`${name} must be in YYYY-MM-DD format`);
+      }
+    }
+    if (startDate && endDate && endDate < startDate) {
+      throw new Error('End date cannot be before start date');
+    }
+    if (status && !attendanceConfig.statuses.includes(status)) {
+      throw new Error(`Status must be one of: ${attendanceConfig.statuses.join(', ')}`);
+    }
+
+    const page = query.page === undefined ? 1 : parseInt(query.page);
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit);
+    if (isNaN(page) || page < 1) {
+      throw new Error('Page must be a positive integer');
+    }
+    if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new Error(`Limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    return { startDate: startDate || null, endDate: endDate || null, status: status || null, page, limit };
+  }
+
+  /**
+   * Get a page of a student's attendance records, newest first
+   * @param {Object} scope - Scope from getScope
+   * @param {Object} filters - { subjectId, startDate, endDate, status, page, limit } from parseFilters
+   * @returns {Promise<Object>} Paginated results with the records under attendance
+   */
+  async getAttendance(scope, filters = {}) {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE } = filters;
+    const whereClause = { studentEmail: scope.studentEmail };
+
+    if (filters.subjectId) {
+      whereClause.subjectId = filters.subjectId;
+    } else if (scope.subjectIds !== null) {
+      whereClause.subjectId = { [Op.in]: scope.subjectIds };
+    }
+    if (filters.startDate || filters.endDate) {
+      whereClause.date = {
+        ...(filters.startDate && { [Op.gte]: filters.startDate }),
+        ...(filters.endDate && { [Op.lte]: filters.endDate })
+      };
+    }
+    if (filters.status) {
+      whereClause.status = filters.status;
+    }
+
+    const { count, rows } = await Attendance.findAndCountAll({
+      where: whereClause,
+      include: [
+        { model: SubjectEnrollment, as: 'subject', attributes: ['id', 'subjectName', 'subjectCode', 'facultyEmail'] },
+        { model: Faculty, as: 'faculty', attributes: ['email', 'name'] }
+      ],
+      order: [['date', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      attendance: rows,
+      totalCount: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      hasNextPage: page < Math.ceil(count / limit),
+      hasPrevPage: page > 1
+    };
+  }
+
+  /**
+   * Get the subjects of a student within a scope
+   * @param {Object} scope - Scope from getScope
+   * @returns {Promise<Array>} Subject enrollments with faculty
+   */
+  async getSubjects(scope) {
+    const subjects = await SubjectEnrollmentService.getEnrollmentsByStudent(scope.studentEmail);
+    return subjects.filter(subject => this.canViewSubject(scope, subject.id));
+  }
+
+  /**
+   * Summarise a student's attendance in each subject within a scope
+   * Holidays and cancelled classes are left out, classes are weighed by
+   * status and excused absences do not count. Exam eligibility is judged on
+   * the whole term, not the requested range.
+   * @param {Object} scope - Scope from getScope
+   * @param {Object} range - { startDate, endDate }, by default the last six months
+   * @returns {Promise<Object|null>} { startDate, endDate, overallPercentage, subjects }, or null
+   *   if the student does not exist
+   */
+  async getSummary(scope, range = {}) {
+    const start = range.startDate || localDate.daysAgo(DEFAULT_SUMMARY_DAYS);
+    const end = range.endDate || localDate.today();
+
+    const student = await Student.findOne({ where: { email: scope.studentEmail }, attributes: ['email'] });
+    if (!student) {
+      return null;
+    }
+
+    const [subjects, thresholds] = await Promise.all([
+      this.getSubjects(scope),
+      AttendanceThreshold.findAll()
+    ]);
+
+    const summary = [];
+    for (const subject of subjects) {
+      const records = await AttendanceService.filterCountedRecords(subject, await Attendance.findAll({
+        where: {
+          studentEmail: scope.studentEmail,
+          subjectId: subject.id,
+          date: { [Op.between]: [start, end] }
+        }
+      }));
+
+      const totalClasses = new Set(records.map(r => r.date)).size;
+      const { statusCounts, totalPresent, totalAbsent, totalExcused, percentage } =
+        AttendanceService.weighAttendance(records, totalClasses);
+
+      const eligibility = await AttendanceEligibilityService.getSubjectEligibility(subject.id, thresholds);
+      const standing = eligibility.students.find(s => s.studentEmail === scope.studentEmail);
+
+      summary.push({
+        subjectId: subject.id,
+        subjectName: `${subject.subjectName} (${subject.credits})`,
+        subjectCode: subject.subjectCode,
+        faculty: subject.faculty ? subject.faculty.name : null,
+        totalLectures: totalClasses,
+        totalPresent,
+        totalAbsent,
+        totalExcused,
+        statusCounts,
+        percentage,
+        minimumPercentage: standing.minimumPercentage,
+        examEligibility: standing.status
+      });
+    }
+
+    const overallPercentage = summary.length > 0 ?
+      Math.round(summary.reduce((sum, s) => sum + s.percentage, 0) / summary.length * 100) / 100.0 : 0.0;
+
+    return {
+      startDate: start,
+      endDate: end,
+      overallPercentage,
+      subjects: summary
+    };
+  }
+}
+
+module.exports = new AttendanceQueryService();
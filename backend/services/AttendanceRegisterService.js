@@ -0,0 +1,295 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { createObjectCsvStringifier } = require('csv-writer');
+const moment = require('moment');
+const { Attendance, SubjectEnrollment, Student } = require('../models');
+const AttendanceService = require('./AttendanceService');
+const ClassSessionService = require('./ClassSessionService');
+const LeaveService = require('./LeaveService');
+const localDate = require('../utils/localDate');
+
+// Register cells hold a short code per status; imports also accept the full name
+const STATUS_CODES = {
+  present: 'P',
+  absent: 'A',
+  late: 'L',
+  excused: 'E',
+  on_duty: 'OD'
+};
+
+const DATE_HEADER = /^\d{4}-\d{2}-\d{2}$/;
+
+class AttendanceRegisterService {
+  /**
+   * Parse a register cell into a status
+   * @param {string} value - Cell value
+   * @returns {string|null} Status, or null if not recognised
+   */
+  parseStatus(value) {
+    const normalized = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    for (const [status, code] of Object.entries(STATUS_CODES)) {
+      if (normalized === status || normalized === code.toLowerCase()) {
+        return status;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Load a subject with its students, sorted by roll number
+   * @param {number} subjectId - Subject ID
+   * @returns {Promise<Object>} Subject with enrolledStudents
+   */
+  async getSubjectWithStudents(subjectId) {
+    const subject = await SubjectEnrollment.findByPk(subjectId, {
+      include: [{ model: Student, as: 'enrolledStudents', attributes: ['email', 'name', 'rollNo'] }]
+    });
+    if (!subject) {
+      throw new Error('Subject not found');
+    }
+
+    subject.enrolledStudents.sort((a, b) => String(a.rollNo).localeCompare(String(b.rollNo)));
+    return subject;
+  }
+
+  /**
+   * Export the attendance register of a subject as CSV
+   * Students are rows and class dates columns, followed by each student's
+   * totals and weighted percentage. Holidays and cancelled classes are left out.
+   * @param {number} subjectId - Subject ID
+   * @returns {Promise<Object>} { fileName, csv }
+   */
+  async exportRegister(subjectId) {
+    const subject = await this.getSubjectWithStudents(subjectId);
+    const records = await AttendanceService.filterCountedRecords(subject, await Attendance.findAll({
+      attributes: ['studentEmail', 'date', 'status'],
+      where: { subjectId: subject.id },
+      raw: true
+    }));
+
+    const dates = [...new Set(records.map(r => r.date))].sort();
+    const csvStringifier = createObjectCsvStringifier({
+      header: [
+        { id: 'rollNo', title: 'Roll No' },
+        { id: 'name', title: 'Name' },
+        { id: 'email', title: 'Email' },
+        ...dates.map(date => ({ id: date, title: date })),
+        { id: 'present', title: 'Present' },
+        { id: 'late', title: 'Late' },
+        { id: 'onDuty', title: 'On Duty' },
+        { id: 'absent', title: 'Absent' },
+        { id: 'excused', title: 'Excused' },
+        { id: 'percentage', title: 'Percentage' }
+      ]
+    });
+
+    const rows = subject.enrolledStudents.map(student => {
+      const studentRecords = records.filter(r => r.studentEmail === student.email);
+      const { statusCounts, percentage } = AttendanceService.weighAttendance(studentRecords, dates.length);
+      const row = {
+        rollNo: student.rollNo,
+        name: student.name,
+        email: student.email,
+        present: statusCounts.present,
+        late: statusCounts.late,
+        onDuty: statusCounts.on_duty,
+        absent: statusCounts.absent,
+        excused: statusCounts.excused,
+        percentage
+      };
+      for (const record of studentRecords) {
+        row[record.date] = STATUS_CODES[record.status];
+      }
+      return row;
+    });
+
+    return {
+      fileName: `attendance-${subject.subjectCode}-${localDate.today()}.csv`,
+      csv: csvStringifier.getHeaderString() + csvStringifier.stringifyRecords(rows)
+    };
+  }
+
+  /**
+   * Parse an uploaded register
+   * Headers are trimmed; other than dates they are matched case-insensitively
+   * without spaces, so "Roll No" becomes "rollno".
+   * @param {Buffer} buffer - CSV file contents
+   * @returns {Promise<Array>} Rows keyed by header
+   */
+  async parseRegister(buffer) {
+    return new Promise((resolve, reject) => {
+      const results = [];
+
+      Readable.from([buffer])
+        .pipe(csv({
+          mapHeaders: ({ header }) => {
+            const trimmed = header.trim();
+            return DATE_HEADER.test(trimmed) ? trimmed : trimmed.toLowerCase().replace(/\s+/g, '');
+          }
+        }))
+        .on('data', (data) => results.push(data))
+        .on('end', () => resolve(results))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Work out why attendance cannot be recorded for a subject on a date
+   * @param {Object} subject - Subject enrollment
+   * @param {string} date - Register column header
+   * @returns {Promise<string|null>} Reason, or null if it can be recorded
+   */
+  async checkDate(subject, date) {
+    if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+      return `Invalid date: ${date}`;
+    }
+    if (date > localDate.today()) {
+      return 'Attendance cannot be marked for a future date';
+    }
+    try {
+      await ClassSessionService.assertSessionOn(subject, date);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Import a filled attendance register
+   * Rows are matched to enrolled students by email, or roll number without
+   * one. Blank cells are left alone. Changes go through the same rules as
+   * bulk marking, so absences covered by approved leave become excused and
+   * changes past the edit window are rejected unless an admin gives a reason.
+   * With dryRun nothing is saved and the result previews the import.
+   * @param {number} subjectId - Subject ID
+   * @param {Buffer} buffer - CSV file contents
+   * @param {Object} options - { dryRun, user, reason }
+   * @returns {Promise<Object>} { dryRun, changes, rejected, unchanged, applied } where changes are
+   *   { row, studentEmail, rollNo, date, from, to } and rejected { row, studentEmail, date, reason }
+   */
+  async importRegister(subjectId, buffer, options = {}) {
+    const subject = await this.getSubjectWithStudents(subjectId);
+    const rows = await this.parseRegister(buffer);
+    if (rows.length === 0) {
+      throw new Error('Register file is empty or invalid');
+    }
+
+    const dates = Object.keys(rows[0]).filter(header => DATE_HEADER.test(header));
+    if (dates.length === 0) {
+      throw new Error('Register has no date columns (YYYY-MM-DD)');
+    }
+
+    const dateProblems = {};
+    const leavesByDate = {};
+    const studentEmails = subject.enrolledStudents.map(s => s.email);
+    for (const date of dates) {
+      dateProblems[date] = await this.checkDate(subject, date);
+      if (!dateProblems[date]) {
+        leavesByDate[date] = await LeaveService.getApprovedLeaveMap(studentEmails, subject.id, date);
+      }
+    }
+
+    const existing = new Map();
+    for (const record of await Attendance.findAll({ where: { subjectId: subject.id } })) {
+      existing.set(`${record.studentEmail}|${record.date}`, record);
+    }
+
+    const changes = [];
+    const rejected = [];
+    const seen = new Set();
+    let unchanged = 0;
+
+    rows.forEach((row, index) => {
+      // Row 1 of the file is the header
+      const rowNumber = index + 2;
+      const email = (row.email || '').trim();
+      const rollNo = (row.rollno || '').trim();
+      const student = subject.enrolledStudents.find(s =>
+        email ? s.email.toLowerCase() === email.toLowerCase() : rollNo && String(s.rollNo) === rollNo
+      );
+
+      if (!email && !rollNo) {
+        rejected.push({ row: rowNumber, studentEmail: null, date: null, reason: 'Email or roll number is required' });
+        return;
+      }
+      if (!student) {
+        rejected.push({ row: rowNumber, studentEmail: email || rollNo, date: null, reason: 'Student not enrolled in this subject' });
+        return;
+      }
+      if (seen.has(student.email)) {
+        rejected.push({ row: rowNumber, studentEmail: student.email, date: null, reason: 'Student appears more than once' });
+        return;
+      }
+      seen.add(student.email);
+
+      for (const date of dates) {
+        const cell = (row[date] || '').trim();
+        if (cell === '') {
+          continue;
+        }
+
+        let status = this.parseStatus(cell);
+        if (!status) {
+          rejected.push({ row: rowNumber, studentEmail: student.email, date, reason: `Unknown status: ${cell}` });
+          continue;
+        }
+        if (dateProblems[date]) {
+          rejected.push({ row: rowNumber, studentEmail: student.email, date, reason: dateProblems[date] });
+          continue;
+        }
+        if ((status === 'absent' || status === 'excused') && leavesByDate[date].has(student.email)) {
+          status = 'excused';
+        }
+
+        const record = existing.get(`${student.email}|${date}`);
+        if (record && record.status === status) {
+          unchanged++;
+          continue;
+        }
+        if (record) {
+          try {
+            AttendanceService.authorizeEdit(date, options.user, options.reason);
+          } catch (error) {
+            rejected.push({ row: rowNumber, studentEmail: student.email, date, reason: error.message });
+            continue;
+          }
+        }
+
+        changes.push({
+          row: rowNumber,
+          studentEmail: student.email,
+          rollNo: student.rollNo,
+          date,
+          from: record ? record.status : null,
+          to: status
+        });
+      }
+    });
+
+    let applied = 0;
+    if (!options.dryRun) {
+      for (const date of [...new Set(changes.map(c => c.date))].sort()) {
+        const report = await AttendanceService.markBulkAttendance({
+          facultyEmail: subject.facultyEmail,
+          subjectId: subject.id,
+          date,
+          studentAttendances: changes
+            .filter(c => c.date === date)
+            .map(c => ({ studentEmail: c.studentEmail, status: c.to })),
+          reason: options.reason
+        }, { user: options.user, source: 'register' });
+        applied += report.created + report.updated;
+      }
+    }
+
+    return {
+      dryRun: Boolean(options.dryRun),
+      changes,
+      rejected,
+      unchanged,
+      applied
+    };
+  }
+}
+
+module.exports = new AttendanceRegisterService();
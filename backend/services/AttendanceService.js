@@ -1,19 +1,36 @@
-const { Attendance, Student, Faculty, SubjectEnrollment } = require('../models');
+const { sequelize, Attendance, AttendanceAudit, Student, Faculty, SubjectEnrollment, TimetableSlot } = require('../models');
 const { Op } = require('sequelize');
+const moment = require('moment');
+const TimetableService = require('./TimetableService');
+const ClassSessionService = require('./ClassSessionService');
+const LeaveService = require('./LeaveService');
+const attendanceConfig = require('../config/attendance');
+const localDate = require('../utils/localDate');
 
 class AttendanceService {
   /**
    * Mark bulk attendance for multiple students
-   * @param {Object} request - Bulk attendance request
-   * @returns {Promise<Array>} Array of attendance records
+   * The date must not be in the future and the subject must have a class
+   * session on it. Without a slotId, attendance taken today is recorded
+   * against the timetable slot of the subject that is in progress, if any.
+   * Each student gets a status, or present true/false for present or absent.
+   * Absences covered by approved leave are marked excused.
+   * The whole batch is checked before anything is written, and every student
+   * is then saved in a single statement, so nothing is recorded unless all of
+   * it is. Each change is audited; changing attendance past the edit window
+   * needs an admin and a reason.
+   * @param {Object} request - Bulk attendance request, with a reason for the change (optional)
+   * @param {Object} options - { user, source } where source is the feature making the change
+   * @returns {Promise<Object>} { subjectId, date, slotId, created, updated, unchanged, students }
+   *   where students are { studentEmail, status, previousStatus, leaveRequestId, result }
    */
-  async markBulkAttendance(request) {
+  async markBulkAttendance(request, options = {}) {
     // Input validation
     if (!request || typeof request !== 'object') {
       throw new Error('Request data is required');
     }
 
-    const { facultyEmail, subjectId, date, studentAttendances } = request;
+    const { facultyEmail, subjectId, date, slotId, studentAttendances, reason } = request;
     
     if (!facultyEmail || !subjectId || !studentAttendances) {
       throw new Error('Faculty email, subject ID, and student attendances are required');
@@ -35,6 +52,36 @@ class AttendanceService {
       throw new Error('Subject ID must be a valid positive number');
     }
 
+    // Check every entry before touching the database
+    const problems = [];
+    const entries = [];
+    const seen = new Set();
+    for (const sa of studentAttendances) {
+      if (!sa || !sa.studentEmail) {
+        problems.push('Each attendance record must have a studentEmail');
+        continue;
+      }
+      if (!emailRegex.test(sa.studentEmail)) {
+        problems.push(`Invalid student email format: ${sa.studentEmail}`);
+        continue;
+      }
+      if (seen.has(sa.studentEmail)) {
+        problems.push(`Student listed more than once: ${sa.studentEmail}`);
+        continue;
+      }
+      seen.add(sa.studentEmail);
+
+      const status = sa.status || (sa.present ? 'present' : 'absent');
+      if (!attendanceConfig.statuses.includes(status)) {
+        problems.push(`Invalid attendance status for ${sa.studentEmail}: ${status}`);
+        continue;
+      }
+      entries.push({ studentEmail: sa.studentEmail, status, remarks: sa.remarks });
+    }
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+
     // Verify faculty exists
     const faculty = await Faculty.findOne({
       where: { email: facultyEmail }
@@ -55,62 +102,194 @@ class AttendanceService {
       throw new Error('Faculty doesn\'t teach this subject');
     }
 
-    const attendanceDate = date || new Date().toISOString().split('T')[0];
-    const results = [];
+    const today = localDate.today();
+    const attendanceDate = date || today;
 
-    for (const sa of studentAttendances) {
-      // Validate student attendance object
-      if (!sa || !sa.studentEmail) {
-        throw new Error('Each attendance record must have a studentEmail');
-      }
+    if (!moment(attendanceDate, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error('Date must be in YYYY-MM-DD format');
+    }
+    if (attendanceDate > today) {
+      throw new Error('Attendance cannot be marked for a future date');
+    }
 
-      if (!emailRegex.test(sa.studentEmail)) {
-        throw new Error(`Invalid student email format: ${sa.studentEmail}`);
-      }
+    const sessions = await ClassSessionService.assertSessionOn(subject, attendanceDate);
+    const meetsInSlot = (candidate) => sessions.some(session => String(session.slotId) === String(candidate.id));
 
-      // Verify student exists
-      const student = await Student.findOne({
-        where: { email: sa.studentEmail }
-      });
-      if (!student) {
-        throw new Error(`Student not found: ${sa.studentEmail}`);
+    let slot = null;
+    if (slotId) {
+      slot = await TimetableSlot.findByPk(slotId);
+      if (!slot || String(slot.subjectId) !== String(subject.id)) {
+        throw new Error('Timetable slot not found for this subject');
+      }
+      if (!meetsInSlot(slot)) {
+        throw new Error('Timetable slot does not meet on this date');
+      }
+    } else if (attendanceDate === today) {
+      slot = await TimetableService.getCurrentSlot(subject.id);
+      if (slot && !meetsInSlot(slot)) {
+        slot = null;
       }
+    }
 
-      // Check if student is enrolled in the subject
-      const isEnrolled = await subject.hasEnrolledStudents(student);
-      if (!isEnrolled) {
-        throw new Error(`Student not enrolled: ${student.email}`);
+    // Verify students exist and are enrolled, in two queries for the whole batch
+    const emails = entries.map(entry => entry.studentEmail);
+    const [students, enrolled] = await Promise.all([
+      Student.findAll({ where: { email: { [Op.in]: emails } }, attributes: ['email'] }),
+      subject.getEnrolledStudents({
+        where: { email: { [Op.in]: emails } },
+        attributes: ['email'],
+        joinTableAttributes: []
+      })
+    ]);
+    const existingStudents = new Set(students.map(student => student.email));
+    const enrolledStudents = new Set(enrolled.map(student => student.email));
+    for (const email of emails) {
+      if (!existingStudents.has(email)) {
+        problems.push(`Student not found: ${email}`);
+      } else if (!enrolledStudents.has(email)) {
+        problems.push(`Student not enrolled: ${email}`);
       }
+    }
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
 
-      // Find or create attendance record
-      let attendance = await Attendance.findOne({
-        where: {
-          studentEmail: student.email,
-          subjectId: subject.id,
-          date: attendanceDate
+    const leaves = await LeaveService.getApprovedLeaveMap(emails, subject.id, attendanceDate);
+
+    return await sequelize.transaction(async (transaction) => {
+      const existing = new Map((await Attendance.findAll({
+        where: { subjectId: subject.id, date: attendanceDate, studentEmail: { [Op.in]: emails } },
+        transaction
+      })).map(record => [record.studentEmail, record]));
+
+      const rows = [];
+      const report = entries.map(entry => {
+        const leaveRequestId = (entry.status === 'absent' || entry.status === 'excused') && leaves.has(entry.studentEmail)
+          ? leaves.get(entry.studentEmail)
+          : null;
+        const status = leaveRequestId ? 'excused' : entry.status;
+        const record = existing.get(entry.studentEmail);
+        // Leaving out remarks keeps the ones already recorded
+        const remarks = entry.remarks !== undefined ? entry.remarks : (record ? record.remarks : null);
+
+        let result = 'created';
+        if (record) {
+          const unchanged = record.status === status &&
+            String(record.leaveRequestId || '') === String(leaveRequestId || '') &&
+            (record.remarks || null) === (remarks || null) &&
+            (!slot || String(record.slotId) === String(slot.id));
+          result = unchanged ? 'unchanged' : 'updated';
         }
+
+        if (result !== 'unchanged') {
+          rows.push({
+            studentEmail: entry.studentEmail,
+            facultyEmail: record ? record.facultyEmail : faculty.email,
+            subjectId: subject.id,
+            date: attendanceDate,
+            slotId: slot ? slot.id : (record ? record.slotId : null),
+            status,
+            leaveRequestId,
+            remarks
+          });
+        }
+
+        return {
+          studentEmail: entry.studentEmail,
+          status,
+          previousStatus: record ? record.status : null,
+          leaveRequestId,
+          result
+        };
       });
 
-      if (!attendance) {
-        attendance = await Attendance.create({
-          studentEmail: student.email,
-          facultyEmail: faculty.email,
-          subjectId: subject.id,
-          date: attendanceDate,
-          present: sa.present,
-          remarks: sa.remarks
+      if (rows.length > 0) {
+        if (report.some(entry => entry.result === 'updated')) {
+          this.authorizeEdit(attendanceDate, options.user, reason);
+        }
+
+        await Attendance.bulkCreate(rows, {
+          updateOnDuplicate: ['slotId', 'status', 'present', 'excused', 'leaveRequestId', 'remarks', 'updated_at'],
+          transaction
         });
-      } else {
-        await attendance.update({
-          present: sa.present,
-          remarks: sa.remarks
+
+        const saved = await Attendance.findAll({
+          attributes: ['id', 'studentEmail'],
+          where: { subjectId: subject.id, date: attendanceDate, studentEmail: { [Op.in]: rows.map(row => row.studentEmail) } },
+          transaction
         });
+        const ids = new Map(saved.map(record => [record.studentEmail, record.id]));
+        await AttendanceAudit.bulkCreate(rows.map(row => {
+          const record = existing.get(row.studentEmail);
+          return {
+            attendanceId: ids.get(row.studentEmail),
+            subjectId: subject.id,
+            studentEmail: row.studentEmail,
+            date: attendanceDate,
+            source: options.source || 'bulk',
+            previousStatus: record ? record.status : null,
+            newStatus: row.status,
+            previousRemarks: record ? record.remarks : null,
+            newRemarks: row.remarks,
+            reason: reason ? String(reason).trim() : null,
+            changedBy: options.user ? options.user.email : faculty.email
+          };
+        }), { transaction });
       }
 
-      results.push(attendance);
+      const count = (result) => report.filter(entry => entry.result === result).length;
+      return {
+        subjectId: subject.id,
+        date: attendanceDate,
+        slotId: slot ? slot.id : null,
+        created: count('created'),
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        students: report
+      };
+    });
+  }
+
+  /**
+   * Check whether attendance of a date is past the edit window
+   * @param {string} date - Class date (YYYY-MM-DD)
+   * @returns {boolean} True if only an admin may change it
+   */
+  isEditLocked(date) {
+    const cutoff = localDate.daysAgo(attendanceConfig.editWindowDays);
+    return date < cutoff;
+  }
+
+  /**
+   * Check whether a user may change attendance already recorded on a date
+   * Attendance past the edit window may only be changed by an admin giving a
+   * reason; faculty raise a correction request for admin approval instead.
+   * @param {string} date - Class date (YYYY-MM-DD)
+   * @param {Object} user - User changing the attendance (optional)
+   * @param {string} reason - Reason for the change
+   */
+  authorizeEdit(date, user, reason) {
+    if (!this.isEditLocked(date)) {
+      return;
+    }
+    if (!user || user.role !== 'admin') {
+      throw new Error(`Attendance for ${date} is locked after ${attendanceConfig.editWindowDays} days; raise a correction request for admin approval`);
     }
+    if (!reason || String(reason).trim() === '') {
+      throw new Error(`Attendance for ${date} is locked; a reason is required`);
+    }
+  }
 
-    return results;
+  /**
+   * Get the recorded changes to an attendance record, oldest first
+   * @param {number} attendanceId - Attendance ID
+   * @returns {Promise<Array>} Audit entries
+   */
+  async getAuditTrail(attendanceId) {
+    return await AttendanceAudit.findAll({
+      where: { attendanceId },
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
   }
 
   /**
@@ -169,39 +348,120 @@ class AttendanceService {
     return subject;
   }
 
+  /**
+   * Weigh attendance records by status
+   * Each class counts by the weight of its status and excused absences are
+   * left out. Classes without a record count as absences.
+   * @param {Array} records - Attendance records with status
+   * @param {number} totalClasses - Classes the records cover, one per record by default
+   * @returns {Object} { statusCounts, totalPresent, totalAbsent, totalExcused, percentage }
+   */
+  weighAttendance(records, totalClasses = records.length) {
+    const statusCounts = Object.fromEntries(attendanceConfig.statuses.map(status => [status, 0]));
+    for (const record of records) {
+      statusCounts[record.status]++;
+    }
+    statusCounts.absent += Math.max(totalClasses - records.length, 0);
+
+    const countedClasses = totalClasses - statusCounts.excused;
+    const attended = Object.entries(attendanceConfig.statusWeights)
+      .reduce((sum, [status, weight]) => sum + statusCounts[status] * weight, 0);
+
+    return {
+      statusCounts,
+      totalPresent: statusCounts.present + statusCounts.late + statusCounts.on_duty,
+      totalAbsent: statusCounts.absent,
+      totalExcused: statusCounts.excused,
+      // A student excused from every class has missed nothing
+      percentage: countedClasses > 0
+        ? Math.round((attended * 100.0 / countedClasses) * 100) / 100.0
+        : totalClasses > 0 ? 100 : 0
+    };
+  }
+
   /**
    * Get attendance statistics for a subject
    * @param {number} subjectId - Subject ID
    * @returns {Promise<Object>} Attendance statistics
    */
   async getSubjectAttendanceStats(subjectId) {
-    // Get distinct class dates
-    const classDates = await Attendance.findAll({
-      attributes: ['date'],
-      where: { subjectId },
-      group: ['date'],
-      raw: true
-    });
+    const subject = await SubjectEnrollment.findByPk(subjectId);
+    if (!subject) {
+      throw new Error('Subject not found');
+    }
 
-    // Get all attendance records for the subject
-    const attendances = await Attendance.findAll({
+    // Get the attendance records that count, leaving out holidays and cancelled classes
+    const attendances = await this.filterCountedRecords(subject, await Attendance.findAll({
       where: { subjectId }
-    });
+    }));
 
-    const totalClasses = classDates.length;
-    const totalPresent = attendances.filter(a => a.present).length;
-    const totalPossibleAttendances = totalClasses * attendances.length;
-    const attendancePercentage = totalPossibleAttendances > 0 
-      ? Math.round((totalPresent * 100.0 / totalPossibleAttendances) * 100) / 100.0 
-      : 0;
+    const totalClasses = new Set(attendances.map(a => a.date)).size;
+    const { statusCounts, totalPresent, totalAbsent, totalExcused, percentage } = this.weighAttendance(attendances);
 
     return {
       totalClasses,
       totalPresent,
-      attendancePercentage
+      totalAbsent,
+      totalExcused,
+      statusCounts,
+      attendancePercentage: percentage
     };
   }
 
+  /**
+   * Get each student's attendance percentage for a subject
+   * Every date on which the subject's attendance was taken counts as a class,
+   * so a student without a record for that date is counted absent. Holidays
+   * and cancelled classes do not count, and classes are weighed by status.
+   * @param {number} subjectId - Subject ID
+   * @returns {Promise<Object>} { totalClasses, students } where students maps email to
+   *   { statusCounts, totalPresent, totalAbsent, totalExcused, percentage }
+   */
+  async getStudentAttendancePercentages(subjectId) {
+    const subject = await SubjectEnrollment.findByPk(subjectId);
+    if (!subject) {
+      throw new Error('Subject not found');
+    }
+
+    const attendances = await this.filterCountedRecords(subject, await Attendance.findAll({
+      attributes: ['studentEmail', 'date', 'status'],
+      where: { subjectId },
+      raw: true
+    }));
+
+    const totalClasses = new Set(attendances.map(a => a.date)).size;
+    const recordsByStudent = {};
+    for (const attendance of attendances) {
+      (recordsByStudent[attendance.studentEmail] || (recordsByStudent[attendance.studentEmail] = [])).push(attendance);
+    }
+
+    const students = {};
+    for (const [studentEmail, records] of Object.entries(recordsByStudent)) {
+      students[studentEmail] = this.weighAttendance(records, totalClasses);
+    }
+
+    return { totalClasses, students };
+  }
+
+  /**
+   * Drop attendance records taken on holidays or cancelled classes
+   * Records from before sessions were checked may fall on such dates; they
+   * should not count towards the total number of classes.
+   * @param {Object} subject - Subject enrollment
+   * @param {Array} records - Attendance records of the subject
+   * @returns {Promise<Array>} Records on dates that count as classes
+   */
+  async filterCountedRecords(subject, records) {
+    if (records.length === 0) {
+      return records;
+    }
+
+    const dates = records.map(r => r.date).sort();
+    const excluded = await ClassSessionService.getExcludedDates(subject, dates[0], dates[dates.length - 1]);
+
+    return records.filter(r => !excluded.has(r.date));
+  }
+
   /**
    * Find specific attendance record
    * @param {string} studentEmail - Student email
@@ -218,28 +478,6 @@ class AttendanceService {
       }
     });
   }
-
-  /**
-   * Get student attendance history
-   * @param {string} studentEmail - Student email
-   * @param {number} subjectId - Subject ID (optional)
-   * @returns {Promise<Array>} Array of attendance records
-   */
-  async getStudentAttendanceHistory(studentEmail, subjectId = null) {
-    const whereClause = { studentEmail };
-    if (subjectId) {
-      whereClause.subjectId = subjectId;
-    }
-
-    return await Attendance.findAll({
-      where: whereClause,
-      include: [
-        { model: SubjectEnrollment, as: 'subject' },
-        { model: Faculty, as: 'faculty' }
-      ],
-      order: [['date', 'DESC']]
-    });
-  }
 }
 
 module.exports = new AttendanceService();
@@ -1,10 +1,20 @@
-const { User } = require('../models');
-const { verifyIdToken } = require('../config/firebase');
+const crypto = require('crypto');
+const { User, Session } = require('../models');
+const { getAuthProvider } = require('./authProviders');
+const authConfig = require('../config/auth');
+
+// Users of recently verified tokens, keyed by a hash of the token
+const tokenCache = new Map();
+
+// Session access tokens are 64 hex characters; provider tokens are JWTs
+const SESSION_TOKEN = /^[0-9a-f]{64}$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 class AuthService {
   /**
-   * Verify Firebase ID token and get user from database
-   * @param {string} idToken - Firebase ID token
+   * Verify an ID token with the configured provider and get user from database
+   * @param {string} idToken - ID token
    * @returns {Promise<Object|null>} User object or null if not found
    */
   async verifyTokenAndGetUser(idToken) {
@@ -13,9 +23,8 @@ class AuthService {
         throw new Error('ID token is required and must be a string');
       }
 
-      const decodedToken = await verifyIdToken(idToken);
-      const uid = decodedToken.uid;
-      
+      const { uid } = await getAuthProvider().verifyToken(idToken);
+
       if (!uid) {
         throw new Error('Invalid token: UID not found in decoded token');
       }
@@ -36,36 +45,127 @@ class AuthService {
       if (error.code === 'auth/argument-error') {
         throw new Error('Invalid Firebase ID token format');
       }
-      throw new Error(`Authentication failed: ${error.message || 'Invalid Firebase ID token'}`);
+      throw new Error(`Authentication failed: ${error.message || 'Invalid ID token'}`);
     }
   }
 
   /**
-   * Verify token and check if user has access to requested resource
-   * @param {string} idToken - Firebase ID token
+   * Sign in with email and password through the configured provider
+   * Only providers that keep passwords on the server support this.
+   * @param {string} email - User email
+   * @param {string} password - Password
+   * @returns {Promise<string>} ID token to use like a Firebase ID token
+   */
+  async signIn(email, password) {
+    const { idToken } = await getAuthProvider().signIn(email, password);
+    return idToken;
+  }
+
+  /**
+   * Check whether a token is a session access token rather than a provider token
+   * @param {string} token - Bearer token
+   * @returns {boolean} True for session access tokens
+   */
+  isSessionToken(token) {
+    return typeof token === 'string' && SESSION_TOKEN.test(token);
+  }
+
+  /**
+   * Get the user of a session access token and record where it was used from
+   * @param {string} accessToken - Session access token
+   * @param {Object} context - { ipAddress, userAgent } of the request
+   * @returns {Promise<Object|null>} User object or null if not found
+   */
+  async verifySessionAndGetUser(accessToken, { ipAddress, userAgent } = {}) {
+    if (!this.isSessionToken(accessToken)) {
+      throw new Error('Session access token required. Exchange your ID token at /api/auth/login.');
+    }
+
+    const session = await Session.findOne({
+      where: { accessTokenHash: hashToken(accessToken), revokedAt: null }
+    });
+    if (!session) {
+      throw new Error('Session has ended. Please login again.');
+    }
+    if (session.accessExpiresAt <= new Date()) {
+      throw new Error('Session token has expired. Please refresh it or login again.');
+    }
+
+    await Session.update(
+      {
+        lastSeenAt: new Date(),
+        ipAddress: ipAddress || session.ipAddress,
+        userAgent: userAgent ? String(userAgent).slice(0, 255) : session.userAgent
+      },
+      { where: { id: session.id } }
+    );
+
+    return await User.findOne({
+      where: { email: session.userEmail }
+    });
+  }
+
+  /**
+   * Get the user of a session access token, reusing recent verifications
+   * Provider ID tokens are refused: they are only accepted by /api/auth/login,
+   * so ending a session signs its device out. Only tokens that resolve to a
+   * user are cached, for tokenCacheSeconds.
+   * @param {string} accessToken - Session access token
+   * @param {Object} context - { ipAddress, userAgent } of the request, recorded on sessions
+   * @returns {Promise<Object|null>} User object or null if not found
+   */
+  async authenticateToken(accessToken, context = {}) {
+    const key = hashToken(accessToken);
+    const cached = tokenCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.user;
+    }
+    tokenCache.delete(key);
+
+    const user = await this.verifySessionAndGetUser(accessToken, context);
+    if (user && authConfig.tokenCacheSeconds > 0 && authConfig.tokenCacheSize > 0) {
+      if (tokenCache.size >= authConfig.tokenCacheSize) {
+        tokenCache.delete(tokenCache.keys().next().value);
+      }
+      tokenCache.set(key, { user, expiresAt: Date.now() + authConfig.tokenCacheSeconds * 1000 });
+    }
+
+    return user;
+  }
+
+  /**
+   * Forget cached tokens, so changes to a user apply to their next request
+   * @param {string} firebaseUid - Firebase UID of the user, or every user if not given
+   */
+  clearTokenCache(firebaseUid) {
+    if (!firebaseUid) {
+      tokenCache.clear();
+      return;
+    }
+    for (const [key, { user }] of tokenCache) {
+      if (user.firebaseUid === firebaseUid) {
+        tokenCache.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Verify a session access token and check if its user has access to requested resource
+   * @param {string} accessToken - Session access token
    * @param {string} requestedFirebaseUid - Firebase UID of the requested resource
    * @returns {Promise<void>}
    */
-  async verifyTokenAndCheckAccess(idToken, requestedFirebaseUid) {
+  async verifyTokenAndCheckAccess(accessToken, requestedFirebaseUid) {
     try {
-      if (!idToken || typeof idToken !== 'string') {
-        throw new Error('ID token is required and must be a string');
+      if (!accessToken || typeof accessToken !== 'string') {
+        throw new Error('Access token is required and must be a string');
       }
 
       if (!requestedFirebaseUid || typeof requestedFirebaseUid !== 'string') {
         throw new Error('Requested Firebase UID is required and must be a string');
       }
 
-      const decodedToken = await verifyIdToken(idToken);
-      const tokenFirebaseUid = decodedToken.uid;
-
-      if (!tokenFirebaseUid) {
-        throw new Error('Invalid token: UID not found in decoded token');
-      }
-
-      const user = await User.findOne({
-        where: { firebaseUid: tokenFirebaseUid }
-      });
+      const user = await this.verifySessionAndGetUser(accessToken);
 
       if (!user) {
         throw new Error('User not found in database');
@@ -129,6 +229,7 @@ class AuthService {
       throw new Error('User not found');
     }
 
+    this.clearTokenCache(firebaseUid);
     return await this.getUserByFirebaseUid(firebaseUid);
   }
 
@@ -142,6 +243,7 @@ class AuthService {
       where: { firebaseUid }
     });
 
+    this.clearTokenCache(firebaseUid);
     return deletedRowsCount > 0;
   }
 }
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { sequelize, User, Event, Exam, Assignment, SubjectEnrollment, FeedToken } = require('../models');
+const EventService = require('./EventService');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+const TimetableService = require('./TimetableService');
+const { buildCalendar, parseCalendar } = require('../utils/ical');
+const { parseRule } = require('../utils/recurrence');
+
+const EVENT_TYPES = ['holiday', 'exam', 'deadline', 'meeting'];
+const UID_DOMAIN = 'campus-cloud';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class CalendarFeedService {
+  /**
+   * Issue a new feed token for a user, revoking any previous one
+   * @param {Object} user - User
+   * @returns {Promise<string>} Raw token; only its hash is stored
+   */
+  async createFeedToken(user) {
+    const token = crypto.randomBytes(24).toString('hex');
+
+    await sequelize.transaction(async (transaction) => {
+      await FeedToken.update(
+        { revokedAt: new Date() },
+        { where: { userEmail: user.email, revokedAt: null }, transaction }
+      );
+      await FeedToken.create({ userEmail: user.email, tokenHash: hashToken(token) }, { transaction });
+    });
+
+    return token;
+  }
+
+  /**
+   * Get the active feed token of a user
+   * @param {Object} user - User
+   * @returns {Promise<Object|null>} Feed token or null
+   */
+  async getActiveFeedToken(user) {
+    return await FeedToken.findOne({
+      where: { userEmail: user.email, revokedAt: null },
+      attributes: ['id', 'lastUsedAt', 'created_at']
+    });
+  }
+
+  /**
+   * Revoke the active feed token of a user
+   * @param {Object} user - User
+   * @returns {Promise<boolean>} True if a token was revoked
+   */
+  async revokeFeedToken(user) {
+    const [updatedRowsCount] = await FeedToken.update(
+      { revokedAt: new Date() },
+      { where: { userEmail: user.email, revokedAt: null } }
+    );
+
+    return updatedRowsCount > 0;
+  }
+
+  /**
+   * Find the user a feed token belongs to
+   * @param {string} token - Raw feed token
+   * @returns {Promise<Object|null>} User or null if the token is unknown or revoked
+   */
+  async getUserByFeedToken(token) {
+    if (!token) {
+      return null;
+    }
+
+    const feedToken = await FeedToken.findOne({
+      where: { tokenHash: hashToken(token), revokedAt: null }
+    });
+    if (!feedToken) {
+      return null;
+    }
+
+    const user = await User.findOne({ where: { email: feedToken.userEmail } });
+    if (!user) {
+      return null;
+    }
+
+    await feedToken.update({ lastUsedAt: new Date() });
+    return user;
+  }
+
+  /**
+   * Get the IDs of the subjects a user is linked to
+   * @param {Object} user - User
+   * @returns {Promise<Array>} Subject IDs taught or attended by the user
+   */
+  async getLinkedSubjectIds(user) {
+    if (user.role === 'faculty') {
+      const subjects = await SubjectEnrollment.findAll({
+        where: { facultyEmail: user.email },
+        attributes: ['id']
+      });
+      return subjects.map(s => s.id);
+    }
+    if (user.role === 'student') {
+      return await SubjectEnrollmentService.getEnrolledSubjectIds(user.email);
+    }
+    return [];
+  }
+
+  /**
+   * Build the iCalendar feed of a user
+   * The feed has the events in the user's audience plus the weekly classes,
+   * exams and assignment deadlines of the subjects they teach or are enrolled in.
+   * @param {Object} user - User
+   * @returns {Promise<string>} iCalendar text
+   */
+  async buildUserFeed(user) {
+    const [events, audience, subjectIds] = await Promise.all([
+      Event.findAll({ order: [['startTime', 'ASC']] }),
+      EventService.getUserAudience(user),
+      this.getLinkedSubjectIds(user)
+    ]);
+
+    const entries = events
+      .filter(event => EventService.isInAudience(event, audience))
+      .map(event => ({
+        uid: event.externalUid || `event-${event.id}@${UID_DOMAIN}`,
+        stamp: event.updated_at,
+        summary: event.title,
+        description: event.description,
+        location: event.location,
+        categories: event.type.toUpperCase(),
+        start: event.startTime,
+        end: event.endTime,
+        allDay: event.allDay,
+        rrule: event.recurrenceRule
+      }));
+
+    if (subjectIds.length > 0) {
+      const include = [{ model: SubjectEnrollment, as: 'subject', attributes: ['subjectCode', 'subjectName'] }];
+      const [slots, exams, assignments] = await Promise.all([
+        TimetableService.getSlots({ subjectIds }),
+        Exam.findAll({ where: { subjectId: { [Op.in]: subjectIds } }, include, order: [['examDate', 'ASC']] }),
+        Assignment.findAll({ where: { subjectId: { [Op.in]: subjectIds } }, include, order: [['dueDate', 'ASC']] })
+      ]);
+
+      for (const slot of slots) {
+        const occurrence = TimetableService.getFirstOccurrence(slot);
+
+        entries.push({
+          uid: `class-${slot.id}@${UID_DOMAIN}`,
+          stamp: slot.updated_at,
+          summary: `${slot.subject.subjectCode} ${slot.subject.subjectName}`,
+          location: slot.room.building ? `${slot.room.name}, ${slot.room.building}` : slot.room.name,
+          categories: 'CLASS',
+          start: occurrence.start,
+          end: occurrence.end,
+          allDay: false,
+          rrule: 'FREQ=WEEKLY'
+        });
+      }
+
+      for (const exam of exams) {
+        const start = exam.startTime
+          ? moment(`${exam.examDate} ${exam.startTime}`, 'YYYY-MM-DD HH:mm:ss')
+          : moment(exam.examDate, 'YYYY-MM-DD');
+
+        entries.push({
+          uid: `exam-${exam.id}@${UID_DOMAIN}`,
+          stamp: exam.updated_at,
+          summary: `${exam.subject.subjectCode} ${exam.title}`,
+          description: `${exam.examType} exam for ${exam.subject.subjectName}`,
+          location: exam.venue,
+          categories: 'EXAM',
+          start: start.toDate(),
+          end: exam.startTime && exam.durationMinutes
+            ? start.clone().add(exam.durationMinutes, 'minutes').toDate()
+            : null,
+          allDay: !exam.startTime
+        });
+      }
+
+      for (const assignment of assignments) {
+        entries.push({
+          uid: `assignment-${assignment.id}@${UID_DOMAIN}`,
+          stamp: assignment.updated_at,
+          summary: `${assignment.subject.subjectCode} ${assignment.title} due`,
+          description: assignment.description,
+          categories: 'DEADLINE',
+          start: assignment.dueDate,
+          allDay: false
+        });
+      }
+    }
+
+    return buildCalendar({ name: `${user.name} - Campus Cloud`, events: entries });
+  }
+
+  /**
+   * Import the events of an iCalendar document published elsewhere
+   * Events are visible to everyone and are matched on their UID, so importing
+   * an updated copy of the same calendar updates events instead of duplicating them.
+   * @param {Buffer|string} data - iCalendar file contents
+   * @param {Object} user - Importing admin
+   * @param {string} defaultType - Event type for events without a known category
+   * @returns {Promise<Object>} { created, updated, skipped }
+   */
+  async importCalendar(data, user, defaultType = 'holiday') {
+    if (!EVENT_TYPES.includes(defaultType)) {
+      throw new Error(`Event type must be one of: ${EVENT_TYPES.join(', ')}`);
+    }
+
+    const parsed = parseCalendar(data.toString('utf8'));
+    const report = { created: 0, updated: 0, skipped: [] };
+
+    await sequelize.transaction(async (transaction) => {
+      for (const item of parsed) {
+        const skip = (reason) => report.skipped.push({ uid: item.uid, summary: item.summary, reason });
+
+        if (!item.uid) {
+          skip('Event has no UID');
+          continue;
+        }
+        if (!item.start) {
+          skip('Event has no valid start date');
+          continue;
+        }
+        if (item.rrule) {
+          try {
+            parseRule(item.rrule);
+          } catch (error) {
+            skip(error.message);
+            continue;
+          }
+        }
+
+        const categories = (item.categories || '').toLowerCase().split(',').map(c => c.trim());
+        const fields = {
+          title: item.summary.trim() || 'Untitled event',
+          description: item.description,
+          type: EVENT_TYPES.find(type => categories.includes(type)) || defaultType,
+          startTime: item.start,
+          endTime: item.end,
+          allDay: item.allDay,
+          location: item.location,
+          audienceType: 'all',
+          audienceValue: null,
+          recurrenceRule: item.rrule
+        };
+
+        const existing = await Event.findOne({ where: { externalUid: item.uid }, transaction });
+        if (existing) {
+          await existing.update(fields, { transaction });
+          report.updated++;
+        } else {
+          await Event.create({ ...fields, externalUid: item.uid, createdBy: user.email }, { transaction });
+          report.created++;
+        }
+      }
+    });
+
+    return report;
+  }
+}
+
+module.exports = new CalendarFeedService();
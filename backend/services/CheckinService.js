@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { CheckinSession, CheckinRecord, SubjectEnrollment, Student } = require('../models');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+const AttendanceService = require('./AttendanceService');
+const ClassSessionService = require('./ClassSessionService');
+const TimetableService = require('./TimetableService');
+const attendanceConfig = require('../config/attendance');
+const localDate = require('../utils/localDate');
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+class CheckinService {
+  /**
+   * Get the rotation window a point in time falls in
+   * @param {Date} at - Point in time
+   * @returns {number} Window number
+   */
+  getWindow(at = new Date()) {
+    return Math.floor(at.getTime() / (attendanceConfig.checkinTokenSeconds * 1000));
+  }
+
+  /**
+   * Check whether a session still accepts check-ins
+   * @param {Object} session - Check-in session
+   * @param {Date} at - Point in time
+   * @returns {boolean} True if open and not expired
+   */
+  isAcceptingCheckins(session, at = new Date()) {
+    return session.status === 'open' && new Date(session.expiresAt) > at;
+  }
+
+  /**
+   * Open a check-in session for today's class of a subject
+   * Any open session of the subject is closed first, so only the newest QR
+   * code works.
+   * @param {Object} subject - Subject enrollment
+   * @param {Object} user - Faculty teaching the subject or admin
+   * @param {Object} options - { slotId, minutes }
+   * @returns {Promise<Object>} Created check-in session
+   */
+  async openSession(subject, user, options = {}) {
+    if (!SubjectEnrollmentService.canManageSubject(user, subject)) {
+      throw new Error('You can only take attendance for subjects you teach');
+    }
+
+    const date = localDate.today();
+    const sessions = await ClassSessionService.assertSessionOn(subject, date);
+
+    let slotId = null;
+    if (options.slotId) {
+      if (!sessions.some(session => String(session.slotId) === String(options.slotId))) {
+        throw new Error('Timetable slot does not meet today');
+      }
+      slotId = options.slotId;
+    } else {
+      const slot = await TimetableService.getCurrentSlot(subject.id);
+      if (slot && sessions.some(session => String(session.slotId) === String(slot.id))) {
+        slotId = slot.id;
+      }
+    }
+
+    let minutes = attendanceConfig.checkinSessionMinutes;
+    if (options.minutes !== undefined && options.minutes !== null && options.minutes !== '') {
+      minutes = parseInt(options.minutes);
+      if (isNaN(minutes) || minutes < 1 || minutes > 180) {
+        throw new Error('Check-in must stay open between 1 and 180 minutes');
+      }
+    }
+
+    await CheckinSession.update(
+      { status: 'closed' },
+      { where: { subjectId: subject.id, status: 'open' } }
+    );
+
+    const session = await CheckinSession.create({
+      subjectId: subject.id,
+      date,
+      slotId,
+      secret: crypto.randomBytes(32).toString('hex'),
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      openedBy: user.email
+    });
+
+    return await this.getSessionById(session.id);
+  }
+
+  /**
+   * Get check-in session by ID
+   * @param {number} id - Session ID
+   * @returns {Promise<Object|null>} Session with subject, or null
+   */
+  async getSessionById(id) {
+    return await CheckinSession.findByPk(id, {
+      include: [{ model: SubjectEnrollment, as: 'subject', attributes: ['id', 'subjectName', 'subjectCode', 'facultyEmail'] }]
+    });
+  }
+
+  /**
+   * Sign the check-in token of a session for the current rotation window
+   * The signature covers the session, its subject and the window, so a code
+   * cannot be replayed for another class or after it has rotated out.
+   * @param {Object} session - Check-in session
+   * @param {Date} at - Point in time
+   * @returns {Promise<Object>} { token, rotatesAt }
+   */
+  async issueToken(session, at = new Date()) {
+    const { secret } = await CheckinSession.scope('withSecret').findByPk(session.id, { attributes: ['secret'] });
+    const window = this.getWindow(at);
+    const payload = `${session.id}.${session.subjectId}.${window}`;
+
+    return {
+      token: `${session.id}.${window}.${sign(secret, payload)}`,
+      rotatesAt: new Date((window + 1) * attendanceConfig.checkinTokenSeconds * 1000)
+    };
+  }
+
+  /**
+   * Build the QR code students scan to check in
+   * The code links to the student check-in page with the token attached.
+   * @param {Object} session - Check-in session
+   * @returns {Promise<Object>} { token, checkinUrl, qrCode, rotatesAt, expiresAt }
+   */
+  async getQrCode(session) {
+    if (!this.isAcceptingCheckins(session)) {
+      throw new Error('Check-in session is closed');
+    }
+
+    const { token, rotatesAt } = await this.issueToken(session);
+    const url = `${attendanceConfig.checkinUrl}?token=${encodeURIComponent(token)}`;
+    const qrCode = await QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 1, width: 320 });
+
+    return { token, checkinUrl: url, qrCode, rotatesAt, expiresAt: session.expiresAt };
+  }
+
+  /**
+   * Find the session a check-in token was issued for
+   * Tokens from the current and the previous rotation window are accepted.
+   * @param {string} token - Check-in token
+   * @param {Date} at - Point in time
+   * @returns {Promise<Object>} Session with its secret
+   */
+  async verifyToken(token, at = new Date()) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3 || !/^\d+$/.test(parts[0]) || !/^\d+$/.test(parts[1])) {
+      throw new Error('Invalid check-in code');
+    }
+
+    const [sessionId, windowPart, signature] = parts;
+    const session = await CheckinSession.scope('withSecret').findByPk(sessionId);
+    if (!session) {
+      throw new Error('Invalid check-in code');
+    }
+
+    const expected = Buffer.from(sign(session.secret, `${session.id}.${session.subjectId}.${windowPart}`));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new Error('Invalid check-in code');
+    }
+
+    const age = this.getWindow(at) - parseInt(windowPart);
+    if (age < 0 || age > 1) {
+      throw new Error('Check-in code has expired, scan the current code');
+    }
+    if (!this.isAcceptingCheckins(session, at)) {
+      throw new Error('Check-in session is closed');
+    }
+
+    return session;
+  }
+
+  /**
+   * Mark a student present by a scanned check-in token
+   * @param {string} token - Check-in token
+   * @param {Object} user - Student checking in
+   * @returns {Promise<Object>} { record, subject }
+   */
+  async checkIn(token, user) {
+    if (!user || user.role !== 'student') {
+      throw new Error('Only students can check in');
+    }
+
+    const session = await this.verifyToken(token);
+    const subject = await SubjectEnrollment.findByPk(session.subjectId, {
+      attributes: ['id', 'subjectName', 'subjectCode']
+    });
+    const enrolledIds = await SubjectEnrollmentService.getEnrolledSubjectIds(user.email);
+    if (!enrolledIds.some(id => String(id) === String(session.subjectId))) {
+      throw new Error(`You are not enrolled in ${subject.subjectCode}`);
+    }
+
+    const existing = await CheckinRecord.findOne({
+      where: { sessionId: session.id, studentEmail: user.email }
+    });
+    if (existing) {
+      throw new Error('You have already checked in to this class');
+    }
+
+    try {
+      const record = await CheckinRecord.create({
+        sessionId: session.id,
+        studentEmail: user.email,
+        present: true,
+        method: 'qr',
+        checkedInAt: new Date()
+      });
+      return { record, subject };
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('You have already checked in to this class');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get every enrolled student of a session's subject with their check-in
+   * @param {Object} session - Check-in session
+   * @returns {Promise<Array>} { studentEmail, studentName, rollNo, present, method, checkedInAt, remarks }
+   */
+  async getRoster(session) {
+    const [subject, records] = await Promise.all([
+      SubjectEnrollment.findByPk(session.subjectId, {
+        include: [{ model: Student, as: 'enrolledStudents', attributes: ['email', 'name', 'rollNo'] }]
+      }),
+      CheckinRecord.findAll({ where: { sessionId: session.id } })
+    ]);
+
+    return subject.enrolledStudents
+      .map(student => {
+        const record = records.find(r => r.studentEmail === student.email);
+        return {
+          studentEmail: student.email,
+          studentName: student.name,
+          rollNo: student.rollNo,
+          present: record ? record.present : false,
+          method: record ? record.method : null,
+          checkedInAt: record ? record.checkedInAt : null,
+          remarks: record ? record.remarks : null
+        };
+      })
+      .sort((a, b) => String(a.rollNo).localeCompare(String(b.rollNo)));
+  }
+
+  /**
+   * Override a student's result before the session is finalized
+   * @param {Object} session - Check-in session
+   * @param {string} studentEmail - Student email
+   * @param {Object} data - { present, remarks }
+   * @returns {Promise<Object>} Check-in record
+   */
+  async setRecord(session, studentEmail, data) {
+    if (session.status === 'finalized') {
+      throw new Error('Check-in session has already been finalized');
+    }
+    if (!data || typeof data.present !== 'boolean') {
+      throw new Error('Present must be true or false');
+    }
+
+    const subject = await SubjectEnrollment.findByPk(session.subjectId);
+    const student = await Student.findOne({ where: { email: studentEmail } });
+    if (!student || !(await subject.hasEnrolledStudents(student))) {
+      throw new Error(`Student not enrolled: ${studentEmail}`);
+    }
+
+    const existing = await CheckinRecord.findOne({
+      where: { sessionId: session.id, studentEmail }
+    });
+    const fields = {
+      present: data.present,
+      remarks: data.remarks !== undefined ? data.remarks || null : existing ? existing.remarks : null
+    };
+
+    if (existing) {
+      return await existing.update({ ...fields, method: 'manual' });
+    }
+    return await CheckinRecord.create({ sessionId: session.id, studentEmail, method: 'manual', ...fields });
+  }
+
+  /**
+   * Stop accepting check-ins
+   * @param {Object} session - Check-in session
+   * @returns {Promise<Object>} Updated session
+   */
+  async closeSession(session) {
+    if (session.status === 'finalized') {
+      throw new Error('Check-in session has already been finalized');
+    }
+    await session.update({ status: 'closed' });
+    return session;
+  }
+
+  /**
+   * Record the session's results as attendance
+   * Students without a check-in are marked absent. Remarks are only sent when
+   * the faculty member wrote some, so remarks already on the attendance stay.
+   * @param {Object} session - Check-in session
+   * @param {Object} user - Faculty or admin finalizing it
+   * @returns {Promise<Object>} { session, report } with the bulk marking report
+   */
+  async finalizeSession(session, user) {
+    if (session.status === 'finalized') {
+      throw new Error('Check-in session has already been finalized');
+    }
+
+    const roster = await this.getRoster(session);
+    if (roster.length === 0) {
+      throw new Error('No students are enrolled in this subject');
+    }
+
+    const subject = await SubjectEnrollment.findByPk(session.subjectId);
+    const report = await AttendanceService.markBulkAttendance({
+      facultyEmail: subject.facultyEmail,
+      subjectId: subject.id,
+      date: session.date,
+      slotId: session.slotId,
+      studentAttendances: roster.map(entry => {
+        const attendance = { studentEmail: entry.studentEmail, present: entry.present };
+        if (entry.remarks) {
+          attendance.remarks = entry.remarks;
+        }
+        return attendance;
+      })
+    }, { user, source: 'checkin' });
+
+    await session.update({ status: 'finalized', finalizedAt: new Date() });
+    return { session, report };
+  }
+}
+
+module.exports = new CheckinService();
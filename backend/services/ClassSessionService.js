@@ -0,0 +1,253 @@
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { ClassSession, TimetableSlot, Room, Event } = require('../models');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+const TimetableService = require('./TimetableService');
+const { expandOccurrences } = require('../utils/recurrence');
+
+const SESSION_TYPES = ['extra', 'makeup', 'cancelled'];
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+class ClassSessionService {
+  /**
+   * Get the holidays that apply to a subject within a date range
+   * Holidays for everyone, for the subject's semester or for the subject
+   * itself apply; course and branch holidays only cover some of its students
+   * and do not cancel the class.
+   * @param {Object} subject - Subject enrollment
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {Promise<Map>} Map of date to holiday title
+   */
+  async getHolidays(subject, from, to) {
+    const rangeStart = moment(from, DATE_FORMAT).startOf('day');
+    const rangeEnd = moment(to, DATE_FORMAT).endOf('day');
+
+    const events = await Event.findAll({
+      where: {
+        type: 'holiday',
+        startTime: { [Op.lte]: rangeEnd.toDate() },
+        [Op.and]: [
+          {
+            [Op.or]: [
+              { endTime: { [Op.gte]: rangeStart.toDate() } },
+              { recurrenceRule: { [Op.ne]: null } }
+            ]
+          },
+          {
+            [Op.or]: [
+              { audienceType: 'all' },
+              { audienceType: 'semester', audienceValue: String(subject.semester) },
+              { audienceType: 'subject', audienceValue: String(subject.id) }
+            ]
+          }
+        ]
+      }
+    });
+
+    const holidays = new Map();
+    for (const event of events) {
+      for (const occurrence of expandOccurrences(event, rangeStart.toDate(), rangeEnd.toDate())) {
+        // An occurrence ending at midnight does not cover the following day
+        const last = moment(occurrence.end).subtract(1, 'ms');
+        for (let day = moment(occurrence.start).startOf('day'); !day.isAfter(last); day.add(1, 'day')) {
+          if (!day.isBefore(rangeStart) && !day.isAfter(rangeEnd)) {
+            holidays.set(day.format(DATE_FORMAT), event.title);
+          }
+        }
+      }
+    }
+
+    return holidays;
+  }
+
+  /**
+   * Work out the class sessions of a subject within a date range
+   * Sessions are the weekly timetable slots plus extra and makeup classes,
+   * less holidays and cancellations. Dates that had a class taken away are
+   * listed separately with the reason.
+   * @param {Object} subject - Subject enrollment
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { sessions, excluded } where sessions are
+   *   { date, type, slotId, sessionId, period, roomId } and excluded are { date, reason, sessionId }
+   */
+  async getSessions(subject, from, to) {
+    const [slots, changes, holidays] = await Promise.all([
+      TimetableSlot.findAll({ where: { subjectId: subject.id } }),
+      ClassSession.findAll({
+        where: { subjectId: subject.id, date: { [Op.between]: [from, to] } },
+        order: [['date', 'ASC'], ['period', 'ASC']]
+      }),
+      this.getHolidays(subject, from, to)
+    ]);
+
+    const sessions = [];
+    const excluded = [];
+    const last = moment(to, DATE_FORMAT);
+
+    for (let day = moment(from, DATE_FORMAT); !day.isAfter(last); day.add(1, 'day')) {
+      const date = day.format(DATE_FORMAT);
+      const scheduled = slots.filter(slot => slot.dayOfWeek === day.isoWeekday());
+      const dayChanges = changes.filter(change => change.date === date);
+      const extras = dayChanges.filter(change => change.type !== 'cancelled');
+      const cancellations = dayChanges.filter(change => change.type === 'cancelled');
+
+      if (holidays.has(date)) {
+        if (scheduled.length > 0 || extras.length > 0) {
+          excluded.push({ date, reason: `Holiday: ${holidays.get(date)}`, sessionId: null });
+        }
+        continue;
+      }
+
+      // A cancellation without a slot cancels every class of the day
+      const cancelsAll = cancellations.some(change => !change.slotId);
+      const remaining = cancelsAll
+        ? []
+        : scheduled.filter(slot => !cancellations.some(change => String(change.slotId) === String(slot.id)));
+
+      for (const slot of remaining) {
+        sessions.push({ date, type: 'scheduled', slotId: slot.id, sessionId: null, period: slot.period, roomId: slot.roomId });
+      }
+      for (const extra of extras) {
+        sessions.push({ date, type: extra.type, slotId: null, sessionId: extra.id, period: extra.period, roomId: extra.roomId });
+      }
+
+      if (cancellations.length > 0 && remaining.length === 0 && extras.length === 0) {
+        excluded.push({
+          date,
+          reason: cancellations[0].reason ? `Cancelled: ${cancellations[0].reason}` : 'Cancelled',
+          sessionId: cancellations[0].id
+        });
+      }
+    }
+
+    return { sessions, excluded };
+  }
+
+  /**
+   * Get the dates that must not count as classes of a subject
+   * @param {Object} subject - Subject enrollment
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {Promise<Set>} Holiday and cancelled dates
+   */
+  async getExcludedDates(subject, from, to) {
+    const { excluded } = await this.getSessions(subject, from, to);
+    return new Set(excluded.map(entry => entry.date));
+  }
+
+  /**
+   * Check that a subject has a class on a date
+   * @param {Object} subject - Subject enrollment
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Sessions on the date
+   */
+  async assertSessionOn(subject, date) {
+    const { sessions, excluded } = await this.getSessions(subject, date, date);
+
+    if (sessions.length === 0) {
+      if (excluded.length > 0) {
+        throw new Error(`${subject.subjectCode} has no class on ${date} (${excluded[0].reason})`);
+      }
+      throw new Error(`${subject.subjectCode} has no scheduled class on ${date}`);
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Add an extra or makeup class, or cancel a scheduled one
+   * @param {Object} subject - Subject enrollment
+   * @param {Object} sessionData - { date, type, slotId, period, roomId, reason }
+   * @param {Object} user - Faculty teaching the subject or admin
+   * @returns {Promise<Object>} Created class session
+   */
+  async createSession(subject, sessionData, user) {
+    if (!SubjectEnrollmentService.canManageSubject(user, subject)) {
+      throw new Error('You can only change classes of subjects you teach');
+    }
+
+    const { date, type, slotId, period, roomId, reason } = sessionData || {};
+    if (!SESSION_TYPES.includes(type)) {
+      throw new Error(`Session type must be one of: ${SESSION_TYPES.join(', ')}`);
+    }
+    const day = moment(date, DATE_FORMAT, true);
+    if (!day.isValid()) {
+      throw new Error('Date must be in YYYY-MM-DD format');
+    }
+
+    if (type === 'cancelled') {
+      const { sessions } = await this.getSessions(subject, date, date);
+      const scheduled = sessions.filter(session => session.type === 'scheduled');
+      if (scheduled.length === 0) {
+        throw new Error(`${subject.subjectCode} has no scheduled class on ${date} to cancel`);
+      }
+      if (slotId && !scheduled.some(session => String(session.slotId) === String(slotId))) {
+        throw new Error('Timetable slot does not meet on this date');
+      }
+
+      return await ClassSession.create({
+        subjectId: subject.id,
+        date,
+        type,
+        slotId: slotId || null,
+        reason: reason || null,
+        createdBy: user.email
+      });
+    }
+
+    if (!TimetableService.getPeriod(period)) {
+      throw new Error('A valid period is required for an extra class');
+    }
+    if (roomId && !(await Room.findByPk(roomId))) {
+      throw new Error('Room not found');
+    }
+
+    const holidays = await this.getHolidays(subject, date, date);
+    if (holidays.has(date)) {
+      throw new Error(`${date} is a holiday: ${holidays.get(date)}`);
+    }
+
+    const conflicts = await TimetableService.findConflicts(subject, {
+      dayOfWeek: day.isoWeekday(),
+      period,
+      roomId,
+      date
+    });
+    if (conflicts.length > 0) {
+      throw new Error(`Timetable conflict: ${conflicts.join('; ')}`);
+    }
+
+    return await ClassSession.create({
+      subjectId: subject.id,
+      date,
+      type,
+      period: parseInt(period),
+      roomId: roomId || null,
+      reason: reason || null,
+      createdBy: user.email
+    });
+  }
+
+  /**
+   * Get class session by ID
+   * @param {number} id - Class session ID
+   * @returns {Promise<Object|null>} Class session or null
+   */
+  async getSessionById(id) {
+    return await ClassSession.findByPk(id);
+  }
+
+  /**
+   * Delete a class session, restoring the timetable for its date
+   * @param {number} id - Class session ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteSession(id) {
+    const deletedRowsCount = await ClassSession.destroy({ where: { id } });
+    return deletedRowsCount > 0;
+  }
+}
+
+module.exports = new ClassSessionService();
@@ -0,0 +1,341 @@
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { Event, Student, SubjectEnrollment } = require('../models');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+const { parseRule, expandOccurrences } = require('../utils/recurrence');
+
+const EVENT_TYPES = ['holiday', 'exam', 'deadline', 'meeting'];
+const AUDIENCE_TYPES = ['all', 'course', 'branch', 'semester', 'subject'];
+
+class EventService {
+  /**
+   * Validate event fields shared by create and update
+   * @param {Object} data - Event data
+   * @param {boolean} partial - Whether missing fields are allowed
+   */
+  validateEventData(data, partial = false) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Event data is required');
+    }
+
+    if (!partial || data.title !== undefined) {
+      if (!data.title || String(data.title).trim() === '') {
+        throw new Error('Title is required');
+      }
+    }
+
+    if (!partial || data.type !== undefined) {
+      if (!EVENT_TYPES.includes(data.type)) {
+        throw new Error(`Event type must be one of: ${EVENT_TYPES.join(', ')}`);
+      }
+    }
+
+    if (!partial || data.startTime !== undefined) {
+      if (!data.startTime || !moment(data.startTime, moment.ISO_8601).isValid()) {
+        throw new Error('Valid start time is required');
+      }
+    }
+
+    if (!partial || data.endTime !== undefined) {
+      if (!data.endTime || !moment(data.endTime, moment.ISO_8601).isValid()) {
+        throw new Error('Valid end time is required');
+      }
+    }
+
+    if (data.audienceType !== undefined && !AUDIENCE_TYPES.includes(data.audienceType)) {
+      throw new Error(`Audience must be one of: ${AUDIENCE_TYPES.join(', ')}`);
+    }
+
+    if (data.recurrenceRule) {
+      parseRule(data.recurrenceRule);
+    }
+  }
+
+  /**
+   * Check the audience of an event and normalise its value
+   * Faculty may only schedule events for subjects they teach.
+   * @param {Object} data - { audienceType, audienceValue }
+   * @param {Object} user - Creating user
+   * @returns {Promise<Object>} { audienceType, audienceValue }
+   */
+  async resolveAudience(data, user) {
+    const audienceType = data.audienceType || 'all';
+    const audienceValue = data.audienceValue !== undefined && data.audienceValue !== null
+      ? String(data.audienceValue).trim()
+      : '';
+
+    if (user.role !== 'admin' && audienceType !== 'subject') {
+      throw new Error('Faculty can only schedule events for their own subjects');
+    }
+
+    switch (audienceType) {
+      case 'all':
+        return { audienceType, audienceValue: null };
+      case 'course':
+      case 'branch':
+        if (!audienceValue) {
+          throw new Error(`A ${audienceType} is required for this audience`);
+        }
+        return { audienceType, audienceValue };
+      case 'semester': {
+        const semester = parseInt(audienceValue);
+        if (isNaN(semester) || semester < 1 || semester > 12) {
+          throw new Error('Semester must be a number between 1 and 12');
+        }
+        return { audienceType, audienceValue: String(semester) };
+      }
+      case 'subject': {
+        const subject = audienceValue ? await SubjectEnrollment.findByPk(audienceValue) : null;
+        if (!subject) {
+          throw new Error('Subject not found');
+        }
+        if (!SubjectEnrollmentService.canManageSubject(user, subject)) {
+          throw new Error('You can only schedule events for subjects you teach');
+        }
+        return { audienceType, audienceValue: String(subject.id) };
+      }
+      default:
+        throw new Error(`Audience must be one of: ${AUDIENCE_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Create a new event
+   * @param {Object} eventData - Event data
+   * @param {Object} user - Creating user
+   * @returns {Promise<Object>} Created event
+   */
+  async createEvent(eventData, user) {
+    this.validateEventData(eventData);
+
+    if (moment(eventData.endTime).isBefore(moment(eventData.startTime))) {
+      throw new Error('End time cannot be before start time');
+    }
+
+    const audience = await this.resolveAudience(eventData, user);
+
+    return await Event.create({
+      title: String(eventData.title).trim(),
+      description: eventData.description || null,
+      type: eventData.type,
+      startTime: eventData.startTime,
+      endTime: eventData.endTime,
+      allDay: Boolean(eventData.allDay),
+      location: eventData.location || null,
+      ...audience,
+      recurrenceRule: eventData.recurrenceRule ? String(eventData.recurrenceRule).replace(/^RRULE:/i, '') : null,
+      createdBy: user.email
+    });
+  }
+
+  /**
+   * Get event by ID
+   * @param {number} id - Event ID
+   * @returns {Promise<Object|null>} Event or null
+   */
+  async getEventById(id) {
+    return await Event.findByPk(id);
+  }
+
+  /**
+   * Check whether a user may edit or delete an event
+   * @param {Object} user - User
+   * @param {Object} event - Event
+   * @returns {Promise<boolean>} True if the user may manage the event
+   */
+  async canManageEvent(user, event) {
+    if (user.role === 'admin') {
+      return true;
+    }
+    if (user.role !== 'faculty' || event.audienceType !== 'subject') {
+      return false;
+    }
+
+    const subject = await SubjectEnrollment.findByPk(event.audienceValue);
+    return Boolean(subject) && SubjectEnrollmentService.canManageSubject(user, subject);
+  }
+
+  /**
+   * Check whether a user is in an event's audience
+   * @param {Object} event - Event
+   * @param {Object} audience - Audience of the user from getUserAudience
+   * @returns {boolean} True if the event is meant for the user
+   */
+  isInAudience(event, audience) {
+    if (audience.everything || event.audienceType === 'all') {
+      return true;
+    }
+    if (audience.allCohorts && event.audienceType !== 'subject') {
+      return true;
+    }
+
+    switch (event.audienceType) {
+      case 'course':
+        return audience.course === event.audienceValue;
+      case 'branch':
+        return audience.branch === event.audienceValue;
+      case 'semester':
+        return audience.semester === event.audienceValue;
+      case 'subject':
+        return audience.subjectIds.includes(event.audienceValue);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Work out which audiences a user belongs to
+   * Admins see every event. Faculty see institution-wide, course, branch and
+   * semester events plus events of the subjects they teach. Students see
+   * events for their course, branch, semester and enrolled subjects.
+   * @param {Object} user - User
+   * @returns {Promise<Object>} { everything, allCohorts, course, branch, semester, subjectIds }
+   */
+  async getUserAudience(user) {
+    if (user.role === 'admin') {
+      return { everything: true };
+    }
+
+    if (user.role === 'faculty') {
+      const subjects = await SubjectEnrollment.findAll({
+        where: { facultyEmail: user.email },
+        attributes: ['id']
+      });
+      return {
+        everything: false,
+        allCohorts: true,
+        subjectIds: subjects.map(s => String(s.id))
+      };
+    }
+
+    const student = await Student.findOne({ where: { email: user.email } });
+    const subjectIds = await SubjectEnrollmentService.getEnrolledSubjectIds(user.email);
+
+    return {
+      everything: false,
+      course: student ? student.course : null,
+      branch: student ? student.branch : null,
+      semester: student ? String(student.semester) : null,
+      subjectIds: subjectIds.map(id => String(id))
+    };
+  }
+
+  /**
+   * Get the event occurrences a user can see within a date range
+   * Recurring events are expanded into one entry per occurrence.
+   * @param {Object} user - User
+   * @param {Object} filters - { from, to, type }
+   * @returns {Promise<Array>} Occurrences sorted by start time
+   */
+  async getEventsForUser(user, filters) {
+    const from = moment(filters.from).toDate();
+    const to = moment(filters.to).toDate();
+
+    const whereClause = {
+      startTime: { [Op.lte]: to },
+      [Op.or]: [
+        { endTime: { [Op.gte]: from } },
+        { recurrenceRule: { [Op.ne]: null } }
+      ]
+    };
+    if (filters.type) {
+      whereClause.type = filters.type;
+    }
+
+    const [events, audience] = await Promise.all([
+      Event.findAll({ where: whereClause }),
+      this.getUserAudience(user)
+    ]);
+
+    const occurrences = [];
+    for (const event of events) {
+      if (!this.isInAudience(event, audience)) {
+        continue;
+      }
+
+      for (const occurrence of expandOccurrences(event, from, to)) {
+        occurrences.push({
+          ...event.toJSON(),
+          occurrenceStart: occurrence.start,
+          occurrenceEnd: occurrence.end
+        });
+      }
+    }
+
+    return occurrences.sort((a, b) => a.occurrenceStart - b.occurrenceStart);
+  }
+
+  /**
+   * Get the next events a user can see
+   * @param {Object} user - User
+   * @param {number} days - How many days ahead to look
+   * @param {number} limit - Maximum number of occurrences
+   * @returns {Promise<Array>} Upcoming occurrences
+   */
+  async getUpcomingEvents(user, days = 30, limit = 10) {
+    const occurrences = await this.getEventsForUser(user, {
+      from: new Date(),
+      to: moment().add(days, 'days').toDate()
+    });
+
+    return occurrences.slice(0, limit);
+  }
+
+  /**
+   * Update an event
+   * @param {Object} event - Event to update
+   * @param {Object} updateData - Data to update
+   * @param {Object} user - Updating user
+   * @returns {Promise<Object>} Updated event
+   */
+  async updateEvent(event, updateData, user) {
+    this.validateEventData(updateData, true);
+
+    const updates = {};
+    for (const field of ['title', 'description', 'type', 'startTime', 'endTime', 'allDay', 'location', 'recurrenceRule']) {
+      if (updateData[field] !== undefined) {
+        updates[field] = updateData[field];
+      }
+    }
+    if (updates.title !== undefined) {
+      updates.title = String(updates.title).trim();
+    }
+    if (updates.recurrenceRule !== undefined) {
+      updates.recurrenceRule = updates.recurrenceRule ? String(updates.recurrenceRule).replace(/^RRULE:/i, '') : null;
+    }
+    if (updates.allDay !== undefined) {
+      updates.allDay = Boolean(updates.allDay);
+    }
+
+    const startTime = updates.startTime !== undefined ? updates.startTime : event.startTime;
+    const endTime = updates.endTime !== undefined ? updates.endTime : event.endTime;
+    if (moment(endTime).isBefore(moment(startTime))) {
+      throw new Error('End time cannot be before start time');
+    }
+
+    if (updateData.audienceType !== undefined || updateData.audienceValue !== undefined) {
+      Object.assign(updates, await this.resolveAudience({
+        audienceType: updateData.audienceType !== undefined ? updateData.audienceType : event.audienceType,
+        audienceValue: updateData.audienceValue !== undefined ? updateData.audienceValue : event.audienceValue
+      }, user));
+    }
+
+    await event.update(updates);
+    return event;
+  }
+
+  /**
+   * Delete an event
+   * @param {number} id - Event ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteEvent(id) {
+    const deletedRowsCount = await Event.destroy({
+      where: { id }
+    });
+
+    return deletedRowsCount > 0;
+  }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,410 @@
+const { sequelize, Exam, ExamResult, SubjectEnrollment, Faculty } = require('../models');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+const GradeService = require('./GradeService');
+
+const EXAM_TYPES = ['quiz', 'midterm', 'final', 'practical', 'other'];
+
+// Marks a result counts for in the overall score; absent students score zero
+const countedMarks = (result) => (result.absent ? 0 : parseFloat(result.marksObtained));
+
+class ExamService {
+  /**
+   * Validate exam fields shared by create and update
+   * @param {Object} data - Exam data
+   * @param {boolean} partial - Whether missing fields are allowed
+   */
+  validateExamData(data, partial = false) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Exam data is required');
+    }
+
+    const { title, examType, examDate, startTime, durationMinutes, maxMarks } = data;
+
+    if (!partial || title !== undefined) {
+      if (!title || typeof title !== 'string' || title.trim().length === 0) {
+        throw new Error('Title is required and must be a non-empty string');
+      }
+      if (title.length > 200) {
+        throw new Error('Title must not exceed 200 characters');
+      }
+    }
+
+    if (examType !== undefined && !EXAM_TYPES.includes(examType)) {
+      throw new Error(`Exam type must be one of: ${EXAM_TYPES.join(', ')}`);
+    }
+
+    if (!partial || examDate !== undefined) {
+      if (!examDate || !/^\d{4}-\d{2}-\d{2}$/.test(examDate)) {
+        throw new Error('Exam date must be in YYYY-MM-DD format');
+      }
+    }
+
+    if (startTime !== undefined && startTime !== null && !/^\d{2}:\d{2}(:\d{2})?$/.test(startTime)) {
+      throw new Error('Start time must be in HH:MM format');
+    }
+
+    if (durationMinutes !== undefined && durationMinutes !== null) {
+      const duration = parseInt(durationMinutes);
+      if (isNaN(duration) || duration <= 0) {
+        throw new Error('Duration must be a positive number of minutes');
+      }
+    }
+
+    if (!partial || maxMarks !== undefined) {
+      const max = parseFloat(maxMarks);
+      if (isNaN(max) || max <= 0 || max > 1000) {
+        throw new Error('Maximum marks must be a number between 0 and 1000');
+      }
+    }
+  }
+
+  /**
+   * Schedule a new exam for a subject
+   * @param {Object} examData - Exam data including subjectId
+   * @param {Object} user - User scheduling the exam
+   * @returns {Promise<Object>} Created exam
+   */
+  async createExam(examData, user) {
+    this.validateExamData(examData);
+
+    const subject = await SubjectEnrollment.findByPk(examData.subjectId);
+    if (!subject) {
+      throw new Error('Subject not found');
+    }
+    if (!SubjectEnrollmentService.canManageSubject(user, subject)) {
+      throw new Error('Faculty doesn\'t teach this subject');
+    }
+
+    const exam = await Exam.create({
+      subjectId: subject.id,
+      title: examData.title.trim(),
+      examType: examData.examType || 'other',
+      examDate: examData.examDate,
+      startTime: examData.startTime || null,
+      durationMinutes: examData.durationMinutes || null,
+      maxMarks: examData.maxMarks,
+      venue: examData.venue || null,
+      createdBy: user.email
+    });
+
+    return await this.getExamById(exam.id);
+  }
+
+  /**
+   * Get exam by ID
+   * @param {number} id - Exam ID
+   * @returns {Promise<Object|null>} Exam with subject or null
+   */
+  async getExamById(id) {
+    return await Exam.findByPk(id, {
+      include: [
+        {
+          model: SubjectEnrollment,
+          as: 'subject',
+          include: [{ model: Faculty, as: 'faculty' }]
+        }
+      ]
+    });
+  }
+
+  /**
+   * Get exams visible to a user
+   * Admins see every exam, faculty see exams of subjects they teach and
+   * students see exams of subjects they are enrolled in.
+   * @param {Object} user - Authenticated user
+   * @param {number} subjectId - Optional subject filter
+   * @returns {Promise<Array>} Array of exams
+   */
+  async getExamsForUser(user, subjectId = null) {
+    const subjectWhere = {};
+
+    if (user.role === 'faculty') {
+      subjectWhere.facultyEmail = user.email;
+    } else if (user.role === 'student') {
+      const subjectIds = await SubjectEnrollmentService.getEnrolledSubjectIds(user.email);
+      subjectWhere.id = subjectIds;
+    }
+
+    const whereClause = {};
+    if (subjectId) {
+      whereClause.subjectId = subjectId;
+    }
+
+    return await Exam.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: SubjectEnrollment,
+          as: 'subject',
+          where: subjectWhere,
+          include: [{ model: Faculty, as: 'faculty' }]
+        }
+      ],
+      order: [['examDate', 'ASC'], ['startTime', 'ASC']]
+    });
+  }
+
+  /**
+   * Update an exam
+   * Changing the maximum marks of an exam with results in a locked semester
+   * rescales locked grades, so it needs an admin and a reason and is recorded
+   * as an override for every student with a result.
+   * @param {number} id - Exam ID
+   * @param {Object} updateData - Data to update
+   * @param {Object} user - User updating the exam
+   * @param {string} overrideReason - Reason for changing a locked semester
+   * @returns {Promise<Object|null>} Updated exam or null
+   */
+  async updateExam(id, updateData, user, overrideReason = null) {
+    this.validateExamData(updateData, true);
+
+    const exam = await this.getExamById(id);
+    if (!exam) {
+      return null;
+    }
+
+    const allowedFields = ['title', 'examType', 'examDate', 'startTime', 'durationMinutes', 'maxMarks', 'venue'];
+    const changes = {};
+    for (const field of allowedFields) {
+      if (updateData[field] !== undefined) {
+        changes[field] = updateData[field];
+      }
+    }
+
+    let results = [];
+    if (changes.maxMarks !== undefined) {
+      const highest = await ExamResult.max('marksObtained', { where: { examId: id } });
+      if (highest !== null && parseFloat(highest) > parseFloat(changes.maxMarks)) {
+        throw new Error('Maximum marks cannot be lower than marks already awarded');
+      }
+      if (parseFloat(changes.maxMarks) !== parseFloat(exam.maxMarks)) {
+        results = await ExamResult.findAll({ where: { examId: id } });
+      }
+    }
+
+    // Rescaling marks already given changes every student's score
+    const lock = results.length > 0
+      ? await GradeService.authorizeMarksEdit(exam.subject, user, overrideReason)
+      : null;
+    const previousMaxMarks = parseFloat(exam.maxMarks);
+
+    await sequelize.transaction(async (transaction) => {
+      await exam.update(changes, { transaction });
+
+      if (lock) {
+        const reason = `${String(overrideReason).trim()} (maximum marks ${previousMaxMarks} to ${parseFloat(changes.maxMarks)})`;
+        await GradeService.recordOverrides(exam.subject, results.map(result => ({
+          studentEmail: result.studentEmail,
+          entityType: 'exam',
+          entityId: exam.id,
+          previousMarks: countedMarks(result),
+          newMarks: countedMarks(result)
+        })), reason, user, transaction);
+      }
+    });
+
+    return await this.getExamById(id);
+  }
+
+  /**
+   * Delete an exam and its results
+   * Deleting an exam with results in a locked semester needs an admin and a
+   * reason, and is recorded as an override for every student with a result.
+   * @param {number} id - Exam ID
+   * @param {Object} user - User deleting the exam
+   * @param {string} overrideReason - Reason for changing a locked semester
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteExam(id, user, overrideReason = null) {
+    const exam = await this.getExamById(id);
+    if (!exam) {
+      return false;
+    }
+
+    const results = await ExamResult.findAll({ where: { examId: id } });
+    const lock = results.length > 0
+      ? await GradeService.authorizeMarksEdit(exam.subject, user, overrideReason)
+      : null;
+
+    return await sequelize.transaction(async (transaction) => {
+      await ExamResult.destroy({ where: { examId: id }, transaction });
+      const deletedRowsCount = await Exam.destroy({
+        where: { id },
+        transaction
+      });
+
+      if (lock) {
+        await GradeService.recordOverrides(exam.subject, results.map(result => ({
+          studentEmail: result.studentEmail,
+          entityType: 'exam',
+          entityId: exam.id,
+          previousMarks: countedMarks(result),
+          newMarks: null
+        })), overrideReason, user, transaction);
+      }
+
+      return deletedRowsCount > 0;
+    });
+  }
+
+  /**
+   * Record marks for enrolled students
+   * Changing marks of a locked semester needs an admin and a reason; every
+   * changed mark is then recorded as a grade override, in the same
+   * transaction as the marks.
+   * @param {Object} exam - Exam with subject loaded
+   * @param {Array} results - Array of { studentEmail, marksObtained, absent, remarks }
+   * @param {Object} user - User entering the marks
+   * @param {string} overrideReason - Reason for changing locked marks
+   * @returns {Promise<Array>} Saved exam results
+   */
+  async recordResults(exam, results, user, overrideReason = null) {
+    if (!Array.isArray(results) || results.length === 0) {
+      throw new Error('Results must be a non-empty array');
+    }
+
+    const maxMarks = parseFloat(exam.maxMarks);
+    const enrolledStudents = await exam.subject.getEnrolledStudents({ attributes: ['email'] });
+    const enrolledEmails = new Set(enrolledStudents.map(s => s.email));
+
+    // Validate every row before writing anything
+    for (const result of results) {
+      if (!result || !result.studentEmail) {
+        throw new Error('Each result must have a studentEmail');
+      }
+      if (!enrolledEmails.has(result.studentEmail)) {
+        throw new Error(`Student not enrolled: ${result.studentEmail}`);
+      }
+      if (!result.absent) {
+        const marks = parseFloat(result.marksObtained);
+        if (isNaN(marks) || marks < 0 || marks > maxMarks) {
+          throw new Error(`Marks for ${result.studentEmail} must be between 0 and ${maxMarks}`);
+        }
+      }
+    }
+
+    const lock = await GradeService.authorizeMarksEdit(exam.subject, user, overrideReason);
+
+    return await sequelize.transaction(async (transaction) => {
+      const changes = [];
+      const saved = [];
+
+      for (const result of results) {
+        const values = {
+          marksObtained: result.absent ? null : result.marksObtained,
+          absent: Boolean(result.absent),
+          remarks: result.remarks || null,
+          enteredBy: user.email
+        };
+
+        let examResult = await ExamResult.findOne({
+          where: { examId: exam.id, studentEmail: result.studentEmail },
+          transaction
+        });
+
+        const previousMarks = examResult && !examResult.absent && examResult.marksObtained !== null
+          ? parseFloat(examResult.marksObtained)
+          : null;
+
+        if (!examResult) {
+          examResult = await ExamResult.create({
+            examId: exam.id,
+            studentEmail: result.studentEmail,
+            ...values
+          }, { transaction });
+        } else {
+          await examResult.update(values, { transaction });
+        }
+
+        const newMarks = values.absent ? null : parseFloat(values.marksObtained);
+        if (lock && previousMarks !== newMarks) {
+          changes.push({
+            studentEmail: result.studentEmail,
+            entityType: 'exam_result',
+            entityId: examResult.id,
+            previousMarks,
+            newMarks
+          });
+        }
+
+        saved.push(examResult);
+      }
+
+      if (changes.length > 0) {
+        await GradeService.recordOverrides(exam.subject, changes, overrideReason, user, transaction);
+      }
+
+      return saved;
+    });
+  }
+
+  /**
+   * Get the marks sheet of an exam
+   * Every enrolled student is listed, with null marks if none were entered.
+   * @param {Object} exam - Exam with subject loaded
+   * @returns {Promise<Array>} Array of result rows
+   */
+  async getExamResults(exam) {
+    const students = await exam.subject.getEnrolledStudents({
+      attributes: ['email', 'name', 'rollNo'],
+      order: [['rollNo', 'ASC']]
+    });
+    const results = await ExamResult.findAll({ where: { examId: exam.id } });
+    const resultsByEmail = new Map(results.map(r => [r.studentEmail, r]));
+
+    return students.map(student => {
+      const result = resultsByEmail.get(student.email);
+      return {
+        id: result ? result.id : null,
+        studentEmail: student.email,
+        studentName: student.name,
+        rollNo: student.rollNo,
+        marksObtained: result && result.marksObtained !== null ? parseFloat(result.marksObtained) : null,
+        absent: result ? result.absent : false,
+        remarks: result ? result.remarks : null
+      };
+    });
+  }
+
+  /**
+   * Get all exam results of a student
+   * @param {string} studentEmail - Student email
+   * @returns {Promise<Array>} Array of results with exam and subject
+   */
+  async getStudentResults(studentEmail) {
+    const results = await ExamResult.findAll({
+      where: { studentEmail },
+      include: [
+        {
+          model: Exam,
+          as: 'exam',
+          include: [{ model: SubjectEnrollment, as: 'subject' }]
+        }
+      ],
+      order: [[{ model: Exam, as: 'exam' }, 'examDate', 'DESC']]
+    });
+
+    return results.map(result => {
+      const maxMarks = parseFloat(result.exam.maxMarks);
+      const marks = result.marksObtained !== null ? parseFloat(result.marksObtained) : null;
+      return {
+        examId: result.exam.id,
+        title: result.exam.title,
+        examType: result.exam.examType,
+        examDate: result.exam.examDate,
+        subjectId: result.exam.subject.id,
+        subjectName: result.exam.subject.subjectName,
+        subjectCode: result.exam.subject.subjectCode,
+        maxMarks: maxMarks,
+        marksObtained: marks,
+        absent: result.absent,
+        percentage: marks !== null && maxMarks > 0
+          ? Math.round((marks * 100.0 / maxMarks) * 100) / 100.0
+          : null,
+        remarks: result.remarks
+      };
+    });
+  }
+}
+
+module.exports = new ExamService();
@@ -0,0 +1,467 @@
+const { sequelize, Student, SubjectEnrollment, GradeBand, SemesterLock, SubjectGrade, GradeOverride } = require('../models');
+const PerformanceService = require('./PerformanceService');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+const gradingConfig = require('../config/grading');
+const { describeSemester } = require('../utils/academicYear');
+
+const round = (value) => Math.round(value * 100) / 100.0;
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// Locks are matched to subjects on semester and academic year together
+const lockKey = (semester, academicYear) => `${semester}|${academicYear || ''}`;
+
+class GradeService {
+  /**
+   * Validate a grading scheme
+   * @param {Array} bands - Array of { grade, minMarks, gradePoints }
+   */
+  validateBands(bands) {
+    if (!Array.isArray(bands) || bands.length === 0) {
+      throw new Error('Grading scheme must be a non-empty array of bands');
+    }
+
+    const grades = new Set();
+    const cutoffs = new Set();
+
+    for (const band of bands) {
+      if (!band || !band.grade || String(band.grade).trim() === '') {
+        throw new Error('Each band must have a grade');
+      }
+
+      const grade = String(band.grade).trim();
+      const minMarks = parseFloat(band.minMarks);
+      const gradePoints = parseFloat(band.gradePoints);
+
+      if (grade.length > 5) {
+        throw new Error(`Grade ${grade} must be at most 5 characters`);
+      }
+      if (isNaN(minMarks) || minMarks < 0 || minMarks > 100) {
+        throw new Error(`Minimum marks for grade ${grade} must be between 0 and 100`);
+      }
+      if (isNaN(gradePoints) || gradePoints < 0 || gradePoints > 10) {
+        throw new Error(`Grade points for grade ${grade} must be between 0 and 10`);
+      }
+      if (grades.has(grade)) {
+        throw new Error(`Grade ${grade} appears more than once`);
+      }
+      if (cutoffs.has(minMarks)) {
+        throw new Error(`More than one band starts at ${minMarks} marks`);
+      }
+
+      grades.add(grade);
+      cutoffs.add(minMarks);
+    }
+
+    if (!cutoffs.has(0)) {
+      throw new Error('The lowest band must start at 0 marks');
+    }
+  }
+
+  /**
+   * Get the grading scheme, highest band first
+   * Falls back to the configured default until an admin saves a scheme.
+   * @returns {Promise<Array>} Array of { grade, minMarks, gradePoints }
+   */
+  async getGradingScheme() {
+    const bands = await GradeBand.findAll({ order: [['minMarks', 'DESC']] });
+
+    if (bands.length === 0) {
+      return gradingConfig.defaultBands.map(band => ({ ...band }));
+    }
+
+    return bands.map(band => ({
+      grade: band.grade,
+      minMarks: parseFloat(band.minMarks),
+      gradePoints: parseFloat(band.gradePoints)
+    }));
+  }
+
+  /**
+   * Replace the grading scheme
+   * Locked semesters keep the scheme they were locked with.
+   * @param {Array} bands - Array of { grade, minMarks, gradePoints }
+   * @returns {Promise<Array>} Saved grading scheme
+   */
+  async updateGradingScheme(bands) {
+    this.validateBands(bands);
+
+    await sequelize.transaction(async (transaction) => {
+      await GradeBand.destroy({ where: {}, transaction });
+      await GradeBand.bulkCreate(bands.map(band => ({
+        grade: String(band.grade).trim(),
+        minMarks: parseFloat(band.minMarks),
+        gradePoints: parseFloat(band.gradePoints)
+      })), { transaction });
+    });
+
+    return await this.getGradingScheme();
+  }
+
+  /**
+   * Find the band an overall percentage falls in
+   * @param {number|null} marks - Overall percentage
+   * @param {Array} bands - Grading scheme, highest band first
+   * @returns {Object} { grade, gradePoints }, both null when there are no marks
+   */
+  gradeFor(marks, bands) {
+    if (marks === null || marks === undefined) {
+      return { grade: null, gradePoints: null };
+    }
+
+    const band = bands.find(b => marks >= b.minMarks) || bands[bands.length - 1];
+    return { grade: band.grade, gradePoints: band.gradePoints };
+  }
+
+  /**
+   * Credit-weighted grade point average
+   * Subjects without a grade are left out.
+   * @param {Array} rows - Array of { credits, gradePoints }
+   * @returns {Object} { credits, earnedCredits, gpa }
+   */
+  calculateGpa(rows) {
+    let credits = 0;
+    let earnedCredits = 0;
+    let creditPoints = 0;
+
+    for (const row of rows) {
+      if (row.gradePoints === null) {
+        continue;
+      }
+      credits += row.credits;
+      creditPoints += row.credits * row.gradePoints;
+      if (row.gradePoints > 0) {
+        earnedCredits += row.credits;
+      }
+    }
+
+    return {
+      credits,
+      earnedCredits,
+      gpa: credits > 0 ? round(creditPoints / credits) : null
+    };
+  }
+
+  /**
+   * Get all semester locks
+   * @returns {Promise<Array>} Array of locks
+   */
+  async getLocks() {
+    return await SemesterLock.findAll({ order: [['academicYear', 'ASC'], ['semester', 'ASC']] });
+  }
+
+  /**
+   * Get the lock of a semester in an academic year
+   * @param {number|null} semester - Semester number
+   * @param {string|null} academicYear - Academic year, e.g. '2025-26'
+   * @param {Object} transaction - Optional transaction
+   * @returns {Promise<Object|null>} Lock or null
+   */
+  async getLock(semester, academicYear = null, transaction = null) {
+    if (semester === null || semester === undefined) {
+      return null;
+    }
+    return await SemesterLock.findOne({ where: { semester, academicYear: academicYear || null }, transaction });
+  }
+
+  /**
+   * Compute the grade of every enrolled student in a subject
+   * @param {Object} subject - Subject enrollment
+   * @param {Array} bands - Grading scheme
+   * @param {Map} attendance - Attendance percentage by student email to use
+   *   instead of current attendance, as snapshotted at lock time
+   * @param {Object} transaction - Optional transaction, so marks written in it count
+   * @returns {Promise<Array>} SubjectGrade rows ready to save
+   */
+  async buildSubjectGrades(subject, bands, attendance = null, transaction = null) {
+    const performance = await PerformanceService.computeSubjectPerformance(subject, transaction);
+
+    return performance.students.map(row => {
+      const attendancePercentage = attendance && attendance.has(row.studentEmail)
+        ? attendance.get(row.studentEmail)
+        : row.attendance;
+      const marks = attendance
+        ? PerformanceService.weightedScore({ exams: row.exams, assignments: row.assignments, attendance: attendancePercentage })
+        : row.overall;
+
+      return {
+        subjectId: subject.id,
+        studentEmail: row.studentEmail,
+        semester: subject.semester,
+        credits: subject.credits,
+        marks,
+        attendance: attendancePercentage,
+        ...this.gradeFor(marks, bands)
+      };
+    });
+  }
+
+  /**
+   * Lock a semester of an academic year and snapshot the grades of every
+   * subject in it
+   * The grading scheme in force is stored with the lock so later scheme
+   * changes do not regrade the semester, and each student's attendance is
+   * stored with their grade so later attendance changes do not either.
+   * @param {number} semester - Semester number
+   * @param {string|null} academicYear - Academic year, e.g. '2025-26'
+   * @param {Object} user - Admin locking the semester
+   * @returns {Promise<Object>} { lock, subjectCount, gradeCount }
+   */
+  async lockSemester(semester, academicYear, user) {
+    const label = describeSemester(semester, academicYear);
+
+    if (await this.getLock(semester, academicYear)) {
+      throw new Error(`${label} is already locked`);
+    }
+
+    const subjects = await SubjectEnrollment.findAll({ where: { semester, academicYear: academicYear || null } });
+    if (subjects.length === 0) {
+      throw new Error(`No subjects are assigned to ${label.toLowerCase()}`);
+    }
+
+    const bands = await this.getGradingScheme();
+    const grades = [];
+    for (const subject of subjects) {
+      grades.push(...await this.buildSubjectGrades(subject, bands));
+    }
+
+    const lock = await sequelize.transaction(async (transaction) => {
+      await SubjectGrade.destroy({ where: { subjectId: subjects.map(subject => subject.id) }, transaction });
+      await SubjectGrade.bulkCreate(grades, { transaction });
+      return await SemesterLock.create({
+        semester,
+        academicYear: academicYear || null,
+        lockedBy: user.email,
+        lockedAt: new Date(),
+        gradingScheme: bands
+      }, { transaction });
+    });
+
+    return {
+      lock,
+      subjectCount: subjects.length,
+      gradeCount: grades.length
+    };
+  }
+
+  /**
+   * Unlock a semester of an academic year and drop its grade snapshot
+   * @param {number} semester - Semester number
+   * @param {string|null} academicYear - Academic year, e.g. '2025-26'
+   * @returns {Promise<boolean>} True if the semester was locked
+   */
+  async unlockSemester(semester, academicYear) {
+    const where = { semester, academicYear: academicYear || null };
+    const subjects = await SubjectEnrollment.findAll({ where, attributes: ['id'] });
+
+    return await sequelize.transaction(async (transaction) => {
+      const deletedRowsCount = await SemesterLock.destroy({ where, transaction });
+      if (deletedRowsCount > 0) {
+        await SubjectGrade.destroy({ where: { subjectId: subjects.map(subject => subject.id) }, transaction });
+      }
+      return deletedRowsCount > 0;
+    });
+  }
+
+  /**
+   * Check whether a user may change marks of a subject
+   * Marks of a locked semester may only be changed by an admin giving a reason.
+   * @param {Object} subject - Subject enrollment
+   * @param {Object} user - User changing the marks
+   * @param {string} reason - Override reason
+   * @returns {Promise<Object|null>} The semester lock when an override is needed, otherwise null
+   */
+  async authorizeMarksEdit(subject, user, reason) {
+    const lock = await this.getLock(subject.semester, subject.academicYear);
+    const label = describeSemester(subject.semester, subject.academicYear);
+
+    if (!lock) {
+      return null;
+    }
+    if (user.role !== 'admin') {
+      throw new Error(`${label} grades are locked; only an admin can change them`);
+    }
+    if (!reason || String(reason).trim() === '') {
+      throw new Error(`${label} grades are locked; an override reason is required`);
+    }
+
+    return lock;
+  }
+
+  /**
+   * Record marks changed in a locked semester and refresh the subject's grades
+   * using the grading scheme and attendance stored at lock time
+   * Runs in the caller's transaction, so the marks are only changed if their
+   * overrides are recorded too.
+   * @param {Object} subject - Subject enrollment
+   * @param {Array} changes - Array of { studentEmail, entityType, entityId, previousMarks, newMarks }
+   * @param {string} reason - Override reason
+   * @param {Object} user - Admin making the change
+   * @param {Object} transaction - Transaction the marks were changed in
+   * @returns {Promise<Array>} Created overrides
+   */
+  async recordOverrides(subject, changes, reason, user, transaction) {
+    const overrides = await GradeOverride.bulkCreate(changes.map(change => ({
+      subjectId: subject.id,
+      semester: subject.semester,
+      studentEmail: change.studentEmail,
+      entityType: change.entityType,
+      entityId: change.entityId,
+      previousMarks: change.previousMarks,
+      newMarks: change.newMarks,
+      reason: String(reason).trim(),
+      overriddenBy: user.email
+    })), { transaction });
+
+    const lock = await this.getLock(subject.semester, subject.academicYear, transaction);
+    const snapshots = await SubjectGrade.findAll({ where: { subjectId: subject.id }, transaction });
+    const attendance = new Map(snapshots.map(snapshot => [snapshot.studentEmail, toNumber(snapshot.attendance)]));
+    const grades = await this.buildSubjectGrades(subject, lock.gradingScheme, attendance, transaction);
+
+    await SubjectGrade.destroy({ where: { subjectId: subject.id }, transaction });
+    await SubjectGrade.bulkCreate(grades, { transaction });
+
+    return overrides;
+  }
+
+  /**
+   * Get recorded overrides
+   * @param {Object} filters - { subjectId, studentEmail, semester }
+   * @returns {Promise<Array>} Array of overrides with subject
+   */
+  async getOverrides(filters = {}) {
+    const whereClause = {};
+    if (filters.subjectId) {
+      whereClause.subjectId = filters.subjectId;
+    }
+    if (filters.studentEmail) {
+      whereClause.studentEmail = filters.studentEmail;
+    }
+    if (filters.semester) {
+      whereClause.semester = filters.semester;
+    }
+
+    return await GradeOverride.findAll({
+      where: whereClause,
+      include: [{ model: SubjectEnrollment, as: 'subject', attributes: ['id', 'subjectName', 'subjectCode'] }],
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Get a student's grades, SGPA per semester and CGPA
+   * Locked semesters report the grades snapshotted at lock time; other
+   * semesters are graded live from current marks.
+   * @param {string} studentEmail - Student email
+   * @returns {Promise<Object|null>} Transcript or null if the student does not exist
+   */
+  async getStudentTranscript(studentEmail) {
+    const student = await Student.findOne({ where: { email: studentEmail } });
+    if (!student) {
+      return null;
+    }
+
+    const [bands, locks, snapshots, enrolledSubjects] = await Promise.all([
+      this.getGradingScheme(),
+      this.getLocks(),
+      SubjectGrade.findAll({
+        where: { studentEmail },
+        include: [{ model: SubjectEnrollment, as: 'subject' }]
+      }),
+      SubjectEnrollmentService.getEnrollmentsByStudent(studentEmail)
+    ]);
+
+    const lockedSemesters = new Map(locks.map(lock => [lockKey(lock.semester, lock.academicYear), lock]));
+    const lockOf = (subject) => lockedSemesters.get(lockKey(subject.semester, subject.academicYear)) || null;
+    const rows = [];
+
+    for (const snapshot of snapshots) {
+      const lock = snapshot.subject ? lockOf(snapshot.subject) : null;
+      if (!lock) {
+        continue;
+      }
+      rows.push({
+        lockedAt: lock.lockedAt,
+        subjectId: snapshot.subjectId,
+        subjectCode: snapshot.subject ? snapshot.subject.subjectCode : null,
+        subjectName: snapshot.subject ? snapshot.subject.subjectName : null,
+        semester: snapshot.semester,
+        credits: snapshot.credits,
+        marks: toNumber(snapshot.marks),
+        grade: snapshot.grade,
+        gradePoints: toNumber(snapshot.gradePoints)
+      });
+    }
+
+    for (const subject of enrolledSubjects) {
+      if (lockOf(subject)) {
+        continue;
+      }
+      const performance = await PerformanceService.computeSubjectPerformance(subject);
+      const row = performance.students.find(s => s.studentEmail === studentEmail);
+      const marks = row ? row.overall : null;
+
+      rows.push({
+        lockedAt: null,
+        subjectId: subject.id,
+        subjectCode: subject.subjectCode,
+        subjectName: subject.subjectName,
+        semester: subject.semester,
+        credits: subject.credits,
+        marks,
+        ...this.gradeFor(marks, bands)
+      });
+    }
+
+    const semesterMap = new Map();
+    for (const row of rows) {
+      if (!semesterMap.has(row.semester)) {
+        semesterMap.set(row.semester, []);
+      }
+      semesterMap.get(row.semester).push(row);
+    }
+
+    const semesters = [...semesterMap.entries()]
+      .sort(([a], [b]) => {
+        if (a === null) return 1;
+        if (b === null) return -1;
+        return a - b;
+      })
+      .map(([semester, subjects]) => {
+        const gpa = this.calculateGpa(subjects);
+        // A semester is final once every one of its subjects is locked
+        const locked = subjects.every(row => row.lockedAt !== null);
+        return {
+          semester,
+          locked,
+          lockedAt: locked ? new Date(Math.max(...subjects.map(row => new Date(row.lockedAt).getTime()))) : null,
+          credits: gpa.credits,
+          earnedCredits: gpa.earnedCredits,
+          sgpa: gpa.gpa,
+          subjects: subjects
+            .sort((a, b) => String(a.subjectCode).localeCompare(String(b.subjectCode)))
+            .map(({ lockedAt, ...row }) => row)
+        };
+      });
+
+    const cumulative = this.calculateGpa(rows);
+
+    return {
+      student: {
+        email: student.email,
+        name: student.name,
+        rollNo: student.rollNo,
+        univId: student.univId,
+        course: student.course,
+        branch: student.branch
+      },
+      gradingScheme: bands,
+      semesters,
+      totalCredits: cumulative.credits,
+      earnedCredits: cumulative.earnedCredits,
+      cgpa: cumulative.gpa
+    };
+  }
+}
+
+module.exports = new GradeService();
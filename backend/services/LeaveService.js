@@ -0,0 +1,339 @@
+const fs = require('fs');
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { sequelize, LeaveRequest, Attendance, AttendanceAudit, AttendanceCorrection, SubjectEnrollment, Student } = require('../models');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+const NotificationService = require('./NotificationService');
+
+const LEAVE_TYPES = ['medical', 'official', 'personal'];
+const DECISIONS = ['approved', 'rejected'];
+const MAX_LEAVE_DAYS = 60;
+
+const leaveInclude = [
+  { model: SubjectEnrollment, as: 'subject', attributes: ['id', 'subjectName', 'subjectCode', 'facultyEmail'] },
+  { model: Student, as: 'student', attributes: ['email', 'name', 'rollNo', 'course', 'branch', 'semester'] }
+];
+
+class LeaveService {
+  /**
+   * Remove an uploaded file, ignoring files that are already gone
+   * @param {string} filePath - Path of the uploaded file
+   */
+  removeFile(filePath) {
+    if (!filePath) {
+      return;
+    }
+    fs.unlink(filePath, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error('Failed to remove uploaded file:', error);
+      }
+    });
+  }
+
+  /**
+   * Check whether a user may approve or reject a leave request
+   * Leave for one subject is reviewed by its faculty; leave from every
+   * subject only by an admin.
+   * @param {Object} user - Authenticated user
+   * @param {Object} leave - Leave request loaded with its subject
+   * @returns {boolean} True if the user may review it
+   */
+  canReview(user, leave) {
+    if (!user || !leave) {
+      return false;
+    }
+    if (user.role === 'admin') {
+      return true;
+    }
+    return Boolean(leave.subject) && SubjectEnrollmentService.canManageSubject(user, leave.subject);
+  }
+
+  /**
+   * Apply for leave
+   * @param {Object} leaveData - { type, startDate, endDate, reason, subjectId }
+   * @param {Object} file - Uploaded supporting document (optional)
+   * @param {Object} user - Student applying
+   * @returns {Promise<Object>} Created leave request
+   */
+  async submitLeave(leaveData, file, user) {
+    if (!user || user.role !== 'student') {
+      throw new Error('Only students can apply for leave');
+    }
+
+    const { type, startDate, endDate, reason, subjectId } = leaveData || {};
+    if (!LEAVE_TYPES.includes(type)) {
+      throw new Error(`Leave type must be one of: ${LEAVE_TYPES.join(', ')}`);
+    }
+    if (!reason || String(reason).trim() === '') {
+      throw new Error('A reason is required');
+    }
+
+    const start = moment(startDate, 'YYYY-MM-DD', true);
+    const end = moment(endDate || startDate, 'YYYY-MM-DD', true);
+    if (!start.isValid() || !end.isValid()) {
+      throw new Error('Dates must be in YYYY-MM-DD format');
+    }
+    if (end.isBefore(start)) {
+      throw new Error('End date cannot be before start date');
+    }
+    if (end.diff(start, 'days') + 1 > MAX_LEAVE_DAYS) {
+      throw new Error(`Leave cannot be longer than ${MAX_LEAVE_DAYS} days`);
+    }
+
+    let scopedSubjectId = null;
+    if (subjectId !== undefined && subjectId !== null && subjectId !== '') {
+      const enrolledIds = await SubjectEnrollmentService.getEnrolledSubjectIds(user.email);
+      if (!enrolledIds.some(id => String(id) === String(subjectId))) {
+        throw new Error('You are not enrolled in this subject');
+      }
+      scopedSubjectId = subjectId;
+    }
+
+    const from = start.format('YYYY-MM-DD');
+    const to = end.format('YYYY-MM-DD');
+    const overlapping = await LeaveRequest.findOne({
+      where: {
+        studentEmail: user.email,
+        status: { [Op.in]: ['pending', 'approved'] },
+        startDate: { [Op.lte]: to },
+        endDate: { [Op.gte]: from },
+        ...(scopedSubjectId && { subjectId: { [Op.or]: [null, scopedSubjectId] } })
+      }
+    });
+    if (overlapping) {
+      throw new Error('You already have a leave request covering these dates');
+    }
+
+    const leave = await LeaveRequest.create({
+      studentEmail: user.email,
+      subjectId: scopedSubjectId,
+      type,
+      startDate: from,
+      endDate: to,
+      reason: String(reason).trim(),
+      documentPath: file ? file.path : null,
+      documentName: file ? file.originalname : null
+    });
+
+    return await this.getLeaveById(leave.id);
+  }
+
+  /**
+   * Get leave request by ID
+   * @param {number} id - Leave request ID
+   * @returns {Promise<Object|null>} Leave request with subject and student, or null
+   */
+  async getLeaveById(id) {
+    return await LeaveRequest.findByPk(id, { include: leaveInclude });
+  }
+
+  /**
+   * Get where the supporting document of a leave request is stored
+   * Paths are left out of leave requests by default so they never reach clients.
+   * @param {number} id - Leave request ID
+   * @returns {Promise<string|null>} Path of the document, or null if there is none
+   */
+  async getDocumentPath(id) {
+    const leave = await LeaveRequest.scope('withDocument').findByPk(id, { attributes: ['documentPath'] });
+    return leave ? leave.documentPath : null;
+  }
+
+  /**
+   * Get a student's leave requests, newest first
+   * @param {string} studentEmail - Student email
+   * @returns {Promise<Array>} Leave requests
+   */
+  async getLeavesForStudent(studentEmail) {
+    return await LeaveRequest.findAll({
+      where: { studentEmail },
+      include: leaveInclude,
+      order: [['startDate', 'DESC']]
+    });
+  }
+
+  /**
+   * Get the leave requests a user can review
+   * @param {Object} user - Faculty or admin
+   * @param {Object} filters - { status }
+   * @returns {Promise<Array>} Leave requests, oldest first
+   */
+  async getLeavesForReviewer(user, filters = {}) {
+    const whereClause = {};
+    if (filters.status) {
+      whereClause.status = filters.status;
+    }
+
+    if (user.role !== 'admin') {
+      const subjects = await SubjectEnrollment.findAll({
+        where: { facultyEmail: user.email },
+        attributes: ['id']
+      });
+      whereClause.subjectId = { [Op.in]: subjects.map(s => s.id) };
+    }
+
+    return await LeaveRequest.findAll({
+      where: whereClause,
+      include: leaveInclude,
+      order: [['startDate', 'ASC']]
+    });
+  }
+
+  /**
+   * Approve or reject a pending leave request
+   * Approval excuses the student's absences already recorded in the range,
+   * auditing each; absences recorded later are excused when attendance is marked.
+   * Absences past the edit window are only excused directly by an admin; for
+   * faculty they become correction requests escalated to an admin, as any
+   * other change to locked attendance would, in the same transaction as the
+   * decision.
+   * @param {Object} leave - Leave request loaded with getLeaveById
+   * @param {Object} reviewData - { decision, note }
+   * @param {Object} user - Reviewing faculty or admin
+   * @returns {Promise<Object>} { leave, excusedCount, escalatedCount }
+   */
+  async reviewLeave(leave, reviewData, user) {
+    // Required here: AttendanceService, which the correction service also
+    // uses, reads approved leave from this service
+    const AttendanceService = require('./AttendanceService');
+    const AttendanceCorrectionService = require('./AttendanceCorrectionService');
+
+    const { decision, note } = reviewData || {};
+    if (!DECISIONS.includes(decision)) {
+      throw new Error(`Decision must be one of: ${DECISIONS.join(', ')}`);
+    }
+
+    const reason = `Leave request ${leave.id} approved`;
+    let excusedCount = 0;
+    let escalated = [];
+    const corrections = [];
+    await sequelize.transaction(async (transaction) => {
+      // Check again under a row lock, so two reviewers cannot both decide
+      const current = await LeaveRequest.findByPk(leave.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!current) {
+        throw new Error('Leave request not found');
+      }
+      if (current.status !== 'pending') {
+        throw new Error(`Leave request is already ${current.status}`);
+      }
+
+      await current.update({
+        status: decision,
+        reviewedBy: user.email,
+        reviewedAt: new Date(),
+        reviewNote: note || null
+      }, { transaction });
+
+      if (decision === 'approved') {
+        const whereClause = {
+          studentEmail: leave.studentEmail,
+          date: { [Op.between]: [leave.startDate, leave.endDate] },
+          status: 'absent'
+        };
+        if (leave.subjectId) {
+          whereClause.subjectId = leave.subjectId;
+        }
+
+        const recorded = await Attendance.findAll({ where: whereClause, transaction });
+        const locked = recorded.filter(record => user.role !== 'admin' && AttendanceService.isEditLocked(record.date));
+        const absences = recorded.filter(record => !locked.includes(record));
+        absences.forEach(record => AttendanceService.authorizeEdit(record.date, user, reason));
+
+        // Locked absences already under correction are left with the admin reviewing them
+        const open = await AttendanceCorrection.findAll({
+          attributes: ['attendanceId'],
+          where: {
+            attendanceId: { [Op.in]: locked.map(record => record.id) },
+            status: { [Op.in]: ['pending', 'escalated'] }
+          },
+          transaction
+        });
+        escalated = locked.filter(record => !open.some(correction => String(correction.attendanceId) === String(record.id)));
+
+        if (absences.length > 0) {
+          [excusedCount] = await Attendance.update(
+            { status: 'excused', excused: true, leaveRequestId: leave.id },
+            { where: { id: { [Op.in]: absences.map(record => record.id) } }, transaction }
+          );
+          await AttendanceAudit.bulkCreate(absences.map(record => ({
+            attendanceId: record.id,
+            subjectId: record.subjectId,
+            studentEmail: record.studentEmail,
+            date: record.date,
+            source: 'leave',
+            previousStatus: record.status,
+            newStatus: 'excused',
+            previousRemarks: record.remarks,
+            newRemarks: record.remarks,
+            reason,
+            changedBy: user.email
+          })), { transaction });
+        }
+
+        for (const record of escalated) {
+          corrections.push(await AttendanceCorrectionService.requestCorrection({
+            attendanceId: record.id,
+            requestedStatus: 'excused',
+            reason: note ? `${reason}: ${note}` : reason
+          }, user, transaction));
+        }
+      }
+    });
+
+    await leave.reload();
+    for (const correction of corrections) {
+      await AttendanceCorrectionService.notifyRequested(correction);
+    }
+
+    const range = leave.startDate === leave.endDate ? leave.startDate : `${leave.startDate} to ${leave.endDate}`;
+    await NotificationService.notify(leave.studentEmail, {
+      type: 'leave_decision',
+      title: `Leave ${decision}`,
+      message: `Your ${leave.type} leave for ${range}${leave.subject ? ` in ${leave.subject.subjectCode}` : ''} was ${decision}${note ? `: ${note}` : '.'}`
+    });
+
+    return { leave, excusedCount, escalatedCount: escalated.length };
+  }
+
+  /**
+   * Withdraw a pending leave request
+   * @param {Object} leave - Leave request
+   * @param {Object} user - Student who applied
+   * @returns {Promise<Object>} Cancelled leave request
+   */
+  async cancelLeave(leave, user) {
+    if (leave.studentEmail !== user.email) {
+      throw new Error('You can only withdraw your own leave requests');
+    }
+    if (leave.status !== 'pending') {
+      throw new Error(`Leave request is already ${leave.status}`);
+    }
+
+    return await leave.update({ status: 'cancelled' });
+  }
+
+  /**
+   * Find the approved leave of students covering a class
+   * @param {Array} studentEmails - Student emails
+   * @param {number} subjectId - Subject ID
+   * @param {string} date - Class date (YYYY-MM-DD)
+   * @param {Object} transaction - Transaction to read in (optional)
+   * @returns {Promise<Map>} Map of student email to leave request ID
+   */
+  async getApprovedLeaveMap(studentEmails, subjectId, date, transaction = null) {
+    const leaves = await LeaveRequest.findAll({
+      attributes: ['id', 'studentEmail'],
+      where: {
+        studentEmail: { [Op.in]: studentEmails },
+        status: 'approved',
+        startDate: { [Op.lte]: date },
+        endDate: { [Op.gte]: date },
+        subjectId: { [Op.or]: [null, subjectId] }
+      },
+      transaction
+    });
+
+    return new Map(leaves.map(leave => [leave.studentEmail, leave.id]));
+  }
+}
+
+module.exports = new LeaveService();
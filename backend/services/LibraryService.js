@@ -0,0 +1,632 @@
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { sequelize, Book, BookCopy, Loan, Student } = require('../models');
+const libraryConfig = require('../config/library');
+
+const BOOK_FIELDS = ['title', 'author', 'isbn', 'publisher', 'publicationYear', 'category', 'shelfLocation'];
+// Statuses staff may set by hand; copies go on and off loan through borrow and return
+const COPY_STATUSES = ['available', 'lost', 'withdrawn'];
+
+class LibraryService {
+  /**
+   * Validate book fields shared by create and update
+   * @param {Object} data - Book data
+   * @param {boolean} partial - Whether missing fields are allowed
+   */
+  validateBookData(data, partial = false) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Book data is required');
+    }
+
+    const { title, author, publicationYear, totalCopies } = data;
+
+    if (!partial || title !== undefined) {
+      if (!title || typeof title !== 'string' || title.trim().length === 0) {
+        throw new Error('Title is required and must be a non-empty string');
+      }
+    }
+
+    if (!partial || author !== undefined) {
+      if (!author || typeof author !== 'string' || author.trim().length === 0) {
+        throw new Error('Author is required and must be a non-empty string');
+      }
+    }
+
+    if (publicationYear !== undefined && publicationYear !== null && publicationYear !== '') {
+      const year = parseInt(publicationYear);
+      if (isNaN(year) || year < 1000 || year > new Date().getFullYear() + 1) {
+        throw new Error('Publication year must be a valid year');
+      }
+    }
+
+    if (totalCopies !== undefined) {
+      const copies = parseInt(totalCopies);
+      if (isNaN(copies) || copies < 0) {
+        throw new Error('Total copies must be a non-negative integer');
+      }
+    }
+  }
+
+  /**
+   * Fine accrued by a loan
+   * Returned loans keep the fine fixed at return time; active loans accrue
+   * the configured amount for every day past the due date.
+   * @param {Object} loan - Loan instance
+   * @returns {number} Fine amount
+   */
+  calculateFine(loan) {
+    if (loan.returnedAt) {
+      return parseFloat(loan.fineAmount);
+    }
+
+    const daysOverdue = moment().startOf('day').diff(moment(loan.dueDate, 'YYYY-MM-DD'), 'days');
+    return daysOverdue > 0 ? daysOverdue * libraryConfig.finePerDay : 0;
+  }
+
+  /**
+   * Shape a loan for API responses with computed status and fine
+   * @param {Object} loan - Loan instance with book loaded
+   * @returns {Object} Loan data
+   */
+  formatLoan(loan) {
+    const data = loan.toJSON();
+    const overdue = !loan.returnedAt && moment().startOf('day').isAfter(moment(loan.dueDate, 'YYYY-MM-DD'));
+
+    return {
+      ...data,
+      fineAmount: this.calculateFine(loan),
+      status: loan.returnedAt ? 'returned' : (overdue ? 'overdue' : 'active'),
+      renewalsLeft: Math.max(libraryConfig.maxRenewals - loan.renewalCount, 0)
+    };
+  }
+
+  /**
+   * Add a book to the catalog
+   * @param {Object} bookData - Book data
+   * @returns {Promise<Object>} Created book
+   */
+  async createBook(bookData) {
+    this.validateBookData(bookData);
+
+    const totalCopies = bookData.totalCopies !== undefined ? parseInt(bookData.totalCopies) : 1;
+    const values = {};
+    for (const field of BOOK_FIELDS) {
+      if (bookData[field] !== undefined && bookData[field] !== '') {
+        values[field] = typeof bookData[field] === 'string' ? bookData[field].trim() : bookData[field];
+      }
+    }
+
+    if (values.isbn) {
+      const existing = await Book.findOne({ where: { isbn: values.isbn }, paranoid: false });
+      if (existing) {
+        throw new Error(existing.deleted_at
+          ? 'A book with this ISBN was removed from the catalog'
+          : 'A book with this ISBN already exists');
+      }
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const book = await Book.create({
+        ...values,
+        totalCopies,
+        availableCopies: totalCopies
+      }, { transaction });
+
+      await this.addCopies(book, totalCopies, transaction);
+      return book;
+    });
+  }
+
+  /**
+   * Label new copies of a book with the next accession numbers
+   * Numbers are never reused, so a withdrawn copy's label stays unique.
+   * @param {Object} book - Book instance, locked by the caller
+   * @param {number} count - Number of copies to add
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Array>} Created copies
+   */
+  async addCopies(book, count, transaction) {
+    if (count <= 0) {
+      return [];
+    }
+
+    const existing = await BookCopy.count({ where: { bookId: book.id }, transaction });
+    const copies = [];
+    for (let i = 1; i <= count; i++) {
+      copies.push({
+        bookId: book.id,
+        accessionNumber: `B${book.id}-${existing + i}`,
+        status: 'available'
+      });
+    }
+
+    return await BookCopy.bulkCreate(copies, { transaction });
+  }
+
+  /**
+   * Recount the copy totals of a book from its copies
+   * @param {Object} book - Book instance, locked by the caller
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<Object>} Updated book
+   */
+  async syncCopyCounts(book, transaction) {
+    const copies = await BookCopy.findAll({
+      where: { bookId: book.id, status: ['available', 'on_loan'] },
+      attributes: ['status'],
+      transaction
+    });
+
+    return await book.update({
+      totalCopies: copies.length,
+      availableCopies: copies.filter(copy => copy.status === 'available').length
+    }, { transaction });
+  }
+
+  /**
+   * Search the catalog
+   * @param {Object} filters - { q, category, available, page, limit }
+   * @returns {Promise<Object>} Paginated books
+   */
+  async searchBooks(filters = {}) {
+    const { q, category, available } = filters;
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (q) {
+      whereClause[Op.or] = [
+        { title: { [Op.like]: `%${q}%` } },
+        { author: { [Op.like]: `%${q}%` } },
+        { isbn: { [Op.like]: `%${q}%` } }
+      ];
+    }
+    if (category) {
+      whereClause.category = category;
+    }
+    if (available === 'true' || available === true) {
+      whereClause.availableCopies = { [Op.gt]: 0 };
+    }
+
+    const { count, rows } = await Book.findAndCountAll({
+      where: whereClause,
+      order: [['title', 'ASC']],
+      limit,
+      offset
+    });
+
+    return {
+      books: rows,
+      totalCount: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      hasNextPage: page < Math.ceil(count / limit),
+      hasPrevPage: page > 1
+    };
+  }
+
+  /**
+   * Get book by ID
+   * @param {number} id - Book ID
+   * @returns {Promise<Object|null>} Book or null
+   */
+  async getBookById(id) {
+    return await Book.findByPk(id);
+  }
+
+  /**
+   * Update catalog details of a book
+   * Copy counts are changed through adjustStock.
+   * @param {number} id - Book ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object|null>} Updated book or null
+   */
+  async updateBook(id, updateData) {
+    this.validateBookData(updateData, true);
+
+    const book = await Book.findByPk(id);
+    if (!book) {
+      return null;
+    }
+
+    const changes = {};
+    for (const field of BOOK_FIELDS) {
+      if (updateData[field] !== undefined) {
+        changes[field] = updateData[field] === '' ? null : updateData[field];
+      }
+    }
+
+    if (changes.isbn && changes.isbn !== book.isbn) {
+      const existing = await Book.findOne({ where: { isbn: changes.isbn }, paranoid: false });
+      if (existing) {
+        throw new Error(existing.deleted_at
+          ? 'A book with this ISBN was removed from the catalog'
+          : 'A book with this ISBN already exists');
+      }
+    }
+
+    await book.update(changes);
+    return book;
+  }
+
+  /**
+   * Set the number of copies the library owns
+   * New copies are added with the next accession numbers; lowering the total
+   * withdraws available copies, newest first. The new total cannot drop below
+   * the copies currently on loan.
+   * @param {number} id - Book ID
+   * @param {number} totalCopies - New total number of copies
+   * @returns {Promise<Object|null>} Updated book or null
+   */
+  async adjustStock(id, totalCopies) {
+    const copies = parseInt(totalCopies);
+    if (isNaN(copies) || copies < 0) {
+      throw new Error('Total copies must be a non-negative integer');
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const book = await Book.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!book) {
+        return null;
+      }
+
+      const stock = await BookCopy.findAll({
+        where: { bookId: book.id, status: ['available', 'on_loan'] },
+        order: [['id', 'DESC']],
+        transaction
+      });
+      const onLoan = stock.filter(copy => copy.status === 'on_loan').length;
+      if (copies < onLoan) {
+        throw new Error(`Total copies cannot be lower than the number currently on loan (${onLoan})`);
+      }
+
+      if (copies > stock.length) {
+        await this.addCopies(book, copies - stock.length, transaction);
+      } else if (copies < stock.length) {
+        const withdrawn = stock
+          .filter(copy => copy.status === 'available')
+          .slice(0, stock.length - copies)
+          .map(copy => copy.id);
+        await BookCopy.update({ status: 'withdrawn' }, { where: { id: withdrawn }, transaction });
+      }
+
+      return await this.syncCopyCounts(book, transaction);
+    });
+  }
+
+  /**
+   * Get the copies of a book with the loan each one is out on
+   * @param {number} bookId - Book ID
+   * @returns {Promise<Array|null>} Copies or null if the book does not exist
+   */
+  async getCopies(bookId) {
+    const book = await Book.findByPk(bookId);
+    if (!book) {
+      return null;
+    }
+
+    const copies = await BookCopy.findAll({
+      where: { bookId: book.id },
+      order: [['id', 'ASC']]
+    });
+    const loans = await Loan.findAll({
+      where: { copyId: copies.map(copy => copy.id), returnedAt: null },
+      include: [{ model: Student, as: 'student', attributes: ['email', 'name', 'rollNo'] }]
+    });
+
+    return copies.map(copy => {
+      const loan = loans.find(item => String(item.copyId) === String(copy.id));
+      return {
+        ...copy.toJSON(),
+        loan: loan ? this.formatLoan(loan) : null
+      };
+    });
+  }
+
+  /**
+   * Mark a copy as lost, withdrawn or back in stock
+   * Copies on loan must be returned first.
+   * @param {number} copyId - Copy ID
+   * @param {string} status - New status
+   * @returns {Promise<Object|null>} Updated copy or null
+   */
+  async setCopyStatus(copyId, status) {
+    if (!COPY_STATUSES.includes(status)) {
+      throw new Error(`Status must be one of: ${COPY_STATUSES.join(', ')}`);
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const found = await BookCopy.findByPk(copyId, { transaction });
+      if (!found) {
+        return null;
+      }
+
+      // Lock the book before the copy, in the same order as borrowing does
+      const book = await Book.findByPk(found.bookId, { transaction, lock: transaction.LOCK.UPDATE });
+      const copy = await BookCopy.findByPk(copyId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (copy.status === 'on_loan') {
+        throw new Error('This copy is on loan; return it before changing its status');
+      }
+
+      await copy.update({ status }, { transaction });
+      await this.syncCopyCounts(book, transaction);
+
+      return copy;
+    });
+  }
+
+  /**
+   * Remove a book from the catalog
+   * The book is only marked deleted and its copies withdrawn, so its loan
+   * history and fines are kept. Books with copies on loan or unpaid fines
+   * cannot be removed.
+   * @param {number} id - Book ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteBook(id) {
+    return await sequelize.transaction(async (transaction) => {
+      const book = await Book.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!book) {
+        return false;
+      }
+
+      const activeLoans = await Loan.count({ where: { bookId: book.id, returnedAt: null }, transaction });
+      if (activeLoans > 0) {
+        throw new Error('Cannot delete a book with copies on loan');
+      }
+      const unpaidFines = await Loan.count({ where: { bookId: book.id, finePaid: false }, transaction });
+      if (unpaidFines > 0) {
+        throw new Error('Cannot delete a book with unpaid fines');
+      }
+
+      await BookCopy.update({ status: 'withdrawn' }, {
+        where: { bookId: book.id, status: 'available' },
+        transaction
+      });
+      await this.syncCopyCounts(book, transaction);
+      await book.destroy({ transaction });
+
+      return true;
+    });
+  }
+
+  /**
+   * Lend a copy of a book to a student
+   * @param {number} bookId - Book ID
+   * @param {string} studentEmail - Borrowing student
+   * @param {Object} user - User issuing the loan
+   * @param {number} copyId - Copy handed over; any available copy when omitted
+   * @returns {Promise<Object>} Created loan
+   */
+  async borrowBook(bookId, studentEmail, user, copyId = null) {
+    const loanId = await sequelize.transaction(async (transaction) => {
+      // Lock the student first, so two loans to the same student are counted
+      // against the limit one after the other
+      const student = await Student.findOne({
+        where: { email: studentEmail },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!student) {
+        throw new Error('Student not found');
+      }
+
+      const book = await Book.findByPk(bookId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!book) {
+        throw new Error('Book not found');
+      }
+
+      const copyWhere = { bookId: book.id, status: 'available' };
+      if (copyId) {
+        copyWhere.id = copyId;
+      }
+      const copy = await BookCopy.findOne({
+        where: copyWhere,
+        order: [['id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!copy) {
+        throw new Error(copyId
+          ? 'This copy is not available to borrow'
+          : 'No copies of this book are available');
+      }
+
+      const activeLoans = await Loan.findAll({
+        where: { studentEmail, returnedAt: null },
+        transaction
+      });
+
+      if (activeLoans.some(loan => String(loan.bookId) === String(book.id))) {
+        throw new Error('Student already has this book on loan');
+      }
+      if (activeLoans.some(loan => this.calculateFine(loan) > 0)) {
+        throw new Error('Overdue books must be returned before borrowing another');
+      }
+      if (activeLoans.length >= libraryConfig.maxActiveLoans) {
+        throw new Error(`Students may not have more than ${libraryConfig.maxActiveLoans} books on loan`);
+      }
+
+      const loan = await Loan.create({
+        bookId: book.id,
+        copyId: copy.id,
+        studentEmail,
+        borrowedAt: new Date(),
+        dueDate: moment().add(libraryConfig.loanDays, 'days').format('YYYY-MM-DD'),
+        issuedBy: user.email
+      }, { transaction });
+
+      await copy.update({ status: 'on_loan' }, { transaction });
+      await this.syncCopyCounts(book, transaction);
+
+      return loan.id;
+    });
+
+    return await this.getLoanById(loanId);
+  }
+
+  /**
+   * Return a borrowed copy and fix the overdue fine
+   * @param {Object} loan - Active loan
+   * @returns {Promise<Object>} Returned loan
+   */
+  async returnBook(loan) {
+    await sequelize.transaction(async (transaction) => {
+      const book = await Book.findByPk(loan.bookId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      // Check again under a row lock, so two returns of the same loan cannot
+      // both put the copy back on the shelf
+      const current = await Loan.findByPk(loan.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!current || current.returnedAt) {
+        throw new Error('Book has already been returned');
+      }
+
+      const fineAmount = this.calculateFine(current);
+      await current.update({
+        returnedAt: new Date(),
+        fineAmount,
+        finePaid: fineAmount === 0
+      }, { transaction });
+
+      if (current.copyId) {
+        await BookCopy.update({ status: 'available' }, {
+          where: { id: current.copyId, status: 'on_loan' },
+          transaction
+        });
+      }
+      await this.syncCopyCounts(book, transaction);
+    });
+
+    return await this.getLoanById(loan.id);
+  }
+
+  /**
+   * Extend the due date of an active loan
+   * @param {Object} loan - Active loan
+   * @returns {Promise<Object>} Renewed loan
+   */
+  async renewLoan(loan) {
+    await sequelize.transaction(async (transaction) => {
+      // Check again under a row lock, so two renewals cannot both pass the limit
+      const current = await Loan.findByPk(loan.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!current || current.returnedAt) {
+        throw new Error('Returned loans cannot be renewed');
+      }
+      if (this.calculateFine(current) > 0) {
+        throw new Error('Overdue loans cannot be renewed');
+      }
+      if (current.renewalCount >= libraryConfig.maxRenewals) {
+        throw new Error(`Loans may be renewed at most ${libraryConfig.maxRenewals} times`);
+      }
+
+      await current.update({
+        dueDate: moment(current.dueDate, 'YYYY-MM-DD').add(libraryConfig.loanDays, 'days').format('YYYY-MM-DD'),
+        renewalCount: current.renewalCount + 1
+      }, { transaction });
+    });
+
+    return await this.getLoanById(loan.id);
+  }
+
+  /**
+   * Record payment of the fine on a returned loan
+   * @param {Object} loan - Returned loan
+   * @returns {Promise<Object>} Updated loan
+   */
+  async payFine(loan) {
+    await sequelize.transaction(async (transaction) => {
+      const current = await Loan.findByPk(loan.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!current || !current.returnedAt) {
+        throw new Error('Fines are settled when the book is returned');
+      }
+      if (current.finePaid) {
+        throw new Error('Fine has already been paid');
+      }
+
+      await current.update({ finePaid: true }, { transaction });
+    });
+
+    return await this.getLoanById(loan.id);
+  }
+
+  /**
+   * Get loan by ID
+   * @param {number} id - Loan ID
+   * @returns {Promise<Object|null>} Loan with book and copy or null
+   */
+  async getLoanById(id) {
+    return await Loan.findByPk(id, {
+      include: [
+        { model: Book, as: 'book', paranoid: false },
+        { model: BookCopy, as: 'copy', attributes: ['id', 'accessionNumber'] },
+        { model: Student, as: 'student', attributes: ['email', 'name', 'rollNo'] }
+      ]
+    });
+  }
+
+  /**
+   * Get loans across the library
+   * @param {Object} filters - { status: 'active' | 'overdue' | 'returned', studentEmail, bookId }
+   * @returns {Promise<Array>} Formatted loans
+   */
+  async getLoans(filters = {}) {
+    const { status, studentEmail, bookId } = filters;
+    const whereClause = {};
+
+    if (studentEmail) {
+      whereClause.studentEmail = studentEmail;
+    }
+    if (bookId) {
+      whereClause.bookId = bookId;
+    }
+    if (status === 'active') {
+      whereClause.returnedAt = null;
+    } else if (status === 'overdue') {
+      whereClause.returnedAt = null;
+      whereClause.dueDate = { [Op.lt]: moment().format('YYYY-MM-DD') };
+    } else if (status === 'returned') {
+      whereClause.returnedAt = { [Op.ne]: null };
+    }
+
+    const loans = await Loan.findAll({
+      where: whereClause,
+      include: [
+        { model: Book, as: 'book', paranoid: false },
+        { model: BookCopy, as: 'copy', attributes: ['id', 'accessionNumber'] },
+        { model: Student, as: 'student', attributes: ['email', 'name', 'rollNo'] }
+      ],
+      order: [['borrowedAt', 'DESC']]
+    });
+
+    return loans.map(loan => this.formatLoan(loan));
+  }
+
+  /**
+   * Get a student's active loans, loan history and outstanding fines
+   * @param {string} studentEmail - Student email
+   * @returns {Promise<Object>} Loan summary
+   */
+  async getStudentLoans(studentEmail) {
+    const loans = await this.getLoans({ studentEmail });
+    const activeLoans = loans.filter(loan => loan.status !== 'returned');
+    const history = loans.filter(loan => loan.status === 'returned');
+
+    const outstandingFines = loans
+      .filter(loan => !loan.finePaid)
+      .reduce((total, loan) => total + loan.fineAmount, 0);
+
+    return {
+      activeLoans,
+      history,
+      outstandingFines,
+      limits: {
+        loanDays: libraryConfig.loanDays,
+        maxRenewals: libraryConfig.maxRenewals,
+        maxActiveLoans: libraryConfig.maxActiveLoans,
+        finePerDay: libraryConfig.finePerDay
+      }
+    };
+  }
+}
+
+module.exports = new LibraryService();
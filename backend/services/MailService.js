@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mailConfig = require('../config/mail');
+const authConfig = require('../config/auth');
+
+// A transport has send(message) taking { from, to, subject, text, sentAt }.
+// The text holds passwords and reset links, so it never goes to the logs.
+const transports = {
+  none: {
+    async send(message) {
+      console.warn(`Mail to ${message.to} not sent, MAIL_TRANSPORT is not set: ${message.subject}`);
+    }
+  },
+  console: {
+    async send(message) {
+      console.log(`Mail to ${message.to}: ${message.subject}`);
+    }
+  },
+  file: {
+    async send(message) {
+      await fs.promises.mkdir(mailConfig.fileDir, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.promises.writeFile(path.join(mailConfig.fileDir, fileName), JSON.stringify(message, null, 2));
+    }
+  }
+};
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Get the transport chosen by MAIL_TRANSPORT, unless one was set
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = transports[mailConfig.transport];
+      if (!this.transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${mailConfig.transport}"; use one of: ${Object.keys(transports).join(', ')}`);
+      }
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send mail through another transport, such as an SMTP client
+   * @param {Object} transport - Object with send(message), or null for the configured one
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a plain text message
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<void>}
+   */
+  async send({ to, subject, text }) {
+    await this.getTransport().send({
+      from: mailConfig.from,
+      to,
+      subject,
+      text,
+      sentAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Send a new user their one-time initial password
+   * @param {Object} user - User with email and name
+   * @param {string} password - Initial password
+   * @returns {Promise<void>}
+   */
+  async sendInitialPassword(user, password) {
+    await this.send({
+      to: user.email,
+      subject: 'Your Campus Cloud account',
+      text: [
+        `Hello ${user.name || user.email},`,
+        '',
+        'An account has been created for you.',
+        `Email: ${user.email}`,
+        `Temporary password: ${password}`,
+        '',
+        'You will be asked to choose a new password when you first sign in.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - User with email and name
+   * @param {string} token - Raw reset token
+   * @returns {Promise<void>}
+   */
+  async sendPasswordReset(user, token) {
+    await this.send({
+      to: user.email,
+      subject: 'Reset your Campus Cloud password',
+      text: [
+        `Hello ${user.name || user.email},`,
+        '',
+        'Use this link to choose a new password:',
+        `${authConfig.resetUrl}?token=${token}`,
+        '',
+        `The link works once and expires in ${authConfig.passwordResetMinutes} minutes. If you did not ask for it, you can ignore this email.`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Tell a user their password was changed
+   * @param {Object} user - User with email and name
+   * @returns {Promise<void>}
+   */
+  async sendPasswordChanged(user) {
+    await this.send({
+      to: user.email,
+      subject: 'Your Campus Cloud password was changed',
+      text: [
+        `Hello ${user.name || user.email},`,
+        '',
+        'The password of your account was just changed. If this was not you, reset your password and contact the administrator.'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const QRCode = require('qrcode');
+const { User, Session, MfaRecoveryCode } = require('../models');
+const AuthService = require('./AuthService');
+const authConfig = require('../config/auth');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Recovery codes are compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+// Ten hex characters, shown as xxxxx-xxxxx
+const newRecoveryCode = () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+class MfaService {
+  /**
+   * Get a user's stored record, since the one from the token cache may be stale
+   * @param {Object} user - User
+   * @returns {Promise<Object>} User
+   */
+  async loadUser(user) {
+    const stored = await User.findOne({
+      where: { email: user.email }
+    });
+
+    if (!stored) {
+      throw new Error('User not found');
+    }
+    return stored;
+  }
+
+  /**
+   * Get whether a user has MFA and how long the current session is confirmed for
+   * @param {Object} user - User
+   * @param {string} accessToken - Access token of the request
+   * @returns {Promise<Object>} { enabled, recoveryCodesRemaining, stepUpExpiresAt }
+   */
+  async getStatus(user, accessToken) {
+    const stored = await this.loadUser(user);
+    const recoveryCodesRemaining = stored.mfaEnabled
+      ? await MfaRecoveryCode.count({ where: { userEmail: stored.email, usedAt: null } })
+      : 0;
+
+    return {
+      enabled: stored.mfaEnabled,
+      recoveryCodesRemaining,
+      stepUpExpiresAt: await this.getStepUpExpiry(accessToken)
+    };
+  }
+
+  /**
+   * Start MFA enrolment with a new secret for the user's authenticator app
+   * The secret only takes effect once confirmEnrollment accepts a code from it.
+   * @param {Object} user - User
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } with the QR code as a data URL
+   */
+  async startEnrollment(user) {
+    const stored = await this.loadUser(user);
+    if (stored.mfaEnabled) {
+      throw new Error('Multi-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpauthUrl({ secret, accountName: stored.email, issuer: authConfig.mfaIssuer });
+    const qrCode = await QRCode.toDataURL(otpauthUrl, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+    await User.update(
+      { mfaSecret: secret, mfaLastStep: null },
+      { where: { id: stored.id } }
+    );
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  /**
+   * Finish MFA enrolment with a code from the authenticator app
+   * The session it is confirmed on counts as stepped up.
+   * @param {Object} user - User
+   * @param {string} code - Six-digit code
+   * @param {string} accessToken - Access token of the request
+   * @returns {Promise<Array<string>>} Recovery codes, shown to the user only now
+   */
+  async confirmEnrollment(user, code, accessToken) {
+    const stored = await this.loadUser(user);
+    if (stored.mfaEnabled) {
+      throw new Error('Multi-factor authentication is already enabled');
+    }
+    if (!stored.mfaSecret) {
+      throw new Error('Start multi-factor authentication setup first');
+    }
+
+    const step = verifyCode(stored.mfaSecret, code);
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    await User.update(
+      { mfaEnabled: true, mfaLastStep: step },
+      { where: { id: stored.id } }
+    );
+    AuthService.clearTokenCache(stored.firebaseUid);
+
+    const recoveryCodes = await this.replaceRecoveryCodes(stored);
+    await this.markStepUp(accessToken);
+    return recoveryCodes;
+  }
+
+  /**
+   * Check an authenticator code or recovery code of a user with MFA enabled
+   * Each authenticator code and each recovery code is accepted only once.
+   * After mfaMaxAttempts invalid codes in a row, codes are refused for
+   * mfaLockoutMinutes.
+   * @param {Object} user - User
+   * @param {string} code - Six-digit code or recovery code
+   * @returns {Promise<string>} 'totp' or 'recovery', whichever was used
+   */
+  async verifyCode(user, code) {
+    const stored = await this.loadUser(user);
+    if (!stored.mfaEnabled || !stored.mfaSecret) {
+      throw new Error('Multi-factor authentication is not enabled');
+    }
+    this.assertNotLockedOut(stored.mfaLockedUntil);
+
+    const step = verifyCode(stored.mfaSecret, code);
+    if (step !== null) {
+      // Only moves forward, so of two requests with the same code one finds no row
+      const [updatedRowsCount] = await User.update(
+        { mfaLastStep: step, mfaFailedAttempts: 0 },
+        {
+          where: {
+            id: stored.id,
+            [Op.or]: [{ mfaLastStep: null }, { mfaLastStep: { [Op.lt]: step } }]
+          }
+        }
+      );
+      if (updatedRowsCount === 0) {
+        throw new Error('This verification code was already used. Wait for the next one.');
+      }
+      return 'totp';
+    }
+
+    const recoveryCode = normalizeRecoveryCode(code);
+    if (recoveryCode.length > 0) {
+      const [usedRowsCount] = await MfaRecoveryCode.update(
+        { usedAt: new Date() },
+        { where: { userEmail: stored.email, codeHash: hashCode(recoveryCode), usedAt: null } }
+      );
+      if (usedRowsCount > 0) {
+        await User.update(
+          { mfaFailedAttempts: 0 },
+          { where: { id: stored.id } }
+        );
+        return 'recovery';
+      }
+    }
+
+    await this.recordFailedAttempt(stored);
+    throw new Error('Invalid verification code');
+  }
+
+  /**
+   * Refuse codes while a user is locked out after too many invalid ones
+   * @param {Date|null} lockedUntil - End of the lockout
+   */
+  assertNotLockedOut(lockedUntil) {
+    const remaining = lockedUntil ? new Date(lockedUntil).getTime() - Date.now() : 0;
+    if (remaining > 0) {
+      const minutes = Math.ceil(remaining / (60 * 1000));
+      throw new Error(`Too many invalid verification codes. Try again in ${minutes} minute(s).`);
+    }
+  }
+
+  /**
+   * Count an invalid code, locking the user out once mfaMaxAttempts is reached
+   * Both steps are single statements, so concurrent guesses are all counted.
+   * @param {Object} user - Stored user
+   * @returns {Promise<void>}
+   */
+  async recordFailedAttempt(user) {
+    await User.increment('mfaFailedAttempts', { where: { id: user.id } });
+
+    const lockedUntil = new Date(Date.now() + authConfig.mfaLockoutMinutes * 60 * 1000);
+    const [lockedRowsCount] = await User.update(
+      { mfaFailedAttempts: 0, mfaLockedUntil: lockedUntil },
+      { where: { id: user.id, mfaFailedAttempts: { [Op.gte]: authConfig.mfaMaxAttempts } } }
+    );
+    if (lockedRowsCount > 0) {
+      this.assertNotLockedOut(lockedUntil);
+    }
+  }
+
+  /**
+   * Confirm the current session with a code before destructive actions
+   * @param {Object} user - User
+   * @param {string} code - Six-digit code or recovery code
+   * @param {string} accessToken - Session access token of the request
+   * @returns {Promise<Object>} { method, stepUpExpiresAt }
+   */
+  async stepUp(user, code, accessToken) {
+    if (!AuthService.isSessionToken(accessToken)) {
+      throw new Error('Step-up needs a session from /api/auth/login; send the code in the X-MFA-Code header instead');
+    }
+
+    const method = await this.verifyCode(user, code);
+    await this.markStepUp(accessToken);
+
+    return {
+      method,
+      stepUpExpiresAt: await this.getStepUpExpiry(accessToken)
+    };
+  }
+
+  /**
+   * Check whether a session was confirmed with a code within mfaStepUpMinutes
+   * @param {string} accessToken - Access token of the request
+   * @returns {Promise<boolean>} True if destructive actions may go ahead
+   */
+  async hasRecentStepUp(accessToken) {
+    const expiresAt = await this.getStepUpExpiry(accessToken);
+    return expiresAt !== null && expiresAt > new Date();
+  }
+
+  /**
+   * Get when a session's step-up stops counting
+   * @param {string} accessToken - Access token of the request
+   * @returns {Promise<Date|null>} Expiry, or null if the session was never confirmed
+   */
+  async getStepUpExpiry(accessToken) {
+    if (!AuthService.isSessionToken(accessToken)) {
+      return null;
+    }
+
+    const session = await Session.findOne({
+      where: { accessTokenHash: hashCode(accessToken), revokedAt: null }
+    });
+    if (!session || !session.mfaVerifiedAt) {
+      return null;
+    }
+    return new Date(new Date(session.mfaVerifiedAt).getTime() + authConfig.mfaStepUpMinutes * 60 * 1000);
+  }
+
+  /**
+   * Replace a user's recovery codes after confirming with a code
+   * @param {Object} user - User
+   * @param {string} code - Six-digit code or recovery code
+   * @returns {Promise<Array<string>>} New recovery codes
+   */
+  async regenerateRecoveryCodes(user, code) {
+    await this.verifyCode(user, code);
+    return await this.replaceRecoveryCodes(user);
+  }
+
+  /**
+   * Turn MFA off after confirming with a code
+   * @param {Object} user - User
+   * @param {string} code - Six-digit code or recovery code
+   * @returns {Promise<void>}
+   */
+  async disable(user, code) {
+    await this.verifyCode(user, code);
+
+    await User.update(
+      { mfaEnabled: false, mfaSecret: null, mfaLastStep: null, mfaFailedAttempts: 0, mfaLockedUntil: null },
+      { where: { email: user.email } }
+    );
+    await MfaRecoveryCode.destroy({ where: { userEmail: user.email } });
+    await Session.update(
+      { mfaVerifiedAt: null },
+      { where: { userEmail: user.email } }
+    );
+    AuthService.clearTokenCache(user.firebaseUid);
+  }
+
+  /**
+   * Record a step-up on the session of an access token
+   * @param {string} accessToken - Access token of the request
+   * @returns {Promise<void>}
+   */
+  async markStepUp(accessToken) {
+    if (!AuthService.isSessionToken(accessToken)) {
+      return;
+    }
+
+    await Session.update(
+      { mfaVerifiedAt: new Date() },
+      { where: { accessTokenHash: hashCode(accessToken), revokedAt: null } }
+    );
+  }
+
+  /**
+   * Drop a user's recovery codes and store new ones
+   * @param {Object} user - User
+   * @returns {Promise<Array<string>>} New recovery codes
+   */
+  async replaceRecoveryCodes(user) {
+    const codes = Array.from({ length: authConfig.mfaRecoveryCodes }, newRecoveryCode);
+
+    await MfaRecoveryCode.destroy({ where: { userEmail: user.email } });
+    await MfaRecoveryCode.bulkCreate(codes.map(code => ({
+      userEmail: user.email,
+      codeHash: hashCode(normalizeRecoveryCode(code))
+    })));
+
+    return codes;
+  }
+}
+
+module.exports = new MfaService();
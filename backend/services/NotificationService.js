@@ -0,0 +1,89 @@
+const { Op } = require('sequelize');
+const { Notification } = require('../models');
+
+class NotificationService {
+  /**
+   * Send a notification to a user
+   * A notification with the same dedupeKey is only sent once.
+   * @param {string} userEmail - Recipient email
+   * @param {Object} data - { type, title, message, dedupeKey }
+   * @returns {Promise<Object|null>} Created notification, or null if already sent
+   */
+  async notify(userEmail, data) {
+    if (!userEmail || !data || !data.type || !data.title || !data.message) {
+      throw new Error('Recipient, type, title and message are required');
+    }
+
+    if (data.dedupeKey) {
+      const existing = await Notification.findOne({ where: { dedupeKey: data.dedupeKey } });
+      if (existing) {
+        return null;
+      }
+    }
+
+    return await Notification.create({
+      userEmail,
+      type: data.type,
+      title: data.title,
+      message: data.message,
+      dedupeKey: data.dedupeKey || null
+    });
+  }
+
+  /**
+   * Get the notifications of a user, newest first
+   * @param {string} userEmail - User email
+   * @param {Object} options - { unreadOnly, limit }
+   * @returns {Promise<Object>} { notifications, unreadCount }
+   */
+  async getForUser(userEmail, options = {}) {
+    const whereClause = { userEmail };
+    if (options.unreadOnly) {
+      whereClause.readAt = null;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.findAll({
+        where: whereClause,
+        order: [['created_at', 'DESC']],
+        limit: options.limit || 50
+      }),
+      Notification.count({ where: { userEmail, readAt: null } })
+    ]);
+
+    return { notifications, unreadCount };
+  }
+
+  /**
+   * Mark a notification of a user as read
+   * @param {number} id - Notification ID
+   * @param {string} userEmail - Owner email
+   * @returns {Promise<Object|null>} Updated notification, or null if not found
+   */
+  async markRead(id, userEmail) {
+    const notification = await Notification.findOne({ where: { id, userEmail } });
+    if (!notification) {
+      return null;
+    }
+
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+    return notification;
+  }
+
+  /**
+   * Mark every notification of a user as read
+   * @param {string} userEmail - User email
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllRead(userEmail) {
+    const [updatedRowsCount] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userEmail, readAt: { [Op.is]: null } } }
+    );
+    return updatedRowsCount;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, User, PasswordResetToken } = require('../models');
+const AuthService = require('./AuthService');
+const MailService = require('./MailService');
+const SessionService = require('./SessionService');
+const { getAuthProvider } = require('./authProviders');
+const authConfig = require('../config/auth');
+const { validatePassword } = require('../utils/password');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordService {
+  /**
+   * Change the password of a signed-in user
+   * With Firebase the client has just signed in with the current password,
+   * so only providers that keep passwords check it again here. Other devices
+   * are signed out.
+   * @param {Object} user - User
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {string} currentAccessToken - Access token of the session to keep
+   * @returns {Promise<void>}
+   */
+  async changePassword(user, currentPassword, newPassword, currentAccessToken) {
+    validatePassword(newPassword);
+    if (newPassword === currentPassword) {
+      throw new Error('New password must be different from the current one');
+    }
+
+    const provider = getAuthProvider();
+    if (provider.verifiesPasswords) {
+      const account = await User.findOne({ where: { firebaseUid: user.firebaseUid } });
+      if (!account || !(await provider.checkPassword(account, currentPassword))) {
+        throw new Error('Current password is incorrect');
+      }
+    }
+
+    await this.setPassword(user, newPassword);
+    await SessionService.logoutAll(user, { exceptAccessToken: currentAccessToken });
+
+    try {
+      await MailService.sendPasswordChanged(user);
+    } catch (error) {
+      console.error('Password changed mail error:', error);
+    }
+  }
+
+  /**
+   * Mail a password reset link if the email belongs to a user
+   * Unknown emails are ignored so the caller cannot tell which accounts exist.
+   * @param {string} email - User email
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email) {
+    const user = await User.findOne({ where: { email } });
+    if (!user) {
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + authConfig.passwordResetMinutes * 60 * 1000);
+
+    // Only the newest link works
+    await sequelize.transaction(async (transaction) => {
+      await PasswordResetToken.update(
+        { usedAt: new Date() },
+        { where: { userEmail: user.email, usedAt: null }, transaction }
+      );
+      await PasswordResetToken.create(
+        { userEmail: user.email, tokenHash: hashToken(token), expiresAt },
+        { transaction }
+      );
+    });
+
+    await MailService.sendPasswordReset(user, token);
+  }
+
+  /**
+   * Set a new password with a reset token, signing out every device
+   * @param {string} token - Raw reset token from the mailed link
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} User whose password was reset
+   */
+  async resetPassword(token, newPassword) {
+    validatePassword(newPassword);
+
+    const resetToken = token && await PasswordResetToken.findOne({
+      where: {
+        tokenHash: hashToken(String(token)),
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+    const user = resetToken && await User.findOne({ where: { email: resetToken.userEmail } });
+    if (!user) {
+      throw new Error('Reset link is invalid or has expired');
+    }
+
+    // Claim the token first so it cannot be used twice at the same time
+    const [claimed] = await PasswordResetToken.update(
+      { usedAt: new Date() },
+      { where: { id: resetToken.id, usedAt: null } }
+    );
+    if (claimed === 0) {
+      throw new Error('Reset link is invalid or has expired');
+    }
+
+    await this.setPassword(user, newPassword);
+    await SessionService.logoutAll(user);
+
+    try {
+      await MailService.sendPasswordChanged(user);
+    } catch (error) {
+      console.error('Password changed mail error:', error);
+    }
+
+    return user;
+  }
+
+  /**
+   * Set the password at the identity provider and lift any forced change
+   * @param {Object} user - User
+   * @param {string} password - New password
+   * @returns {Promise<void>}
+   */
+  async setPassword(user, password) {
+    await getAuthProvider().setPassword(user.firebaseUid, password);
+    await User.update({ mustChangePassword: false }, { where: { firebaseUid: user.firebaseUid } });
+    AuthService.clearTokenCache(user.firebaseUid);
+  }
+}
+
+module.exports = new PasswordService();
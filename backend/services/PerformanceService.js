@@ -0,0 +1,355 @@
+const { SubjectEnrollment, Faculty, Exam, ExamResult, Assignment, Submission } = require('../models');
+const AttendanceService = require('./AttendanceService');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+
+// Share of the overall score contributed by each component. Components a
+// subject has no data for are left out and the remaining weights rescaled.
+const COMPONENT_WEIGHTS = {
+  exams: 0.6,
+  assignments: 0.3,
+  attendance: 0.1
+};
+
+const round = (value) => Math.round(value * 100) / 100.0;
+
+const average = (values) => {
+  const present = values.filter(v => v !== null && v !== undefined);
+  return present.length > 0 ? round(present.reduce((sum, v) => sum + v, 0) / present.length) : null;
+};
+
+class PerformanceService {
+  /**
+   * Combine component percentages into an overall score
+   * @param {Object} components - { exams, assignments, attendance } percentages or null
+   * @returns {number|null} Weighted overall percentage
+   */
+  weightedScore(components) {
+    let total = 0;
+    let weight = 0;
+
+    for (const [component, componentWeight] of Object.entries(COMPONENT_WEIGHTS)) {
+      if (components[component] !== null && components[component] !== undefined) {
+        total += components[component] * componentWeight;
+        weight += componentWeight;
+      }
+    }
+
+    return weight > 0 ? round(total / weight) : null;
+  }
+
+  /**
+   * Assign competition ranks (1, 2, 2, 4) by overall score
+   * @param {Array} rows - Student rows with an overall score
+   */
+  assignRanks(rows) {
+    const ranked = rows
+      .filter(row => row.overall !== null)
+      .sort((a, b) => b.overall - a.overall);
+
+    ranked.forEach((row, index) => {
+      row.rank = index > 0 && ranked[index - 1].overall === row.overall
+        ? ranked[index - 1].rank
+        : index + 1;
+    });
+  }
+
+  /**
+   * Count overall scores in 10-point bands
+   * @param {Array} scores - Overall percentages
+   * @returns {Array} Array of { range, count }
+   */
+  buildDistribution(scores) {
+    const buckets = Array.from({ length: 10 }, (_, i) => ({
+      range: i === 9 ? '90-100' : `${i * 10}-${i * 10 + 9}`,
+      count: 0
+    }));
+
+    for (const score of scores) {
+      if (score !== null) {
+        buckets[Math.min(Math.floor(score / 10), 9)].count++;
+      }
+    }
+
+    return buckets;
+  }
+
+  /**
+   * Compute every enrolled student's performance in a subject
+   * Exams count once marks have been entered for them; absent students score
+   * zero. Graded submissions count, and assignments past their due date count
+   * as zero for students who did not submit.
+   * @param {Object} subject - Subject enrollment
+   * @param {Object} transaction - Optional transaction to read marks in
+   * @returns {Promise<Object>} Subject performance with per-student rows
+   */
+  async computeSubjectPerformance(subject, transaction = null) {
+    const [students, exams, assignments, attendance] = await Promise.all([
+      subject.getEnrolledStudents({ attributes: ['email', 'name', 'rollNo'], order: [['rollNo', 'ASC']], transaction }),
+      Exam.findAll({
+        where: { subjectId: subject.id },
+        include: [{ model: ExamResult, as: 'results' }],
+        transaction
+      }),
+      Assignment.findAll({
+        where: { subjectId: subject.id },
+        include: [{ model: Submission, as: 'submissions' }],
+        transaction
+      }),
+      AttendanceService.getStudentAttendancePercentages(subject.id)
+    ]);
+
+    const now = new Date();
+    const assessments = [];
+
+    for (const exam of exams) {
+      if (exam.results.length === 0) {
+        continue;
+      }
+      const maxMarks = parseFloat(exam.maxMarks);
+      const scores = {};
+      for (const result of exam.results) {
+        scores[result.studentEmail] = result.absent ? 0 : parseFloat(result.marksObtained);
+      }
+      assessments.push({ type: 'exam', id: exam.id, title: exam.title, date: exam.examDate, maxMarks, scores });
+    }
+
+    for (const assignment of assignments) {
+      const maxMarks = parseFloat(assignment.maxMarks);
+      const pastDue = new Date(assignment.dueDate) < now;
+      const submissionsByEmail = new Map(assignment.submissions.map(s => [s.studentEmail, s]));
+      const scores = {};
+
+      for (const student of students) {
+        const submission = submissionsByEmail.get(student.email);
+        if (submission && submission.marksObtained !== null) {
+          scores[student.email] = parseFloat(submission.marksObtained);
+        } else if (!submission && pastDue) {
+          scores[student.email] = 0;
+        }
+      }
+
+      if (Object.keys(scores).length === 0) {
+        continue;
+      }
+      assessments.push({
+        type: 'assignment',
+        id: assignment.id,
+        title: assignment.title,
+        date: new Date(assignment.dueDate).toISOString().split('T')[0],
+        maxMarks,
+        scores
+      });
+    }
+
+    assessments.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+    const componentPercentage = (type, email) => {
+      let obtained = 0;
+      let possible = 0;
+      for (const assessment of assessments) {
+        if (assessment.type === type && assessment.scores[email] !== undefined) {
+          obtained += assessment.scores[email];
+          possible += assessment.maxMarks;
+        }
+      }
+      return possible > 0 ? round(obtained * 100.0 / possible) : null;
+    };
+
+    const rows = students.map(student => {
+      let attendancePercentage = null;
+      if (attendance.totalClasses > 0) {
+        attendancePercentage = attendance.students[student.email]
+          ? attendance.students[student.email].percentage
+          : 0;
+      }
+
+      const components = {
+        exams: componentPercentage('exam', student.email),
+        assignments: componentPercentage('assignment', student.email),
+        attendance: attendancePercentage
+      };
+
+      return {
+        studentEmail: student.email,
+        studentName: student.name,
+        rollNo: student.rollNo,
+        ...components,
+        overall: this.weightedScore(components),
+        rank: null,
+        trend: assessments
+          .filter(assessment => assessment.scores[student.email] !== undefined)
+          .map(assessment => ({
+            type: assessment.type,
+            id: assessment.id,
+            title: assessment.title,
+            date: assessment.date,
+            percentage: round(assessment.scores[student.email] * 100.0 / assessment.maxMarks)
+          }))
+      };
+    });
+
+    this.assignRanks(rows);
+
+    const assessmentSummaries = assessments.map(assessment => {
+      const percentages = Object.values(assessment.scores).map(score => round(score * 100.0 / assessment.maxMarks));
+      return {
+        type: assessment.type,
+        id: assessment.id,
+        title: assessment.title,
+        date: assessment.date,
+        maxMarks: assessment.maxMarks,
+        average: average(percentages),
+        highest: percentages.length > 0 ? Math.max(...percentages) : null,
+        lowest: percentages.length > 0 ? Math.min(...percentages) : null,
+        count: percentages.length
+      };
+    });
+
+    return {
+      subject: {
+        id: subject.id,
+        subjectName: subject.subjectName,
+        subjectCode: subject.subjectCode,
+        credits: subject.credits,
+        semester: subject.semester,
+        facultyEmail: subject.facultyEmail
+      },
+      totalClasses: attendance.totalClasses,
+      classAverage: {
+        exams: average(rows.map(r => r.exams)),
+        assignments: average(rows.map(r => r.assignments)),
+        attendance: average(rows.map(r => r.attendance)),
+        overall: average(rows.map(r => r.overall))
+      },
+      students: rows,
+      assessments: assessmentSummaries
+    };
+  }
+
+  /**
+   * Get class-wide performance of a subject with a score distribution
+   * @param {Object} subject - Subject enrollment
+   * @returns {Promise<Object>} Subject performance
+   */
+  async getSubjectPerformance(subject) {
+    const performance = await this.computeSubjectPerformance(subject);
+
+    return {
+      ...performance,
+      students: performance.students
+        .map(({ trend, ...row }) => row)
+        .sort((a, b) => {
+          if (a.rank === null) return 1;
+          if (b.rank === null) return -1;
+          return a.rank - b.rank;
+        }),
+      distribution: this.buildDistribution(performance.students.map(s => s.overall))
+    };
+  }
+
+  /**
+   * Get a class average summary of every subject a user may manage
+   * @param {Object} user - Faculty or admin user
+   * @returns {Promise<Array>} Array of subject summaries
+   */
+  async getSubjectsOverview(user) {
+    const whereClause = user.role === 'faculty' ? { facultyEmail: user.email } : {};
+    const subjects = await SubjectEnrollment.findAll({
+      where: whereClause,
+      include: [{ model: Faculty, as: 'faculty' }],
+      order: [['semester', 'ASC'], ['subjectCode', 'ASC']]
+    });
+
+    const overview = [];
+    for (const subject of subjects) {
+      const performance = await this.computeSubjectPerformance(subject);
+      overview.push({
+        subject: performance.subject,
+        facultyName: subject.faculty ? subject.faculty.name : null,
+        studentCount: performance.students.length,
+        classAverage: performance.classAverage
+      });
+    }
+
+    return overview;
+  }
+
+  /**
+   * Get a student's performance trajectory
+   * Each subject lists the student's component scores, rank and a dated trend
+   * of assessment percentages next to the class average. Semester averages are
+   * weighted by subject credits.
+   * @param {string} studentEmail - Student email
+   * @returns {Promise<Object>} Student performance
+   */
+  async getStudentPerformance(studentEmail) {
+    const subjects = await SubjectEnrollmentService.getEnrollmentsByStudent(studentEmail);
+    const subjectRows = [];
+
+    for (const subject of subjects) {
+      const performance = await this.computeSubjectPerformance(subject);
+      const row = performance.students.find(s => s.studentEmail === studentEmail);
+      const classAverageById = new Map(performance.assessments.map(a => [`${a.type}-${a.id}`, a.average]));
+
+      subjectRows.push({
+        subject: performance.subject,
+        exams: row ? row.exams : null,
+        assignments: row ? row.assignments : null,
+        attendance: row ? row.attendance : null,
+        overall: row ? row.overall : null,
+        rank: row ? row.rank : null,
+        classSize: performance.students.length,
+        classAverage: performance.classAverage,
+        trend: (row ? row.trend : []).map(point => ({
+          ...point,
+          classAverage: classAverageById.get(`${point.type}-${point.id}`)
+        }))
+      });
+    }
+
+    const creditWeighted = (rows, pick) => {
+      let total = 0;
+      let credits = 0;
+      for (const row of rows) {
+        const value = pick(row);
+        if (value !== null) {
+          total += value * row.subject.credits;
+          credits += row.subject.credits;
+        }
+      }
+      return credits > 0 ? round(total / credits) : null;
+    };
+
+    const semesterMap = new Map();
+    for (const row of subjectRows) {
+      const key = row.subject.semester;
+      if (!semesterMap.has(key)) {
+        semesterMap.set(key, []);
+      }
+      semesterMap.get(key).push(row);
+    }
+
+    const semesters = [...semesterMap.entries()]
+      .sort(([a], [b]) => {
+        if (a === null) return 1;
+        if (b === null) return -1;
+        return a - b;
+      })
+      .map(([semester, rows]) => ({
+        semester,
+        subjectCount: rows.length,
+        average: creditWeighted(rows, r => r.overall),
+        classAverage: creditWeighted(rows, r => r.classAverage.overall)
+      }));
+
+    return {
+      studentEmail,
+      weights: COMPONENT_WEIGHTS,
+      overall: creditWeighted(subjectRows, r => r.overall),
+      semesters,
+      subjects: subjectRows
+    };
+  }
+}
+
+module.exports = new PerformanceService();
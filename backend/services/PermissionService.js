@@ -0,0 +1,407 @@
+const { User, Role, Permission, UserRole } = require('../models');
+const permissionsConfig = require('../config/permissions');
+
+// Account types come from User.role and cannot be assigned as staff roles
+const ACCOUNT_TYPES = ['admin', 'faculty', 'student'];
+const ROLE_NAME = /^[a-z][a-z0-9_-]{1,49}$/;
+
+const formatRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  departmentScoped: role.departmentScoped,
+  permissions: (role.permissions || []).map(permission => permission.name).sort()
+});
+
+const formatAssignment = (assignment) => ({
+  id: assignment.id,
+  userEmail: assignment.userEmail,
+  role: assignment.role ? assignment.role.name : null,
+  roleId: assignment.roleId,
+  department: assignment.department,
+  assignedBy: assignment.assignedBy
+});
+
+class PermissionService {
+  /**
+   * Check whether a user's account type holds every permission
+   * @param {Object} user - User
+   * @returns {boolean} True for admin accounts
+   */
+  isSuperuser(user) {
+    return Boolean(user) && user.role === 'admin';
+  }
+
+  /**
+   * Get the roles a user holds, with each role's permissions
+   * @param {string} userEmail - User email
+   * @returns {Promise<Array>} UserRole rows with role and role.permissions
+   */
+  async getUserRoles(userEmail) {
+    return await UserRole.findAll({
+      where: { userEmail },
+      include: [{
+        model: Role,
+        as: 'role',
+        include: [{ model: Permission, as: 'permissions' }]
+      }]
+    });
+  }
+
+  /**
+   * Get where a user holds a permission
+   * @param {Object} user - User
+   * @param {string} permission - Permission name
+   * @returns {Promise<Array<string>|null>} null if held for every department,
+   *   otherwise the departments it is held for (empty if not held)
+   */
+  async getPermissionDepartments(user, permission) {
+    if (this.isSuperuser(user)) {
+      return null;
+    }
+
+    const departments = new Set();
+    for (const assignment of await this.getUserRoles(user.email)) {
+      const { role } = assignment;
+      if (!role || !(role.permissions || []).some(granted => granted.name === permission)) {
+        continue;
+      }
+      if (!role.departmentScoped) {
+        return null;
+      }
+      if (assignment.department) {
+        departments.add(assignment.department);
+      }
+    }
+    return [...departments];
+  }
+
+  /**
+   * Check whether a user holds a permission, optionally over one department
+   * @param {Object} user - User
+   * @param {string} permission - Permission name
+   * @param {string} department - Department of the record acted on; without it
+   *   only permissions held for every department count
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async hasPermission(user, permission, department) {
+    const departments = await this.getPermissionDepartments(user, permission);
+    if (departments === null) {
+      return true;
+    }
+    return Boolean(department) && departments.includes(department);
+  }
+
+  /**
+   * Check whether a user is staff: an admin account or anyone holding a role
+   * @param {Object} user - User
+   * @returns {Promise<boolean>} True for staff
+   */
+  async isStaff(user) {
+    if (this.isSuperuser(user)) {
+      return true;
+    }
+    return (await UserRole.count({ where: { userEmail: user.email } })) > 0;
+  }
+
+  /**
+   * Get a user's roles and what each permission they hold covers
+   * @param {Object} user - User
+   * @returns {Promise<Object>} { roles: [{ name, department }], permissions: { name: '*' | [departments] } }
+   */
+  async getUserPermissions(user) {
+    const permissions = {};
+
+    if (this.isSuperuser(user)) {
+      Object.keys(permissionsConfig.permissions).forEach(name => {
+        permissions[name] = '*';
+      });
+      return { roles: [], permissions };
+    }
+
+    const assignments = await this.getUserRoles(user.email);
+    for (const { role, department } of assignments) {
+      for (const { name } of (role && role.permissions) || []) {
+        if (!role.departmentScoped) {
+          permissions[name] = '*';
+        } else if (permissions[name] !== '*' && department) {
+          permissions[name] = [...new Set([...(permissions[name] || []), department])];
+        }
+      }
+    }
+
+    return {
+      roles: assignments.map(({ role, department }) => ({ name: role ? role.name : null, department })),
+      permissions
+    };
+  }
+
+  /**
+   * Get every role with its permissions, and the permissions that exist
+   * @returns {Promise<Object>} { roles, permissions: [{ name, description }] }
+   */
+  async getRoles() {
+    const roles = await Role.findAll({
+      include: [{ model: Permission, as: 'permissions' }],
+      order: [['name', 'ASC']]
+    });
+    const permissions = await Permission.findAll({
+      order: [['name', 'ASC']]
+    });
+
+    return {
+      roles: roles.map(formatRole),
+      permissions: permissions.map(({ name, description }) => ({ name, description }))
+    };
+  }
+
+  /**
+   * Look up permissions by name
+   * @param {Array<string>} names - Permission names
+   * @returns {Promise<Array>} Permissions
+   * @throws {Error} If a name is not a known permission
+   */
+  async findPermissions(names) {
+    if (!Array.isArray(names)) {
+      throw new Error('Permissions must be an array of permission names');
+    }
+
+    const unique = [...new Set(names)];
+    const permissions = unique.length > 0
+      ? await Permission.findAll({ where: { name: unique } })
+      : [];
+    const unknown = unique.filter(name => !permissions.some(permission => permission.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+    }
+    return permissions;
+  }
+
+  /**
+   * Refuse to grant permissions the acting user does not hold
+   * Staff with roles.manage may only hand out what they hold themselves, so
+   * managing roles cannot be used to gain more access.
+   * @param {Object} actor - User granting the permissions
+   * @param {Array<string>} names - Permission names being granted
+   * @param {Array<string>|null} departments - Departments they are granted
+   *   for, or null for every department
+   * @throws {Error} If the actor lacks any of them where they are granted
+   */
+  async assertCanGrant(actor, names, departments) {
+    const missing = [];
+    for (const name of new Set(names)) {
+      const held = await this.getPermissionDepartments(actor, name);
+      if (held === null) {
+        continue;
+      }
+      const covered = departments === null
+        ? false
+        : held.length > 0 && departments.every(department => held.includes(department));
+      if (!covered) {
+        missing.push(name);
+      }
+    }
+
+    if (missing.length > 0) {
+      throw new Error(`You cannot grant permissions you do not hold: ${missing.sort().join(', ')}`);
+    }
+  }
+
+  /**
+   * Create a staff role
+   * @param {Object} roleData - { name, description, departmentScoped, permissions }
+   * @param {Object} actor - User creating the role
+   * @returns {Promise<Object>} Created role with its permissions
+   */
+  async createRole({ name, description, departmentScoped = false, permissions = [] }, actor) {
+    const roleName = String(name || '').trim().toLowerCase();
+    if (!ROLE_NAME.test(roleName)) {
+      throw new Error('Role name must be 2-50 lowercase letters, digits, dashes or underscores, starting with a letter');
+    }
+    if (ACCOUNT_TYPES.includes(roleName)) {
+      throw new Error(`${roleName} is an account type and cannot be used as a role name`);
+    }
+    if (await Role.findOne({ where: { name: roleName } })) {
+      throw new Error(`Role ${roleName} already exists`);
+    }
+
+    const granted = await this.findPermissions(permissions);
+    await this.assertCanGrant(actor, granted.map(permission => permission.name), departmentScoped ? [] : null);
+
+    const role = await Role.create({
+      name: roleName,
+      description: description || null,
+      departmentScoped: Boolean(departmentScoped)
+    });
+    await role.setPermissions(granted);
+
+    return formatRole({ ...role.get({ plain: true }), permissions: granted });
+  }
+
+  /**
+   * Replace the permissions of a role
+   * Permissions added must be held by the actor wherever the role is held.
+   * @param {number} roleId - Role ID
+   * @param {Array<string>} permissions - Permission names
+   * @param {Object} actor - User changing the role
+   * @returns {Promise<Object|null>} Updated role, or null if not found
+   */
+  async setRolePermissions(roleId, permissions, actor) {
+    const role = await Role.findByPk(roleId, {
+      include: [{ model: Permission, as: 'permissions' }]
+    });
+    if (!role) {
+      return null;
+    }
+
+    const granted = await this.findPermissions(permissions);
+    const current = (role.permissions || []).map(permission => permission.name);
+    const added = granted.map(permission => permission.name).filter(name => !current.includes(name));
+    if (added.length > 0) {
+      let departments = null;
+      if (role.departmentScoped) {
+        const holders = await UserRole.findAll({ where: { roleId: role.id }, attributes: ['department'] });
+        departments = [...new Set(holders.map(holder => holder.department).filter(Boolean))];
+      }
+      await this.assertCanGrant(actor, added, departments);
+    }
+
+    await role.setPermissions(granted);
+
+    return formatRole({ ...role.get({ plain: true }), permissions: granted });
+  }
+
+  /**
+   * Delete a role and take it away from everyone holding it
+   * @param {number} roleId - Role ID
+   * @returns {Promise<boolean>} True if the role was deleted
+   */
+  async deleteRole(roleId) {
+    const role = await Role.findByPk(roleId);
+    if (!role) {
+      return false;
+    }
+
+    await UserRole.destroy({ where: { roleId: role.id } });
+    await role.setPermissions([]);
+    await role.destroy();
+    return true;
+  }
+
+  /**
+   * Get role assignments, optionally of one user
+   * @param {Object} filters - { userEmail }
+   * @returns {Promise<Array>} Assignments with the role name
+   */
+  async getAssignments({ userEmail } = {}) {
+    const where = {};
+    if (userEmail) {
+      where.userEmail = userEmail;
+    }
+
+    const assignments = await UserRole.findAll({
+      where,
+      include: [{ model: Role, as: 'role' }],
+      order: [['userEmail', 'ASC'], ['id', 'ASC']]
+    });
+    return assignments.map(formatAssignment);
+  }
+
+  /**
+   * Give a user a role
+   * Nobody may assign roles to themselves, and staff may only assign roles
+   * whose permissions they hold for the department assigned.
+   * @param {Object} assignment - { userEmail, roleId, department }; department is
+   *   required for department-scoped roles and not allowed for others
+   * @param {Object} assignedBy - User making the assignment
+   * @returns {Promise<Object>} Created assignment
+   */
+  async assignRole({ userEmail, roleId, department }, assignedBy) {
+    const user = await User.findOne({ where: { email: userEmail } });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const role = await Role.findByPk(roleId, {
+      include: [{ model: Permission, as: 'permissions' }]
+    });
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    const scope = department ? String(department).trim() : null;
+    if (role.departmentScoped && !scope) {
+      throw new Error(`Role ${role.name} is assigned per department; department is required`);
+    }
+    if (!role.departmentScoped && scope) {
+      throw new Error(`Role ${role.name} applies to every department; leave department empty`);
+    }
+
+    if (assignedBy.email === user.email) {
+      throw new Error('You cannot assign roles to yourself');
+    }
+    await this.assertCanGrant(assignedBy, (role.permissions || []).map(permission => permission.name), scope ? [scope] : null);
+
+    const existing = await UserRole.findOne({
+      where: { userEmail: user.email, roleId: role.id, department: scope }
+    });
+    if (existing) {
+      throw new Error('User already holds this role');
+    }
+
+    const assignment = await UserRole.create({
+      userEmail: user.email,
+      roleId: role.id,
+      department: scope,
+      assignedBy: assignedBy ? assignedBy.email : null
+    });
+
+    return formatAssignment({ ...assignment.get({ plain: true }), role });
+  }
+
+  /**
+   * Take a role away from a user
+   * @param {number} assignmentId - UserRole ID
+   * @returns {Promise<boolean>} True if the assignment was removed
+   */
+  async unassignRole(assignmentId) {
+    const deletedRowsCount = await UserRole.destroy({
+      where: { id: assignmentId }
+    });
+    return deletedRowsCount > 0;
+  }
+
+  /**
+   * Create the permissions and default roles of config/permissions.js that are missing
+   * Existing roles keep the permissions they were given.
+   * @returns {Promise<Object>} { permissions, roles } counts of what was created
+   */
+  async syncDefaults() {
+    let createdPermissions = 0;
+    for (const [name, description] of Object.entries(permissionsConfig.permissions)) {
+      const [, created] = await Permission.findOrCreate({
+        where: { name },
+        defaults: { description }
+      });
+      if (created) {
+        createdPermissions++;
+      }
+    }
+
+    let createdRoles = 0;
+    for (const { permissions, ...roleData } of permissionsConfig.defaultRoles) {
+      const [role, created] = await Role.findOrCreate({
+        where: { name: roleData.name },
+        defaults: roleData
+      });
+      if (created) {
+        await role.setPermissions(await this.findPermissions(permissions));
+        createdRoles++;
+      }
+    }
+
+    return { permissions: createdPermissions, roles: createdRoles };
+  }
+}
+
+module.exports = new PermissionService();
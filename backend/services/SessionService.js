@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Session } = require('../models');
+const AuthService = require('./AuthService');
+const { getAuthProvider } = require('./authProviders');
+const authConfig = require('../config/auth');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newToken = () => crypto.randomBytes(32).toString('hex');
+
+// Fresh tokens and their expiry, with the hashes a session stores
+const issueTokens = () => {
+  const accessToken = newToken();
+  const refreshToken = newToken();
+  const now = Date.now();
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: authConfig.sessionAccessMinutes * 60,
+    hashes: {
+      accessTokenHash: hashToken(accessToken),
+      refreshTokenHash: hashToken(refreshToken),
+      accessExpiresAt: new Date(now + authConfig.sessionAccessMinutes * 60 * 1000),
+      refreshExpiresAt: new Date(now + authConfig.sessionRefreshDays * 24 * 60 * 60 * 1000)
+    }
+  };
+};
+
+const deviceDetails = ({ ipAddress, userAgent } = {}) => ({
+  ipAddress: ipAddress || null,
+  userAgent: userAgent ? String(userAgent).slice(0, 255) : null,
+  lastSeenAt: new Date()
+});
+
+class SessionService {
+  /**
+   * Open a session for a signed-in user
+   * @param {Object} user - User
+   * @param {Object} context - { ipAddress, userAgent } of the request
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn }; only their hashes are stored
+   */
+  async createSession(user, context) {
+    const { accessToken, refreshToken, expiresIn, hashes } = issueTokens();
+
+    await Session.create({
+      userEmail: user.email,
+      ...hashes,
+      ...deviceDetails(context)
+    });
+
+    return { accessToken, refreshToken, expiresIn };
+  }
+
+  /**
+   * Replace a session's tokens using its refresh token
+   * A refresh token works once. Presenting one that was already replaced means
+   * it was copied, so the whole session is revoked.
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} context - { ipAddress, userAgent } of the request
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn }
+   */
+  async refreshSession(refreshToken, context) {
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({
+      where: { refreshTokenHash: tokenHash, revokedAt: null }
+    });
+
+    if (!session) {
+      const replayed = await Session.findOne({
+        where: { previousRefreshTokenHash: tokenHash, revokedAt: null }
+      });
+      if (replayed) {
+        await this.revokeSessions({ id: replayed.id });
+        const user = await User.findOne({ where: { email: replayed.userEmail } });
+        if (user) {
+          AuthService.clearTokenCache(user.firebaseUid);
+        }
+        throw new Error('Refresh token was already used; the session has been ended. Please login again.');
+      }
+      throw new Error('Session has ended. Please login again.');
+    }
+    if (session.refreshExpiresAt <= new Date()) {
+      throw new Error('Session has expired. Please login again.');
+    }
+
+    const { accessToken, refreshToken: nextRefreshToken, expiresIn, hashes } = issueTokens();
+
+    // Only one of two simultaneous refreshes may rotate the session
+    const [updatedRowsCount] = await Session.update(
+      {
+        ...hashes,
+        previousRefreshTokenHash: tokenHash,
+        ...deviceDetails(context)
+      },
+      { where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null } }
+    );
+    if (updatedRowsCount === 0) {
+      throw new Error('Session has ended. Please login again.');
+    }
+
+    return { accessToken, refreshToken: nextRefreshToken, expiresIn };
+  }
+
+  /**
+   * Get the signed-in devices of a user
+   * @param {Object} user - User
+   * @param {string} currentAccessToken - Access token of the request, to mark its session
+   * @returns {Promise<Array>} Sessions with device details, most recently seen first
+   */
+  async getActiveSessions(user, currentAccessToken) {
+    const currentHash = currentAccessToken ? hashToken(currentAccessToken) : null;
+    const sessions = await Session.findAll({
+      where: {
+        userEmail: user.email,
+        revokedAt: null,
+        refreshExpiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastSeenAt', 'DESC']]
+    });
+
+    return sessions.map(session => ({
+      id: session.id,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      lastSeenAt: session.lastSeenAt,
+      createdAt: session.created_at,
+      current: session.accessTokenHash === currentHash
+    }));
+  }
+
+  /**
+   * End the session of an access token
+   * @param {Object} user - User the token belongs to
+   * @param {string} accessToken - Session access token
+   * @returns {Promise<boolean>} True if a session was ended
+   */
+  async logout(user, accessToken) {
+    if (!AuthService.isSessionToken(accessToken)) {
+      return false;
+    }
+
+    const revoked = await this.revokeSessions({ userEmail: user.email, accessTokenHash: hashToken(accessToken) });
+    AuthService.clearTokenCache(user.firebaseUid);
+    return revoked > 0;
+  }
+
+  /**
+   * End one of a user's sessions, such as a lost device
+   * @param {Object} user - User
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<boolean>} True if the session was ended
+   */
+  async revokeSession(user, sessionId) {
+    const revoked = await this.revokeSessions({ id: sessionId, userEmail: user.email });
+    AuthService.clearTokenCache(user.firebaseUid);
+    return revoked > 0;
+  }
+
+  /**
+   * End every session of a user, optionally keeping the one in use
+   * Tokens the identity provider issued are revoked too where it supports that.
+   * @param {Object} user - User
+   * @param {Object} options - { exceptAccessToken } to stay signed in on this device
+   * @returns {Promise<number>} Number of sessions ended
+   */
+  async logoutAll(user, { exceptAccessToken } = {}) {
+    const where = { userEmail: user.email };
+    if (AuthService.isSessionToken(exceptAccessToken)) {
+      where.accessTokenHash = { [Op.ne]: hashToken(exceptAccessToken) };
+    }
+
+    const revoked = await this.revokeSessions(where);
+    await getAuthProvider().revokeTokens(user.firebaseUid);
+    AuthService.clearTokenCache(user.firebaseUid);
+    return revoked;
+  }
+
+  /**
+   * Mark matching active sessions revoked
+   * @param {Object} where - Session conditions
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeSessions(where) {
+    const [updatedRowsCount] = await Session.update(
+      { revokedAt: new Date() },
+      { where: { ...where, revokedAt: null } }
+    );
+    return updatedRowsCount;
+  }
+}
+
+module.exports = new SessionService();
@@ -1,4 +1,5 @@
 const { SubjectEnrollment, Student, Faculty } = require('../models');
+const subjectPolicy = require('../policies/subjectPolicy');
 
 class SubjectEnrollmentService {
   /**
@@ -7,7 +8,7 @@ class SubjectEnrollmentService {
    * @returns {Promise<Object>} Created enrollment
    */
   async createEnrollmentForAllStudents(request) {
-    const { emailId, subjectName, subjectCode, credits } = request;
+    const { emailId, subjectName, subjectCode, credits, semester, academicYear } = request;
 
     // Verify faculty exists
     const faculty = await Faculty.findOne({
@@ -28,6 +29,8 @@ class SubjectEnrollmentService {
       subjectName,
       subjectCode,
       credits,
+      semester: semester || null,
+      academicYear: academicYear || null,
       facultyEmail: faculty.email
     });
 
@@ -43,7 +46,7 @@ class SubjectEnrollmentService {
    * @returns {Promise<Object>} Created enrollment
    */
   async createEnrollmentForSpecificStudents(request) {
-    const { emailId, subjectName, subjectCode, credits, studentEmails } = request;
+    const { emailId, subjectName, subjectCode, credits, semester, academicYear, studentEmails } = request;
 
     // Verify faculty exists
     const faculty = await Faculty.findOne({
@@ -67,6 +70,8 @@ class SubjectEnrollmentService {
       subjectName,
       subjectCode,
       credits,
+      semester: semester || null,
+      academicYear: academicYear || null,
       facultyEmail: faculty.email
     });
 
@@ -140,6 +145,30 @@ class SubjectEnrollmentService {
     return student ? student.enrolledStudents : [];
   }
 
+  /**
+   * Get IDs of subjects a student is enrolled in
+   * @param {string} studentEmail - Student email
+   * @returns {Promise<Array>} Array of subject IDs
+   */
+  async getEnrolledSubjectIds(studentEmail) {
+    const student = await Student.findOne({
+      where: { email: studentEmail },
+      include: [{ model: SubjectEnrollment, as: 'enrolledStudents', attributes: ['id'] }]
+    });
+
+    return student ? student.enrolledStudents.map(s => s.id) : [];
+  }
+
+  /**
+   * Check whether a user may manage coursework of a subject
+   * @param {Object} user - Authenticated user
+   * @param {Object} subject - Subject enrollment
+   * @returns {boolean} True for admins and the faculty teaching the subject
+   */
+  canManageSubject(user, subject) {
+    return subjectPolicy.canManageSubject(user, subject);
+  }
+
   /**
    * Add student to enrollment
    * @param {number} enrollmentId - Enrollment ID
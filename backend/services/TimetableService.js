@@ -0,0 +1,369 @@
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { TimetableSlot, ClassSession, Room, SubjectEnrollment, Student } = require('../models');
+const SubjectEnrollmentService = require('./SubjectEnrollmentService');
+const timetableConfig = require('../config/timetable');
+
+const DAY_NAMES = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const slotInclude = [
+  { model: SubjectEnrollment, as: 'subject', attributes: ['id', 'subjectName', 'subjectCode', 'facultyEmail'] },
+  { model: Room, as: 'room', attributes: ['id', 'name', 'building'] }
+];
+
+class TimetableService {
+  /**
+   * Get the teaching days and bell schedule
+   * @returns {Object} { days, periods }
+   */
+  getSchedule() {
+    return {
+      days: timetableConfig.days.map(day => ({ day, name: DAY_NAMES[day] })),
+      periods: timetableConfig.periods
+    };
+  }
+
+  /**
+   * Get a period of the bell schedule
+   * @param {number} period - Period number
+   * @returns {Object|null} { period, startTime, endTime } or null
+   */
+  getPeriod(period) {
+    return timetableConfig.periods.find(p => p.period === parseInt(period)) || null;
+  }
+
+  /**
+   * Get all rooms
+   * @returns {Promise<Array>} Rooms ordered by name
+   */
+  async getRooms() {
+    return await Room.findAll({ order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Create a room
+   * @param {Object} roomData - { name, building, capacity }
+   * @returns {Promise<Object>} Created room
+   */
+  async createRoom(roomData) {
+    if (!roomData || !roomData.name || String(roomData.name).trim() === '') {
+      throw new Error('Room name is required');
+    }
+
+    const name = String(roomData.name).trim();
+    const existing = await Room.findOne({ where: { name } });
+    if (existing) {
+      throw new Error(`Room ${name} already exists`);
+    }
+
+    let capacity = null;
+    if (roomData.capacity !== undefined && roomData.capacity !== null && roomData.capacity !== '') {
+      capacity = parseInt(roomData.capacity);
+      if (isNaN(capacity) || capacity < 1) {
+        throw new Error('Capacity must be a positive number');
+      }
+    }
+
+    return await Room.create({
+      name,
+      building: roomData.building || null,
+      capacity
+    });
+  }
+
+  /**
+   * Delete a room that has no timetable slots
+   * @param {number} id - Room ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteRoom(id) {
+    const slotCount = await TimetableSlot.count({ where: { roomId: id } });
+    if (slotCount > 0) {
+      throw new Error('Room is used by timetable slots and cannot be deleted');
+    }
+
+    const deletedRowsCount = await Room.destroy({ where: { id } });
+    return deletedRowsCount > 0;
+  }
+
+  /**
+   * Validate the day and period of a slot
+   * @param {Object} data - { dayOfWeek, period }
+   */
+  validateSlotTime(data) {
+    const dayOfWeek = parseInt(data.dayOfWeek);
+    if (!timetableConfig.days.includes(dayOfWeek)) {
+      throw new Error(`Day must be one of the teaching days: ${timetableConfig.days.join(', ')}`);
+    }
+    if (!this.getPeriod(data.period)) {
+      throw new Error(`Period must be between 1 and ${timetableConfig.periods.length}`);
+    }
+  }
+
+  /**
+   * Find bookings that clash with a proposed slot
+   * A slot clashes when another subject meeting in the same period uses the
+   * same room, is taught by the same faculty member, or shares students.
+   * For a class on one date, weekly slots cancelled on that date are left out
+   * and the extra and makeup classes held in that period are checked as well.
+   * @param {Object} subject - Subject of the proposed slot
+   * @param {Object} slotData - { dayOfWeek, period, roomId, date }, date only for one-off classes
+   * @param {number} excludeSlotId - Slot being updated, ignored in the check
+   * @returns {Promise<Array>} Conflict descriptions, empty if the slot is free
+   */
+  async findConflicts(subject, slotData, excludeSlotId = null) {
+    const period = parseInt(slotData.period);
+    const whereClause = {
+      dayOfWeek: parseInt(slotData.dayOfWeek),
+      period
+    };
+    if (excludeSlotId) {
+      whereClause.id = { [Op.ne]: excludeSlotId };
+    }
+
+    let slots = await TimetableSlot.findAll({ where: whereClause, include: slotInclude });
+
+    if (slotData.date) {
+      const changes = await ClassSession.findAll({
+        where: {
+          date: slotData.date,
+          [Op.or]: [{ type: 'cancelled' }, { period }]
+        },
+        include: slotInclude
+      });
+      const cancellations = changes.filter(change => change.type === 'cancelled');
+
+      // A cancellation without a slot cancels every class of its subject that day
+      slots = slots.filter(slot => !cancellations.some(change =>
+        String(change.subjectId) === String(slot.subjectId) &&
+        (!change.slotId || String(change.slotId) === String(slot.id))
+      ));
+      slots.push(...changes.filter(change => change.type !== 'cancelled'));
+    }
+
+    if (slots.length === 0) {
+      return [];
+    }
+
+    const conflicts = [];
+    for (const slot of slots) {
+      if (slot.room && String(slot.roomId) === String(slotData.roomId)) {
+        conflicts.push(`Room ${slot.room.name} is booked for ${slot.subject.subjectCode}`);
+      }
+      if (slot.subject.facultyEmail === subject.facultyEmail) {
+        conflicts.push(`${subject.facultyEmail} already teaches ${slot.subject.subjectCode} in this period`);
+      }
+    }
+
+    // Students enrolled in both subjects cannot attend two classes at once
+    const otherSubjectIds = slots
+      .map(slot => slot.subjectId)
+      .filter(id => String(id) !== String(subject.id));
+    if (otherSubjectIds.length > 0) {
+      const sharedStudents = await Student.findAll({
+        attributes: ['email'],
+        include: [{
+          model: SubjectEnrollment,
+          as: 'enrolledStudents',
+          attributes: ['id', 'subjectCode'],
+          where: { id: { [Op.in]: [subject.id, ...otherSubjectIds] } }
+        }]
+      });
+
+      const clashes = {};
+      for (const student of sharedStudents) {
+        const enrolledIds = student.enrolledStudents.map(s => String(s.id));
+        if (!enrolledIds.includes(String(subject.id))) {
+          continue;
+        }
+        for (const other of student.enrolledStudents) {
+          if (String(other.id) !== String(subject.id)) {
+            clashes[other.subjectCode] = (clashes[other.subjectCode] || 0) + 1;
+          }
+        }
+      }
+
+      for (const [subjectCode, count] of Object.entries(clashes)) {
+        conflicts.push(`${count} student(s) of ${subject.subjectCode} also attend ${subjectCode} in this period`);
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Create a weekly timetable slot
+   * @param {Object} slotData - { subjectId, roomId, dayOfWeek, period }
+   * @param {Object} user - Scheduling user
+   * @returns {Promise<Object>} Created slot
+   */
+  async createSlot(slotData, user) {
+    if (!slotData || !slotData.subjectId || !slotData.roomId) {
+      throw new Error('Subject ID, room ID, day and period are required');
+    }
+    this.validateSlotTime(slotData);
+
+    const subject = await SubjectEnrollment.findByPk(slotData.subjectId);
+    if (!subject) {
+      throw new Error('Subject not found');
+    }
+    if (!SubjectEnrollmentService.canManageSubject(user, subject)) {
+      throw new Error('You can only schedule subjects you teach');
+    }
+
+    const room = await Room.findByPk(slotData.roomId);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    const conflicts = await this.findConflicts(subject, slotData);
+    if (conflicts.length > 0) {
+      throw new Error(`Timetable conflict: ${conflicts.join('; ')}`);
+    }
+
+    const slot = await TimetableSlot.create({
+      subjectId: subject.id,
+      roomId: room.id,
+      dayOfWeek: parseInt(slotData.dayOfWeek),
+      period: parseInt(slotData.period),
+      createdBy: user.email
+    });
+
+    return await this.getSlotById(slot.id);
+  }
+
+  /**
+   * Get slot by ID
+   * @param {number} id - Slot ID
+   * @returns {Promise<Object|null>} Slot with subject and room, or null
+   */
+  async getSlotById(id) {
+    return await TimetableSlot.findByPk(id, { include: slotInclude });
+  }
+
+  /**
+   * Move a slot to another room, day or period
+   * @param {Object} slot - Slot to update, loaded with getSlotById
+   * @param {Object} updateData - { roomId, dayOfWeek, period }
+   * @returns {Promise<Object>} Updated slot
+   */
+  async updateSlot(slot, updateData) {
+    const next = {
+      roomId: updateData.roomId !== undefined ? updateData.roomId : slot.roomId,
+      dayOfWeek: updateData.dayOfWeek !== undefined ? updateData.dayOfWeek : slot.dayOfWeek,
+      period: updateData.period !== undefined ? updateData.period : slot.period
+    };
+    this.validateSlotTime(next);
+
+    if (String(next.roomId) !== String(slot.roomId)) {
+      const room = await Room.findByPk(next.roomId);
+      if (!room) {
+        throw new Error('Room not found');
+      }
+    }
+
+    const conflicts = await this.findConflicts(slot.subject, next, slot.id);
+    if (conflicts.length > 0) {
+      throw new Error(`Timetable conflict: ${conflicts.join('; ')}`);
+    }
+
+    await slot.update({
+      roomId: next.roomId,
+      dayOfWeek: parseInt(next.dayOfWeek),
+      period: parseInt(next.period)
+    });
+
+    return await this.getSlotById(slot.id);
+  }
+
+  /**
+   * Delete a slot
+   * @param {number} id - Slot ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteSlot(id) {
+    const deletedRowsCount = await TimetableSlot.destroy({ where: { id } });
+    return deletedRowsCount > 0;
+  }
+
+  /**
+   * Get timetable slots
+   * @param {Object} filters - { subjectIds, roomId, facultyEmail }
+   * @returns {Promise<Array>} Slots ordered by day and period
+   */
+  async getSlots(filters = {}) {
+    const whereClause = {};
+    if (filters.subjectIds) {
+      whereClause.subjectId = { [Op.in]: filters.subjectIds };
+    }
+    if (filters.roomId) {
+      whereClause.roomId = filters.roomId;
+    }
+
+    const include = slotInclude.map(item => ({ ...item }));
+    if (filters.facultyEmail) {
+      include[0].where = { facultyEmail: filters.facultyEmail };
+    }
+
+    return await TimetableSlot.findAll({
+      where: whereClause,
+      include,
+      order: [['dayOfWeek', 'ASC'], ['period', 'ASC']]
+    });
+  }
+
+  /**
+   * Get the weekly timetable of a user
+   * Faculty see the subjects they teach, students their enrolled subjects
+   * and admins the whole timetable.
+   * @param {Object} user - User
+   * @returns {Promise<Array>} Slots ordered by day and period
+   */
+  async getTimetableForUser(user) {
+    if (user.role === 'faculty') {
+      return await this.getSlots({ facultyEmail: user.email });
+    }
+    if (user.role === 'student') {
+      const subjectIds = await SubjectEnrollmentService.getEnrolledSubjectIds(user.email);
+      return await this.getSlots({ subjectIds });
+    }
+    return await this.getSlots();
+  }
+
+  /**
+   * Find the slot of a subject that is in progress
+   * @param {number} subjectId - Subject ID
+   * @param {Date} at - Point in time, defaults to now
+   * @returns {Promise<Object|null>} Slot or null if the subject is not meeting
+   */
+  async getCurrentSlot(subjectId, at = new Date()) {
+    const now = moment(at);
+    const time = now.format('HH:mm');
+    const period = timetableConfig.periods.find(p => p.startTime <= time && time < p.endTime);
+    if (!period) {
+      return null;
+    }
+
+    return await TimetableSlot.findOne({
+      where: { subjectId, dayOfWeek: now.isoWeekday(), period: period.period }
+    });
+  }
+
+  /**
+   * Get the first meeting of a slot, from the week the slot was created
+   * Used as the start of its weekly recurrence in calendar feeds.
+   * @param {Object} slot - Slot
+   * @returns {Object} { start, end } dates
+   */
+  getFirstOccurrence(slot) {
+    const period = this.getPeriod(slot.period);
+    const day = moment(slot.created_at).startOf('isoWeek').isoWeekday(slot.dayOfWeek).format('YYYY-MM-DD');
+
+    return {
+      start: moment(`${day} ${period.startTime}`, 'YYYY-MM-DD HH:mm').toDate(),
+      end: moment(`${day} ${period.endTime}`, 'YYYY-MM-DD HH:mm').toDate()
+    };
+  }
+}
+
+module.exports = new TimetableService();
@@ -0,0 +1,207 @@
+const { Student } = require('../models');
+const GradeService = require('./GradeService');
+const { PdfDocument } = require('../utils/pdf');
+
+const MARGIN = 50;
+const LINE_HEIGHT = 16;
+const FOOTER_HEIGHT = 40;
+
+// Left edge of each column of the semester tables
+const COLUMNS = {
+  code: 50,
+  subject: 120,
+  credits: 345,
+  marks: 400,
+  grade: 455,
+  gradePoints: 500
+};
+
+const SUBJECT_NAME_LENGTH = 38;
+
+const formatValue = (value, digits = 2) => (value === null || value === undefined ? '-' : Number(value).toFixed(digits));
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+class TranscriptService {
+  /**
+   * Draw one student's transcript starting on a new page
+   * @param {Object} doc - PdfDocument
+   * @param {Object} transcript - Transcript from GradeService.getStudentTranscript
+   * @param {Date} issuedAt - Issue date printed on the transcript
+   * @returns {Array} Indexes of the pages the transcript occupies
+   */
+  renderTranscript(doc, transcript, issuedAt) {
+    const pages = [];
+    let y = 0;
+
+    const newPage = () => {
+      pages.push(doc.addPage());
+      y = MARGIN;
+      doc.text('Campus Cloud University', MARGIN, y + 10, { size: 16, bold: true });
+      doc.text('Academic Transcript', MARGIN, y + 28, { size: 12 });
+      doc.line(MARGIN, y + 38, doc.width - MARGIN, y + 38, { width: 1 });
+      y += 60;
+    };
+
+    // Start a new page when the next block would run into the footer
+    const ensureSpace = (height) => {
+      if (y + height > doc.height - MARGIN - FOOTER_HEIGHT) {
+        newPage();
+      }
+    };
+
+    newPage();
+
+    const { student } = transcript;
+    const profile = [
+      ['Name', student.name],
+      ['Roll No', student.rollNo],
+      ['University ID', student.univId || '-'],
+      ['Course', student.course],
+      ['Branch', student.branch]
+    ];
+
+    for (const [label, value] of profile) {
+      doc.text(`${label}:`, MARGIN, y, { bold: true });
+      doc.text(value === null || value === undefined ? '-' : value, MARGIN + 90, y);
+      y += LINE_HEIGHT;
+    }
+    y += LINE_HEIGHT;
+
+    if (transcript.semesters.length === 0) {
+      doc.text('No subjects have been graded yet.', MARGIN, y);
+      y += LINE_HEIGHT;
+    }
+
+    for (const semester of transcript.semesters) {
+      ensureSpace(LINE_HEIGHT * 4);
+
+      const heading = semester.semester === null ? 'Unassigned Semester' : `Semester ${semester.semester}`;
+      doc.text(semester.locked ? heading : `${heading} (provisional)`, MARGIN, y, { size: 12, bold: true });
+      y += LINE_HEIGHT + 2;
+
+      doc.text('Code', COLUMNS.code, y, { bold: true });
+      doc.text('Subject', COLUMNS.subject, y, { bold: true });
+      doc.text('Credits', COLUMNS.credits, y, { bold: true });
+      doc.text('Marks', COLUMNS.marks, y, { bold: true });
+      doc.text('Grade', COLUMNS.grade, y, { bold: true });
+      doc.text('Points', COLUMNS.gradePoints, y, { bold: true });
+      doc.line(MARGIN, y + 5, doc.width - MARGIN, y + 5);
+      y += LINE_HEIGHT;
+
+      for (const subject of semester.subjects) {
+        ensureSpace(LINE_HEIGHT);
+        const name = String(subject.subjectName || '-');
+        doc.text(subject.subjectCode || '-', COLUMNS.code, y);
+        doc.text(name.length > SUBJECT_NAME_LENGTH ? `${name.slice(0, SUBJECT_NAME_LENGTH - 3)}...` : name, COLUMNS.subject, y);
+        doc.text(String(subject.credits), COLUMNS.credits, y);
+        doc.text(formatValue(subject.marks), COLUMNS.marks, y);
+        doc.text(subject.grade || '-', COLUMNS.grade, y);
+        doc.text(formatValue(subject.gradePoints, 1), COLUMNS.gradePoints, y);
+        y += LINE_HEIGHT;
+      }
+
+      ensureSpace(LINE_HEIGHT * 2);
+      doc.line(MARGIN, y - 11, doc.width - MARGIN, y - 11);
+      doc.text(
+        `Credits: ${semester.credits}    Earned: ${semester.earnedCredits}    SGPA: ${formatValue(semester.sgpa)}`,
+        MARGIN,
+        y,
+        { bold: true }
+      );
+      y += LINE_HEIGHT * 2;
+    }
+
+    ensureSpace(LINE_HEIGHT * 3);
+    doc.line(MARGIN, y - 8, doc.width - MARGIN, y - 8, { width: 1 });
+    y += LINE_HEIGHT;
+    doc.text(
+      `Total Credits: ${transcript.totalCredits}    Earned: ${transcript.earnedCredits}    CGPA: ${formatValue(transcript.cgpa)}`,
+      MARGIN,
+      y,
+      { size: 12, bold: true }
+    );
+
+    // Footers are drawn last so they can show the page count
+    pages.forEach((page, index) => {
+      const footerY = doc.height - MARGIN;
+      doc.text(`Issued on ${formatDate(issuedAt)}`, MARGIN, footerY, { size: 8, page });
+      doc.text(`${student.rollNo} - Page ${index + 1} of ${pages.length}`, doc.width - MARGIN - 110, footerY, { size: 8, page });
+    });
+
+    return pages;
+  }
+
+  /**
+   * Generate a student's transcript PDF
+   * @param {string} studentEmail - Student email
+   * @param {Date} issuedAt - Issue date printed on the transcript
+   * @returns {Promise<Object|null>} { fileName, data } or null if the student does not exist
+   */
+  async generateStudentTranscript(studentEmail, issuedAt = new Date()) {
+    const transcript = await GradeService.getStudentTranscript(studentEmail);
+    if (!transcript) {
+      return null;
+    }
+
+    const doc = new PdfDocument({
+      title: `Transcript - ${transcript.student.rollNo}`,
+      author: 'Campus Cloud',
+      creationDate: issuedAt
+    });
+    this.renderTranscript(doc, transcript, issuedAt);
+
+    return {
+      fileName: `transcript-${transcript.student.rollNo}.pdf`,
+      data: doc.toBuffer()
+    };
+  }
+
+  /**
+   * Generate one PDF holding the transcripts of every matching student
+   * @param {Object} filters - { course, branch, semester }
+   * @param {Date} issuedAt - Issue date printed on the transcripts
+   * @returns {Promise<Object|null>} { fileName, data, count } or null if no student matches
+   */
+  async generateBulkTranscripts(filters = {}, issuedAt = new Date()) {
+    const whereClause = {};
+    if (filters.course) {
+      whereClause.course = filters.course;
+    }
+    if (filters.branch) {
+      whereClause.branch = filters.branch;
+    }
+    if (filters.semester) {
+      whereClause.semester = filters.semester;
+    }
+
+    const students = await Student.findAll({
+      where: whereClause,
+      attributes: ['email'],
+      order: [['rollNo', 'ASC']]
+    });
+
+    if (students.length === 0) {
+      return null;
+    }
+
+    const doc = new PdfDocument({
+      title: 'Transcripts',
+      author: 'Campus Cloud',
+      creationDate: issuedAt
+    });
+
+    for (const student of students) {
+      const transcript = await GradeService.getStudentTranscript(student.email);
+      this.renderTranscript(doc, transcript, issuedAt);
+    }
+
+    return {
+      fileName: `transcripts-${formatDate(issuedAt)}.pdf`,
+      data: doc.toBuffer(),
+      count: students.length
+    };
+  }
+}
+
+module.exports = new TranscriptService();
@@ -1,50 +1,44 @@
 const { User } = require('../models');
-const { getAuth } = require('../config/firebase');
+const AuthService = require('./AuthService');
+const { getAuthProvider } = require('./authProviders');
 
 class UserService {
   /**
-   * Create a new user with Firebase authentication
+   * Create a new user with an account at the configured identity provider
    * @param {string} email - User email
    * @param {string} password - User password
    * @param {string} name - User name
    * @param {string} role - User role
    * @param {string} univId - University ID
+   * @param {Object} options - { mustChangePassword } for one-time initial passwords
    * @returns {Promise<Object>} Created user
    */
-  async createUser(email, password, name, role, univId) {
+  async createUser(email, password, name, role, univId, { mustChangePassword = false } = {}) {
     try {
-      const auth = getAuth();
-      
-      // Check if Firebase user already exists and delete if found
-      try {
-        const existingUser = await auth.getUserByEmail(email);
-        await auth.deleteUser(existingUser.uid);
-        
-        // Also delete from database if exists
-        const existingDbUser = await User.findOne({ where: { email } });
-        if (existingDbUser) {
-          await existingDbUser.destroy();
-        }
-      } catch (error) {
-        // User doesn't exist in Firebase, which is fine
-        console.log('No existing Firebase user found');
+      const provider = getAuthProvider();
+
+      // Replace any existing account and user with the same email
+      const existingAccount = await provider.findAccountByEmail(email);
+      if (existingAccount) {
+        await provider.deleteAccount(existingAccount.uid);
+      }
+      const existingDbUser = await User.findOne({ where: { email } });
+      if (existingDbUser) {
+        await existingDbUser.destroy();
+        AuthService.clearTokenCache(existingDbUser.firebaseUid);
       }
 
-      // Create Firebase user
-      const userRecord = await auth.createUser({
-        email: email,
-        password: password,
-        displayName: name,
-        emailVerified: true
-      });
+      const account = await provider.createAccount({ email, password, name });
 
       // Create database user
       const user = await User.create({
-        firebaseUid: userRecord.uid,
+        firebaseUid: account.uid,
         email: email,
         name: name,
         role: role,
-        univId: univId
+        univId: univId,
+        password: account.passwordHash || null,
+        mustChangePassword: mustChangePassword
       });
 
       return user;
@@ -100,16 +94,15 @@ class UserService {
    */
   async deleteUser(firebaseUid) {
     try {
-      const auth = getAuth();
-      
-      // Delete from Firebase
-      await auth.deleteUser(firebaseUid);
+      // Delete from the identity provider
+      await getAuthProvider().deleteAccount(firebaseUid);
       
       // Delete from database
       const deletedRowsCount = await User.destroy({
         where: { firebaseUid }
       });
 
+      AuthService.clearTokenCache(firebaseUid);
       return deletedRowsCount > 0;
     } catch (error) {
       throw new Error(`Failed to delete user: ${error.message}`);
@@ -0,0 +1,95 @@
+const { initializeFirebase, getAuth, verifyIdToken } = require('../../config/firebase');
+
+// Accounts live in Firebase; users sign in with the Firebase client SDK and
+// send its ID token
+class FirebaseAuthProvider {
+  constructor() {
+    this.name = 'firebase';
+    this.verifiesPasswords = false;
+  }
+
+  /**
+   * Initialize the Firebase Admin SDK
+   */
+  initialize() {
+    initializeFirebase();
+  }
+
+  /**
+   * Verify a Firebase ID token
+   * @param {string} idToken - Firebase ID token
+   * @returns {Promise<Object>} { uid }
+   */
+  async verifyToken(idToken) {
+    const decodedToken = await verifyIdToken(idToken);
+    return { uid: decodedToken.uid };
+  }
+
+  /**
+   * Sign in with email and password
+   * Firebase checks passwords on the client, so the server cannot.
+   */
+  async signIn() {
+    throw new Error('Sign in with Firebase and send its ID token to /api/auth/login');
+  }
+
+  /**
+   * Find the Firebase account of an email
+   * @param {string} email - User email
+   * @returns {Promise<Object|null>} { uid }, or null if there is none
+   */
+  async findAccountByEmail(email) {
+    try {
+      const userRecord = await getAuth().getUserByEmail(email);
+      return { uid: userRecord.uid };
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a Firebase account
+   * @param {Object} accountData - { email, password, name }
+   * @returns {Promise<Object>} { uid }
+   */
+  async createAccount({ email, password, name }) {
+    const userRecord = await getAuth().createUser({
+      email: email,
+      password: password,
+      displayName: name,
+      emailVerified: true
+    });
+
+    return { uid: userRecord.uid };
+  }
+
+  /**
+   * Set the password of a Firebase account
+   * @param {string} uid - Firebase UID
+   * @param {string} password - New password
+   */
+  async setPassword(uid, password) {
+    await getAuth().updateUser(uid, { password: password });
+  }
+
+  /**
+   * Sign an account out of every device signed in with the Firebase client SDK
+   * @param {string} uid - Firebase UID
+   */
+  async revokeTokens(uid) {
+    await getAuth().revokeRefreshTokens(uid);
+  }
+
+  /**
+   * Delete a Firebase account
+   * @param {string} uid - Firebase UID
+   */
+  async deleteAccount(uid) {
+    await getAuth().deleteUser(uid);
+  }
+}
+
+module.exports = new FirebaseAuthProvider();
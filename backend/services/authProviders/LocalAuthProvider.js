@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../../models');
+const authConfig = require('../../config/auth');
+const { hashPassword, verifyPassword } = require('../../utils/password');
+
+// Accounts live in the users table with a bcrypt password hash. Signing in
+// issues a JWT whose subject is the user's UID, so it is used exactly like a
+// Firebase ID token.
+class LocalAuthProvider {
+  constructor() {
+    this.name = 'local';
+    this.verifiesPasswords = true;
+  }
+
+  /**
+   * Check the provider is configured
+   */
+  initialize() {
+    if (!authConfig.jwtSecret) {
+      throw new Error('JWT_SECRET is required when AUTH_PROVIDER is local');
+    }
+    console.log('Local authentication provider initialized successfully.');
+  }
+
+  /**
+   * Issue a signed token for a user
+   * @param {Object} user - User
+   * @returns {string} JWT
+   */
+  issueToken(user) {
+    return jwt.sign({ email: user.email, role: user.role }, authConfig.jwtSecret, {
+      subject: user.firebaseUid,
+      issuer: authConfig.jwtIssuer,
+      expiresIn: authConfig.jwtExpiresIn
+    });
+  }
+
+  /**
+   * Verify a token issued by signIn
+   * @param {string} idToken - JWT
+   * @returns {Promise<Object>} { uid }
+   */
+  async verifyToken(idToken) {
+    if (!idToken || typeof idToken !== 'string') {
+      throw new Error('ID token is required and must be a string');
+    }
+
+    try {
+      const payload = jwt.verify(idToken, authConfig.jwtSecret, { issuer: authConfig.jwtIssuer });
+      return { uid: payload.sub };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Token has expired. Please login again.');
+      }
+      throw new Error('Invalid token');
+    }
+  }
+
+  /**
+   * Sign in with email and password
+   * @param {string} email - User email
+   * @param {string} password - Password
+   * @returns {Promise<Object>} { idToken, user }
+   */
+  async signIn(email, password) {
+    const user = await User.findOne({ where: { email } });
+    if (!user || !(await this.checkPassword(user, password))) {
+      throw new Error('Invalid email or password');
+    }
+
+    return { idToken: this.issueToken(user), user };
+  }
+
+  /**
+   * Check a user's password
+   * @param {Object} user - User with its password hash
+   * @param {string} password - Password
+   * @returns {Promise<boolean>} True if it matches
+   */
+  async checkPassword(user, password) {
+    return await verifyPassword(password, user.password);
+  }
+
+  /**
+   * Find the account of an email
+   * @param {string} email - User email
+   * @returns {Promise<Object|null>} { uid }, or null if there is none
+   */
+  async findAccountByEmail(email) {
+    const user = await User.findOne({ where: { email }, attributes: ['firebaseUid'] });
+    return user ? { uid: user.firebaseUid } : null;
+  }
+
+  /**
+   * Create an account; the caller saves the UID and password hash on the user
+   * @param {Object} accountData - { password }
+   * @returns {Promise<Object>} { uid, passwordHash }
+   */
+  async createAccount({ password }) {
+    return {
+      uid: `local-${crypto.randomUUID()}`,
+      passwordHash: await hashPassword(password)
+    };
+  }
+
+  /**
+   * Set the password of an account
+   * @param {string} uid - User UID
+   * @param {string} password - New password
+   */
+  async setPassword(uid, password) {
+    const user = await User.findOne({ where: { firebaseUid: uid } });
+    if (!user) {
+      throw new Error('Account not found');
+    }
+    await user.update({ password: await hashPassword(password) });
+  }
+
+  /**
+   * Revoke tokens issued outside sessions
+   * Nothing to do: tokens from signIn are only accepted by /api/auth/login,
+   * which exchanges them for a session, so ending the sessions is enough.
+   */
+  async revokeTokens() {}
+
+  /**
+   * Delete an account
+   * Nothing is kept outside the users table, so deleting the user is enough.
+   */
+  async deleteAccount() {}
+}
+
+module.exports = new LocalAuthProvider();
@@ -0,0 +1,25 @@
+const authConfig = require('../../config/auth');
+
+// Providers are loaded on first use so only the configured one is initialized
+const providers = {
+  firebase: () => require('./FirebaseAuthProvider'),
+  local: () => require('./LocalAuthProvider')
+};
+
+/**
+ * Get the identity provider chosen by AUTH_PROVIDER
+ * @returns {Object} Provider with initialize, verifyToken, signIn, findAccountByEmail,
+ *   createAccount, setPassword, revokeTokens and deleteAccount; verifiesPasswords tells whether
+ *   it can check a password (Firebase checks them on the client)
+ */
+const getAuthProvider = () => {
+  const load = providers[authConfig.provider];
+  if (!load) {
+    throw new Error(`Unknown AUTH_PROVIDER "${authConfig.provider}"; use one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return load();
+};
+
+module.exports = {
+  getAuthProvider
+};
@@ -0,0 +1,25 @@
+// Academic years are written like 2025-26: the year they start in and the last
+// two digits of the next one
+const ACADEMIC_YEAR = /^(\d{4})-(\d{2})$/;
+
+/**
+ * Check a value is an academic year such as 2025-26
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a well-formed academic year
+ */
+const isAcademicYear = (value) => {
+  const match = ACADEMIC_YEAR.exec(String(value));
+  return Boolean(match) && (parseInt(match[1]) + 1) % 100 === parseInt(match[2]);
+};
+
+/**
+ * Describe a semester for messages, naming its academic year when known
+ * @param {number} semester - Semester number
+ * @param {string|null} academicYear - Academic year
+ * @returns {string} e.g. 'Semester 3 of 2025-26'
+ */
+const describeSemester = (semester, academicYear) => {
+  return academicYear ? `Semester ${semester} of ${academicYear}` : `Semester ${semester}`;
+};
+
+module.exports = { isAcademicYear, describeSemester };
@@ -0,0 +1,256 @@
+const moment = require('moment');
+
+// iCalendar (RFC 5545) builder and parser for calendar feeds and imports.
+// Only VEVENT components are handled; time zones other than UTC are read as
+// server-local time.
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Undo escapeText
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+const unescapeText = (value) => String(value).replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+/**
+ * Fold a content line so no line exceeds 75 octets
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+};
+
+const formatDateTime = (date) => moment(date).utc().format('YYYYMMDD[T]HHmmss[Z]');
+
+const formatDate = (date) => moment(date).format('YYYYMMDD');
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar - { name, events }
+ * Each event is { uid, summary, description, location, categories, start, end,
+ * allDay, rrule, stamp }. All-day events take the first and last day as start
+ * and end; end may be omitted for events that are a single point in time.
+ * @returns {string} iCalendar text
+ */
+const buildCalendar = (calendar) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Campus Cloud//Calendar Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (calendar.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(calendar.name)}`);
+  }
+
+  for (const event of calendar.events || []) {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${formatDateTime(event.stamp || 0)}`);
+
+    if (event.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+      // DTEND of an all-day event is the day after the last day
+      lines.push(`DTEND;VALUE=DATE:${formatDate(moment(event.end || event.start).add(1, 'day'))}`);
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      if (event.end) {
+        lines.push(`DTEND:${formatDateTime(event.end)}`);
+      }
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary || '')}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.categories) {
+      lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+    }
+    if (event.rrule) {
+      lines.push(`RRULE:${event.rrule}`);
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value } or null if the line is malformed
+ */
+const parseLine = (line) => {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, value = ''] = part.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Parse a DATE or DATE-TIME property value
+ * @param {Object} property - { params, value }
+ * @returns {Object|null} { date, allDay } or null if the value is not a date
+ */
+const parseDateValue = (property) => {
+  const value = property.value.trim();
+
+  if (property.params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    const date = moment(value, 'YYYYMMDD', true);
+    return date.isValid() ? { date, allDay: true } : null;
+  }
+
+  const date = value.endsWith('Z')
+    ? moment.utc(value, 'YYYYMMDD[T]HHmmss[Z]', true)
+    : moment(value, 'YYYYMMDD[T]HHmmss', true);
+
+  return date.isValid() ? { date, allDay: false } : null;
+};
+
+/**
+ * Parse the events of an iCalendar document
+ * All-day events are returned with the end set to the end of their last day.
+ * @param {string} text - iCalendar text
+ * @returns {Array} Array of { uid, summary, description, location, categories, start, end, allDay, rrule }
+ */
+const parseCalendar = (text) => {
+  const lines = String(text)
+    .replace(/\r\n[ \t]/g, '')
+    .replace(/\n[ \t]/g, '')
+    .split(/\r?\n/);
+
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('File is not an iCalendar document');
+  }
+
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    const property = parseLine(line);
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      current = {};
+      continue;
+    }
+
+    if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (current) {
+        events.push(current);
+      }
+      current = null;
+      continue;
+    }
+
+    // Properties of nested components such as VALARM are ignored
+    if (!current || current.nested) {
+      if (current && property.name === 'END') {
+        current.nested = false;
+      }
+      continue;
+    }
+    if (property.name === 'BEGIN') {
+      current.nested = true;
+      continue;
+    }
+
+    current[property.name] = property;
+  }
+
+  return events.map(event => {
+    const start = event.DTSTART ? parseDateValue(event.DTSTART) : null;
+    const end = event.DTEND ? parseDateValue(event.DTEND) : null;
+
+    let endDate = null;
+    if (start && start.allDay) {
+      // DTEND of an all-day event is exclusive
+      endDate = (end ? end.date.clone().subtract(1, 'day') : start.date.clone()).endOf('day');
+    } else if (start) {
+      endDate = end ? end.date : start.date.clone();
+    }
+
+    return {
+      uid: event.UID ? event.UID.value.trim() : null,
+      summary: event.SUMMARY ? unescapeText(event.SUMMARY.value) : '',
+      description: event.DESCRIPTION ? unescapeText(event.DESCRIPTION.value) : null,
+      location: event.LOCATION ? unescapeText(event.LOCATION.value) : null,
+      categories: event.CATEGORIES ? unescapeText(event.CATEGORIES.value) : null,
+      start: start ? start.date.toDate() : null,
+      end: endDate ? endDate.toDate() : null,
+      allDay: start ? start.allDay : false,
+      rrule: event.RRULE ? event.RRULE.value.trim() : null
+    };
+  });
+};
+
+module.exports = {
+  buildCalendar,
+  parseCalendar
+};
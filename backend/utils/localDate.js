@@ -0,0 +1,20 @@
+const moment = require('moment');
+
+// Class dates are calendar days in the server's time zone. Build them with
+// these helpers rather than toISOString(), which gives the UTC date and is a
+// day off around midnight.
+
+/**
+ * Get today's date
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const today = () => moment().format('YYYY-MM-DD');
+
+/**
+ * Get the date a number of days before today
+ * @param {number} days - Number of days
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const daysAgo = (days) => moment().subtract(days, 'days').format('YYYY-MM-DD');
+
+module.exports = { today, daysAgo };
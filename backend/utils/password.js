@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const authConfig = require('../config/auth');
+
+// Generated passwords leave out characters that are easily confused, like 0 and O
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Generate a random one-time password
+ * @param {number} length - Number of characters
+ * @returns {string} Password with at least one letter and one digit
+ */
+const generatePassword = (length = 12) => {
+  let password = '';
+  while (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) {
+    password = Array.from({ length }, () => PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)]).join('');
+  }
+  return password;
+};
+
+/**
+ * Check a new password is strong enough
+ * @param {string} password - Password
+ * @throws {Error} If it is too short or lacks a letter or a digit
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) {
+    throw new Error('Password must contain a letter and a digit');
+  }
+};
+
+/**
+ * Check whether a value is already a bcrypt hash
+ * @param {string} value - Stored password
+ * @returns {boolean} True for bcrypt hashes
+ */
+const isHashed = (value) => typeof value === 'string' && BCRYPT_HASH.test(value);
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = async (password) => {
+  if (!password || String(password).length === 0) {
+    throw new Error('Password is required');
+  }
+  return await bcrypt.hash(String(password), authConfig.bcryptRounds);
+};
+
+/**
+ * Compare a password with a stored hash
+ * @param {string} password - Password
+ * @param {string} hash - bcrypt hash
+ * @returns {Promise<boolean>} True if they match
+ */
+const verifyPassword = async (password, hash) => {
+  if (!password || !isHashed(hash)) {
+    return false;
+  }
+  return await bcrypt.compare(String(password), hash);
+};
+
+/**
+ * Model hook hashing a changed password column, so none is stored in plain text
+ * @param {Object} instance - Model instance with a password attribute
+ */
+const hashPasswordField = async (instance) => {
+  if (instance.changed('password') && instance.password && !isHashed(instance.password)) {
+    instance.password = await hashPassword(instance.password);
+  }
+};
+
+/**
+ * Model hook hashing a password set through Model.update
+ * @param {Object} options - Bulk update options with the attributes being set
+ */
+const hashPasswordAttribute = async (options) => {
+  const { attributes } = options;
+  if (attributes.password && !isHashed(attributes.password)) {
+    attributes.password = await hashPassword(attributes.password);
+  }
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  generatePassword,
+  validatePassword,
+  isHashed,
+  hashPassword,
+  verifyPassword,
+  hashPasswordField,
+  hashPasswordAttribute
+};
@@ -0,0 +1,156 @@
+// Minimal PDF writer for generated documents (transcripts, report cards).
+// Pages hold text and lines drawn with the built-in Helvetica fonts, so no
+// font files are embedded and nothing is fetched at render time. Output is
+// byte-for-byte identical for the same input: the only date written is the
+// one passed in as creationDate.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+
+const FONTS = {
+  regular: 'F1',
+  bold: 'F2'
+};
+
+/**
+ * Escape a string for a PDF literal string
+ * Characters outside Latin-1 are replaced with '?' as the standard fonts use
+ * WinAnsiEncoding.
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+/**
+ * Format a date as a PDF date string in UTC
+ * @param {Date} date - Date
+ * @returns {string} e.g. D:20260901000000Z
+ */
+const formatPdfDate = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+const formatNumber = (n) => String(Math.round(n * 100) / 100);
+
+class PdfDocument {
+  /**
+   * @param {Object} options - { title, author, creationDate }
+   */
+  constructor(options = {}) {
+    this.title = options.title || '';
+    this.author = options.author || '';
+    this.creationDate = options.creationDate || new Date(0);
+    this.pages = [];
+  }
+
+  get width() {
+    return PAGE_WIDTH;
+  }
+
+  get height() {
+    return PAGE_HEIGHT;
+  }
+
+  /**
+   * Start a new page; later drawing goes to it
+   * @returns {number} Zero-based page index
+   */
+  addPage() {
+    this.pages.push([]);
+    return this.pages.length - 1;
+  }
+
+  currentPage() {
+    if (this.pages.length === 0) {
+      this.addPage();
+    }
+    return this.pages[this.pages.length - 1];
+  }
+
+  /**
+   * Draw text with its baseline at y, measured from the top of the page
+   * @param {string} value - Text
+   * @param {number} x - Left edge
+   * @param {number} y - Baseline from the top
+   * @param {Object} options - { size, bold, page }
+   */
+  text(value, x, y, options = {}) {
+    const page = options.page !== undefined ? this.pages[options.page] : this.currentPage();
+    const font = options.bold ? FONTS.bold : FONTS.regular;
+    const size = options.size || 10;
+
+    page.push(`BT /${font} ${formatNumber(size)} Tf ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y)} Td (${escapeText(value)}) Tj ET`);
+  }
+
+  /**
+   * Draw a straight line, coordinates measured from the top of the page
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @param {Object} options - { width, page }
+   */
+  line(x1, y1, x2, y2, options = {}) {
+    const page = options.page !== undefined ? this.pages[options.page] : this.currentPage();
+    const width = options.width || 0.5;
+
+    page.push(`${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ` +
+      `${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`);
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} PDF file contents
+   */
+  toBuffer() {
+    if (this.pages.length === 0) {
+      this.addPage();
+    }
+
+    // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a
+    // page object and a content stream for every page
+    const objects = [];
+    const pageIds = this.pages.map((_, i) => 6 + i * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title (${escapeText(this.title)}) /Author (${escapeText(this.author)}) ` +
+      `/Producer (Campus Cloud) /CreationDate (${formatPdfDate(this.creationDate)}) >>`;
+
+    this.pages.forEach((operations, i) => {
+      const content = operations.join('\n');
+      objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+      objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(output, 'latin1');
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PdfDocument
+};
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const uploadsConfig = require('../config/uploads');
+
+/**
+ * Build multer middleware saving files into a folder of the private upload directory
+ * Files get random names, so a stored path says nothing about the upload and
+ * cannot be guessed; keep the original name separately for downloads.
+ * @param {string} folder - Folder inside privateDir, e.g. 'leave'
+ * @returns {Object} Multer instance
+ */
+const createPrivateUpload = (folder) => {
+  const destination = path.join(uploadsConfig.privateDir, folder);
+
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(destination, { recursive: true }, (error) => cb(error, destination));
+    },
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+      cb(null, crypto.randomBytes(16).toString('hex') + extension);
+    }
+  });
+
+  return multer({
+    storage: storage,
+    limits: {
+      fileSize: uploadsConfig.maxFileSize
+    }
+  });
+};
+
+module.exports = { createPrivateUpload };
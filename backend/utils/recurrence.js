@@ -0,0 +1,150 @@
+const moment = require('moment');
+
+// Supported subset of RFC 5545 recurrence rules, e.g.
+//   FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261231
+//   FREQ=DAILY;COUNT=5
+const FREQUENCIES = {
+  DAILY: 'days',
+  WEEKLY: 'weeks',
+  MONTHLY: 'months'
+};
+
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Hard stop so a long-running rule cannot expand forever
+const MAX_ITERATIONS = 5000;
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - RRULE string, with or without the "RRULE:" prefix
+ * @returns {Object} { freq, interval, count, until, byDay }
+ */
+const parseRule = (rule) => {
+  const parts = String(rule).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const parsed = { freq: null, interval: 1, count: null, until: null, byDay: null };
+
+  for (const part of parts) {
+    const [key, value] = part.split('=');
+    if (!value) {
+      throw new Error(`Invalid recurrence rule part: ${part}`);
+    }
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        if (!FREQUENCIES[value.toUpperCase()]) {
+          throw new Error(`Recurrence frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`);
+        }
+        parsed.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        parsed.interval = parseInt(value);
+        if (isNaN(parsed.interval) || parsed.interval < 1) {
+          throw new Error('Recurrence interval must be a positive integer');
+        }
+        break;
+      case 'COUNT':
+        parsed.count = parseInt(value);
+        if (isNaN(parsed.count) || parsed.count < 1) {
+          throw new Error('Recurrence count must be a positive integer');
+        }
+        break;
+      case 'UNTIL':
+        if (/^\d{8}$/.test(value)) {
+          parsed.until = moment(value, 'YYYYMMDD', true).endOf('day');
+        } else if (/^\d{8}T\d{6}Z$/.test(value)) {
+          parsed.until = moment.utc(value, 'YYYYMMDD[T]HHmmss[Z]', true);
+        } else if (/^\d{8}T\d{6}$/.test(value)) {
+          parsed.until = moment(value, 'YYYYMMDD[T]HHmmss', true);
+        }
+        if (!parsed.until || !parsed.until.isValid()) {
+          throw new Error('Recurrence end must be a date in YYYYMMDD form');
+        }
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.toUpperCase().split(',').map(day => {
+          if (WEEKDAYS[day] === undefined) {
+            throw new Error(`Invalid recurrence weekday: ${day}`);
+          }
+          return WEEKDAYS[day];
+        }).sort((a, b) => a - b);
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  if (!parsed.freq) {
+    throw new Error('Recurrence rule must specify FREQ');
+  }
+  if (parsed.byDay && parsed.freq !== 'WEEKLY') {
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  }
+  if (parsed.count && parsed.until) {
+    throw new Error('Recurrence rule cannot have both COUNT and UNTIL');
+  }
+
+  return parsed;
+};
+
+/**
+ * Expand an event into the occurrences that overlap a time range
+ * Events without a rule have a single occurrence.
+ * @param {Object} event - { startTime, endTime, recurrenceRule }
+ * @param {Date} rangeStart - Range start
+ * @param {Date} rangeEnd - Range end
+ * @returns {Array} Array of { start, end } dates
+ */
+const expandOccurrences = (event, rangeStart, rangeEnd) => {
+  const start = moment(event.startTime);
+  const duration = moment(event.endTime).diff(start);
+  const from = moment(rangeStart);
+  const to = moment(rangeEnd);
+  const occurrences = [];
+
+  const consider = (occurrenceStart) => {
+    const occurrenceEnd = occurrenceStart.clone().add(duration, 'ms');
+    if (!occurrenceEnd.isBefore(from) && !occurrenceStart.isAfter(to)) {
+      occurrences.push({ start: occurrenceStart.toDate(), end: occurrenceEnd.toDate() });
+    }
+  };
+
+  if (!event.recurrenceRule) {
+    consider(start);
+    return occurrences;
+  }
+
+  const rule = parseRule(event.recurrenceRule);
+  const unit = FREQUENCIES[rule.freq];
+  let emitted = 0;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const periodStart = start.clone().add(i * rule.interval, unit);
+    let candidates = [periodStart];
+
+    // Weekly rules with BYDAY repeat on each listed weekday of the week
+    if (rule.byDay) {
+      const weekStart = periodStart.clone().subtract(periodStart.day(), 'days');
+      candidates = rule.byDay
+        .map(day => weekStart.clone().add(day, 'days'))
+        .filter(candidate => !candidate.isBefore(start));
+    }
+
+    for (const candidate of candidates) {
+      if (candidate.isAfter(to) || (rule.until && candidate.isAfter(rule.until))) {
+        return occurrences;
+      }
+      if (rule.count && emitted >= rule.count) {
+        return occurrences;
+      }
+      emitted++;
+      consider(candidate);
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  parseRule,
+  expandOccurrences
+};
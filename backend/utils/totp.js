@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as shown by authenticator apps:
+// six digits from an HMAC-SHA1 of the current 30-second step, with the
+// shared secret exchanged in base32.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 text
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Bytes
+ * @throws {Error} If the text is not base32
+ */
+const base32Decode = (text) => {
+  const cleaned = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+  for (const char of cleaned) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Secret is not valid base32');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random shared secret
+ * @returns {string} 160-bit secret in base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Step counter
+ */
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Compute the code of a secret for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step counter
+ * @returns {string} Six-digit code
+ */
+const generateCode = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against a secret, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user entered
+ * @param {Object} options - { window } steps either side to accept, { time } to check at
+ * @returns {number|null} Step the code belongs to, or null if it does not match
+ */
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const cleaned = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${DIGITS}}$`).test(cleaned)) {
+    return null;
+  }
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleaned))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {string} Key URI
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
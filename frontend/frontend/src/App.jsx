@@ -1,6 +1,8 @@
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import Home from "../src/components/Home";
 import SignIn from "./components/SignIn";
+import ChangePassword from "./components/ChangePassword";
+import ResetPassword from "./components/ResetPassword";
 import AdminDashboard from "./pages/Admin/Dashboard";
 import StudentDashboard from "./pages/Students/Dashboard";
 import TeacherDashboard from "./pages/Teachers/Dashboard";
@@ -8,12 +10,14 @@ import TeacherDashboard from "./pages/Teachers/Dashboard";
 import Classes from "./pages/Admin/Classes";
 import Exam from "./pages/Admin/Exam";
 import Attendance from "./pages/Admin/Attendance";
+import Leave from "./pages/Admin/Leave";
 import Performance from "./pages/Admin/Performance";
 import Teachers from "./pages/Admin/Teachers";
 import Students from "./pages/Admin/Students";
 import Assignments from "./pages/Admin/Assignment";
 import Library from "./pages/Admin/Library";
 import EventCalendar from "./pages/Admin/EventCalendar";
+import Timetable from "./pages/Admin/Timetable";
 import SettingsProfile from "./pages/Admin/SettingsProfile";
 import Announcement from "./pages/Admin/Announcement";
 
@@ -21,6 +25,8 @@ import StudentAssignments from "../src/pages/Students/Assignments";
 import ExamSection from "../src/pages/Students/Exams";
 import PerformanceSection from "../src/pages/Students/Performance";
 import AttendanceSection from "../src/pages/Students/Attendance";
+import CheckInSection from "../src/pages/Students/CheckIn";
+import LeaveSection from "../src/pages/Students/Leave";
 import LibrarySection from "../src/pages/Students/Library";
 import AnnouncementSection from "../src/pages/Students/Announcements";
 import ProfileSection from "../src/pages/Students/Profile";
@@ -34,6 +40,7 @@ import TeacherProfileSection from "../src/pages/Teachers/Profile";
 import CheckAnnouncementSection from "../src/pages/Teachers/Announcement";
 import AssignmentSection from "../src/pages/Teachers/Assignments";
 import CheckAttendanceSection from "../src/pages/Teachers/Attendance";
+import LeaveReviewSection from "../src/pages/Teachers/Leave";
 import CheckExamSection from "../src/pages/Teachers/Exams";
 
 function App() {
@@ -43,6 +50,8 @@ function App() {
         <Route path="/" element={<Home />} />
 
         <Route path="/signin" element={<SignIn />} />
+        <Route path="/change-password" element={<ChangePassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
 
         {/*Dashboard routs */}
         <Route path="/admin/dashboard" element={<AdminDashboard />} />
@@ -53,6 +62,7 @@ function App() {
         <Route path="/admin/classes" element={<Classes />} />
         <Route path="/admin/exams" element={<Exam />} />
         <Route path="/admin/attendance" element={<Attendance />} />
+        <Route path="/admin/leave" element={<Leave />} />
         <Route path="/admin/performance" element={<Performance />} />
         <Route path="/admin/teachers" element={<Teachers />} />
         <Route path="/admin/students" element={<Students />} />
@@ -60,6 +70,7 @@ function App() {
         <Route path="/admin/library" element={<Library />} />
         <Route path="/admin/communication" element={<Announcement />} />
         <Route path="/admin/events" element={<EventCalendar />} />
+        <Route path="/admin/timetable" element={<Timetable />} />
         <Route path="/admin/settings" element={<SettingsProfile />} />
 
         {/*All students routes*/}
@@ -67,6 +78,8 @@ function App() {
         <Route path="/student/exams" element={<ExamSection />} />
         <Route path="/student/performance" element={<PerformanceSection />} />
         <Route path="/student/attendance" element={<AttendanceSection />} />
+        <Route path="/student/checkin" element={<CheckInSection />} />
+        <Route path="/student/leave" element={<LeaveSection />} />
         <Route path="/student/library" element={<LibrarySection />} />
         <Route
           path="/student/communication"
@@ -88,6 +101,7 @@ function App() {
           path="/teacher/attendance"
           element={<CheckAttendanceSection />}
         />
+        <Route path="/teacher/leave" element={<LeaveReviewSection />} />
         <Route
           path="/teacher/communication"
           element={<CheckAnnouncementSection />}
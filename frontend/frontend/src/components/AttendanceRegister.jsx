@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import {
+  CheckinBox,
+  CheckinRow,
+  SessionButton,
+  StatsTitle,
+  EmptyMessage,
+  ErrorMessage,
+} from "../styles/AttendanceStyles";
+import { getAccessToken } from "../context/authStore";
+
+// Download a subject's attendance register as CSV, or upload a filled one.
+// Uploads are previewed first; only the previewed file can then be applied.
+const AttendanceRegister = ({ subjectId, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [fileKey, setFileKey] = useState(0);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  // Start over when another subject is picked
+  useEffect(() => {
+    setFile(null);
+    setFileKey((key) => key + 1);
+    setPreview(null);
+    setMessage("");
+    setError("");
+  }, [subjectId]);
+
+  const handleDownload = async () => {
+    setError("");
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.ATTENDANCE.REGISTER(subjectId)), {
+        ...authConfig(),
+        responseType: "blob",
+      });
+      const fileName =
+        response.headers["content-disposition"]?.match(/filename="(.+)"/)?.[1] || "attendance.csv";
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const upload = async (dryRun) => {
+    setBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+      const response = await axios.post(
+        `${getApiUrl(API_ENDPOINTS.ATTENDANCE.REGISTER_IMPORT(subjectId))}?dryRun=${dryRun}`,
+        formData,
+        authConfig()
+      );
+      setMessage(response.data.message);
+      if (dryRun) {
+        setPreview(response.data);
+      } else {
+        setPreview(null);
+        setFile(null);
+        setFileKey((key) => key + 1);
+        onImported?.();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <CheckinBox>
+      <StatsTitle>Attendance Register</StatsTitle>
+      <SessionButton onClick={handleDownload}>Download CSV</SessionButton>{" "}
+      <input
+        key={fileKey}
+        type="file"
+        accept=".csv"
+        onChange={(e) => {
+          setFile(e.target.files[0] || null);
+          setPreview(null);
+        }}
+      />
+      <SessionButton onClick={() => upload(true)} disabled={!file || busy}>
+        Preview Import
+      </SessionButton>{" "}
+      {preview && preview.changes.length > 0 && (
+        <SessionButton onClick={() => upload(false)} disabled={busy}>
+          Apply {preview.changes.length} Change(s)
+        </SessionButton>
+      )}
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {message && <EmptyMessage>{message}</EmptyMessage>}
+
+      {preview?.changes.map((change) => (
+        <CheckinRow key={`${change.studentEmail}-${change.date}`} $present>
+          <span>
+            Row {change.row}: {change.rollNo} {change.studentEmail} on {change.date}
+          </span>
+          <span>
+            {change.from || "not marked"} → {change.to}
+          </span>
+        </CheckinRow>
+      ))}
+      {preview?.rejected.map((rejection, index) => (
+        <CheckinRow key={`rejected-${index}`}>
+          <span>
+            Row {rejection.row}: {rejection.studentEmail || "unknown student"}
+            {rejection.date && ` on ${rejection.date}`}
+          </span>
+          <span>Rejected: {rejection.reason}</span>
+        </CheckinRow>
+      ))}
+    </CheckinBox>
+  );
+};
+
+export default AttendanceRegister;
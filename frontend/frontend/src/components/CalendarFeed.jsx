@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import {
+  FeedBox,
+  FeedUrl,
+  EventMeta,
+  AddEventButton,
+  DeleteEventButton,
+  ErrorText,
+} from "../styles/EventCalendarStyles";
+import { getAccessToken } from "../context/authStore";
+
+// Subscription link for the user's personal .ics feed. The feed URL is only
+// returned when it is created, so it is shown until the page is left.
+const CalendarFeed = () => {
+  const [active, setActive] = useState(false);
+  const [feedUrl, setFeedUrl] = useState("");
+  const [error, setError] = useState("");
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.CALENDAR.FEED_TOKEN), authConfig());
+        setActive(response.data.active);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchStatus();
+  }, [authConfig]);
+
+  const handleCreate = async () => {
+    setError("");
+    try {
+      const response = await axios.post(getApiUrl(API_ENDPOINTS.CALENDAR.FEED_TOKEN), {}, authConfig());
+      setFeedUrl(response.data.feedUrl);
+      setActive(true);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleRevoke = async () => {
+    setError("");
+    try {
+      await axios.delete(getApiUrl(API_ENDPOINTS.CALENDAR.FEED_TOKEN), authConfig());
+      setFeedUrl("");
+      setActive(false);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  return (
+    <FeedBox>
+      <h3>Calendar Feed</h3>
+      <EventMeta>
+        Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see your
+        events, exams and deadlines. Anyone with the link can read your calendar.
+      </EventMeta>
+      {feedUrl && <FeedUrl type="text" value={feedUrl} readOnly onFocus={(e) => e.target.select()} />}
+      {active && !feedUrl && <EventMeta>A feed link is active. Create a new one to see it again.</EventMeta>}
+      <AddEventButton type="button" onClick={handleCreate}>
+        {active ? "Create New Link" : "Create Feed Link"}
+      </AddEventButton>
+      {active && <DeleteEventButton type="button" onClick={handleRevoke}>Revoke</DeleteEventButton>}
+      {error && <ErrorText>{error}</ErrorText>}
+    </FeedBox>
+  );
+};
+
+export default CalendarFeed;
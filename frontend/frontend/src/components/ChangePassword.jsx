@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import { useAuth } from "../context/useAuth";
+import {
+  AuthContainer,
+  FormContainer,
+  InputField,
+  SubmitButton,
+  ErrorMessage,
+  Title,
+} from "../styles/AuthStyles";
+
+const DASHBOARDS = {
+  admin: "/admin/dashboard",
+  faculty: "/teacher/dashboard",
+  student: "/student/dashboard",
+};
+
+const ChangePassword = () => {
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, isAuthenticated, passwordChanged } = useAuth();
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      navigate("/signin");
+    }
+  }, [isAuthenticated, navigate]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (newPassword.length < 8 || !/[a-zA-Z]/.test(newPassword) || !/\d/.test(newPassword)) {
+      setError("New password must be at least 8 characters with a letter and a digit");
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await axios.post(
+        getApiUrl(API_ENDPOINTS.AUTH.CHANGE_PASSWORD),
+        { currentPassword, newPassword },
+        {
+          headers: { "Content-Type": "application/json" },
+          timeout: 10000
+        }
+      );
+
+      passwordChanged();
+      const role = (user?.role || "").toLowerCase();
+      navigate(location.state?.redirectUrl || DASHBOARDS[role] || "/signin");
+    } catch (changeError) {
+      if (changeError.response?.status === 401) {
+        navigate("/signin");
+        return;
+      }
+      setError(changeError.response?.data?.message || "Failed to change password. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <AuthContainer>
+      <Title>Choose a New Password</Title>
+      <FormContainer onSubmit={handleSubmit}>
+        <InputField
+          type="password"
+          placeholder="Current Password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          required
+        />
+        <InputField
+          type="password"
+          placeholder="New Password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          required
+        />
+        <InputField
+          type="password"
+          placeholder="Confirm New Password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          required
+        />
+        <SubmitButton type="submit" disabled={isLoading}>
+          {isLoading ? "Saving..." : "Change Password"}
+        </SubmitButton>
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+      </FormContainer>
+    </AuthContainer>
+  );
+};
+
+export default ChangePassword;
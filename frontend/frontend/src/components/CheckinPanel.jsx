@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import {
+  CheckinBox,
+  QrImage,
+  CheckinRow,
+  SessionButton,
+  EmptyMessage,
+  ErrorMessage,
+} from "../styles/AttendanceStyles";
+import { getAccessToken } from "../context/authStore";
+
+const ROSTER_REFRESH_MS = 5000;
+
+// QR self check-in for today's class of a subject. The QR code is refetched
+// whenever it rotates and the roster is polled so the faculty member can watch
+// students arrive, correct results and finalize them into attendance.
+const CheckinPanel = ({ subjectId, onFinalized }) => {
+  const [session, setSession] = useState(null);
+  const [accepting, setAccepting] = useState(false);
+  const [qr, setQr] = useState(null);
+  const [roster, setRoster] = useState([]);
+  const [error, setError] = useState("");
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchRoster = useCallback(async (sessionId) => {
+    try {
+      const response = await axios.get(
+        getApiUrl(API_ENDPOINTS.ATTENDANCE.CHECKIN_SESSION(sessionId)),
+        authConfig()
+      );
+      setSession(response.data.session);
+      setAccepting(response.data.accepting);
+      setRoster(response.data.roster);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  // Start over when another subject is picked
+  useEffect(() => {
+    setSession(null);
+    setAccepting(false);
+    setQr(null);
+    setRoster([]);
+    setError("");
+  }, [subjectId]);
+
+  useEffect(() => {
+    if (!session || !accepting) return undefined;
+    const timer = setInterval(() => fetchRoster(session.id), ROSTER_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [session, accepting, fetchRoster]);
+
+  useEffect(() => {
+    if (!session || !accepting || !qr) return undefined;
+    const delay = Math.max(new Date(qr.rotatesAt).getTime() - Date.now(), 1000);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(
+          getApiUrl(API_ENDPOINTS.ATTENDANCE.CHECKIN_QR(session.id)),
+          authConfig()
+        );
+        setQr(response.data.qr);
+      } catch {
+        // The session closed or expired
+        setQr(null);
+        fetchRoster(session.id);
+      }
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [session, accepting, qr, authConfig, fetchRoster]);
+
+  const handleOpen = async () => {
+    setError("");
+    try {
+      const response = await axios.post(
+        getApiUrl(API_ENDPOINTS.ATTENDANCE.CHECKIN_SESSIONS),
+        { subjectId },
+        authConfig()
+      );
+      setQr(response.data.qr);
+      await fetchRoster(response.data.session.id);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleOverride = async (studentEmail, present) => {
+    setError("");
+    try {
+      await axios.put(
+        getApiUrl(API_ENDPOINTS.ATTENDANCE.CHECKIN_RECORD(session.id, studentEmail)),
+        { present },
+        authConfig()
+      );
+      fetchRoster(session.id);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleClose = async () => {
+    setError("");
+    try {
+      await axios.post(getApiUrl(API_ENDPOINTS.ATTENDANCE.CHECKIN_CLOSE(session.id)), {}, authConfig());
+      setQr(null);
+      fetchRoster(session.id);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleFinalize = async () => {
+    setError("");
+    try {
+      await axios.post(getApiUrl(API_ENDPOINTS.ATTENDANCE.CHECKIN_FINALIZE(session.id)), {}, authConfig());
+      setQr(null);
+      await fetchRoster(session.id);
+      if (onFinalized) onFinalized();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const presentCount = roster.filter((entry) => entry.present).length;
+
+  return (
+    <CheckinBox>
+      <h3>QR Check-in</h3>
+      {!session ? (
+        <SessionButton onClick={handleOpen}>Start QR Check-in</SessionButton>
+      ) : (
+        <>
+          {accepting && qr ? (
+            <>
+              <EmptyMessage>
+                Students scan this code to check in. It changes every few seconds and
+                check-in closes at {new Date(session.expiresAt).toLocaleTimeString()}.
+              </EmptyMessage>
+              <QrImage src={qr.qrCode} alt="Check-in QR code" />
+            </>
+          ) : (
+            <EmptyMessage>
+              {session.status === "finalized"
+                ? "Check-in has been recorded as attendance."
+                : "Check-in is closed. Review the results and finalize them."}
+            </EmptyMessage>
+          )}
+
+          <div>
+            {presentCount} of {roster.length} present
+          </div>
+          {roster.map((entry) => (
+            <CheckinRow key={entry.studentEmail} $present={entry.present}>
+              <span>
+                {entry.rollNo} {entry.studentName}
+                {entry.checkedInAt && ` - checked in ${new Date(entry.checkedInAt).toLocaleTimeString()}`}
+                {entry.method === "manual" && " (set by faculty)"}
+              </span>
+              {session.status !== "finalized" && (
+                <SessionButton
+                  $danger={entry.present}
+                  onClick={() => handleOverride(entry.studentEmail, !entry.present)}
+                >
+                  Mark {entry.present ? "Absent" : "Present"}
+                </SessionButton>
+              )}
+            </CheckinRow>
+          ))}
+
+          {session.status === "open" && (
+            <SessionButton $danger onClick={handleClose}>Close Check-in</SessionButton>
+          )}
+          {session.status !== "finalized" && (
+            <SessionButton onClick={handleFinalize}>Finalize Attendance</SessionButton>
+          )}
+          {session.status === "finalized" && (
+            <SessionButton onClick={handleOpen}>Start New Check-in</SessionButton>
+          )}
+        </>
+      )}
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+    </CheckinBox>
+  );
+};
+
+export default CheckinPanel;
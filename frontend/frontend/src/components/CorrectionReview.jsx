@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import {
+  AttendanceList,
+  AttendanceItem,
+  AttendanceDate,
+  StudentInfo,
+  RemarksInput,
+  SessionButton,
+  SubjectFilter,
+  EmptyMessage,
+  ErrorMessage,
+} from "../styles/AttendanceStyles";
+import { getAccessToken, getCurrentUser } from "../context/authStore";
+
+const STATUS_LABELS = {
+  present: "Present",
+  late: "Late",
+  on_duty: "On Duty",
+  excused: "Excused",
+  absent: "Absent",
+};
+
+// Attendance correction requests awaiting the faculty who recorded the
+// attendance, or an admin once the attendance is past the edit window.
+const CorrectionReview = ({ defaultStatus = "pending" }) => {
+  const [status, setStatus] = useState(defaultStatus);
+  const [corrections, setCorrections] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const isAdmin = getCurrentUser()?.role === "admin";
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchCorrections = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.CORRECTIONS.GET_ALL), {
+        ...authConfig(),
+        params: status ? { status } : {},
+      });
+      setCorrections(response.data.corrections || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig, status]);
+
+  useEffect(() => {
+    fetchCorrections();
+  }, [fetchCorrections]);
+
+  const handleReview = async (correction, decision) => {
+    setError("");
+    setMessage("");
+    try {
+      const response = await axios.put(
+        getApiUrl(API_ENDPOINTS.CORRECTIONS.REVIEW(correction.id)),
+        { decision, note: notes[correction.id] || "" },
+        authConfig()
+      );
+      setMessage(response.data.message);
+      fetchCorrections();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const canReview = (correction) =>
+    correction.status === "pending" || (isAdmin && correction.status === "escalated");
+
+  return (
+    <>
+      <SubjectFilter value={status} onChange={(e) => setStatus(e.target.value)}>
+        <option value="pending">Pending</option>
+        <option value="escalated">Awaiting admin</option>
+        <option value="approved">Approved</option>
+        <option value="rejected">Rejected</option>
+        <option value="">All</option>
+      </SubjectFilter>
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {message && <EmptyMessage>{message}</EmptyMessage>}
+
+      {corrections.length === 0 ? (
+        <EmptyMessage>No correction requests.</EmptyMessage>
+      ) : (
+        <AttendanceList>
+          {corrections.map((correction) => (
+            <AttendanceItem key={correction.id}>
+              <AttendanceDate>{correction.attendance?.date}</AttendanceDate>
+              <StudentInfo>
+                <div>
+                  {correction.student?.rollNo} {correction.student?.name} -{" "}
+                  {correction.attendance?.subject?.subjectCode}:{" "}
+                  {STATUS_LABELS[correction.currentStatus]} to {STATUS_LABELS[correction.requestedStatus]}
+                </div>
+                <div>
+                  {correction.reason}
+                  {correction.requestedBy !== correction.studentEmail && ` (raised by ${correction.requestedBy})`}
+                </div>
+                {correction.reviewedBy && (
+                  <div>
+                    {correction.status} by {correction.reviewedBy}
+                    {correction.reviewNote && `: ${correction.reviewNote}`}
+                  </div>
+                )}
+              </StudentInfo>
+              {canReview(correction) && (
+                <>
+                  <RemarksInput
+                    value={notes[correction.id] || ""}
+                    onChange={(e) => setNotes((prev) => ({ ...prev, [correction.id]: e.target.value }))}
+                    placeholder="Note to student"
+                  />
+                  <SessionButton onClick={() => handleReview(correction, "approved")}>Approve</SessionButton>
+                  <SessionButton $danger onClick={() => handleReview(correction, "rejected")}>
+                    Reject
+                  </SessionButton>
+                </>
+              )}
+            </AttendanceItem>
+          ))}
+        </AttendanceList>
+      )}
+    </>
+  );
+};
+
+export default CorrectionReview;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import {
+  AttendanceList,
+  AttendanceItem,
+  AttendanceDate,
+  StudentInfo,
+  RemarksInput,
+  SessionButton,
+  SubjectFilter,
+  EmptyMessage,
+  ErrorMessage,
+} from "../styles/AttendanceStyles";
+import { getAccessToken } from "../context/authStore";
+
+// Leave requests awaiting the faculty of their subject, or an admin for leave
+// from every subject. Approving one excuses the student's absences in range.
+const LeaveReview = () => {
+  const [status, setStatus] = useState("pending");
+  const [leaves, setLeaves] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchLeaves = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.LEAVE.GET_ALL), {
+        ...authConfig(),
+        params: status ? { status } : {},
+      });
+      setLeaves(response.data.leaves || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig, status]);
+
+  useEffect(() => {
+    fetchLeaves();
+  }, [fetchLeaves]);
+
+  const handleReview = async (leave, decision) => {
+    setError("");
+    setMessage("");
+    try {
+      const response = await axios.put(
+        getApiUrl(API_ENDPOINTS.LEAVE.REVIEW(leave.id)),
+        { decision, note: notes[leave.id] || "" },
+        authConfig()
+      );
+      setMessage(
+        decision === "approved"
+          ? `Leave approved, ${response.data.excusedCount} absence(s) excused`
+          : "Leave rejected"
+      );
+      fetchLeaves();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleDownload = async (leave) => {
+    setError("");
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.LEAVE.DOCUMENT(leave.id)), {
+        ...authConfig(),
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = leave.documentName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  return (
+    <>
+      <SubjectFilter value={status} onChange={(e) => setStatus(e.target.value)}>
+        <option value="pending">Pending</option>
+        <option value="approved">Approved</option>
+        <option value="rejected">Rejected</option>
+        <option value="">All</option>
+      </SubjectFilter>
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {message && <EmptyMessage>{message}</EmptyMessage>}
+
+      {leaves.length === 0 ? (
+        <EmptyMessage>No leave requests.</EmptyMessage>
+      ) : (
+        <AttendanceList>
+          {leaves.map((leave) => (
+            <AttendanceItem key={leave.id}>
+              <AttendanceDate>
+                {leave.startDate === leave.endDate ? leave.startDate : `${leave.startDate} to ${leave.endDate}`}
+              </AttendanceDate>
+              <StudentInfo>
+                <div>
+                  {leave.student?.rollNo} {leave.student?.name} -{" "}
+                  {leave.subject ? leave.subject.subjectCode : "All subjects"} ({leave.type})
+                </div>
+                <div>{leave.reason}</div>
+                {leave.status !== "pending" && (
+                  <div>
+                    {leave.status} by {leave.reviewedBy}
+                    {leave.reviewNote && `: ${leave.reviewNote}`}
+                  </div>
+                )}
+              </StudentInfo>
+              {leave.documentName && (
+                <SessionButton onClick={() => handleDownload(leave)}>Document</SessionButton>
+              )}
+              {leave.status === "pending" && (
+                <>
+                  <RemarksInput
+                    value={notes[leave.id] || ""}
+                    onChange={(e) => setNotes((prev) => ({ ...prev, [leave.id]: e.target.value }))}
+                    placeholder="Note to student"
+                  />
+                  <SessionButton onClick={() => handleReview(leave, "approved")}>Approve</SessionButton>
+                  <SessionButton $danger onClick={() => handleReview(leave, "rejected")}>
+                    Reject
+                  </SessionButton>
+                </>
+              )}
+            </AttendanceItem>
+          ))}
+        </AttendanceList>
+      )}
+    </>
+  );
+};
+
+export default LeaveReview;
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import { SessionBox, SessionButton, SessionError } from "../styles/SessionStyles";
+import {
+  MfaQrCode,
+  MfaSecret,
+  MfaForm,
+  MfaInput,
+  RecoveryCodeList,
+  MfaNote,
+} from "../styles/MfaStyles";
+
+// Authenticator app enrolment, recovery codes and turning MFA off. Codes are
+// asked for again before destructive admin actions.
+const MfaSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState("");
+  const [error, setError] = useState("");
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.AUTH.MFA));
+      setStatus(response.data.mfa);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const run = async (action) => {
+    setError("");
+    try {
+      await action();
+      setCode("");
+      fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    const response = await axios.post(getApiUrl(API_ENDPOINTS.AUTH.MFA_SETUP));
+    setRecoveryCodes([]);
+    setSetup(response.data);
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await axios.post(getApiUrl(API_ENDPOINTS.AUTH.MFA_ENABLE), { code: code.trim() });
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+    });
+  };
+
+  const handleRegenerate = () => run(async () => {
+    const response = await axios.post(getApiUrl(API_ENDPOINTS.AUTH.MFA_RECOVERY_CODES), { code: code.trim() });
+    setRecoveryCodes(response.data.recoveryCodes);
+  });
+
+  const handleDisable = () => {
+    if (!window.confirm("Turn off multi-factor authentication? Deleting records and bulk uploads will be blocked until you set it up again.")) {
+      return;
+    }
+    run(async () => {
+      await axios.post(getApiUrl(API_ENDPOINTS.AUTH.MFA_DISABLE), { code: code.trim() });
+      setRecoveryCodes([]);
+    });
+  };
+
+  return (
+    <SessionBox>
+      <h3>Multi-Factor Authentication</h3>
+      {status && !status.enabled && !setup && (
+        <>
+          <MfaNote>
+            An authenticator app code is required before deleting students or faculty and before bulk uploads.
+          </MfaNote>
+          <SessionButton type="button" onClick={handleStartSetup}>
+            Set Up Authenticator
+          </SessionButton>
+        </>
+      )}
+
+      {setup && (
+        <>
+          <MfaNote>Scan this QR code with your authenticator app, or enter the key by hand.</MfaNote>
+          <MfaQrCode src={setup.qrCode} alt="Authenticator QR code" />
+          <MfaSecret>{setup.secret}</MfaSecret>
+          <MfaForm onSubmit={handleEnable}>
+            <MfaInput
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="6-digit code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+            <SessionButton type="submit">Turn On</SessionButton>
+          </MfaForm>
+        </>
+      )}
+
+      {status?.enabled && (
+        <>
+          <MfaNote>
+            Enabled · {status.recoveryCodesRemaining} recovery codes left
+            {status.stepUpExpiresAt && new Date(status.stepUpExpiresAt) > new Date() &&
+              ` · confirmed until ${new Date(status.stepUpExpiresAt).toLocaleTimeString()}`}
+          </MfaNote>
+          <MfaForm onSubmit={(e) => e.preventDefault()}>
+            <MfaInput
+              type="text"
+              autoComplete="one-time-code"
+              placeholder="Code or recovery code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            <SessionButton type="button" disabled={!code} onClick={handleRegenerate}>
+              New Recovery Codes
+            </SessionButton>
+            <SessionButton type="button" $danger disabled={!code} onClick={handleDisable}>
+              Turn Off
+            </SessionButton>
+          </MfaForm>
+        </>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <>
+          <MfaNote>
+            Save these recovery codes somewhere safe. Each works once if you lose your authenticator app, and they will not be shown again.
+          </MfaNote>
+          <RecoveryCodeList>
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </RecoveryCodeList>
+        </>
+      )}
+      {error && <SessionError>{error}</SessionError>}
+    </SessionBox>
+  );
+};
+
+export default MfaSettings;
@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import {
+  NotificationItem,
+  NotificationTitle,
+  NotificationMessage,
+  NotificationMeta,
+  MarkAllButton,
+} from "../styles/NotificationStyles";
+import { getAccessToken } from "../context/authStore";
+
+// The signed-in user's notifications, such as low attendance alerts.
+// Clicking an unread notification marks it as read.
+const NotificationList = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [error, setError] = useState("");
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.NOTIFICATIONS.GET_ALL), authConfig());
+      setNotifications(response.data.notifications || []);
+      setUnreadCount(response.data.unreadCount || 0);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  const handleRead = async (notification) => {
+    if (notification.readAt) return;
+    try {
+      await axios.put(getApiUrl(API_ENDPOINTS.NOTIFICATIONS.READ(notification.id)), {}, authConfig());
+      fetchNotifications();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleReadAll = async () => {
+    try {
+      await axios.put(getApiUrl(API_ENDPOINTS.NOTIFICATIONS.READ_ALL), {}, authConfig());
+      fetchNotifications();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  if (error) return <div>{error}</div>;
+  if (notifications.length === 0) return <div>No notifications.</div>;
+
+  return (
+    <div>
+      {unreadCount > 0 && (
+        <MarkAllButton type="button" onClick={handleReadAll}>
+          Mark all {unreadCount} as read
+        </MarkAllButton>
+      )}
+      {notifications.map((notification) => (
+        <NotificationItem
+          key={notification.id}
+          $unread={!notification.readAt}
+          onClick={() => handleRead(notification)}
+        >
+          <NotificationTitle $unread={!notification.readAt}>{notification.title}</NotificationTitle>
+          <NotificationMessage>{notification.message}</NotificationMessage>
+          <NotificationMeta>{new Date(notification.created_at).toLocaleString()}</NotificationMeta>
+        </NotificationItem>
+      ))}
+    </div>
+  );
+};
+
+export default NotificationList;
@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import {
+  AuthContainer,
+  FormContainer,
+  InputField,
+  SubmitButton,
+  ErrorMessage,
+  ResetLink,
+  Title,
+} from "../styles/AuthStyles";
+
+// Opened from the link in a password reset email, which carries the token
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [message, setMessage] = useState("");
+  const [isDone, setIsDone] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+  const token = searchParams.get("token");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage("");
+
+    if (!token) {
+      setMessage("This reset link is incomplete. Please request a new one.");
+      return;
+    }
+
+    if (password.length < 8 || !/[a-zA-Z]/.test(password) || !/\d/.test(password)) {
+      setMessage("Password must be at least 8 characters with a letter and a digit");
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setMessage("Passwords do not match");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await axios.post(
+        getApiUrl(API_ENDPOINTS.AUTH.RESET_PASSWORD),
+        { token, password },
+        {
+          headers: { "Content-Type": "application/json" },
+          timeout: 10000
+        }
+      );
+      setMessage(response.data.message || "Password has been reset. You can now sign in.");
+      setIsDone(true);
+    } catch (resetError) {
+      setMessage(resetError.response?.data?.message || "Failed to reset password. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <AuthContainer>
+      <Title>Reset Password</Title>
+      <FormContainer onSubmit={handleSubmit}>
+        <InputField
+          type="password"
+          placeholder="New Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          disabled={isDone}
+          required
+        />
+        <InputField
+          type="password"
+          placeholder="Confirm New Password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          disabled={isDone}
+          required
+        />
+        <SubmitButton type="submit" disabled={isLoading || isDone}>
+          {isLoading ? "Saving..." : "Reset Password"}
+        </SubmitButton>
+        <ResetLink onClick={() => navigate("/signin")}>Back to Sign In</ResetLink>
+        {message && <ErrorMessage>{message}</ErrorMessage>}
+      </FormContainer>
+    </AuthContainer>
+  );
+};
+
+export default ResetPassword;
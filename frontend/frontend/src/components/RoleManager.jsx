@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import {
+  SessionBox,
+  SessionItem,
+  SessionDevice,
+  SessionMeta,
+  SessionButton,
+  SessionError,
+} from "../styles/SessionStyles";
+import { MfaNote } from "../styles/MfaStyles";
+import {
+  RoleForm,
+  RoleInput,
+  RoleSelect,
+  RoleTag,
+  PermissionGrid,
+  PermissionOption,
+} from "../styles/RoleStyles";
+
+const emptyRole = { name: "", description: "", departmentScoped: false };
+
+// Staff roles such as HOD or librarian: who holds them, for which department,
+// and which permissions each role grants
+const RoleManager = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [assignment, setAssignment] = useState({ userEmail: "", roleId: "", department: "" });
+  const [editedRoleId, setEditedRoleId] = useState("");
+  const [editedPermissions, setEditedPermissions] = useState([]);
+  const [newRole, setNewRole] = useState(emptyRole);
+  const [error, setError] = useState("");
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      const [rolesResponse, assignmentsResponse] = await Promise.all([
+        axios.get(getApiUrl(API_ENDPOINTS.ADMIN.ROLES)),
+        axios.get(getApiUrl(API_ENDPOINTS.ADMIN.ROLE_ASSIGNMENTS)),
+      ]);
+      setRoles(rolesResponse.data.roles || []);
+      setPermissions(rolesResponse.data.permissions || []);
+      setAssignments(assignmentsResponse.data.assignments || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRoles();
+  }, [fetchRoles]);
+
+  const run = async (action) => {
+    setError("");
+    try {
+      await action();
+      fetchRoles();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const selectedRole = roles.find((role) => String(role.id) === String(assignment.roleId));
+
+  const handleAssign = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await axios.post(getApiUrl(API_ENDPOINTS.ADMIN.ROLE_ASSIGNMENTS), {
+        userEmail: assignment.userEmail.trim(),
+        roleId: assignment.roleId,
+        department: selectedRole?.departmentScoped ? assignment.department.trim() : undefined,
+      });
+      setAssignment({ userEmail: "", roleId: "", department: "" });
+    });
+  };
+
+  const handleUnassign = (item) => {
+    if (!window.confirm(`Remove the ${item.role} role from ${item.userEmail}?`)) {
+      return;
+    }
+    run(() => axios.delete(getApiUrl(API_ENDPOINTS.ADMIN.ROLE_ASSIGNMENT(item.id))));
+  };
+
+  const handleEditRole = (roleId) => {
+    setEditedRoleId(roleId);
+    const role = roles.find((r) => String(r.id) === String(roleId));
+    setEditedPermissions(role ? role.permissions : []);
+  };
+
+  const togglePermission = (name) => {
+    setEditedPermissions((current) =>
+      current.includes(name) ? current.filter((permission) => permission !== name) : [...current, name]
+    );
+  };
+
+  const handleSavePermissions = () => run(() =>
+    axios.put(getApiUrl(API_ENDPOINTS.ADMIN.ROLE_PERMISSIONS(editedRoleId)), { permissions: editedPermissions })
+  );
+
+  const handleDeleteRole = () => {
+    const role = roles.find((r) => String(r.id) === String(editedRoleId));
+    if (!role || !window.confirm(`Delete the ${role.name} role? Everyone holding it loses its permissions.`)) {
+      return;
+    }
+    run(async () => {
+      await axios.delete(getApiUrl(API_ENDPOINTS.ADMIN.ROLE(role.id)));
+      setEditedRoleId("");
+    });
+  };
+
+  const handleCreateRole = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await axios.post(getApiUrl(API_ENDPOINTS.ADMIN.ROLES), { ...newRole, permissions: [] });
+      setNewRole(emptyRole);
+    });
+  };
+
+  return (
+    <SessionBox>
+      <h3>Staff Roles</h3>
+      <MfaNote>
+        Roles add permissions on top of a user's account type. Department roles only cover students of
+        that branch and faculty of that department.
+      </MfaNote>
+
+      <RoleForm onSubmit={handleAssign}>
+        <RoleInput
+          type="email"
+          placeholder="User email"
+          value={assignment.userEmail}
+          onChange={(e) => setAssignment({ ...assignment, userEmail: e.target.value })}
+          required
+        />
+        <RoleSelect
+          value={assignment.roleId}
+          onChange={(e) => setAssignment({ ...assignment, roleId: e.target.value })}
+          required
+        >
+          <option value="">Choose a role</option>
+          {roles.map((role) => (
+            <option key={role.id} value={role.id}>
+              {role.description || role.name}
+            </option>
+          ))}
+        </RoleSelect>
+        {selectedRole?.departmentScoped && (
+          <RoleInput
+            type="text"
+            placeholder="Department, e.g. CSE"
+            value={assignment.department}
+            onChange={(e) => setAssignment({ ...assignment, department: e.target.value })}
+            required
+          />
+        )}
+        <SessionButton type="submit">Assign Role</SessionButton>
+      </RoleForm>
+
+      {assignments.map((item) => (
+        <SessionItem key={item.id}>
+          <div>
+            <SessionDevice>{item.userEmail}</SessionDevice>
+            <SessionMeta>
+              <RoleTag>{item.role}</RoleTag>
+              {item.department ? `for ${item.department}` : "all departments"}
+              {item.assignedBy && ` · assigned by ${item.assignedBy}`}
+            </SessionMeta>
+          </div>
+          <SessionButton type="button" $danger onClick={() => handleUnassign(item)}>
+            Remove
+          </SessionButton>
+        </SessionItem>
+      ))}
+
+      <h4>Role Permissions</h4>
+      <RoleSelect value={editedRoleId} onChange={(e) => handleEditRole(e.target.value)}>
+        <option value="">Choose a role to edit</option>
+        {roles.map((role) => (
+          <option key={role.id} value={role.id}>
+            {role.name}{role.departmentScoped ? " (per department)" : ""}
+          </option>
+        ))}
+      </RoleSelect>
+      {editedRoleId && (
+        <>
+          <PermissionGrid>
+            {permissions.map((permission) => (
+              <PermissionOption key={permission.name}>
+                <input
+                  type="checkbox"
+                  checked={editedPermissions.includes(permission.name)}
+                  onChange={() => togglePermission(permission.name)}
+                />
+                <span>
+                  {permission.name}
+                  <small>{permission.description}</small>
+                </span>
+              </PermissionOption>
+            ))}
+          </PermissionGrid>
+          <SessionButton type="button" onClick={handleSavePermissions}>
+            Save Permissions
+          </SessionButton>
+          <SessionButton type="button" $danger onClick={handleDeleteRole}>
+            Delete Role
+          </SessionButton>
+        </>
+      )}
+
+      <RoleForm onSubmit={handleCreateRole}>
+        <RoleInput
+          type="text"
+          placeholder="New role name, e.g. exam-cell"
+          value={newRole.name}
+          onChange={(e) => setNewRole({ ...newRole, name: e.target.value })}
+          required
+        />
+        <RoleInput
+          type="text"
+          placeholder="Description"
+          value={newRole.description}
+          onChange={(e) => setNewRole({ ...newRole, description: e.target.value })}
+        />
+        <PermissionOption>
+          <input
+            type="checkbox"
+            checked={newRole.departmentScoped}
+            onChange={(e) => setNewRole({ ...newRole, departmentScoped: e.target.checked })}
+          />
+          Per department
+        </PermissionOption>
+        <SessionButton type="submit">Create Role</SessionButton>
+      </RoleForm>
+      {error && <SessionError>{error}</SessionError>}
+    </SessionBox>
+  );
+};
+
+export default RoleManager;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import { useAuth } from "../context/useAuth";
+import {
+  SessionBox,
+  SessionItem,
+  SessionDevice,
+  SessionMeta,
+  SessionButton,
+  SessionError,
+} from "../styles/SessionStyles";
+
+// Devices signed in to the account, with where and when each was last used
+const SessionList = () => {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState("");
+  const { logout, logoutAll } = useAuth();
+  const navigate = useNavigate();
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.AUTH.SESSIONS));
+      setSessions(response.data.sessions || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    setError("");
+    try {
+      if (session.current) {
+        await logout();
+        navigate("/signin");
+        return;
+      }
+      await axios.delete(getApiUrl(API_ENDPOINTS.AUTH.SESSION(session.id)));
+      fetchSessions();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm("Log out of every device, including this one?")) {
+      return;
+    }
+    try {
+      await logoutAll();
+    } finally {
+      navigate("/signin");
+    }
+  };
+
+  return (
+    <SessionBox>
+      <h3>Signed-in Devices</h3>
+      {sessions.map((session) => (
+        <SessionItem key={session.id} $current={session.current}>
+          <div>
+            <SessionDevice>
+              {session.userAgent || "Unknown device"}
+              {session.current && " (this device)"}
+            </SessionDevice>
+            <SessionMeta>
+              {session.ipAddress || "Unknown IP"} · last seen {new Date(session.lastSeenAt).toLocaleString()}
+            </SessionMeta>
+          </div>
+          <SessionButton type="button" onClick={() => handleRevoke(session)}>
+            {session.current ? "Log Out" : "Sign Out"}
+          </SessionButton>
+        </SessionItem>
+      ))}
+      <SessionButton type="button" $danger onClick={handleLogoutAll}>
+        Log Out of All Devices
+      </SessionButton>
+      {error && <SessionError>{error}</SessionError>}
+    </SessionBox>
+  );
+};
+
+export default SessionList;
@@ -1,12 +1,9 @@
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import axios from "axios";
-import {
-  auth,
-  signInWithEmailAndPassword,
-  sendPasswordResetEmail,
-} from "../firebase";
+import { auth, signInWithEmailAndPassword } from "../firebase";
 import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import { useAuth } from "../context/useAuth";
 import {
   AuthContainer,
   FormContainer,
@@ -17,12 +14,16 @@ import {
   Title,
 } from "../styles/AuthStyles";
 
+// "local" signs in against the backend instead of Firebase
+const AUTH_PROVIDER = import.meta.env.VITE_AUTH_PROVIDER || "firebase";
+
 const SignIn = () => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
+  const { login } = useAuth();
 
   const handleSignIn = async (e) => {
     e.preventDefault();
@@ -51,34 +52,42 @@ const SignIn = () => {
     }
 
     try {
-      const userCredential = await signInWithEmailAndPassword(
-        auth,
-        email.trim(),
-        password
-      );
-      const idToken = await userCredential.user.getIdToken();
+      let idToken;
+      if (AUTH_PROVIDER === "local") {
+        const tokenResponse = await axios.post(
+          getApiUrl(API_ENDPOINTS.AUTH.TOKEN),
+          { email: email.trim(), password },
+          {
+            headers: { "Content-Type": "application/json" },
+            timeout: 10000
+          }
+        );
+        idToken = tokenResponse.data.idToken;
+      } else {
+        const userCredential = await signInWithEmailAndPassword(
+          auth,
+          email.trim(),
+          password
+        );
+        idToken = await userCredential.user.getIdToken();
+      }
 
-      const response = await axios.post(
-        getApiUrl(API_ENDPOINTS.AUTH.LOGIN),
-        { idToken },
-        { 
-          headers: { "Content-Type": "application/json" },
-          timeout: 10000 // 10 second timeout
-        }
-      );
+      // Exchange the ID token for a session
+      const data = await login(idToken);
 
-      if (response.data.status === "success") {
-        localStorage.setItem("authToken", idToken);
-        localStorage.setItem("userRole", response.data.role);
-        localStorage.setItem("userEmail", response.data.email);
-        localStorage.setItem("userName", response.data.name);
+      if (data.status === "success") {
+        const redirectUrl =
+          data.redirectUrl ||
+          `/${data.role.toLowerCase()}/dashboard`;
 
-        navigate(
-          response.data.redirectUrl ||
-            `/${response.data.role.toLowerCase()}/dashboard`
-        );
+        // One-time passwords must be replaced before anything else works
+        if (data.mustChangePassword) {
+          navigate("/change-password", { state: { redirectUrl } });
+        } else {
+          navigate(redirectUrl);
+        }
       } else {
-        setError(response.data.message || "Login failed. Please try again.");
+        setError(data.message || "Login failed. Please try again.");
       }
     } catch (error) {
       // Enhanced error handling
@@ -117,16 +126,17 @@ const SignIn = () => {
     }
 
     try {
-      await sendPasswordResetEmail(auth, email.trim());
-      setError("Password reset email sent. Please check your inbox.");
+      const response = await axios.post(
+        getApiUrl(API_ENDPOINTS.AUTH.FORGOT_PASSWORD),
+        { email: email.trim() },
+        {
+          headers: { "Content-Type": "application/json" },
+          timeout: 10000
+        }
+      );
+      setError(response.data.message || "Password reset email sent. Please check your inbox.");
     } catch (resetError) {
-      if (resetError.code === 'auth/user-not-found') {
-        setError("No account found with this email address.");
-      } else if (resetError.code === 'auth/invalid-email') {
-        setError("Invalid email address format.");
-      } else {
-        setError("Failed to send reset email. Please try again later.");
-      }
+      setError(resetError.response?.data?.message || "Failed to send reset email. Please try again later.");
     }
   };
 
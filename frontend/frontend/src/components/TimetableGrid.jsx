@@ -0,0 +1,70 @@
+import React from "react";
+import {
+  TimetableWrapper,
+  TimetableTable,
+  PeriodTime,
+  SlotCell,
+  SlotRemoveButton,
+} from "../styles/TimetableStyles";
+
+const currentTime = () => new Date().toTimeString().slice(0, 5);
+
+// ISO weekday, 1 = Monday
+const currentDay = () => new Date().getDay() || 7;
+
+// Weekly timetable with periods as rows and teaching days as columns. The
+// class in progress is highlighted; onRemove adds a remove button per slot.
+const TimetableGrid = ({ days, periods, slots, onRemove }) => {
+  if (slots.length === 0) {
+    return <div>No classes scheduled.</div>;
+  }
+
+  const now = currentTime();
+  const today = currentDay();
+
+  return (
+    <TimetableWrapper>
+      <TimetableTable>
+        <thead>
+          <tr>
+            <th>Period</th>
+            {days.map((day) => (
+              <th key={day.day}>{day.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {periods.map((period) => (
+            <tr key={period.period}>
+              <td>
+                {period.period}
+                <PeriodTime>{period.startTime} - {period.endTime}</PeriodTime>
+              </td>
+              {days.map((day) => (
+                <td key={day.day}>
+                  {slots
+                    .filter((slot) => slot.dayOfWeek === day.day && slot.period === period.period)
+                    .map((slot) => (
+                      <SlotCell
+                        key={slot.id}
+                        $current={day.day === today && period.startTime <= now && now < period.endTime}
+                      >
+                        <strong>{slot.subject.subjectCode}</strong>
+                        <div>{slot.subject.subjectName}</div>
+                        <div>{slot.room.name}</div>
+                        {onRemove && (
+                          <SlotRemoveButton onClick={() => onRemove(slot.id)}>Remove</SlotRemoveButton>
+                        )}
+                      </SlotCell>
+                    ))}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </TimetableTable>
+    </TimetableWrapper>
+  );
+};
+
+export default TimetableGrid;
@@ -16,9 +16,25 @@ export const getApiUrl = (endpoint) => {
 // Common API endpoints
 export const API_ENDPOINTS = {
   AUTH: {
+    TOKEN: '/auth/token',
     LOGIN: '/auth/login',
     VERIFY: '/auth/verify',
-    CHECK_ACCESS: '/auth/check-access'
+    CHECK_ACCESS: '/auth/check-access',
+    CHANGE_PASSWORD: '/auth/change-password',
+    FORGOT_PASSWORD: '/auth/forgot-password',
+    RESET_PASSWORD: '/auth/reset-password',
+    REFRESH: '/auth/refresh',
+    LOGOUT: '/auth/logout',
+    LOGOUT_ALL: '/auth/logout-all',
+    SESSIONS: '/auth/sessions',
+    SESSION: (id) => `/auth/sessions/${id}`,
+    MFA: '/auth/mfa',
+    MFA_SETUP: '/auth/mfa/setup',
+    MFA_ENABLE: '/auth/mfa/enable',
+    MFA_VERIFY: '/auth/mfa/verify',
+    MFA_RECOVERY_CODES: '/auth/mfa/recovery-codes',
+    MFA_DISABLE: '/auth/mfa/disable',
+    PERMISSIONS: '/auth/permissions'
   },
   ADMIN: {
     UPLOAD_STUDENT: '/admin/upload-student',
@@ -27,13 +43,25 @@ export const API_ENDPOINTS = {
     GET_STUDENT: (rollNo) => `/admin/student/${rollNo}`,
     GET_FACULTY: (email) => `/admin/faculty/${email}`,
     GET_ALL_STUDENTS: '/admin/students',
-    GET_ALL_FACULTY: '/admin/faculty'
+    GET_ALL_FACULTY: '/admin/faculty',
+    TRANSCRIPTS: '/admin/transcripts',
+    ATTENDANCE_THRESHOLDS: '/admin/attendance/thresholds',
+    ATTENDANCE_THRESHOLD: (id) => `/admin/attendance/thresholds/${id}`,
+    ATTENDANCE_INELIGIBLE: '/admin/attendance/ineligible',
+    ATTENDANCE_CONDONATION: (subjectId, email) => `/admin/attendance/condonations/${subjectId}/${email}`,
+    ATTENDANCE_ALERTS: '/admin/attendance/alerts',
+    ROLES: '/admin/roles',
+    ROLE: (id) => `/admin/roles/${id}`,
+    ROLE_PERMISSIONS: (id) => `/admin/roles/${id}/permissions`,
+    ROLE_ASSIGNMENTS: '/admin/role-assignments',
+    ROLE_ASSIGNMENT: (id) => `/admin/role-assignments/${id}`
   },
   STUDENT: {
     PROFILE: (email) => `/student/profile/${email}`,
     SUBJECTS: (email) => `/student/subjects/${email}`,
     ATTENDANCE_SUMMARY: (email) => `/student/attendance-summary/${email}`,
-    ATTENDANCE: (email, subjectId) => `/student/attendance/${email}/${subjectId}`
+    ATTENDANCE: (email, subjectId) => `/student/attendance/${email}/${subjectId}`,
+    TRANSCRIPT: (email) => `/student/transcript/${email}`
   },
   TEACHER: {
     PROFILE: (email) => `/teacher/profile/${email}`,
@@ -43,7 +71,42 @@ export const API_ENDPOINTS = {
   ATTENDANCE: {
     BULK: '/attendance/bulk',
     BY_SUBJECT_DATE: (subjectId, date) => `/attendance/subject/${subjectId}/date/${date}`,
-    FACULTY_SUBJECTS: (email) => `/attendance/faculty/${email}/subjects`
+    FACULTY_SUBJECTS: (email) => `/attendance/faculty/${email}/subjects`,
+    CHECKIN: '/attendance/checkin',
+    CHECKIN_SESSIONS: '/attendance/checkin-sessions',
+    CHECKIN_SESSION: (id) => `/attendance/checkin-sessions/${id}`,
+    CHECKIN_QR: (id) => `/attendance/checkin-sessions/${id}/qr`,
+    CHECKIN_RECORD: (id, email) => `/attendance/checkin-sessions/${id}/records/${email}`,
+    CHECKIN_CLOSE: (id) => `/attendance/checkin-sessions/${id}/close`,
+    CHECKIN_FINALIZE: (id) => `/attendance/checkin-sessions/${id}/finalize`,
+    ELIGIBILITY: (subjectId) => `/attendance/eligibility/subject/${subjectId}`,
+    REGISTER: (subjectId) => `/attendance/register/subject/${subjectId}`,
+    REGISTER_IMPORT: (subjectId) => `/attendance/register/subject/${subjectId}/import`,
+    AUDIT: (id) => `/attendance/records/${id}/audit`,
+    STUDENT_RECORDS: (email) => `/attendance/student/${email}`,
+    STUDENT_SUBJECTS: (email) => `/attendance/student/${email}/subjects`,
+    STUDENT_SUBJECT_RECORDS: (email, subjectId) => `/attendance/student/${email}/subject/${subjectId}`,
+    STUDENT_SUMMARY: (email) => `/attendance/student/${email}/summary`
+  },
+  LEAVE: {
+    APPLY: '/leave',
+    MINE: '/leave/me',
+    GET_ALL: '/leave',
+    DOCUMENT: (id) => `/leave/${id}/document`,
+    REVIEW: (id) => `/leave/${id}/review`,
+    CANCEL: (id) => `/leave/${id}`
+  },
+  CORRECTIONS: {
+    REQUEST: '/attendance-corrections',
+    MINE: '/attendance-corrections/me',
+    GET_ALL: '/attendance-corrections',
+    REVIEW: (id) => `/attendance-corrections/${id}/review`,
+    CANCEL: (id) => `/attendance-corrections/${id}`
+  },
+  NOTIFICATIONS: {
+    GET_ALL: '/notifications',
+    READ: (id) => `/notifications/${id}/read`,
+    READ_ALL: '/notifications/read-all'
   },
   ANNOUNCEMENTS: {
     CREATE: '/announcements',
@@ -59,13 +122,71 @@ export const API_ENDPOINTS = {
     GET_ALL: '/calendar',
     GET_LATEST: '/calendar/latest',
     GET_BY_ID: (id) => `/calendar/${id}`,
-    DOWNLOAD: (id) => `/calendar/${id}/download`
+    DOWNLOAD: (id) => `/calendar/${id}/download`,
+    FEED_TOKEN: '/calendar/feed-token',
+    IMPORT: '/calendar/import'
+  },
+  TIMETABLE: {
+    MINE: '/timetable/me',
+    GET_ALL: '/timetable',
+    CURRENT: (subjectId) => `/timetable/subject/${subjectId}/current`,
+    ROOMS: '/timetable/rooms',
+    ROOM: (id) => `/timetable/rooms/${id}`,
+    SLOTS: '/timetable/slots',
+    SLOT: (id) => `/timetable/slots/${id}`
   },
   SUBJECT_ENROLLMENT: {
     CREATE_ALL: '/subject-enrollment/create-all',
     CREATE_SPECIFIC: '/subject-enrollment/create-specific',
     GET_ALL: '/subject-enrollment',
     GET_BY_ID: (id) => `/subject-enrollment/${id}`
+  },
+  EXAMS: {
+    CREATE: '/exams',
+    GET_ALL: '/exams',
+    GET_BY_ID: (id) => `/exams/${id}`,
+    UPDATE: (id) => `/exams/${id}`,
+    DELETE: (id) => `/exams/${id}`,
+    RESULTS: (id) => `/exams/${id}/results`,
+    STUDENT_RESULTS: (email) => `/exams/student/${email}/results`
+  },
+  ASSIGNMENTS: {
+    CREATE: '/assignments',
+    GET_ALL: '/assignments',
+    GET_BY_ID: (id) => `/assignments/${id}`,
+    UPDATE: (id) => `/assignments/${id}`,
+    DELETE: (id) => `/assignments/${id}`,
+    ATTACHMENT: (id) => `/assignments/${id}/attachment`,
+    SUBMISSIONS: (id) => `/assignments/${id}/submissions`,
+    MY_SUBMISSION: (id) => `/assignments/${id}/submissions/mine`,
+    SUBMISSION_FILE: (submissionId) => `/assignments/submissions/${submissionId}/file`,
+    GRADE: (submissionId) => `/assignments/submissions/${submissionId}/grade`
+  },
+  LIBRARY: {
+    BOOKS: '/library/books',
+    BOOK_BY_ID: (id) => `/library/books/${id}`,
+    STOCK: (id) => `/library/books/${id}/stock`,
+    COPIES: (id) => `/library/books/${id}/copies`,
+    COPY: (copyId) => `/library/copies/${copyId}`,
+    BORROW: (id) => `/library/books/${id}/borrow`,
+    LOANS: '/library/loans',
+    RETURN: (loanId) => `/library/loans/${loanId}/return`,
+    RENEW: (loanId) => `/library/loans/${loanId}/renew`,
+    PAY_FINE: (loanId) => `/library/loans/${loanId}/pay-fine`,
+    STUDENT_LOANS: (email) => `/library/students/${email}/loans`
+  },
+  PERFORMANCE: {
+    STUDENT: (email) => `/performance/student/${email}`,
+    SUBJECTS: '/performance/subjects',
+    SUBJECT: (subjectId) => `/performance/subject/${subjectId}`
+  },
+  EVENTS: {
+    CREATE: '/events',
+    GET_ALL: '/events',
+    UPCOMING: '/events/upcoming',
+    GET_BY_ID: (id) => `/events/${id}`,
+    UPDATE: (id) => `/events/${id}`,
+    DELETE: (id) => `/events/${id}`
   }
 };
 
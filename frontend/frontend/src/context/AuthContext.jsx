@@ -0,0 +1,86 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../config/api";
+import { AuthContext } from "./useAuth";
+import { getSession, setSession, clearSession, subscribe } from "./authStore";
+
+// Holds the session for the whole app and re-renders consumers when it
+// changes, including when a refresh fails and the user is signed out
+export const AuthProvider = ({ children }) => {
+  const [session, setSessionState] = useState(getSession);
+
+  useEffect(() => subscribe(setSessionState), []);
+
+  // Exchange an ID token from Firebase or /auth/token for a session, asking
+  // for an authenticator code when the account has MFA enabled
+  const login = useCallback(async (idToken) => {
+    const post = (mfaCode) => axios.post(
+      getApiUrl(API_ENDPOINTS.AUTH.LOGIN),
+      { idToken },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          ...(mfaCode ? { "X-MFA-Code": mfaCode } : {})
+        },
+        timeout: 10000,
+        skipAuthRefresh: true
+      }
+    );
+
+    let response;
+    try {
+      response = await post();
+    } catch (error) {
+      if (error.response?.status !== 401 || error.response.data?.code !== "MFA_REQUIRED") {
+        throw error;
+      }
+      const code = window.prompt("Enter the code from your authenticator app, or a recovery code, to sign in");
+      if (!code) {
+        throw error;
+      }
+      response = await post(code.trim());
+    }
+
+    if (response.data.status === "success") {
+      const { accessToken, refreshToken, name, email, role, userUnivId, mustChangePassword } = response.data;
+      setSession({
+        accessToken,
+        refreshToken,
+        user: { name, email, role, univId: userUnivId, mustChangePassword }
+      });
+    }
+    return response.data;
+  }, []);
+
+  const endSession = useCallback(async (endpoint) => {
+    try {
+      await axios.post(getApiUrl(endpoint), {}, { timeout: 10000 });
+    } finally {
+      clearSession();
+    }
+  }, []);
+
+  const logout = useCallback(() => endSession(API_ENDPOINTS.AUTH.LOGOUT), [endSession]);
+
+  const logoutAll = useCallback(() => endSession(API_ENDPOINTS.AUTH.LOGOUT_ALL), [endSession]);
+
+  const passwordChanged = useCallback(() => {
+    const current = getSession();
+    if (current) {
+      setSession({ ...current, user: { ...current.user, mustChangePassword: false } });
+    }
+  }, []);
+
+  const value = useMemo(() => ({
+    user: session?.user || null,
+    isAuthenticated: Boolean(session?.accessToken),
+    login,
+    logout,
+    logoutAll,
+    passwordChanged,
+  }), [session, login, logout, logoutAll, passwordChanged]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
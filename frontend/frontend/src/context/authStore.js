@@ -0,0 +1,115 @@
+import axios from "axios";
+import API_BASE_URL, { getApiUrl, API_ENDPOINTS } from "../config/api";
+
+// The signed-in session: its access and refresh tokens and the user they
+// belong to. It is kept under one localStorage key so it survives reloads;
+// everything else reads it through these helpers or useAuth().
+const STORAGE_KEY = "session";
+
+const listeners = new Set();
+let refreshing = null;
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+let session = loadSession();
+
+export const getSession = () => session;
+
+export const getAccessToken = () => session?.accessToken || null;
+
+export const getCurrentUser = () => session?.user || null;
+
+export const setSession = (nextSession) => {
+  session = nextSession;
+  if (session) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  listeners.forEach((listener) => listener(session));
+};
+
+export const clearSession = () => setSession(null);
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Exchange the refresh token for new tokens. Concurrent callers share one
+// request, since each refresh token only works once.
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = axios
+      .post(
+        getApiUrl(API_ENDPOINTS.AUTH.REFRESH),
+        { refreshToken: session?.refreshToken },
+        { skipAuthRefresh: true, timeout: 10000 }
+      )
+      .then(({ data }) => {
+        setSession({ ...session, accessToken: data.accessToken, refreshToken: data.refreshToken });
+        return data.accessToken;
+      })
+      .catch((error) => {
+        clearSession();
+        throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// Ask for an authenticator code when the server wants a step-up before a
+// destructive action, confirm the session with it and retry the request once
+const retryWithStepUp = async (error) => {
+  const code = window.prompt("Enter the code from your authenticator app, or a recovery code, to confirm this action");
+  if (!code) {
+    throw error;
+  }
+
+  await axios.post(getApiUrl(API_ENDPOINTS.AUTH.MFA_VERIFY), { code: code.trim() }, { timeout: 10000 });
+  error.config.stepUpRetried = true;
+  return axios(error.config);
+};
+
+// Send the access token with API requests that do not set their own, and
+// retry a request once with a refreshed token when the access token expired
+// or after a step-up when the action needs one
+export const installAuthInterceptors = () => {
+  axios.interceptors.request.use((config) => {
+    const accessToken = getAccessToken();
+    if (accessToken && config.url?.startsWith(API_BASE_URL) && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
+    return config;
+  });
+
+  axios.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    if (response?.status === 403 && response.data?.code === "MFA_REQUIRED" && config && !config.stepUpRetried) {
+      return retryWithStepUp(error);
+    }
+    if (response?.status !== 401 || !config || config.skipAuthRefresh || config.authRetried || !session?.refreshToken) {
+      throw error;
+    }
+
+    let accessToken;
+    try {
+      accessToken = await refreshSession();
+    } catch {
+      throw error;
+    }
+
+    config.authRetried = true;
+    config.headers.Authorization = `Bearer ${accessToken}`;
+    return axios(config);
+  });
+};
@@ -0,0 +1,12 @@
+import { createContext, useContext } from "react";
+
+export const AuthContext = createContext(null);
+
+// The signed-in user and login/logout actions, from the nearest AuthProvider
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used inside an AuthProvider");
+  }
+  return context;
+};
@@ -1,8 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import Sidebar from './Sidebar';
 import axios from 'axios';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
 import {
   AssignmentsContainer,
   Content,
@@ -10,13 +11,46 @@ import {
   AssignmentsHeader,
   AssignmentList,
   AssignmentItem,
-  AddAssignmentForm,
-  AddAssignmentInput,
-  AddAssignmentTextArea,
-  AddAssignmentButton,
+  AssignmentMeta,
+  LinkButton,
 } from '../../styles/AssignmentsStyles';
+import { getAccessToken } from '../../context/authStore';
 
 const Assignments = () => {
+  const [assignments, setAssignments] = useState([]);
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchAssignments = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.ASSIGNMENTS.GET_ALL), authConfig());
+      setAssignments(response.data.assignments || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  useEffect(() => {
+    fetchAssignments();
+  }, [fetchAssignments]);
+
+  const handleDelete = async (assignment) => {
+    if (!window.confirm(`Delete "${assignment.title}" and all of its submissions?`)) {
+      return;
+    }
+    try {
+      await axios.delete(getApiUrl(API_ENDPOINTS.ASSIGNMENTS.DELETE(assignment.id)), authConfig());
+      toast.success('Assignment deleted');
+      fetchAssignments();
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message);
+    }
+  };
+
   return (
     <AssignmentsContainer>
       <ToastContainer />
@@ -24,29 +58,21 @@ const Assignments = () => {
       <Content>
         <AssignmentsContent>
           <AssignmentsHeader>Assignments</AssignmentsHeader>
-          <AddAssignmentForm >
-            <AddAssignmentInput
-              type="text"
-              placeholder="Enter assignment title"
-        
-            />
-            <AddAssignmentTextArea
-              placeholder="Enter assignment description"
-             
-            />
-            <AddAssignmentInput
-              type="text"
-              placeholder="Enter assignment grade"
-             
-            />
-            <AddAssignmentInput
-              type="text"
-              placeholder="Enter assignment deadline"
-             
-            />
-            <AddAssignmentButton type="submit">Add Assignment</AddAssignmentButton>
-          </AddAssignmentForm>
+          {assignments.length === 0 && <p>No assignments have been published.</p>}
           <AssignmentList>
+            {assignments.map((assignment) => (
+              <AssignmentItem key={assignment.id}>
+                <strong>{assignment.title}</strong> - {assignment.subject?.subjectName} (
+                {assignment.subject?.subjectCode})
+                <AssignmentMeta>
+                  {assignment.subject?.faculty?.name || assignment.createdBy} • Due{' '}
+                  {new Date(assignment.dueDate).toLocaleString()} • Max {assignment.maxMarks}
+                </AssignmentMeta>
+                <LinkButton type="button" onClick={() => handleDelete(assignment)}>
+                  Delete
+                </LinkButton>
+              </AssignmentItem>
+            ))}
           </AssignmentList>
         </AssignmentsContent>
       </Content>
@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import Sidebar from "./Sidebar";
 import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../../config/api";
 import {
   AttendanceContainer,
   Content,
@@ -8,28 +9,128 @@ import {
   AttendanceHeader,
   AttendanceList,
   AttendanceItem,
-  StudentName,
-  CheckboxLabel,
-  Divider,
-  SubmitButton,
+  StudentInfo,
+  RemarksInput,
+  EmptyMessage,
+  ErrorMessage,
+  SessionPanel,
+  SessionSummary,
+  SessionButton,
+  StatsTitle,
 } from "../../styles/AttendanceStyles";
+import { getAccessToken } from "../../context/authStore";
+
+const emptyThreshold = { scope: "course", scopeValue: "", minimumPercentage: "" };
 
 const Attendance = () => {
-  const [students, setStudents] = useState([]); // 🔧 Define the students array
+  const [thresholds, setThresholds] = useState({ defaultPercentage: null, warningMargin: null, thresholds: [] });
+  const [subjects, setSubjects] = useState([]);
+  const [report, setReport] = useState([]);
+  const [newThreshold, setNewThreshold] = useState(emptyThreshold);
+  const [reasons, setReasons] = useState({});
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchThresholds = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.ADMIN.ATTENDANCE_THRESHOLDS), authConfig());
+      setThresholds(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.ADMIN.ATTENDANCE_INELIGIBLE), authConfig());
+      setReport(response.data.subjects || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
 
   useEffect(() => {
-    // You can later replace this with an actual API call using axios
-    const dummyData = [
-      { id: 1, name: "Alice" },
-      { id: 2, name: "Bob" },
-      { id: 3, name: "Charlie" },
-    ];
-    setStudents(dummyData);
-  }, []);
-
-  const handleSubmit = () => {
-    console.log("Submit button clicked");
-    // Handle form submission logic here
+    const fetchSubjects = async () => {
+      try {
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.SUBJECT_ENROLLMENT.GET_ALL), authConfig());
+        setSubjects(response.data.enrollments || []);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchSubjects();
+    fetchThresholds();
+    fetchReport();
+  }, [authConfig, fetchThresholds, fetchReport]);
+
+  const subjectLabel = (id) => {
+    const subject = subjects.find((s) => String(s.id) === String(id));
+    return subject ? `${subject.subjectCode} ${subject.subjectName}` : `Subject ${id}`;
+  };
+
+  const handleThresholdChange = (e) => {
+    const { name, value } = e.target;
+    setNewThreshold((prev) => ({
+      ...prev,
+      [name]: value,
+      ...(name === "scope" && { scopeValue: "" }),
+    }));
+  };
+
+  const handleSaveThreshold = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      await axios.put(getApiUrl(API_ENDPOINTS.ADMIN.ATTENDANCE_THRESHOLDS), newThreshold, authConfig());
+      setNewThreshold(emptyThreshold);
+      fetchThresholds();
+      fetchReport();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleDeleteThreshold = async (id) => {
+    setError("");
+    try {
+      await axios.delete(getApiUrl(API_ENDPOINTS.ADMIN.ATTENDANCE_THRESHOLD(id)), authConfig());
+      fetchThresholds();
+      fetchReport();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleDecision = async (subjectId, studentEmail, decision) => {
+    setError("");
+    try {
+      await axios.put(
+        getApiUrl(API_ENDPOINTS.ADMIN.ATTENDANCE_CONDONATION(subjectId, studentEmail)),
+        { decision, reason: reasons[`${subjectId}-${studentEmail}`] || "" },
+        authConfig()
+      );
+      fetchReport();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleSendAlerts = async () => {
+    setError("");
+    setMessage("");
+    try {
+      const response = await axios.post(getApiUrl(API_ENDPOINTS.ADMIN.ATTENDANCE_ALERTS), {}, authConfig());
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
   };
 
   return (
@@ -37,30 +138,111 @@ const Attendance = () => {
       <Sidebar />
       <Content>
         <AttendanceContent>
-          <AttendanceHeader>Attendance</AttendanceHeader>
-          <AttendanceList>
-            {students.map((student, index) => (
-              <React.Fragment key={student.id}>
-                <AttendanceItem>
-                  <StudentName>{student.name}</StudentName>
-                  <CheckboxLabel>
-                    <input type="checkbox" />
-                    Present
-                  </CheckboxLabel>
-                  <CheckboxLabel>
-                    <input type="checkbox" />
-                    Absent
-                  </CheckboxLabel>
-                  <CheckboxLabel>
-                    <input type="checkbox" />
-                    Absent with apology
-                  </CheckboxLabel>
-                </AttendanceItem>
-                {index !== students.length - 1 && <Divider />}
+          <AttendanceHeader>Attendance Eligibility</AttendanceHeader>
+          {error && <ErrorMessage>{error}</ErrorMessage>}
+
+          <StatsTitle>Minimum Attendance</StatsTitle>
+          <EmptyMessage>
+            Default minimum is {thresholds.defaultPercentage}%. Students within{" "}
+            {thresholds.warningMargin} points above their minimum are alerted as at risk.
+          </EmptyMessage>
+          {thresholds.thresholds.map((threshold) => (
+            <SessionPanel key={threshold.id}>
+              <span>
+                {threshold.scope === "subject"
+                  ? subjectLabel(threshold.scopeValue)
+                  : `Course ${threshold.scopeValue}`}
+                : {threshold.minimumPercentage}%
+              </span>
+              <SessionButton $danger onClick={() => handleDeleteThreshold(threshold.id)}>
+                Remove
+              </SessionButton>
+            </SessionPanel>
+          ))}
+          <form onSubmit={handleSaveThreshold}>
+            <SessionPanel>
+              <select name="scope" value={newThreshold.scope} onChange={handleThresholdChange}>
+                <option value="course">Course</option>
+                <option value="subject">Subject</option>
+              </select>
+              {newThreshold.scope === "subject" ? (
+                <select name="scopeValue" value={newThreshold.scopeValue} onChange={handleThresholdChange} required>
+                  <option value="">Select subject</option>
+                  {subjects.map((subject) => (
+                    <option key={subject.id} value={subject.id}>
+                      {subject.subjectCode} {subject.subjectName}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  name="scopeValue"
+                  value={newThreshold.scopeValue}
+                  onChange={handleThresholdChange}
+                  placeholder="Course, e.g. BTech"
+                  required
+                />
+              )}
+              <input
+                name="minimumPercentage"
+                type="number"
+                min="0"
+                max="100"
+                step="0.5"
+                value={newThreshold.minimumPercentage}
+                onChange={handleThresholdChange}
+                placeholder="Minimum %"
+                required
+              />
+              <SessionButton type="submit">Save Threshold</SessionButton>
+            </SessionPanel>
+          </form>
+
+          <StatsTitle>Students Short of Attendance</StatsTitle>
+          <SessionButton onClick={handleSendAlerts}>Send Alerts Now</SessionButton>
+          {message && <EmptyMessage>{message}</EmptyMessage>}
+          {report.length === 0 ? (
+            <EmptyMessage>All students meet the attendance requirement.</EmptyMessage>
+          ) : (
+            report.map(({ subject, totalClasses, students }) => (
+              <React.Fragment key={subject.id}>
+                <SessionSummary>
+                  {subject.subjectCode} {subject.subjectName} - {totalClasses} classes
+                </SessionSummary>
+                <AttendanceList>
+                  {students.map((student) => {
+                    const key = `${subject.id}-${student.studentEmail}`;
+                    return (
+                      <AttendanceItem key={key}>
+                        <StudentInfo>
+                          <div>
+                            {student.rollNo} {student.studentName}: {student.percentage}% (minimum{" "}
+                            {student.minimumPercentage}%)
+                          </div>
+                          <div>
+                            {student.condonation
+                              ? `${student.condonation.decision === "condoned" ? "Condoned" : "Rejected"} by ${student.condonation.decidedBy}: ${student.condonation.reason}`
+                              : "Not eligible for exams"}
+                          </div>
+                        </StudentInfo>
+                        <RemarksInput
+                          value={reasons[key] || ""}
+                          onChange={(e) => setReasons((prev) => ({ ...prev, [key]: e.target.value }))}
+                          placeholder="Reason for decision"
+                        />
+                        <SessionButton onClick={() => handleDecision(subject.id, student.studentEmail, "condoned")}>
+                          Condone
+                        </SessionButton>
+                        <SessionButton $danger onClick={() => handleDecision(subject.id, student.studentEmail, "rejected")}>
+                          Reject
+                        </SessionButton>
+                      </AttendanceItem>
+                    );
+                  })}
+                </AttendanceList>
               </React.Fragment>
-            ))}
-          </AttendanceList>
-          <SubmitButton onClick={handleSubmit}>Submit</SubmitButton>
+            ))
+          )}
         </AttendanceContent>
       </Content>
     </AttendanceContainer>
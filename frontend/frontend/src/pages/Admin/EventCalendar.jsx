@@ -1,26 +1,305 @@
 // EventCalendar.js
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import Sidebar from "./Sidebar";
 import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../../config/api";
+import CalendarFeed from "../../components/CalendarFeed";
 import {
   EventCalendarContainer,
   Content,
   CalendarContainer,
   Events,
   Event,
-  AddEventForm,
+  EventForm,
   EventInput,
+  EventSelect,
+  FieldLabel,
+  RangeBar,
+  EventMeta,
+  TypeBadge,
   AddEventButton,
+  DeleteEventButton,
   ErrorText,
 } from "../../styles/EventCalendarStyles";
+import { getAccessToken } from "../../context/authStore";
+
+const EVENT_TYPES = ["holiday", "exam", "deadline", "meeting"];
+const AUDIENCE_TYPES = ["all", "course", "branch", "semester", "subject"];
+
+const emptyEvent = {
+  title: "",
+  type: "holiday",
+  audienceType: "all",
+  audienceValue: "",
+  startTime: "",
+  endTime: "",
+  location: "",
+  frequency: "",
+  count: "",
+};
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Build an RRULE such as FREQ=WEEKLY;COUNT=10 from the repeat fields
+const buildRecurrenceRule = (frequency, count) => {
+  if (!frequency) {
+    return null;
+  }
+  return count ? `FREQ=${frequency};COUNT=${count}` : `FREQ=${frequency}`;
+};
 
 const EventCalendar = () => {
+  const [subjects, setSubjects] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [month, setMonth] = useState(currentMonth());
+  const [newEvent, setNewEvent] = useState(emptyEvent);
+  const [error, setError] = useState("");
+  const [importFile, setImportFile] = useState(null);
+  const [importType, setImportType] = useState("holiday");
+  const [importResult, setImportResult] = useState("");
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      const [year, monthIndex] = month.split("-").map(Number);
+      const from = new Date(year, monthIndex - 1, 1);
+      const to = new Date(year, monthIndex, 0, 23, 59, 59);
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.EVENTS.GET_ALL), {
+        ...authConfig(),
+        params: { from: from.toISOString(), to: to.toISOString() },
+      });
+      setEvents(response.data.events || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig, month]);
+
+  useEffect(() => {
+    const fetchSubjects = async () => {
+      try {
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.SUBJECT_ENROLLMENT.GET_ALL), authConfig());
+        setSubjects(response.data.enrollments || []);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchSubjects();
+  }, [authConfig]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setNewEvent((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAudienceChange = (e) => {
+    setNewEvent((prev) => ({ ...prev, audienceType: e.target.value, audienceValue: "" }));
+  };
+
+  const handleAddEvent = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      await axios.post(
+        getApiUrl(API_ENDPOINTS.EVENTS.CREATE),
+        {
+          title: newEvent.title,
+          type: newEvent.type,
+          startTime: newEvent.startTime,
+          endTime: newEvent.endTime,
+          location: newEvent.location,
+          allDay: newEvent.type === "holiday",
+          audienceType: newEvent.audienceType,
+          audienceValue: newEvent.audienceValue,
+          recurrenceRule: buildRecurrenceRule(newEvent.frequency, newEvent.count),
+        },
+        authConfig()
+      );
+      setNewEvent(emptyEvent);
+      fetchEvents();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleDelete = async (eventId) => {
+    setError("");
+    try {
+      await axios.delete(getApiUrl(API_ENDPOINTS.EVENTS.DELETE(eventId)), authConfig());
+      fetchEvents();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setError("");
+    setImportResult("");
+    try {
+      const formData = new FormData();
+      formData.append("file", importFile);
+      formData.append("type", importType);
+      const response = await axios.post(getApiUrl(API_ENDPOINTS.CALENDAR.IMPORT), formData, authConfig());
+      const skipped = response.data.skipped.length;
+      setImportResult(`${response.data.message}${skipped ? `, skipped ${skipped}` : ""}.`);
+      setImportFile(null);
+      e.target.reset();
+      fetchEvents();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const describeAudience = (event) => {
+    if (event.audienceType === "all") {
+      return "Everyone";
+    }
+    if (event.audienceType === "subject") {
+      const subject = subjects.find((s) => String(s.id) === String(event.audienceValue));
+      return subject ? `${subject.subjectName} (${subject.subjectCode})` : "Subject";
+    }
+    return `${event.audienceType}: ${event.audienceValue}`;
+  };
+
   return (
     <EventCalendarContainer>
       <Sidebar />
       <Content>
         <h1>Events & Calendar</h1>
-        {/* */}
+        {error && <ErrorText>{error}</ErrorText>}
+
+        <CalendarContainer>
+          <RangeBar>
+            <FieldLabel>
+              Month
+              <EventInput type="month" value={month} onChange={(e) => setMonth(e.target.value)} />
+            </FieldLabel>
+          </RangeBar>
+
+          <Events>
+            {events.length === 0 && <p>No events this month.</p>}
+            {events.map((event) => (
+              <Event key={`${event.id}-${event.occurrenceStart}`}>
+                <DeleteEventButton onClick={() => handleDelete(event.id)}>Delete</DeleteEventButton>
+                <TypeBadge $type={event.type}>{event.type}</TypeBadge>
+                <strong>{event.title}</strong>
+                <EventMeta>
+                  {new Date(event.occurrenceStart).toLocaleString()} - {new Date(event.occurrenceEnd).toLocaleString()}
+                  {event.location && ` | ${event.location}`}
+                  {` | ${describeAudience(event)}`}
+                  {event.recurrenceRule && " | Repeats"}
+                </EventMeta>
+              </Event>
+            ))}
+          </Events>
+        </CalendarContainer>
+
+        <h2>Add New Event</h2>
+        <EventForm onSubmit={handleAddEvent}>
+          <FieldLabel>
+            Title
+            <EventInput type="text" name="title" value={newEvent.title} onChange={handleChange} required />
+          </FieldLabel>
+          <FieldLabel>
+            Type
+            <EventSelect name="type" value={newEvent.type} onChange={handleChange}>
+              {EVENT_TYPES.map((type) => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </EventSelect>
+          </FieldLabel>
+          <FieldLabel>
+            Audience
+            <EventSelect name="audienceType" value={newEvent.audienceType} onChange={handleAudienceChange}>
+              {AUDIENCE_TYPES.map((type) => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </EventSelect>
+          </FieldLabel>
+          {newEvent.audienceType === "subject" && (
+            <FieldLabel>
+              Subject
+              <EventSelect name="audienceValue" value={newEvent.audienceValue} onChange={handleChange} required>
+                <option value="">Select subject</option>
+                {subjects.map((subject) => (
+                  <option key={subject.id} value={subject.id}>
+                    {subject.subjectName} ({subject.subjectCode})
+                  </option>
+                ))}
+              </EventSelect>
+            </FieldLabel>
+          )}
+          {["course", "branch", "semester"].includes(newEvent.audienceType) && (
+            <FieldLabel>
+              {newEvent.audienceType}
+              <EventInput
+                type={newEvent.audienceType === "semester" ? "number" : "text"}
+                name="audienceValue"
+                value={newEvent.audienceValue}
+                onChange={handleChange}
+                required
+              />
+            </FieldLabel>
+          )}
+          <FieldLabel>
+            Starts
+            <EventInput type="datetime-local" name="startTime" value={newEvent.startTime} onChange={handleChange} required />
+          </FieldLabel>
+          <FieldLabel>
+            Ends
+            <EventInput type="datetime-local" name="endTime" value={newEvent.endTime} onChange={handleChange} required />
+          </FieldLabel>
+          <FieldLabel>
+            Location
+            <EventInput type="text" name="location" value={newEvent.location} onChange={handleChange} />
+          </FieldLabel>
+          <FieldLabel>
+            Repeats
+            <EventSelect name="frequency" value={newEvent.frequency} onChange={handleChange}>
+              <option value="">Does not repeat</option>
+              <option value="DAILY">Daily</option>
+              <option value="WEEKLY">Weekly</option>
+              <option value="MONTHLY">Monthly</option>
+            </EventSelect>
+          </FieldLabel>
+          {newEvent.frequency && (
+            <FieldLabel>
+              Occurrences
+              <EventInput type="number" min="1" name="count" value={newEvent.count} onChange={handleChange} />
+            </FieldLabel>
+          )}
+          <AddEventButton type="submit">Add Event</AddEventButton>
+        </EventForm>
+
+        <h2>Import Calendar (.ics)</h2>
+        <EventForm onSubmit={handleImport}>
+          <FieldLabel>
+            File
+            <EventInput type="file" accept=".ics,text/calendar" onChange={(e) => setImportFile(e.target.files[0])} required />
+          </FieldLabel>
+          <FieldLabel>
+            Type for uncategorised events
+            <EventSelect value={importType} onChange={(e) => setImportType(e.target.value)}>
+              {EVENT_TYPES.map((type) => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </EventSelect>
+          </FieldLabel>
+          <AddEventButton type="submit" disabled={!importFile}>Import</AddEventButton>
+        </EventForm>
+        {importResult && <EventMeta>{importResult}</EventMeta>}
+
+        <CalendarFeed />
       </Content>
     </EventCalendarContainer>
   );
@@ -1,41 +1,58 @@
 // Exam.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
 import Sidebar from './Sidebar';
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
 import {
   ExamContainer,
   SidebarContainer,
   Content,
   ExamHeader,
-  ExamForm,
-  FormLabel,
-  FormInput,
-  AddButton,
+  ExamList,
+  ExamListItem,
+  MarksTable,
+  ErrorText,
 } from '../../styles/ExamStyles';
+import { getAccessToken } from '../../context/authStore';
 
 const Exam = () => {
   const [examData, setExamData] = useState([]);
-  const [name, setName] = useState('');
-  const [registrationNumber, setRegistrationNumber] = useState('');
-  const [className, setClassName] = useState('');
-  const [marks, setMarks] = useState('');
+  const [selectedExam, setSelectedExam] = useState(null);
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState('');
 
-  const handleAddExam = (e) => {
-    e.preventDefault();
-    const newExam = {
-      name,
-      registrationNumber,
-      className,
-      marks: parseInt(marks),
+  const authConfig = () => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  });
+
+  useEffect(() => {
+    const fetchExams = async () => {
+      try {
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.EXAMS.GET_ALL), authConfig());
+        setExamData(response.data.exams || []);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
     };
-    setExamData([...examData, newExam]);
-    setName('');
-    setRegistrationNumber('');
-    setClassName('');
-    setMarks('');
+
+    fetchExams();
+  }, []);
+
+  const handleSelectExam = async (exam) => {
+    setError('');
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.EXAMS.RESULTS(exam.id)), authConfig());
+      setSelectedExam(exam);
+      setResults(response.data.results || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
   };
 
   const calculateTotalMarks = () => {
-    return examData.reduce((total, exam) => total + exam.marks, 0);
+    return results.reduce((total, row) => total + (row.marksObtained || 0), 0);
   };
 
   return (
@@ -45,47 +62,51 @@ const Exam = () => {
       </SidebarContainer>
       <Content>
         <ExamHeader>Exam Details</ExamHeader>
-        <ExamForm onSubmit={handleAddExam}>
-          <FormLabel>Name:</FormLabel>
-          <FormInput
-            type="text"
-            value={name}
-            onChange={(e) => setName(e.target.value)}
-            required
-          />
-          <FormLabel>Registration Number:</FormLabel>
-          <FormInput
-            type="text"
-            value={registrationNumber}
-            onChange={(e) => setRegistrationNumber(e.target.value)}
-            required
-          />
-          <FormLabel>Class:</FormLabel>
-          <FormInput
-            type="text"
-            value={className}
-            onChange={(e) => setClassName(e.target.value)}
-            required
-          />
-          <FormLabel>Marks:</FormLabel>
-          <FormInput
-            type="number"
-            value={marks}
-            onChange={(e) => setMarks(e.target.value)}
-            required
-          />
-          <AddButton type="submit">Add Exam</AddButton>
-        </ExamForm>
+        {error && <ErrorText>{error}</ErrorText>}
 
-        <h2>Total Marks: {calculateTotalMarks()}</h2>
-        <h3>Exam Details:</h3>
-        <ul>
-          {examData.map((exam, index) => (
-            <li key={index}>
-              Name: {exam.name}, Reg No: {exam.registrationNumber}, Class: {exam.className}, Marks: {exam.marks}
-            </li>
+        <ExamList>
+          {examData.map((exam) => (
+            <ExamListItem
+              key={exam.id}
+              $active={selectedExam?.id === exam.id}
+              onClick={() => handleSelectExam(exam)}
+            >
+              <span>
+                {exam.title} ({exam.examType}) - {exam.subject?.subjectName} ({exam.subject?.subjectCode})
+              </span>
+              <span>
+                {exam.examDate} • {exam.subject?.faculty?.name} • Max {exam.maxMarks}
+              </span>
+            </ExamListItem>
           ))}
-        </ul>
+        </ExamList>
+
+        {selectedExam && (
+          <>
+            <h2>Total Marks: {calculateTotalMarks()}</h2>
+            <h3>Exam Details:</h3>
+            <MarksTable>
+              <thead>
+                <tr>
+                  <th>Roll No</th>
+                  <th>Name</th>
+                  <th>Marks</th>
+                  <th>Remarks</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((row) => (
+                  <tr key={row.studentEmail}>
+                    <td>{row.rollNo}</td>
+                    <td>{row.studentName}</td>
+                    <td>{row.absent ? 'Absent' : row.marksObtained ?? '-'}</td>
+                    <td>{row.remarks}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </MarksTable>
+          </>
+        )}
       </Content>
     </ExamContainer>
   );
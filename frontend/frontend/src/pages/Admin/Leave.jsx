@@ -0,0 +1,28 @@
+import React from "react";
+import Sidebar from "./Sidebar";
+import LeaveReview from "../../components/LeaveReview";
+import CorrectionReview from "../../components/CorrectionReview";
+import {
+  AttendanceContainer,
+  Content,
+  AttendanceContent,
+  AttendanceHeader,
+} from "../../styles/AttendanceStyles";
+
+const Leave = () => {
+  return (
+    <AttendanceContainer>
+      <Sidebar />
+      <Content>
+        <AttendanceContent>
+          <AttendanceHeader>Leave Requests</AttendanceHeader>
+          <LeaveReview />
+          <AttendanceHeader>Attendance Corrections</AttendanceHeader>
+          <CorrectionReview defaultStatus="escalated" />
+        </AttendanceContent>
+      </Content>
+    </AttendanceContainer>
+  );
+};
+
+export default Leave;
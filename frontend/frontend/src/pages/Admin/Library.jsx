@@ -1,7 +1,8 @@
 // Library.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import Sidebar from './Sidebar';
 import axios from 'axios';
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
 import {
   LibraryContainer,
   Content,
@@ -15,37 +16,378 @@ import {
   BookItem,
   BookTitle,
   BookAuthor,
+  BookMeta,
   ActionButton,
+  StockInput,
+  IssueInput,
+  LoanTable,
+  StatusText,
+  ErrorText,
 } from '../../styles/LibraryStyles';
+import { getAccessToken } from '../../context/authStore';
 
+const emptyBook = {
+  title: '',
+  author: '',
+  isbn: '',
+  category: '',
+  totalCopies: 1,
+};
 
 const Library = () => {
+  const [books, setBooks] = useState([]);
+  const [loans, setLoans] = useState([]);
+  const [unpaidFines, setUnpaidFines] = useState([]);
+  const [newBook, setNewBook] = useState(emptyBook);
+  const [stock, setStock] = useState({});
+  const [issueTo, setIssueTo] = useState({});
+  const [copies, setCopies] = useState({});
+  const [error, setError] = useState('');
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchBooks = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.LIBRARY.BOOKS), {
+        ...authConfig(),
+        params: { limit: 100 },
+      });
+      setBooks(response.data.books || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  const fetchLoans = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.LIBRARY.LOANS), {
+        ...authConfig(),
+        params: { status: 'active' },
+      });
+      setLoans(response.data.loans || []);
+
+      const returned = await axios.get(getApiUrl(API_ENDPOINTS.LIBRARY.LOANS), {
+        ...authConfig(),
+        params: { status: 'returned' },
+      });
+      setUnpaidFines((returned.data.loans || []).filter((loan) => loan.fineAmount > 0 && !loan.finePaid));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  useEffect(() => {
+    fetchBooks();
+    fetchLoans();
+  }, [fetchBooks, fetchLoans]);
+
+  const handleChange = (e) => {
+    const { id, value } = e.target;
+    setNewBook((prev) => ({ ...prev, [id]: value }));
+  };
+
+  const handleAddBook = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await axios.post(
+        getApiUrl(API_ENDPOINTS.LIBRARY.BOOKS),
+        { ...newBook, totalCopies: parseInt(newBook.totalCopies) },
+        authConfig()
+      );
+      setNewBook(emptyBook);
+      fetchBooks();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleUpdateStock = async (book) => {
+    setError('');
+    try {
+      await axios.put(
+        getApiUrl(API_ENDPOINTS.LIBRARY.STOCK(book.id)),
+        { totalCopies: parseInt(stock[book.id]) },
+        authConfig()
+      );
+      setStock((prev) => ({ ...prev, [book.id]: undefined }));
+      fetchBooks();
+      if (copies[book.id]) {
+        fetchCopies(book.id);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleDeleteBook = async (book) => {
+    if (!window.confirm(`Remove "${book.title}" from the catalog?`)) {
+      return;
+    }
+    setError('');
+    try {
+      await axios.delete(getApiUrl(API_ENDPOINTS.LIBRARY.BOOK_BY_ID(book.id)), authConfig());
+      fetchBooks();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const fetchCopies = async (bookId) => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.LIBRARY.COPIES(bookId)), authConfig());
+      setCopies((prev) => ({ ...prev, [bookId]: response.data.copies || [] }));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleToggleCopies = (book) => {
+    if (copies[book.id]) {
+      setCopies((prev) => ({ ...prev, [book.id]: undefined }));
+      return;
+    }
+    setError('');
+    fetchCopies(book.id);
+  };
+
+  const handleCopyStatus = async (book, copy, status) => {
+    setError('');
+    try {
+      await axios.put(getApiUrl(API_ENDPOINTS.LIBRARY.COPY(copy.id)), { status }, authConfig());
+      fetchCopies(book.id);
+      fetchBooks();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleIssue = async (book) => {
+    setError('');
+    try {
+      await axios.post(
+        getApiUrl(API_ENDPOINTS.LIBRARY.BORROW(book.id)),
+        { studentEmail: issueTo[book.id] },
+        authConfig()
+      );
+      setIssueTo((prev) => ({ ...prev, [book.id]: '' }));
+      fetchBooks();
+      fetchLoans();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleReturn = async (loan) => {
+    setError('');
+    try {
+      const response = await axios.post(getApiUrl(API_ENDPOINTS.LIBRARY.RETURN(loan.id)), {}, authConfig());
+      if (response.data.loan.fineAmount > 0) {
+        window.alert(response.data.message);
+      }
+      fetchBooks();
+      fetchLoans();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handlePayFine = async (loan) => {
+    setError('');
+    try {
+      await axios.post(getApiUrl(API_ENDPOINTS.LIBRARY.PAY_FINE(loan.id)), {}, authConfig());
+      fetchLoans();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
   return (
     <LibraryContainer>
       <Sidebar />
       <Content>
         <Title>Library Management</Title>
-        <AddBookForm>
-    
+        {error && <ErrorText>{error}</ErrorText>}
+        <AddBookForm onSubmit={handleAddBook}>
           <h2>Add New Book</h2>
           <FormGroup>
             <Label htmlFor="title">Title:</Label>
-            <Input type="text" id="title" required />
+            <Input type="text" id="title" value={newBook.title} onChange={handleChange} required />
           </FormGroup>
           <FormGroup>
             <Label htmlFor="author">Author:</Label>
-            <Input type="text" id="author" required />
+            <Input type="text" id="author" value={newBook.author} onChange={handleChange} required />
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="isbn">ISBN:</Label>
+            <Input type="text" id="isbn" value={newBook.isbn} onChange={handleChange} />
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="category">Category:</Label>
+            <Input type="text" id="category" value={newBook.category} onChange={handleChange} />
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="totalCopies">Copies:</Label>
+            <Input type="number" id="totalCopies" min="1" value={newBook.totalCopies} onChange={handleChange} required />
           </FormGroup>
           <Button type="submit">Add Book</Button>
         </AddBookForm>
 
         <h2>Books</h2>
         <BookList>
+          {books.map((book) => (
+            <BookItem key={book.id}>
+              <BookTitle>{book.title}</BookTitle>
+              <BookAuthor>by {book.author}</BookAuthor>
+              <BookMeta>
+                {book.availableCopies}/{book.totalCopies} available
+              </BookMeta>
+              <StockInput
+                type="number"
+                min="0"
+                value={stock[book.id] ?? book.totalCopies}
+                onChange={(e) => setStock((prev) => ({ ...prev, [book.id]: e.target.value }))}
+              />
+              <ActionButton type="button" onClick={() => handleUpdateStock(book)} disabled={stock[book.id] === undefined}>
+                Update Stock
+              </ActionButton>
+              <IssueInput
+                type="email"
+                placeholder="Student email"
+                value={issueTo[book.id] || ''}
+                onChange={(e) => setIssueTo((prev) => ({ ...prev, [book.id]: e.target.value }))}
+              />
+              <ActionButton
+                type="button"
+                onClick={() => handleIssue(book)}
+                disabled={!issueTo[book.id] || book.availableCopies === 0}
+              >
+                Issue
+              </ActionButton>
+              <ActionButton type="button" onClick={() => handleToggleCopies(book)}>
+                {copies[book.id] ? 'Hide Copies' : 'Copies'}
+              </ActionButton>
+              <ActionButton type="button" onClick={() => handleDeleteBook(book)}>
+                Delete
+              </ActionButton>
+              {copies[book.id] && (
+                <LoanTable>
+                  <thead>
+                    <tr>
+                      <th>Accession No.</th>
+                      <th>Status</th>
+                      <th>On Loan To</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {copies[book.id].map((copy) => (
+                      <tr key={copy.id}>
+                        <td>{copy.accessionNumber}</td>
+                        <td>{copy.status.replace('_', ' ')}</td>
+                        <td>{copy.loan ? `${copy.loan.student?.name} (due ${copy.loan.dueDate})` : ''}</td>
+                        <td>
+                          {copy.status === 'available' && (
+                            <>
+                              <ActionButton type="button" onClick={() => handleCopyStatus(book, copy, 'lost')}>
+                                Mark Lost
+                              </ActionButton>
+                              <ActionButton type="button" onClick={() => handleCopyStatus(book, copy, 'withdrawn')}>
+                                Withdraw
+                              </ActionButton>
+                            </>
+                          )}
+                          {(copy.status === 'lost' || copy.status === 'withdrawn') && (
+                            <ActionButton type="button" onClick={() => handleCopyStatus(book, copy, 'available')}>
+                              Restore
+                            </ActionButton>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </LoanTable>
+              )}
+            </BookItem>
+          ))}
         </BookList>
+
+        <h2>Books on Loan</h2>
+        <LoanTable>
+          <thead>
+            <tr>
+              <th>Book</th>
+              <th>Copy</th>
+              <th>Student</th>
+              <th>Borrowed</th>
+              <th>Due</th>
+              <th>Fine</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {loans.map((loan) => (
+              <tr key={loan.id}>
+                <td>{loan.book?.title}</td>
+                <td>{loan.copy?.accessionNumber}</td>
+                <td>
+                  {loan.student?.name} ({loan.student?.rollNo})
+                </td>
+                <td>{new Date(loan.borrowedAt).toLocaleDateString()}</td>
+                <td>
+                  <StatusText $overdue={loan.status === 'overdue'}>{loan.dueDate}</StatusText>
+                </td>
+                <td>{loan.fineAmount}</td>
+                <td>
+                  <ActionButton type="button" onClick={() => handleReturn(loan)}>
+                    Return
+                  </ActionButton>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </LoanTable>
+
+        {unpaidFines.length > 0 && (
+          <>
+            <h2>Unpaid Fines</h2>
+            <LoanTable>
+              <thead>
+                <tr>
+                  <th>Book</th>
+                  <th>Student</th>
+                  <th>Returned</th>
+                  <th>Fine</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {unpaidFines.map((loan) => (
+                  <tr key={loan.id}>
+                    <td>{loan.book?.title}</td>
+                    <td>
+                      {loan.student?.name} ({loan.student?.rollNo})
+                    </td>
+                    <td>{new Date(loan.returnedAt).toLocaleDateString()}</td>
+                    <td>{loan.fineAmount}</td>
+                    <td>
+                      <ActionButton type="button" onClick={() => handlePayFine(loan)}>
+                        Mark Paid
+                      </ActionButton>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </LoanTable>
+          </>
+        )}
       </Content>
     </LibraryContainer>
   );
 };
 
 export default Library;
-
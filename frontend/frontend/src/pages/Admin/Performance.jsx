@@ -1,6 +1,10 @@
 // Performance.js
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
 import Sidebar from './Sidebar';
+import 'chart.js/auto';
+import { Bar } from 'react-chartjs-2';
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
 import {
   PerformanceContainer,
   Content,
@@ -8,21 +12,87 @@ import {
   PerformanceHeader,
   SchoolPerformance,
   IndividualPerformance,
-} from '../../styles/PerformanceStyles'; 
+  PerformanceGraphContainer,
+  PerformanceTable,
+  ClickableRow,
+  DownloadButton,
+  ErrorText,
+} from '../../styles/PerformanceStyles';
+import { getAccessToken } from '../../context/authStore';
+
+const formatScore = (value) => (value === null || value === undefined ? '-' : `${value}%`);
 
 const Performance = () => {
-  // Sample data for school performance
-  const schoolPerformanceData = {
-    averageScore: 85,
-    totalStudents: 100,
+  const [subjects, setSubjects] = useState([]);
+  const [performance, setPerformance] = useState(null);
+  const [error, setError] = useState('');
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  useEffect(() => {
+    const fetchSubjects = async () => {
+      try {
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.PERFORMANCE.SUBJECTS), authConfig());
+        setSubjects(response.data.subjects || []);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchSubjects();
+  }, [authConfig]);
+
+  const handleSelectSubject = async (subjectId) => {
+    setError('');
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.PERFORMANCE.SUBJECT(subjectId)), authConfig());
+      setPerformance(response.data.performance);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
   };
 
-  // Sample data for individual student performance
-  const individualPerformanceData = [
-    { id: 1, name: 'John Doe', score: 90 },
-    { id: 2, name: 'Jane Smith', score: 85 },
-    { id: 3, name: 'Michael Johnson', score: 92 },
-  ];
+  const handleDownloadTranscripts = async () => {
+    setError('');
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.ADMIN.TRANSCRIPTS), {
+        ...authConfig(),
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'transcripts.pdf';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const overallAverages = subjects
+    .map((row) => row.classAverage.overall)
+    .filter((value) => value !== null);
+  const schoolAverage = overallAverages.length > 0
+    ? Math.round((overallAverages.reduce((sum, value) => sum + value, 0) / overallAverages.length) * 100) / 100
+    : null;
+
+  const distributionChartData = {
+    labels: (performance?.distribution || []).map((bucket) => bucket.range),
+    datasets: [
+      {
+        label: 'Students',
+        backgroundColor: '#007bff',
+        borderColor: '#007bff',
+        borderWidth: 1,
+        data: (performance?.distribution || []).map((bucket) => bucket.count),
+      },
+    ],
+  };
 
   return (
     <PerformanceContainer>
@@ -30,18 +100,84 @@ const Performance = () => {
       <Content>
         <PerformanceContent>
           <PerformanceHeader>School Performance</PerformanceHeader>
+          {error && <ErrorText>{error}</ErrorText>}
           <SchoolPerformance>
-            <p>Average Score: {schoolPerformanceData.averageScore}</p>
-            <p>Total Students: {schoolPerformanceData.totalStudents}</p>
+            <p>Average Score: {formatScore(schoolAverage)}</p>
+            <p>Subjects: {subjects.length}</p>
           </SchoolPerformance>
-          <PerformanceHeader>Individual Performance</PerformanceHeader>
-          <IndividualPerformance>
-            {individualPerformanceData.map((student) => (
-              <p key={student.id}>
-                {student.name}: {student.score}
-              </p>
-            ))}
-          </IndividualPerformance>
+          <DownloadButton onClick={handleDownloadTranscripts}>Download All Transcripts</DownloadButton>
+
+          <PerformanceTable>
+            <thead>
+              <tr>
+                <th>Semester</th>
+                <th>Subject</th>
+                <th>Faculty</th>
+                <th>Students</th>
+                <th>Exams</th>
+                <th>Assignments</th>
+                <th>Attendance</th>
+                <th>Overall</th>
+              </tr>
+            </thead>
+            <tbody>
+              {subjects.map((row) => (
+                <ClickableRow
+                  key={row.subject.id}
+                  $active={performance?.subject.id === row.subject.id}
+                  onClick={() => handleSelectSubject(row.subject.id)}
+                >
+                  <td>{row.subject.semester ?? '-'}</td>
+                  <td>
+                    {row.subject.subjectName} ({row.subject.subjectCode})
+                  </td>
+                  <td>{row.facultyName}</td>
+                  <td>{row.studentCount}</td>
+                  <td>{formatScore(row.classAverage.exams)}</td>
+                  <td>{formatScore(row.classAverage.assignments)}</td>
+                  <td>{formatScore(row.classAverage.attendance)}</td>
+                  <td>{formatScore(row.classAverage.overall)}</td>
+                </ClickableRow>
+              ))}
+            </tbody>
+          </PerformanceTable>
+
+          {performance && (
+            <>
+              <PerformanceHeader>
+                {performance.subject.subjectName} ({performance.subject.subjectCode})
+              </PerformanceHeader>
+              <PerformanceGraphContainer>
+                <Bar
+                  data={distributionChartData}
+                  options={{ scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }}
+                />
+              </PerformanceGraphContainer>
+              <PerformanceHeader>Individual Performance</PerformanceHeader>
+              <IndividualPerformance>
+                <PerformanceTable>
+                  <thead>
+                    <tr>
+                      <th>Rank</th>
+                      <th>Roll No</th>
+                      <th>Name</th>
+                      <th>Overall</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {performance.students.map((student) => (
+                      <tr key={student.studentEmail}>
+                        <td>{student.rank ?? '-'}</td>
+                        <td>{student.rollNo}</td>
+                        <td>{student.studentName}</td>
+                        <td>{formatScore(student.overall)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </PerformanceTable>
+              </IndividualPerformance>
+            </>
+          )}
         </PerformanceContent>
       </Content>
     </PerformanceContainer>
@@ -11,6 +11,9 @@ import {
   ProfileInfo,
   EditButton,
 } from '../../styles/SettingsProfileStyles'; // Import styled components from SettingsProfileStyles.js
+import SessionList from '../../components/SessionList';
+import MfaSettings from '../../components/MfaSettings';
+import RoleManager from '../../components/RoleManager';
 
 const SettingsProfile = () => {
   const teacherInfo = {
@@ -34,6 +37,9 @@ const SettingsProfile = () => {
           <ProfileInfo>{teacherInfo.address}</ProfileInfo>
         </ProfileDetails>
         {/* <EditButton>Edit Profile</EditButton> */}
+        <RoleManager />
+        <MfaSettings />
+        <SessionList />
       </Content>
     </ProfileContainer>
   );
@@ -1,6 +1,6 @@
 import React, { useState } from "react";
 import styled from "styled-components";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import {
   BsGraphUp,
   BsPeople,
@@ -12,8 +12,11 @@ import {
   BsGear,
   BsChatDots,
   BsCalendarEvent,
+  BsEnvelopePaper,
+  BsBoxArrowRight,
 } from "react-icons/bs";
 import bg1 from "../../assets/bg1.png";
+import { useAuth } from "../../context/useAuth";
 
 const SidebarContainer = styled.div`
   position: fixed;
@@ -94,11 +97,22 @@ const ToggleIcon = styled.span`
 
 const Sidebar = () => {
   const [isOpen, setIsOpen] = useState(true);
+  const navigate = useNavigate();
+  const { logout } = useAuth();
 
   const toggleSidebar = () => {
     setIsOpen(!isOpen);
   };
 
+  const handleLogout = async (e) => {
+    e.preventDefault();
+    try {
+      await logout();
+    } finally {
+      navigate("/signin");
+    }
+  };
+
   return (
     <>
       <SidebarContainer $isOpen={isOpen}>
@@ -118,6 +132,12 @@ const Sidebar = () => {
             </SidebarIcon>
             <StyledLink to="/admin/classes">Subjects</StyledLink>
           </SidebarNavItem>
+          <SidebarNavItem>
+            <SidebarIcon>
+              <BsCalendar />
+            </SidebarIcon>
+            <StyledLink to="/admin/timetable">Timetable</StyledLink>
+          </SidebarNavItem>
           <SidebarNavItem>
             <SidebarIcon>
               <BsPeople />
@@ -130,6 +150,12 @@ const Sidebar = () => {
             </SidebarIcon>
             <StyledLink to="/admin/teachers">Teachers</StyledLink>
           </SidebarNavItem>
+          <SidebarNavItem>
+            <SidebarIcon>
+              <BsEnvelopePaper />
+            </SidebarIcon>
+            <StyledLink to="/admin/leave">Leave Requests</StyledLink>
+          </SidebarNavItem>
 
           <SidebarNavItem>
             <SidebarIcon>
@@ -137,6 +163,19 @@ const Sidebar = () => {
             </SidebarIcon>
             <StyledLink to="/admin/communication">Announcement</StyledLink>
           </SidebarNavItem>
+
+          <SidebarNavItem>
+            <SidebarIcon>
+              <BsGear />
+            </SidebarIcon>
+            <StyledLink to="/admin/settings">Settings & Profile</StyledLink>
+          </SidebarNavItem>
+          <SidebarNavItem>
+            <SidebarIcon>
+              <BsBoxArrowRight />
+            </SidebarIcon>
+            <StyledLink to="/signin" onClick={handleLogout}>Log Out</StyledLink>
+          </SidebarNavItem>
         </SidebarNav>
         <ToggleButton $isOpen={isOpen} onClick={toggleSidebar}>
           <ToggleIcon $isOpen={isOpen}>▲</ToggleIcon>
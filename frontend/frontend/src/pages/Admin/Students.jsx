@@ -18,6 +18,7 @@ import {
   FormSelect,
   FeedbackMessage,
 } from "../../styles/StudentsStyles";
+import { getAccessToken } from "../../context/authStore";
 
 const Students = () => {
   // State for form inputs
@@ -61,7 +62,7 @@ const Students = () => {
 
   const handleAddStudent = async (e) => {
     e.preventDefault();
-    const authToken = localStorage.getItem("authToken");
+    const authToken = getAccessToken();
 
     // Validate required fields
     if (!studentData.name || !studentData.emailId) {
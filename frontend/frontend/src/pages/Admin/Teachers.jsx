@@ -11,6 +11,7 @@ import {
   AddTeacherButton,
   ErrorMessage,
 } from "../../styles/TeachersStyles";
+import { getAccessToken } from "../../context/authStore";
 
 const Teachers = () => {
   const [formData, setFormData] = useState({
@@ -79,7 +80,7 @@ const Teachers = () => {
         payload,
         {
           headers: {
-            Authorization: `Bearer ${localStorage.getItem("adminToken")}`,
+            Authorization: `Bearer ${getAccessToken()}`,
             "Content-Type": "application/json", // Match backend expectation
           },
         }
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import Sidebar from "./Sidebar";
+import { getApiUrl, API_ENDPOINTS } from "../../config/api";
+import TimetableGrid from "../../components/TimetableGrid";
+import {
+  TimetableContainer,
+  Content,
+  SlotForm,
+  FormField,
+  FormButton,
+  RoomList,
+  ErrorText,
+} from "../../styles/TimetableStyles";
+import { getAccessToken } from "../../context/authStore";
+
+const emptyRoom = { name: "", building: "", capacity: "" };
+const emptySlot = { subjectId: "", roomId: "", dayOfWeek: "", period: "" };
+
+const Timetable = () => {
+  const [timetable, setTimetable] = useState({ days: [], periods: [], slots: [] });
+  const [rooms, setRooms] = useState([]);
+  const [subjects, setSubjects] = useState([]);
+  const [newRoom, setNewRoom] = useState(emptyRoom);
+  const [newSlot, setNewSlot] = useState(emptySlot);
+  const [error, setError] = useState("");
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchTimetable = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.TIMETABLE.GET_ALL), authConfig());
+      setTimetable(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  const fetchRooms = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.TIMETABLE.ROOMS), authConfig());
+      setRooms(response.data.rooms || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  useEffect(() => {
+    const fetchSubjects = async () => {
+      try {
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.SUBJECT_ENROLLMENT.GET_ALL), authConfig());
+        setSubjects(response.data.enrollments || []);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchSubjects();
+    fetchRooms();
+    fetchTimetable();
+  }, [authConfig, fetchRooms, fetchTimetable]);
+
+  const handleRoomChange = (e) => {
+    const { name, value } = e.target;
+    setNewRoom((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSlotChange = (e) => {
+    const { name, value } = e.target;
+    setNewSlot((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddRoom = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      await axios.post(getApiUrl(API_ENDPOINTS.TIMETABLE.ROOMS), newRoom, authConfig());
+      setNewRoom(emptyRoom);
+      fetchRooms();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleAddSlot = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      await axios.post(getApiUrl(API_ENDPOINTS.TIMETABLE.SLOTS), newSlot, authConfig());
+      setNewSlot((prev) => ({ ...emptySlot, subjectId: prev.subjectId, roomId: prev.roomId }));
+      fetchTimetable();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleRemoveSlot = async (slotId) => {
+    setError("");
+    try {
+      await axios.delete(getApiUrl(API_ENDPOINTS.TIMETABLE.SLOT(slotId)), authConfig());
+      fetchTimetable();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  return (
+    <TimetableContainer>
+      <Sidebar />
+      <Content>
+        <h1>Timetable</h1>
+        {error && <ErrorText>{error}</ErrorText>}
+
+        <h2>Schedule a Class</h2>
+        <SlotForm onSubmit={handleAddSlot}>
+          <FormField>
+            Subject
+            <select name="subjectId" value={newSlot.subjectId} onChange={handleSlotChange} required>
+              <option value="">Select subject</option>
+              {subjects.map((subject) => (
+                <option key={subject.id} value={subject.id}>
+                  {subject.subjectName} ({subject.subjectCode})
+                </option>
+              ))}
+            </select>
+          </FormField>
+          <FormField>
+            Room
+            <select name="roomId" value={newSlot.roomId} onChange={handleSlotChange} required>
+              <option value="">Select room</option>
+              {rooms.map((room) => (
+                <option key={room.id} value={room.id}>{room.name}</option>
+              ))}
+            </select>
+          </FormField>
+          <FormField>
+            Day
+            <select name="dayOfWeek" value={newSlot.dayOfWeek} onChange={handleSlotChange} required>
+              <option value="">Select day</option>
+              {timetable.days.map((day) => (
+                <option key={day.day} value={day.day}>{day.name}</option>
+              ))}
+            </select>
+          </FormField>
+          <FormField>
+            Period
+            <select name="period" value={newSlot.period} onChange={handleSlotChange} required>
+              <option value="">Select period</option>
+              {timetable.periods.map((period) => (
+                <option key={period.period} value={period.period}>
+                  {period.period} ({period.startTime} - {period.endTime})
+                </option>
+              ))}
+            </select>
+          </FormField>
+          <FormButton type="submit">Add to Timetable</FormButton>
+        </SlotForm>
+
+        <TimetableGrid
+          days={timetable.days}
+          periods={timetable.periods}
+          slots={timetable.slots}
+          onRemove={handleRemoveSlot}
+        />
+
+        <h2>Rooms</h2>
+        <RoomList>
+          {rooms.map((room) => (
+            <li key={room.id}>
+              {room.name}
+              {room.building && `, ${room.building}`}
+              {room.capacity && ` (${room.capacity} seats)`}
+            </li>
+          ))}
+        </RoomList>
+        <SlotForm onSubmit={handleAddRoom}>
+          <FormField>
+            Name
+            <input type="text" name="name" value={newRoom.name} onChange={handleRoomChange} required />
+          </FormField>
+          <FormField>
+            Building
+            <input type="text" name="building" value={newRoom.building} onChange={handleRoomChange} />
+          </FormField>
+          <FormField>
+            Capacity
+            <input type="number" min="1" name="capacity" value={newRoom.capacity} onChange={handleRoomChange} />
+          </FormField>
+          <FormButton type="submit">Add Room</FormButton>
+        </SlotForm>
+      </Content>
+    </TimetableContainer>
+  );
+};
+
+export default Timetable;
@@ -9,6 +9,7 @@ import {
   AnnouncementItem,
   AnnouncementContent,
 } from "../../styles/AnnouncementStyles";
+import { getAccessToken } from "../../context/authStore";
 
 const StudentAnnouncement = () => {
   const [announcements, setAnnouncements] = useState([]);
@@ -17,7 +18,7 @@ const StudentAnnouncement = () => {
 
   const fetchAnnouncements = async () => {
     try {
-      const token = localStorage.getItem("authToken");
+      const token = getAccessToken();
       const response = await axios.get(
         "http://localhost:8080/api/all/announcement",
         {
@@ -1,7 +1,8 @@
 // StudentAssignments.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import Sidebar from './Sidebar';
 import axios from 'axios';
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
 import {
   AssignmentsContainer,
   SidebarContainer,
@@ -11,9 +12,71 @@ import {
   AssignmentDescription,
   AssignmentButton,
   AssignmentDoneMessage,
+  AssignmentMeta,
+  AddAssignmentInput,
+  LateBadge,
+  LinkButton,
+  ErrorText,
 } from '../../styles/AssignmentsStyles'; // Import styled components from AssignmentStyles.js
+import { getAccessToken } from '../../context/authStore';
 
 const StudentAssignments = () => {
+  const [assignments, setAssignments] = useState([]);
+  const [files, setFiles] = useState({});
+  const [comments, setComments] = useState({});
+  const [error, setError] = useState('');
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchAssignments = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.ASSIGNMENTS.GET_ALL), authConfig());
+      setAssignments(response.data.assignments || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  useEffect(() => {
+    fetchAssignments();
+  }, [fetchAssignments]);
+
+  const handleDownload = async (endpoint, fileName) => {
+    setError('');
+    try {
+      const response = await axios.get(getApiUrl(endpoint), {
+        ...authConfig(),
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleSubmit = async (assignment) => {
+    setError('');
+    const formData = new FormData();
+    formData.append('file', files[assignment.id]);
+    formData.append('comment', comments[assignment.id] || '');
+
+    try {
+      await axios.post(getApiUrl(API_ENDPOINTS.ASSIGNMENTS.SUBMISSIONS(assignment.id)), formData, authConfig());
+      setFiles((prev) => ({ ...prev, [assignment.id]: null }));
+      fetchAssignments();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
 
   return (
     <AssignmentsContainer>
@@ -22,6 +85,82 @@ const StudentAssignments = () => {
       </SidebarContainer>
       <Content>
         <h1>Assignments</h1>
+        {error && <ErrorText>{error}</ErrorText>}
+        {assignments.length === 0 && !error && <p>No assignments yet.</p>}
+        {assignments.map((assignment) => {
+          const submission = assignment.submissions?.[0];
+          const pastDue = new Date(assignment.dueDate) < new Date();
+          const closed = pastDue && !assignment.allowLateSubmission;
+
+          return (
+            <AssignmentCard key={assignment.id}>
+              <AssignmentTitle>{assignment.title}</AssignmentTitle>
+              <AssignmentMeta>
+                {assignment.subject?.subjectName} • Due {new Date(assignment.dueDate).toLocaleString()} • Max{' '}
+                {assignment.maxMarks}
+              </AssignmentMeta>
+              {assignment.description && <AssignmentDescription>{assignment.description}</AssignmentDescription>}
+              {assignment.attachmentName && (
+                <LinkButton
+                  type="button"
+                  onClick={() =>
+                    handleDownload(API_ENDPOINTS.ASSIGNMENTS.ATTACHMENT(assignment.id), assignment.attachmentName)
+                  }
+                >
+                  {assignment.attachmentName}
+                </LinkButton>
+              )}
+
+              {submission && (
+                <>
+                  <AssignmentDoneMessage>
+                    Submitted {new Date(submission.submittedAt).toLocaleString()}
+                    {submission.isLate && <LateBadge>Late</LateBadge>}
+                  </AssignmentDoneMessage>
+                  <LinkButton
+                    type="button"
+                    onClick={() =>
+                      handleDownload(API_ENDPOINTS.ASSIGNMENTS.SUBMISSION_FILE(submission.id), submission.fileName)
+                    }
+                  >
+                    {submission.fileName}
+                  </LinkButton>
+                  {submission.gradedAt && (
+                    <>
+                      <AssignmentMeta>
+                        Grade: {submission.marksObtained}/{assignment.maxMarks}
+                      </AssignmentMeta>
+                      {submission.feedback && <AssignmentDescription>Feedback: {submission.feedback}</AssignmentDescription>}
+                    </>
+                  )}
+                </>
+              )}
+
+              {!submission?.gradedAt && !closed && (
+                <>
+                  <AddAssignmentInput
+                    type="file"
+                    onChange={(e) => setFiles((prev) => ({ ...prev, [assignment.id]: e.target.files[0] || null }))}
+                  />
+                  <AddAssignmentInput
+                    type="text"
+                    placeholder="Comment (optional)"
+                    value={comments[assignment.id] || ''}
+                    onChange={(e) => setComments((prev) => ({ ...prev, [assignment.id]: e.target.value }))}
+                  />
+                  <AssignmentButton
+                    type="button"
+                    disabled={!files[assignment.id]}
+                    onClick={() => handleSubmit(assignment)}
+                  >
+                    {submission ? 'Resubmit' : 'Submit'}
+                  </AssignmentButton>
+                </>
+              )}
+              {!submission && closed && <AssignmentMeta>Submissions are closed.</AssignmentMeta>}
+            </AssignmentCard>
+          );
+        })}
       </Content>
     </AssignmentsContainer>
   );
@@ -160,9 +160,10 @@
 // };
 
 // export default AttendanceSection;
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import Sidebar from "./Sidebar";
 import axios from "axios";
+import { getApiUrl, API_ENDPOINTS } from "../../config/api";
 import {
   AttendanceContainer,
   SidebarContainer,
@@ -182,14 +183,27 @@ import {
   StatsValue,
   AttendanceSubject,
   RemarksText,
+  RemarksInput,
+  SessionPanel,
+  SessionButton,
 } from "../../styles/AttendanceStyles";
+import { getAccessToken, getCurrentUser } from "../../context/authStore";
 
-const API_BASE_URL = "http://localhost:8080/api";
+const STATUS_LABELS = {
+  present: "Present",
+  late: "Late",
+  on_duty: "On Duty",
+  excused: "Excused",
+  absent: "Absent",
+};
 
 const AttendanceSection = () => {
   const [attendance, setAttendance] = useState([]);
   const [subjects, setSubjects] = useState([]);
   const [selectedSubject, setSelectedSubject] = useState("all");
+  const [range, setRange] = useState({ startDate: "", endDate: "" });
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ totalPages: 0, hasNextPage: false, hasPrevPage: false });
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState({
     attendance: true,
@@ -197,30 +211,37 @@ const AttendanceSection = () => {
     stats: true,
   });
   const [error, setError] = useState(null);
+  const [corrections, setCorrections] = useState([]);
+  const [correcting, setCorrecting] = useState(null);
+  const [correction, setCorrection] = useState({ requestedStatus: "present", reason: "" });
+  const [correctionMessage, setCorrectionMessage] = useState("");
 
-  const authConfig = {
+  const authConfig = useCallback(() => ({
     headers: {
-      Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+      Authorization: `Bearer ${getAccessToken()}`,
     },
-  };
+  }), []);
+
+  const fetchCorrections = useCallback(async () => {
+    try {
+      const res = await axios.get(getApiUrl(API_ENDPOINTS.CORRECTIONS.MINE), authConfig());
+      setCorrections(res.data.corrections || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
 
   useEffect(() => {
     const fetchAllData = async () => {
       try {
-        const email = localStorage.getItem("userEmail");
+        const email = getCurrentUser()?.email;
 
         const [subjectsRes, statsRes] = await Promise.all([
-          axios.get(
-            `${API_BASE_URL}/attendance/student/${email}/subjects`,
-            authConfig
-          ),
-          axios.get(
-            `${API_BASE_URL}/students/${email}/attendance-summary`,
-            authConfig
-          ),
+          axios.get(getApiUrl(API_ENDPOINTS.ATTENDANCE.STUDENT_SUBJECTS(email)), authConfig()),
+          axios.get(getApiUrl(API_ENDPOINTS.STUDENT.ATTENDANCE_SUMMARY(email)), authConfig()),
         ]);
 
-        setSubjects(subjectsRes.data);
+        setSubjects(subjectsRes.data.subjects || []);
         setStats(statsRes.data);
         setLoading((prev) => ({ ...prev, subjects: false, stats: false }));
       } catch (err) {
@@ -230,21 +251,29 @@ const AttendanceSection = () => {
     };
 
     fetchAllData();
-  }, []);
+    fetchCorrections();
+  }, [authConfig, fetchCorrections]);
 
   useEffect(() => {
     const fetchAttendance = async () => {
       try {
         setLoading((prev) => ({ ...prev, attendance: true }));
-        const email = localStorage.getItem("userEmail");
-        let url = `${API_BASE_URL}/attendance/student/${email}`;
+        const email = getCurrentUser()?.email;
+        const url =
+          selectedSubject === "all"
+            ? API_ENDPOINTS.ATTENDANCE.STUDENT_RECORDS(email)
+            : API_ENDPOINTS.ATTENDANCE.STUDENT_SUBJECT_RECORDS(email, selectedSubject);
+        const params = { page };
+        if (range.startDate) params.startDate = range.startDate;
+        if (range.endDate) params.endDate = range.endDate;
 
-        if (selectedSubject !== "all") {
-          url = `${API_BASE_URL}/attendance/student/${email}/subject/${selectedSubject}`;
-        }
-
-        const res = await axios.get(url, authConfig);
-        setAttendance(res.data);
+        const res = await axios.get(getApiUrl(url), { ...authConfig(), params });
+        setAttendance(res.data.attendance || []);
+        setPagination({
+          totalPages: res.data.totalPages,
+          hasNextPage: res.data.hasNextPage,
+          hasPrevPage: res.data.hasPrevPage,
+        });
       } catch (err) {
         setError(err.response?.data?.message || err.message);
       } finally {
@@ -253,7 +282,51 @@ const AttendanceSection = () => {
     };
 
     fetchAttendance();
-  }, [selectedSubject]);
+  }, [authConfig, selectedSubject, range, page]);
+
+  // Corrections go to the faculty who recorded the attendance
+  const openCorrection = (record) =>
+    corrections.find(
+      (c) => c.attendanceId === record.id && (c.status === "pending" || c.status === "escalated")
+    );
+
+  const startCorrection = (record) => {
+    setCorrecting(record.id);
+    setCorrection({ requestedStatus: record.status === "present" ? "on_duty" : "present", reason: "" });
+    setCorrectionMessage("");
+  };
+
+  const handleCorrectionSubmit = async (e, record) => {
+    e.preventDefault();
+    setCorrectionMessage("");
+    try {
+      const res = await axios.post(
+        getApiUrl(API_ENDPOINTS.CORRECTIONS.REQUEST),
+        { attendanceId: record.id, ...correction },
+        authConfig()
+      );
+      setCorrectionMessage(res.data.message);
+      setCorrecting(null);
+      fetchCorrections();
+    } catch (err) {
+      setCorrectionMessage(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleCorrectionWithdraw = async (id) => {
+    try {
+      await axios.delete(getApiUrl(API_ENDPOINTS.CORRECTIONS.CANCEL(id)), authConfig());
+      fetchCorrections();
+    } catch (err) {
+      setCorrectionMessage(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    setRange((prev) => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
 
   return (
     <AttendanceContainer>
@@ -284,12 +357,36 @@ const AttendanceSection = () => {
           </StatsContainer>
         )}
 
+        {stats?.subjects?.some((subject) => subject.examEligibility !== "eligible") && (
+          <AttendanceList>
+            {stats.subjects
+              .filter((subject) => subject.examEligibility !== "eligible")
+              .map((subject) => (
+                <AttendanceItem key={subject.subjectCode}>
+                  <AttendanceSubject>{subject.subjectName}</AttendanceSubject>
+                  <AttendanceStatus
+                    className={subject.examEligibility === "ineligible" ? "absent" : "present"}
+                  >
+                    {subject.examEligibility === "ineligible"
+                      ? `Below the required ${subject.minimumPercentage}%, not eligible for exams`
+                      : subject.examEligibility === "condoned"
+                        ? "Attendance shortage condoned"
+                        : `Close to the required ${subject.minimumPercentage}%`}
+                  </AttendanceStatus>
+                </AttendanceItem>
+              ))}
+          </AttendanceList>
+        )}
+
         {loading.subjects ? (
           <LoadingMessage>Loading subjects...</LoadingMessage>
         ) : (
           <SubjectFilter
             value={selectedSubject}
-            onChange={(e) => setSelectedSubject(e.target.value)}
+            onChange={(e) => {
+              setSelectedSubject(e.target.value);
+              setPage(1);
+            }}
           >
             <option value="all">All Subjects</option>
             {subjects.map((subject) => (
@@ -300,6 +397,17 @@ const AttendanceSection = () => {
           </SubjectFilter>
         )}
 
+        <SessionPanel>
+          <input type="date" name="startDate" value={range.startDate} onChange={handleRangeChange} />
+          <input
+            type="date"
+            name="endDate"
+            value={range.endDate}
+            min={range.startDate}
+            onChange={handleRangeChange}
+          />
+        </SessionPanel>
+
         {loading.attendance ? (
           <LoadingMessage>Loading attendance records...</LoadingMessage>
         ) : error ? (
@@ -314,16 +422,96 @@ const AttendanceSection = () => {
                   {new Date(record.date).toLocaleDateString()}
                 </AttendanceDate>
                 <AttendanceSubject>
-                  {record.subjectName} ({record.subjectCode})
+                  {record.subject?.subjectName} ({record.subject?.subjectCode})
                 </AttendanceSubject>
                 <AttendanceStatus
-                  className={record.present ? "present" : "absent"}
+                  className={record.present ? "present" : record.excused ? "excused" : "absent"}
                 >
-                  {record.present ? "Present" : "Absent"}
+                  {STATUS_LABELS[record.status] || (record.present ? "Present" : "Absent")}
                 </AttendanceStatus>
                 {record.remarks && (
                   <RemarksText>Remarks: {record.remarks}</RemarksText>
                 )}
+                {openCorrection(record) ? (
+                  <RemarksText>
+                    Correction to {STATUS_LABELS[openCorrection(record).requestedStatus]}{" "}
+                    {openCorrection(record).status === "escalated" ? "awaiting admin" : "pending"}
+                  </RemarksText>
+                ) : correcting === record.id ? (
+                  <form onSubmit={(e) => handleCorrectionSubmit(e, record)}>
+                    <SessionPanel>
+                      <select
+                        value={correction.requestedStatus}
+                        onChange={(e) => setCorrection((prev) => ({ ...prev, requestedStatus: e.target.value }))}
+                      >
+                        {Object.entries(STATUS_LABELS)
+                          .filter(([status]) => status !== record.status)
+                          .map(([status, label]) => (
+                            <option key={status} value={status}>
+                              {label}
+                            </option>
+                          ))}
+                      </select>
+                      <RemarksInput
+                        value={correction.reason}
+                        onChange={(e) => setCorrection((prev) => ({ ...prev, reason: e.target.value }))}
+                        placeholder="Why should it change?"
+                        required
+                      />
+                      <SessionButton type="submit">Send</SessionButton>
+                      <SessionButton type="button" $danger onClick={() => setCorrecting(null)}>
+                        Cancel
+                      </SessionButton>
+                    </SessionPanel>
+                  </form>
+                ) : (
+                  <SessionButton onClick={() => startCorrection(record)}>Request correction</SessionButton>
+                )}
+              </AttendanceItem>
+            ))}
+          </AttendanceList>
+        )}
+        {pagination.totalPages > 1 && (
+          <SessionPanel>
+            <SessionButton disabled={!pagination.hasPrevPage} onClick={() => setPage((p) => p - 1)}>
+              Previous
+            </SessionButton>
+            <span>
+              Page {page} of {pagination.totalPages}
+            </span>
+            <SessionButton disabled={!pagination.hasNextPage} onClick={() => setPage((p) => p + 1)}>
+              Next
+            </SessionButton>
+          </SessionPanel>
+        )}
+
+        <StatsTitle>My Correction Requests</StatsTitle>
+        {correctionMessage && <EmptyMessage>{correctionMessage}</EmptyMessage>}
+        {corrections.length === 0 ? (
+          <EmptyMessage>You have not requested any corrections.</EmptyMessage>
+        ) : (
+          <AttendanceList>
+            {corrections.map((c) => (
+              <AttendanceItem key={c.id}>
+                <AttendanceDate>{c.attendance?.date}</AttendanceDate>
+                <AttendanceSubject>
+                  {c.attendance?.subject?.subjectCode}: {STATUS_LABELS[c.currentStatus]} to{" "}
+                  {STATUS_LABELS[c.requestedStatus]}
+                </AttendanceSubject>
+                <AttendanceStatus
+                  className={c.status === "approved" ? "present" : c.status === "rejected" ? "absent" : "excused"}
+                >
+                  {c.status === "escalated" ? "Awaiting admin" : c.status.charAt(0).toUpperCase() + c.status.slice(1)}
+                </AttendanceStatus>
+                {(c.status === "pending" || c.status === "escalated") && c.requestedBy === c.studentEmail && (
+                  <SessionButton $danger onClick={() => handleCorrectionWithdraw(c.id)}>
+                    Withdraw
+                  </SessionButton>
+                )}
+                <RemarksText>
+                  {c.reason}
+                  {c.reviewNote && ` - ${c.reviewedBy}: ${c.reviewNote}`}
+                </RemarksText>
               </AttendanceItem>
             ))}
           </AttendanceList>
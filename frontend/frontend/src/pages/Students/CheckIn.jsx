@@ -0,0 +1,86 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+import axios from "axios";
+import Sidebar from "./Sidebar";
+import { getApiUrl, API_ENDPOINTS } from "../../config/api";
+import {
+  AttendanceContainer,
+  SidebarContainer,
+  Content,
+  AttendanceHeader,
+  RemarksInput,
+  SubmitButton,
+  EmptyMessage,
+  ErrorMessage,
+} from "../../styles/AttendanceStyles";
+import { getAccessToken } from "../../context/authStore";
+
+// Scanning the QR code shown in class opens this page with the token in the
+// URL, which is submitted straight away. The code can also be pasted in.
+const CheckInSection = () => {
+  const [searchParams] = useSearchParams();
+  const [token, setToken] = useState(searchParams.get("token") || "");
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const submittedFromLink = useRef(false);
+
+  const checkIn = useCallback(async (checkinToken) => {
+    setSubmitting(true);
+    setMessage("");
+    setError("");
+    try {
+      const response = await axios.post(
+        getApiUrl(API_ENDPOINTS.ATTENDANCE.CHECKIN),
+        { token: checkinToken },
+        { headers: { Authorization: `Bearer ${getAccessToken()}` } }
+      );
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const linkToken = searchParams.get("token");
+    if (linkToken && !submittedFromLink.current) {
+      submittedFromLink.current = true;
+      checkIn(linkToken);
+    }
+  }, [searchParams, checkIn]);
+
+  return (
+    <AttendanceContainer>
+      <SidebarContainer>
+        <Sidebar />
+      </SidebarContainer>
+      <Content>
+        <AttendanceHeader>Class Check-in</AttendanceHeader>
+
+        {!getAccessToken() ? (
+          <ErrorMessage>Sign in, then scan the code again to check in.</ErrorMessage>
+        ) : (
+          <>
+            <EmptyMessage>
+              Scan the QR code shown by your teacher, or paste the check-in code below.
+            </EmptyMessage>
+            <RemarksInput
+              value={token}
+              onChange={(e) => setToken(e.target.value.trim())}
+              placeholder="Check-in code"
+            />
+            <SubmitButton onClick={() => checkIn(token)} disabled={submitting || !token}>
+              {submitting ? "Checking in..." : "Check In"}
+            </SubmitButton>
+            {message && <EmptyMessage>{message}</EmptyMessage>}
+            {error && <ErrorMessage>{error}</ErrorMessage>}
+          </>
+        )}
+      </Content>
+    </AttendanceContainer>
+  );
+};
+
+export default CheckInSection;
@@ -12,6 +12,11 @@ import {
   CardContent,
   PDFViewer,
 } from "../../styles/DashboardStyles";
+import { getApiUrl, API_ENDPOINTS } from "../../config/api";
+import TimetableGrid from "../../components/TimetableGrid";
+import CalendarFeed from "../../components/CalendarFeed";
+import NotificationList from "../../components/NotificationList";
+import { getAccessToken, getCurrentUser } from "../../context/authStore";
 
 const API_BASE_URL = "http://localhost:8080/api";
 
@@ -22,12 +27,14 @@ const StudentDashboard = () => {
   const [calendarPdf, setCalendarPdf] = useState(null);
   const [loadingCalendar, setLoadingCalendar] = useState(true);
   const [currentCalendarTitle, setCurrentCalendarTitle] = useState("");
+  const [upcomingEvents, setUpcomingEvents] = useState([]);
+  const [timetable, setTimetable] = useState({ days: [], periods: [], slots: [] });
 
   useEffect(() => {
     const fetchStudentData = async () => {
       try {
-        const token = localStorage.getItem("authToken");
-        const email = localStorage.getItem("userEmail");
+        const token = getAccessToken();
+        const email = getCurrentUser()?.email;
         const response = await axios.get(
           `${API_BASE_URL}/students/by-email/${email}`,
           {
@@ -69,6 +76,37 @@ const StudentDashboard = () => {
     };
   }, []);
 
+  useEffect(() => {
+    const fetchUpcomingEvents = async () => {
+      try {
+        const token = getAccessToken();
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.EVENTS.UPCOMING), {
+          headers: { Authorization: `Bearer ${token}` },
+          params: { limit: 5 },
+        });
+        setUpcomingEvents(response.data.events || []);
+      } catch (error) {
+        console.error("Error fetching upcoming events:", error);
+      }
+    };
+    fetchUpcomingEvents();
+  }, []);
+
+  useEffect(() => {
+    const fetchTimetable = async () => {
+      try {
+        const token = getAccessToken();
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.TIMETABLE.MINE), {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        setTimetable(response.data);
+      } catch (error) {
+        console.error("Error fetching timetable:", error);
+      }
+    };
+    fetchTimetable();
+  }, []);
+
   if (loadingStudent) return <div>Loading dashboard...</div>;
 
   return (
@@ -98,6 +136,36 @@ const StudentDashboard = () => {
             </Card>
           </CardContainer>
         </Section>
+        <Section>
+          <SectionTitle>Notifications</SectionTitle>
+          <NotificationList />
+        </Section>
+        <Section>
+          <SectionTitle>Weekly Timetable</SectionTitle>
+          <TimetableGrid days={timetable.days} periods={timetable.periods} slots={timetable.slots} />
+        </Section>
+
+        <Section>
+          <SectionTitle>Upcoming Events</SectionTitle>
+          {upcomingEvents.length === 0 ? (
+            <div>No upcoming events.</div>
+          ) : (
+            <CardContainer>
+              {upcomingEvents.map((event) => (
+                <Card key={`${event.id}-${event.occurrenceStart}`}>
+                  <CardTitle>{event.title}</CardTitle>
+                  <CardContent>
+                    <div style={{ textTransform: "capitalize" }}>{event.type}</div>
+                    <div>{new Date(event.occurrenceStart).toLocaleString()}</div>
+                    {event.location && <div>{event.location}</div>}
+                  </CardContent>
+                </Card>
+              ))}
+            </CardContainer>
+          )}
+          <CalendarFeed />
+        </Section>
+
         <Section>
           <SectionTitle>{currentCalendarTitle}</SectionTitle>
           {loadingCalendar ? (
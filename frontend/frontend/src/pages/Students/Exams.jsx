@@ -1,6 +1,8 @@
-import React, { useRef } from 'react';
+import React, { useRef, useState, useEffect } from 'react';
+import axios from 'axios';
 import Sidebar from './Sidebar';
-import { Bar } from 'react-chartjs-2'; 
+import { Bar } from 'react-chartjs-2';
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
 import {
   ExamContainer,
   SidebarContainer,
@@ -10,20 +12,36 @@ import {
   ExamSubject,
   ExamResult,
   ExamChartContainer,
-} from '../../styles/ExamStyles'; 
+  ErrorText,
+} from '../../styles/ExamStyles';
+import { getAccessToken, getCurrentUser } from '../../context/authStore';
 
 const ExamSection = () => {
   const chartRef = useRef(null);
+  const [examResults, setExamResults] = useState([]);
+  const [error, setError] = useState('');
 
-  // Sample exam results data
-  const examResultsData = {
-    subjects: ['Math', 'Science', 'English', 'History'],
-    results: [80, 75, 90, 85] // Sample results out of 100
-  };
+  useEffect(() => {
+    const fetchResults = async () => {
+      try {
+        const email = getCurrentUser()?.email;
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.EXAMS.STUDENT_RESULTS(email)), {
+          headers: {
+            Authorization: `Bearer ${getAccessToken()}`,
+          },
+        });
+        setExamResults(response.data.results || []);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchResults();
+  }, []);
 
   // Bar chart data
   const barChartData = {
-    labels: examResultsData.subjects,
+    labels: examResults.map((result) => `${result.subjectCode} - ${result.title}`),
     datasets: [
       {
         label: 'Exam Results',
@@ -32,7 +50,7 @@ const ExamSection = () => {
         borderWidth: 1,
         hoverBackgroundColor: '#0056b3',
         hoverBorderColor: '#0056b3',
-        data: examResultsData.results
+        data: examResults.map((result) => result.percentage || 0)
       }
     ]
   };
@@ -55,11 +73,19 @@ const ExamSection = () => {
       </SidebarContainer>
       <Content>
         <ExamHeader>Exam Results</ExamHeader>
+        {error && <ErrorText>{error}</ErrorText>}
         <ExamResultsContainer>
-          {examResultsData.subjects.map((subject, index) => (
-            <div key={index}>
-              <ExamSubject>{subject}</ExamSubject>
-              <ExamResult>Score: {examResultsData.results[index]}%</ExamResult>
+          {examResults.length === 0 && !error && <p>No exam results published yet.</p>}
+          {examResults.map((result) => (
+            <div key={result.examId}>
+              <ExamSubject>
+                {result.subjectName} - {result.title}
+              </ExamSubject>
+              <ExamResult>
+                {result.absent
+                  ? 'Absent'
+                  : `Score: ${result.marksObtained}/${result.maxMarks} (${result.percentage}%)`}
+              </ExamResult>
             </div>
           ))}
           <ExamChartContainer>
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import Sidebar from "./Sidebar";
+import { getApiUrl, API_ENDPOINTS } from "../../config/api";
+import {
+  AttendanceContainer,
+  SidebarContainer,
+  Content,
+  AttendanceHeader,
+  AttendanceList,
+  AttendanceItem,
+  AttendanceDate,
+  AttendanceSubject,
+  AttendanceStatus,
+  RemarksText,
+  SessionPanel,
+  SessionButton,
+  StatsTitle,
+  EmptyMessage,
+  ErrorMessage,
+} from "../../styles/AttendanceStyles";
+import { getAccessToken, getCurrentUser } from "../../context/authStore";
+
+const emptyLeave = { type: "medical", subjectId: "", startDate: "", endDate: "", reason: "" };
+
+const statusClass = {
+  approved: "present",
+  rejected: "absent",
+};
+
+// Students apply for leave here. Once approved, absences in the leave range
+// are excused and no longer count against their attendance.
+const LeaveSection = () => {
+  const [leaves, setLeaves] = useState([]);
+  const [subjects, setSubjects] = useState([]);
+  const [newLeave, setNewLeave] = useState(emptyLeave);
+  const [documentFile, setDocumentFile] = useState(null);
+  const [fileKey, setFileKey] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchLeaves = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.LEAVE.MINE), authConfig());
+      setLeaves(response.data.leaves || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  useEffect(() => {
+    const fetchSubjects = async () => {
+      try {
+        const email = getCurrentUser()?.email;
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.STUDENT.SUBJECTS(email)), authConfig());
+        setSubjects(response.data.subjects || []);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchSubjects();
+    fetchLeaves();
+  }, [authConfig, fetchLeaves]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setNewLeave((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSubmitting(true);
+    try {
+      const formData = new FormData();
+      Object.entries(newLeave).forEach(([key, value]) => {
+        if (value !== "") formData.append(key, value);
+      });
+      if (documentFile) formData.append("document", documentFile);
+
+      await axios.post(getApiUrl(API_ENDPOINTS.LEAVE.APPLY), formData, authConfig());
+      setNewLeave(emptyLeave);
+      setDocumentFile(null);
+      setFileKey((key) => key + 1);
+      fetchLeaves();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleWithdraw = async (id) => {
+    setError("");
+    try {
+      await axios.delete(getApiUrl(API_ENDPOINTS.LEAVE.CANCEL(id)), authConfig());
+      fetchLeaves();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  return (
+    <AttendanceContainer>
+      <SidebarContainer>
+        <Sidebar />
+      </SidebarContainer>
+      <Content>
+        <AttendanceHeader>Leave Requests</AttendanceHeader>
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+
+        <StatsTitle>Apply for Leave</StatsTitle>
+        <form onSubmit={handleSubmit}>
+          <SessionPanel>
+            <select name="type" value={newLeave.type} onChange={handleChange}>
+              <option value="medical">Medical</option>
+              <option value="official">Official duty</option>
+              <option value="personal">Personal</option>
+            </select>
+            <select name="subjectId" value={newLeave.subjectId} onChange={handleChange}>
+              <option value="">All subjects</option>
+              {subjects.map((subject) => (
+                <option key={subject.id} value={subject.id}>
+                  {subject.subjectCode} {subject.subjectName}
+                </option>
+              ))}
+            </select>
+            <input type="date" name="startDate" value={newLeave.startDate} onChange={handleChange} required />
+            <input
+              type="date"
+              name="endDate"
+              value={newLeave.endDate}
+              min={newLeave.startDate}
+              onChange={handleChange}
+              placeholder="End date"
+            />
+            <input
+              name="reason"
+              value={newLeave.reason}
+              onChange={handleChange}
+              placeholder="Reason"
+              required
+            />
+            <input key={fileKey} type="file" onChange={(e) => setDocumentFile(e.target.files[0] || null)} />
+            <SessionButton type="submit" disabled={submitting}>
+              {submitting ? "Submitting..." : "Apply"}
+            </SessionButton>
+          </SessionPanel>
+        </form>
+
+        <StatsTitle>My Requests</StatsTitle>
+        {leaves.length === 0 ? (
+          <EmptyMessage>You have not applied for leave.</EmptyMessage>
+        ) : (
+          <AttendanceList>
+            {leaves.map((leave) => (
+              <AttendanceItem key={leave.id}>
+                <AttendanceDate>
+                  {leave.startDate === leave.endDate ? leave.startDate : `${leave.startDate} to ${leave.endDate}`}
+                </AttendanceDate>
+                <AttendanceSubject>
+                  {leave.subject ? `${leave.subject.subjectCode} ${leave.subject.subjectName}` : "All subjects"} ({leave.type})
+                </AttendanceSubject>
+                <AttendanceStatus className={statusClass[leave.status] || "excused"}>
+                  {leave.status.charAt(0).toUpperCase() + leave.status.slice(1)}
+                </AttendanceStatus>
+                {leave.status === "pending" && (
+                  <SessionButton $danger onClick={() => handleWithdraw(leave.id)}>
+                    Withdraw
+                  </SessionButton>
+                )}
+                <RemarksText>
+                  {leave.reason}
+                  {leave.reviewNote && ` - ${leave.reviewedBy}: ${leave.reviewNote}`}
+                </RemarksText>
+              </AttendanceItem>
+            ))}
+          </AttendanceList>
+        )}
+      </Content>
+    </AttendanceContainer>
+  );
+};
+
+export default LeaveSection;
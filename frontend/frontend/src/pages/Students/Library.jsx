@@ -1,7 +1,8 @@
 // LibrarySection.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import Sidebar from './Sidebar';
 import axios from 'axios';
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
 import {
   LibraryContainer,
   SidebarContainer,
@@ -10,10 +11,82 @@ import {
   BookList,
   BookItem,
   BookTitle,
+  BookAuthor,
+  BookMeta,
   BorrowButton,
+  SearchBar,
+  LoanTable,
+  StatusText,
+  ErrorText,
 } from '../../styles/LibraryStyles';
+import { getAccessToken, getCurrentUser } from '../../context/authStore';
 
 const LibrarySection = () => {
+  const [books, setBooks] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loans, setLoans] = useState({ activeLoans: [], history: [], outstandingFines: 0 });
+  const [error, setError] = useState('');
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchBooks = useCallback(async (q) => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.LIBRARY.BOOKS), {
+        ...authConfig(),
+        params: { q: q || undefined, limit: 50 },
+      });
+      setBooks(response.data.books || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  const fetchLoans = useCallback(async () => {
+    try {
+      const email = getCurrentUser()?.email;
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.LIBRARY.STUDENT_LOANS(email)), authConfig());
+      setLoans(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  useEffect(() => {
+    fetchLoans();
+  }, [fetchLoans]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => fetchBooks(search), 300);
+    return () => clearTimeout(timer);
+  }, [search, fetchBooks]);
+
+  const handleBorrow = async (book) => {
+    setError('');
+    try {
+      await axios.post(getApiUrl(API_ENDPOINTS.LIBRARY.BORROW(book.id)), {}, authConfig());
+      fetchBooks(search);
+      fetchLoans();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleRenew = async (loan) => {
+    setError('');
+    try {
+      await axios.post(getApiUrl(API_ENDPOINTS.LIBRARY.RENEW(loan.id)), {}, authConfig());
+      fetchLoans();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const borrowedBookIds = new Set(loans.activeLoans.map((loan) => loan.bookId));
+
   return (
     <LibraryContainer>
       <SidebarContainer>
@@ -21,8 +94,103 @@ const LibrarySection = () => {
       </SidebarContainer>
       <Content>
         <LibraryHeader>Library</LibraryHeader>
+        {error && <ErrorText>{error}</ErrorText>}
+
+        <h2>My Loans</h2>
+        {loans.outstandingFines > 0 && <ErrorText>Outstanding fines: {loans.outstandingFines}</ErrorText>}
+        {loans.activeLoans.length === 0 ? (
+          <p>You have no books on loan.</p>
+        ) : (
+          <LoanTable>
+            <thead>
+              <tr>
+                <th>Book</th>
+                <th>Due</th>
+                <th>Renewals Left</th>
+                <th>Fine</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {loans.activeLoans.map((loan) => (
+                <tr key={loan.id}>
+                  <td>{loan.book?.title}</td>
+                  <td>
+                    <StatusText $overdue={loan.status === 'overdue'}>
+                      {loan.dueDate}
+                      {loan.status === 'overdue' && ' (overdue)'}
+                    </StatusText>
+                  </td>
+                  <td>{loan.renewalsLeft}</td>
+                  <td>{loan.fineAmount}</td>
+                  <td>
+                    <BorrowButton
+                      type="button"
+                      onClick={() => handleRenew(loan)}
+                      disabled={loan.renewalsLeft === 0 || loan.status === 'overdue'}
+                    >
+                      Renew
+                    </BorrowButton>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </LoanTable>
+        )}
+
+        <h2>Catalog</h2>
+        <SearchBar
+          type="text"
+          placeholder="Search by title, author or ISBN"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
         <BookList>
+          {books.map((book) => (
+            <BookItem key={book.id}>
+              <BookTitle>{book.title}</BookTitle>
+              <BookAuthor>by {book.author}</BookAuthor>
+              <BookMeta>
+                {book.availableCopies} of {book.totalCopies} available
+              </BookMeta>{' '}
+              <BorrowButton
+                type="button"
+                onClick={() => handleBorrow(book)}
+                disabled={book.availableCopies === 0 || borrowedBookIds.has(book.id)}
+              >
+                {borrowedBookIds.has(book.id) ? 'Borrowed' : 'Borrow'}
+              </BorrowButton>
+            </BookItem>
+          ))}
         </BookList>
+
+        {loans.history.length > 0 && (
+          <>
+            <h2>Loan History</h2>
+            <LoanTable>
+              <thead>
+                <tr>
+                  <th>Book</th>
+                  <th>Borrowed</th>
+                  <th>Returned</th>
+                  <th>Fine</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loans.history.map((loan) => (
+                  <tr key={loan.id}>
+                    <td>{loan.book?.title}</td>
+                    <td>{new Date(loan.borrowedAt).toLocaleDateString()}</td>
+                    <td>{new Date(loan.returnedAt).toLocaleDateString()}</td>
+                    <td>
+                      {loan.fineAmount > 0 ? `${loan.fineAmount}${loan.finePaid ? ' (paid)' : ''}` : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </LoanTable>
+          </>
+        )}
       </Content>
     </LibraryContainer>
   );
@@ -1,7 +1,10 @@
 // PerformanceSection.js
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
 import Sidebar from './Sidebar';
-// import { Line } from 'react-chartjs-2';
+import 'chart.js/auto';
+import { Line } from 'react-chartjs-2';
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
 import {
   PerformanceContainer,
   SidebarContainer,
@@ -10,29 +13,122 @@ import {
   PerformanceInfo,
   PerformanceGraphContainer,
   TotalMarks,
+  StatGrid,
+  StatCard,
+  SubjectSelect,
+  PerformanceTable,
+  DownloadButton,
+  ErrorText,
 } from '../../styles/PerformanceStyles'; // Import styled components from PerformanceSectionStyles.js
+import { getAccessToken, getCurrentUser } from '../../context/authStore';
+
+const formatScore = (value) => (value === null || value === undefined ? '-' : `${value}%`);
+
+const chartOptions = {
+  scales: {
+    y: {
+      beginAtZero: true,
+      max: 100,
+    },
+  },
+};
 
 const PerformanceSection = () => {
-  // Sample performance data
-  const performanceData = {
-    months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
-    marks: [80, 85, 90, 88, 92, 85], // Sample marks for each month
-    totalMarks: 520 // Sample total marks for the year
+  const [performance, setPerformance] = useState(null);
+  const [selectedSubjectId, setSelectedSubjectId] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchPerformance = async () => {
+      try {
+        const email = getCurrentUser()?.email;
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.PERFORMANCE.STUDENT(email)), {
+          headers: {
+            Authorization: `Bearer ${getAccessToken()}`,
+          },
+        });
+        const data = response.data.performance;
+        setPerformance(data);
+        if (data.subjects.length > 0) {
+          setSelectedSubjectId(String(data.subjects[0].subject.id));
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchPerformance();
+  }, []);
+
+  const handleDownloadTranscript = async () => {
+    setError('');
+    try {
+      const email = getCurrentUser()?.email;
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.STUDENT.TRANSCRIPT(email)), {
+        headers: {
+          Authorization: `Bearer ${getAccessToken()}`,
+        },
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'transcript.pdf';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
   };
 
-  // Line chart data
-  const lineChartData = {
-    labels: performanceData.months,
+  const semesters = performance?.semesters || [];
+  const subjects = performance?.subjects || [];
+  const selectedSubject = subjects.find((row) => String(row.subject.id) === selectedSubjectId);
+
+  // Semester-by-semester trajectory against the class
+  const semesterChartData = {
+    labels: semesters.map((row) => (row.semester ? `Semester ${row.semester}` : 'Unassigned')),
     datasets: [
       {
-        label: 'Performance Trends',
+        label: 'My Average',
         fill: false,
-        lineTension: 0.1,
+        tension: 0.1,
         backgroundColor: '#007bff',
         borderColor: '#007bff',
-        data: performanceData.marks
-      }
-    ]
+        data: semesters.map((row) => row.average),
+      },
+      {
+        label: 'Class Average',
+        fill: false,
+        tension: 0.1,
+        backgroundColor: '#adb5bd',
+        borderColor: '#adb5bd',
+        data: semesters.map((row) => row.classAverage),
+      },
+    ],
+  };
+
+  // Assessment-by-assessment trend within the selected subject
+  const subjectChartData = {
+    labels: (selectedSubject?.trend || []).map((point) => `${point.title} (${point.date})`),
+    datasets: [
+      {
+        label: 'My Score',
+        fill: false,
+        tension: 0.1,
+        backgroundColor: '#007bff',
+        borderColor: '#007bff',
+        data: (selectedSubject?.trend || []).map((point) => point.percentage),
+      },
+      {
+        label: 'Class Average',
+        fill: false,
+        tension: 0.1,
+        backgroundColor: '#adb5bd',
+        borderColor: '#adb5bd',
+        data: (selectedSubject?.trend || []).map((point) => point.classAverage),
+      },
+    ],
   };
 
   return (
@@ -42,23 +138,86 @@ const PerformanceSection = () => {
       </SidebarContainer>
       <Content>
         <PerformanceHeader>Performance</PerformanceHeader>
-        <PerformanceInfo>
-          <PerformanceGraphContainer>
-            <Line
-              data={lineChartData}
-              options={{
-                scales: {
-                  yAxes: [{
-                    ticks: {
-                      beginAtZero: true
-                    }
-                  }]
-                }
-              }}
-            />
-          </PerformanceGraphContainer>
-          <TotalMarks>Total Marks: {performanceData.totalMarks}</TotalMarks>
-        </PerformanceInfo>
+        {error && <ErrorText>{error}</ErrorText>}
+        {performance && (
+          <PerformanceInfo>
+            <TotalMarks>Overall Score: {formatScore(performance.overall)}</TotalMarks>
+            <DownloadButton onClick={handleDownloadTranscript}>Download Transcript</DownloadButton>
+
+            <h3>Semester Trend</h3>
+            <PerformanceGraphContainer>
+              <Line data={semesterChartData} options={chartOptions} />
+            </PerformanceGraphContainer>
+
+            <h3>Subjects</h3>
+            <PerformanceTable>
+              <thead>
+                <tr>
+                  <th>Subject</th>
+                  <th>Exams</th>
+                  <th>Assignments</th>
+                  <th>Attendance</th>
+                  <th>Overall</th>
+                  <th>Class Average</th>
+                  <th>Rank</th>
+                </tr>
+              </thead>
+              <tbody>
+                {subjects.map((row) => (
+                  <tr key={row.subject.id}>
+                    <td>
+                      {row.subject.subjectName} ({row.subject.subjectCode})
+                    </td>
+                    <td>{formatScore(row.exams)}</td>
+                    <td>{formatScore(row.assignments)}</td>
+                    <td>{formatScore(row.attendance)}</td>
+                    <td>{formatScore(row.overall)}</td>
+                    <td>{formatScore(row.classAverage.overall)}</td>
+                    <td>{row.rank ? `${row.rank} / ${row.classSize}` : '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </PerformanceTable>
+
+            {subjects.length > 0 && (
+              <>
+                <h3>Subject Trend</h3>
+                <SubjectSelect value={selectedSubjectId} onChange={(e) => setSelectedSubjectId(e.target.value)}>
+                  {subjects.map((row) => (
+                    <option key={row.subject.id} value={row.subject.id}>
+                      {row.subject.subjectName} ({row.subject.subjectCode})
+                    </option>
+                  ))}
+                </SubjectSelect>
+                {selectedSubject && (
+                  <>
+                    <StatGrid>
+                      <StatCard>
+                        <span>My Score</span>
+                        <strong>{formatScore(selectedSubject.overall)}</strong>
+                      </StatCard>
+                      <StatCard>
+                        <span>Class Average</span>
+                        <strong>{formatScore(selectedSubject.classAverage.overall)}</strong>
+                      </StatCard>
+                      <StatCard>
+                        <span>Rank</span>
+                        <strong>{selectedSubject.rank ? `${selectedSubject.rank} / ${selectedSubject.classSize}` : '-'}</strong>
+                      </StatCard>
+                    </StatGrid>
+                    {selectedSubject.trend.length === 0 ? (
+                      <p>No marks have been published for this subject yet.</p>
+                    ) : (
+                      <PerformanceGraphContainer>
+                        <Line data={subjectChartData} options={chartOptions} />
+                      </PerformanceGraphContainer>
+                    )}
+                  </>
+                )}
+              </>
+            )}
+          </PerformanceInfo>
+        )}
       </Content>
     </PerformanceContainer>
   );
@@ -20,6 +20,8 @@ import {
   ButtonGroup,
   SuccessMessage,
 } from "../../styles/SettingsProfileStyles";
+import { getAccessToken, getCurrentUser } from "../../context/authStore";
+import SessionList from "../../components/SessionList";
 
 const API_BASE_URL = "http://localhost:8080/api";
 
@@ -42,8 +44,8 @@ const ProfileSection = () => {
 
     const fetchProfile = async () => {
       try {
-        const token = localStorage.getItem("authToken");
-        const email = localStorage.getItem("userEmail");
+        const token = getAccessToken();
+        const email = getCurrentUser()?.email;
 
         // Fetch profile data
         const profileResponse = await axios.get(
@@ -134,8 +136,8 @@ const ProfileSection = () => {
       setError(null);
       setSuccess(null);
 
-      const token = localStorage.getItem("authToken");
-      const email = localStorage.getItem("userEmail");
+      const token = getAccessToken();
+      const email = getCurrentUser()?.email;
 
       // Upload new image
       const formData = new FormData();
@@ -200,8 +202,8 @@ const ProfileSection = () => {
       // Fetch the original image again if needed
       const fetchOriginalImage = async () => {
         try {
-          const token = localStorage.getItem("authToken");
-          const email = localStorage.getItem("userEmail");
+          const token = getAccessToken();
+          const email = getCurrentUser()?.email;
 
           const imgResponse = await axios.get(
             `${API_BASE_URL}/students/profile-image/${email}`,
@@ -328,6 +330,7 @@ const ProfileSection = () => {
         ) : (
           <ErrorMessage>No profile data available</ErrorMessage>
         )}
+        <SessionList />
       </Content>
     </ProfileContainer>
   );
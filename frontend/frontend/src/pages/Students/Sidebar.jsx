@@ -1,6 +1,6 @@
 import React, { useState } from "react";
 import styled from "styled-components";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import {
   BsGraphUp,
   BsPeople,
@@ -13,8 +13,12 @@ import {
   BsChatDots,
   BsCalendarEvent,
   BsQuestionSquare,
+  BsQrCodeScan,
+  BsEnvelopePaper,
+  BsBoxArrowRight,
 } from "react-icons/bs";
 import bg1 from "../../assets/bg1.png";
+import { useAuth } from "../../context/useAuth";
 
 const SidebarContainer = styled.div`
   position: fixed;
@@ -93,10 +97,21 @@ const ToggleIcon = styled.span`
 
 const Sidebar = () => {
   const [isOpen, setIsOpen] = useState(true);
+  const navigate = useNavigate();
+  const { logout } = useAuth();
 
   const toggleSidebar = () => {
     setIsOpen(!isOpen);
   };
+
+  const handleLogout = async (e) => {
+    e.preventDefault();
+    try {
+      await logout();
+    } finally {
+      navigate("/signin");
+    }
+  };
   return (
     <SidebarContainer $isOpen={isOpen}>
       <SidebarHeader>
@@ -118,6 +133,20 @@ const Sidebar = () => {
           <StyledLink to="/student/attendance">Attendance</StyledLink>
         </SidebarNavItem>
 
+        <SidebarNavItem>
+          <SidebarIcon>
+            <BsQrCodeScan />
+          </SidebarIcon>
+          <StyledLink to="/student/checkin">Check In</StyledLink>
+        </SidebarNavItem>
+
+        <SidebarNavItem>
+          <SidebarIcon>
+            <BsEnvelopePaper />
+          </SidebarIcon>
+          <StyledLink to="/student/leave">Leave</StyledLink>
+        </SidebarNavItem>
+
         <SidebarNavItem>
           <SidebarIcon>
             <BsChatDots />
@@ -130,6 +159,13 @@ const Sidebar = () => {
           </SidebarIcon>
           <StyledLink to="/student/settings">Profile</StyledLink>
         </SidebarNavItem>
+
+        <SidebarNavItem>
+          <SidebarIcon>
+            <BsBoxArrowRight />
+          </SidebarIcon>
+          <StyledLink to="/signin" onClick={handleLogout}>Log Out</StyledLink>
+        </SidebarNavItem>
       </SidebarNav>
       <ToggleButton onClick={toggleSidebar}>
         <ToggleIcon $isOpen={isOpen}>▲</ToggleIcon>
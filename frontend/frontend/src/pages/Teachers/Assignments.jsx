@@ -1,11 +1,176 @@
 // AssignmentSection.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import Sidebar from './Sidebar';
-import { AssignmentsContainer, Content, AssignmentsContent, AssignmentsHeader, AssignmentList, AssignmentItem, AddAssignmentForm, 
-  AddAssignmentInput, AddAssignmentTextArea, AddAssignmentButton } from '../../styles/AssignmentsStyles'; 
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
+import {
+  AssignmentsContainer,
+  Content,
+  AssignmentsContent,
+  AssignmentsHeader,
+  AssignmentList,
+  AssignmentItem,
+  AddAssignmentForm,
+  AddAssignmentInput,
+  AddAssignmentTextArea,
+  AddAssignmentSelect,
+  AddAssignmentButton,
+  AssignmentMeta,
+  LateBadge,
+  LinkButton,
+  SubmissionTable,
+  ErrorText,
+} from '../../styles/AssignmentsStyles';
+import { getAccessToken, getCurrentUser } from '../../context/authStore';
+
+const emptyAssignment = {
+  subjectId: '',
+  title: '',
+  description: '',
+  maxMarks: '',
+  dueDate: '',
+  allowLateSubmission: true,
+};
 
 const AssignmentSection = () => {
+  const [subjects, setSubjects] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [newAssignment, setNewAssignment] = useState(emptyAssignment);
+  const [attachment, setAttachment] = useState(null);
+  const [selectedAssignment, setSelectedAssignment] = useState(null);
+  const [submissions, setSubmissions] = useState([]);
+  const [error, setError] = useState('');
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchAssignments = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.ASSIGNMENTS.GET_ALL), authConfig());
+      setAssignments(response.data.assignments || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  useEffect(() => {
+    const fetchSubjects = async () => {
+      try {
+        const email = getCurrentUser()?.email;
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.TEACHER.SUBJECTS(email)), authConfig());
+        const list = response.data.subjects || [];
+        setSubjects(list);
+        if (list.length > 0) {
+          setNewAssignment((prev) => ({ ...prev, subjectId: list[0].id }));
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchSubjects();
+    fetchAssignments();
+  }, [authConfig, fetchAssignments]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setNewAssignment((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleAddAssignment = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const formData = new FormData();
+    Object.entries(newAssignment).forEach(([key, value]) => formData.append(key, value));
+    formData.set('dueDate', new Date(newAssignment.dueDate).toISOString());
+    if (attachment) {
+      formData.append('attachment', attachment);
+    }
+
+    try {
+      await axios.post(getApiUrl(API_ENDPOINTS.ASSIGNMENTS.CREATE), formData, authConfig());
+      setNewAssignment((prev) => ({ ...emptyAssignment, subjectId: prev.subjectId }));
+      setAttachment(null);
+      e.target.reset();
+      fetchAssignments();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleSelectAssignment = async (assignment) => {
+    setError('');
+    try {
+      const response = await axios.get(
+        getApiUrl(API_ENDPOINTS.ASSIGNMENTS.SUBMISSIONS(assignment.id)),
+        authConfig()
+      );
+      setSelectedAssignment(assignment);
+      setSubmissions(response.data.submissions || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleDeleteAssignment = async (assignment) => {
+    if (!window.confirm(`Delete "${assignment.title}" and all of its submissions?`)) {
+      return;
+    }
+    setError('');
+    try {
+      await axios.delete(getApiUrl(API_ENDPOINTS.ASSIGNMENTS.DELETE(assignment.id)), authConfig());
+      if (selectedAssignment?.id === assignment.id) {
+        setSelectedAssignment(null);
+        setSubmissions([]);
+      }
+      fetchAssignments();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleDownload = async (submission) => {
+    setError('');
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.ASSIGNMENTS.SUBMISSION_FILE(submission.id)), {
+        ...authConfig(),
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = submission.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const updateSubmission = (id, changes) => {
+    setSubmissions((prev) => prev.map((row) => (row.id === id ? { ...row, ...changes } : row)));
+  };
+
+  const handleGrade = async (submission) => {
+    setError('');
+    try {
+      await axios.put(
+        getApiUrl(API_ENDPOINTS.ASSIGNMENTS.GRADE(submission.id)),
+        {
+          marksObtained: parseFloat(submission.marksObtained),
+          feedback: submission.feedback,
+        },
+        authConfig()
+      );
+      handleSelectAssignment(selectedAssignment);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
 
   return (
     <AssignmentsContainer>
@@ -13,31 +178,138 @@ const AssignmentSection = () => {
       <Content>
         <AssignmentsContent>
           <AssignmentsHeader>Assignments</AssignmentsHeader>
-          <AddAssignmentForm >
+          {error && <ErrorText>{error}</ErrorText>}
+          <AddAssignmentForm onSubmit={handleAddAssignment}>
+            <AddAssignmentSelect name="subjectId" value={newAssignment.subjectId} onChange={handleChange} required>
+              {subjects.map((subject) => (
+                <option key={subject.id} value={subject.id}>
+                  {subject.subjectName} ({subject.subjectCode})
+                </option>
+              ))}
+            </AddAssignmentSelect>
             <AddAssignmentInput
               type="text"
+              name="title"
               placeholder="Enter assignment title"
-    
+              value={newAssignment.title}
+              onChange={handleChange}
+              required
             />
             <AddAssignmentTextArea
+              name="description"
               placeholder="Enter assignment description"
-             
+              value={newAssignment.description}
+              onChange={handleChange}
             />
             <AddAssignmentInput
-              type="text"
-              placeholder="Enter assignment grade"
-              
+              type="number"
+              name="maxMarks"
+              placeholder="Enter maximum marks"
+              value={newAssignment.maxMarks}
+              onChange={handleChange}
+              required
             />
             <AddAssignmentInput
-              type="text"
-              placeholder="Enter assignment deadline"
-              
+              type="datetime-local"
+              name="dueDate"
+              value={newAssignment.dueDate}
+              onChange={handleChange}
+              required
             />
+            <AddAssignmentInput type="file" onChange={(e) => setAttachment(e.target.files[0] || null)} />
+            <label>
+              <input
+                type="checkbox"
+                name="allowLateSubmission"
+                checked={newAssignment.allowLateSubmission}
+                onChange={handleChange}
+              />{' '}
+              Accept late submissions
+            </label>
+            <br />
             <AddAssignmentButton type="submit">Add Assignment</AddAssignmentButton>
           </AddAssignmentForm>
           <AssignmentList>
-  
+            {assignments.map((assignment) => (
+              <AssignmentItem key={assignment.id}>
+                <strong>{assignment.title}</strong> - {assignment.subject?.subjectCode}
+                <AssignmentMeta>
+                  Due {new Date(assignment.dueDate).toLocaleString()} • Max {assignment.maxMarks}
+                </AssignmentMeta>
+                <LinkButton type="button" onClick={() => handleSelectAssignment(assignment)}>
+                  View submissions
+                </LinkButton>{' '}
+                <LinkButton type="button" onClick={() => handleDeleteAssignment(assignment)}>
+                  Delete
+                </LinkButton>
+              </AssignmentItem>
+            ))}
           </AssignmentList>
+
+          {selectedAssignment && (
+            <>
+              <h3>Submissions: {selectedAssignment.title}</h3>
+              <SubmissionTable>
+                <thead>
+                  <tr>
+                    <th>Roll No</th>
+                    <th>Name</th>
+                    <th>Submission</th>
+                    <th>Marks (out of {selectedAssignment.maxMarks})</th>
+                    <th>Feedback</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {submissions.map((row) => (
+                    <tr key={row.studentEmail}>
+                      <td>{row.rollNo}</td>
+                      <td>{row.studentName}</td>
+                      <td>
+                        {row.submitted ? (
+                          <>
+                            <LinkButton type="button" onClick={() => handleDownload(row)}>
+                              {row.fileName}
+                            </LinkButton>
+                            {row.isLate && <LateBadge>Late</LateBadge>}
+                          </>
+                        ) : (
+                          'Not submitted'
+                        )}
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          max={selectedAssignment.maxMarks}
+                          value={row.marksObtained ?? ''}
+                          disabled={!row.submitted}
+                          onChange={(e) => updateSubmission(row.id, { marksObtained: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          value={row.feedback || ''}
+                          disabled={!row.submitted}
+                          onChange={(e) => updateSubmission(row.id, { feedback: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <AddAssignmentButton
+                          type="button"
+                          disabled={!row.submitted || row.marksObtained === null || row.marksObtained === ''}
+                          onClick={() => handleGrade(row)}
+                        >
+                          Save
+                        </AddAssignmentButton>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </SubmissionTable>
+            </>
+          )}
         </AssignmentsContent>
       </Content>
     </AssignmentsContainer>
@@ -3,6 +3,8 @@ import axios from "axios";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import Sidebar from "./Sidebar";
+import CheckinPanel from "../../components/CheckinPanel";
+import AttendanceRegister from "../../components/AttendanceRegister";
 import {
   AttendanceContainer,
   Content,
@@ -26,10 +28,22 @@ import {
   RemarksInput,
   AttendanceControls,
   RadioGroup,
+  SessionPanel,
+  SessionSummary,
+  SessionButton,
 } from "../../styles/AttendanceStyles";
+import { getAccessToken, getCurrentUser } from "../../context/authStore";
 
 const API_BASE_URL = "http://localhost:8080/api";
 
+const STATUS_OPTIONS = [
+  { value: "present", label: "Present" },
+  { value: "late", label: "Late" },
+  { value: "on_duty", label: "On Duty" },
+  { value: "excused", label: "Excused" },
+  { value: "absent", label: "Absent" },
+];
+
 const CheckAttendanceSection = () => {
   const [subjects, setSubjects] = useState([]);
   const [selectedSubject, setSelectedSubject] = useState(null);
@@ -37,6 +51,11 @@ const CheckAttendanceSection = () => {
   const [date, setDate] = useState(new Date().toISOString().split("T")[0]);
   const [attendanceData, setAttendanceData] = useState({});
   const [stats, setStats] = useState(null);
+  const [currentSlot, setCurrentSlot] = useState(null);
+  const [periods, setPeriods] = useState([]);
+  const [daySessions, setDaySessions] = useState({ sessions: [], excluded: [] });
+  const [extraClass, setExtraClass] = useState({ type: "extra", period: "" });
+  const [cancelReason, setCancelReason] = useState("");
   const [loading, setLoading] = useState({
     subjects: false,
     students: false,
@@ -46,21 +65,33 @@ const CheckAttendanceSection = () => {
 
   const authConfig = {
     headers: {
-      Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+      Authorization: `Bearer ${getAccessToken()}`,
     },
   };
 
   const fetchSubjects = useCallback(async () => {
     try {
       setLoading((prev) => ({ ...prev, subjects: true }));
-      const facultyEmail = localStorage.getItem("userEmail");
+      const facultyEmail = getCurrentUser()?.email;
       const response = await axios.get(
         `${API_BASE_URL}/attendance/faculty/${facultyEmail}/subjects`,
         authConfig
       );
       setSubjects(response.data);
       if (response.data.length > 0) {
-        setSelectedSubject(response.data[0].id);
+        // Start on the subject being taught right now, if any
+        const timetable = await axios
+          .get(`${API_BASE_URL}/timetable/me`, authConfig)
+          .catch(() => null);
+        setPeriods(timetable?.data.periods || []);
+        const now = new Date().toTimeString().slice(0, 5);
+        const period = timetable?.data.periods.find(
+          (p) => p.startTime <= now && now < p.endTime
+        );
+        const inSession = period && timetable.data.slots.find(
+          (slot) => slot.dayOfWeek === (new Date().getDay() || 7) && slot.period === period.period
+        );
+        setSelectedSubject(inSession ? inSession.subjectId : response.data[0].id);
       }
     } catch (err) {
       toast.error(
@@ -96,7 +127,7 @@ const CheckAttendanceSection = () => {
           (a) => a.studentEmail === student.email
         );
         initialData[student.email] = {
-          present: attendance ? attendance.present : null,
+          status: attendance ? attendance.status : null,
           remarks: attendance ? attendance.remarks : "",
         };
       });
@@ -130,14 +161,86 @@ const CheckAttendanceSection = () => {
     }
   }, [selectedSubject]);
 
+  const fetchCurrentSlot = useCallback(async () => {
+    if (!selectedSubject || date !== new Date().toISOString().split("T")[0]) {
+      setCurrentSlot(null);
+      return;
+    }
+    try {
+      const response = await axios.get(
+        `${API_BASE_URL}/timetable/subject/${selectedSubject}/current`,
+        { headers: { Authorization: `Bearer ${getAccessToken()}` } }
+      );
+      setCurrentSlot(response.data.slot ? response.data : null);
+    } catch {
+      setCurrentSlot(null);
+    }
+  }, [selectedSubject, date]);
+
+  const fetchDaySessions = useCallback(async () => {
+    if (!selectedSubject) return;
+    try {
+      const response = await axios.get(
+        `${API_BASE_URL}/timetable/subject/${selectedSubject}/sessions`,
+        {
+          headers: { Authorization: `Bearer ${getAccessToken()}` },
+          params: { from: date, to: date },
+        }
+      );
+      setDaySessions(response.data);
+    } catch (err) {
+      setDaySessions({ sessions: [], excluded: [] });
+      toast.error(
+        "Failed to fetch classes: " + (err.response?.data?.message || err.message)
+      );
+    }
+  }, [selectedSubject, date]);
+
+  const changeSession = async (request, successMessage) => {
+    try {
+      await request();
+      toast.success(successMessage);
+      fetchDaySessions();
+      fetchStats();
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleAddExtraClass = () =>
+    changeSession(
+      () => axios.post(
+        `${API_BASE_URL}/timetable/subject/${selectedSubject}/sessions`,
+        { date, type: extraClass.type, period: extraClass.period },
+        authConfig
+      ),
+      "Class added"
+    );
+
+  const handleCancelClass = () =>
+    changeSession(
+      () => axios.post(
+        `${API_BASE_URL}/timetable/subject/${selectedSubject}/sessions`,
+        { date, type: "cancelled", reason: cancelReason },
+        authConfig
+      ),
+      "Class cancelled"
+    ).then(() => setCancelReason(""));
+
+  const handleRemoveSession = (sessionId) =>
+    changeSession(
+      () => axios.delete(`${API_BASE_URL}/timetable/sessions/${sessionId}`, authConfig),
+      "Class session removed"
+    );
+
   const handleSubmit = async () => {
     try {
       setLoading((prev) => ({ ...prev, submission: true }));
 
-      const facultyEmail = localStorage.getItem("userEmail");
+      const facultyEmail = getCurrentUser()?.email;
       const studentAttendances = students.map((student) => ({
         studentEmail: student.email,
-        present: attendanceData[student.email]?.present || false,
+        status: attendanceData[student.email]?.status || "absent",
         remarks: attendanceData[student.email]?.remarks || "",
       }));
 
@@ -168,8 +271,10 @@ const CheckAttendanceSection = () => {
     if (selectedSubject) {
       fetchAttendance();
       fetchStats();
+      fetchCurrentSlot();
+      fetchDaySessions();
     }
-  }, [selectedSubject, date, fetchAttendance, fetchStats]);
+  }, [selectedSubject, date, fetchAttendance, fetchStats, fetchCurrentSlot, fetchDaySessions]);
 
   return (
     <AttendanceContainer>
@@ -203,6 +308,94 @@ const CheckAttendanceSection = () => {
               max={new Date().toISOString().split("T")[0]}
             />
 
+            <SessionPanel>
+              <SessionSummary>
+                {daySessions.sessions.length > 0
+                  ? `Classes on this date: ${daySessions.sessions
+                      .map((session) => `period ${session.period}${session.type === "scheduled" ? "" : ` (${session.type})`}`)
+                      .join(", ")}`
+                  : daySessions.excluded.length > 0
+                    ? `No class on this date: ${daySessions.excluded[0].reason}`
+                    : "No class scheduled on this date"}
+              </SessionSummary>
+              {daySessions.sessions
+                .filter((session) => session.sessionId)
+                .map((session) => (
+                  <SessionButton
+                    key={session.sessionId}
+                    $danger
+                    onClick={() => handleRemoveSession(session.sessionId)}
+                  >
+                    Remove {session.type} class (period {session.period})
+                  </SessionButton>
+                ))}
+              {daySessions.excluded
+                .filter((entry) => entry.sessionId)
+                .map((entry) => (
+                  <SessionButton key={entry.sessionId} onClick={() => handleRemoveSession(entry.sessionId)}>
+                    Restore class
+                  </SessionButton>
+                ))}
+              <select
+                value={extraClass.type}
+                onChange={(e) => setExtraClass((prev) => ({ ...prev, type: e.target.value }))}
+              >
+                <option value="extra">Extra class</option>
+                <option value="makeup">Makeup class</option>
+              </select>
+              <select
+                value={extraClass.period}
+                onChange={(e) => setExtraClass((prev) => ({ ...prev, period: e.target.value }))}
+              >
+                <option value="">Period</option>
+                {periods.map((period) => (
+                  <option key={period.period} value={period.period}>
+                    {period.period} ({period.startTime} - {period.endTime})
+                  </option>
+                ))}
+              </select>
+              <SessionButton onClick={handleAddExtraClass} disabled={!extraClass.period}>
+                Add Class
+              </SessionButton>
+              {daySessions.sessions.some((session) => session.type === "scheduled") && (
+                <>
+                  <input
+                    value={cancelReason}
+                    onChange={(e) => setCancelReason(e.target.value)}
+                    placeholder="Reason for cancelling"
+                  />
+                  <SessionButton $danger onClick={handleCancelClass}>
+                    Cancel Class
+                  </SessionButton>
+                </>
+              )}
+            </SessionPanel>
+
+            {currentSlot && (
+              <EmptyMessage>
+                Recording for period {currentSlot.period.period} ({currentSlot.period.startTime} -{" "}
+                {currentSlot.period.endTime}) in {currentSlot.slot.room.name}
+              </EmptyMessage>
+            )}
+
+            {date === new Date().toISOString().split("T")[0] && (
+              <CheckinPanel
+                subjectId={selectedSubject}
+                onFinalized={() => {
+                  fetchAttendance();
+                  fetchStats();
+                }}
+              />
+            )}
+
+            <AttendanceRegister
+              subjectId={selectedSubject}
+              onImported={() => {
+                fetchAttendance();
+                fetchStats();
+              }}
+            />
+
             {stats && (
               <StatsContainer>
                 <StatsItem>
@@ -234,43 +427,26 @@ const CheckAttendanceSection = () => {
 
                       <AttendanceControls>
                         <RadioGroup>
-                          <CheckboxLabel>
-                            <input
-                              type="radio"
-                              checked={
-                                attendanceData[student.email]?.present === true
-                              }
-                              onChange={() => {
-                                setAttendanceData((prev) => ({
-                                  ...prev,
-                                  [student.email]: {
-                                    ...(prev[student.email] || {}),
-                                    present: true,
-                                  },
-                                }));
-                              }}
-                            />
-                            Present
-                          </CheckboxLabel>
-
-                          <CheckboxLabel>
-                            <input
-                              type="radio"
-                              checked={
-                                attendanceData[student.email]?.present === false
-                              }
-                              onChange={() => {
-                                setAttendanceData((prev) => ({
-                                  ...prev,
-                                  [student.email]: {
-                                    ...(prev[student.email] || {}),
-                                    present: false,
-                                  },
-                                }));
-                              }}
-                            />
-                            Absent
-                          </CheckboxLabel>
+                          {STATUS_OPTIONS.map((option) => (
+                            <CheckboxLabel key={option.value}>
+                              <input
+                                type="radio"
+                                checked={
+                                  attendanceData[student.email]?.status === option.value
+                                }
+                                onChange={() => {
+                                  setAttendanceData((prev) => ({
+                                    ...prev,
+                                    [student.email]: {
+                                      ...(prev[student.email] || {}),
+                                      status: option.value,
+                                    },
+                                  }));
+                                }}
+                              />
+                              {option.label}
+                            </CheckboxLabel>
+                          ))}
                         </RadioGroup>
 
                         <RemarksInput
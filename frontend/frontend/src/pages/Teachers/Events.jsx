@@ -1,30 +1,180 @@
 // EventCalendar.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import Sidebar from './Sidebar';
 import axios from 'axios';
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
+import CalendarFeed from '../../components/CalendarFeed';
 import {
   EventCalendarContainer,
   Content,
   CalendarContainer,
   Events,
   Event,
-  AddEventForm,
+  EventForm,
   EventInput,
+  EventSelect,
+  FieldLabel,
+  RangeBar,
+  EventMeta,
+  TypeBadge,
   AddEventButton,
+  DeleteEventButton,
   ErrorText,
 } from '../../styles/EventCalendarStyles';
+import { getAccessToken, getCurrentUser } from '../../context/authStore';
+
+const EVENT_TYPES = ['exam', 'deadline', 'meeting'];
+
+const emptyEvent = {
+  title: '',
+  type: 'deadline',
+  subjectId: '',
+  startTime: '',
+  endTime: '',
+  location: '',
+  frequency: '',
+  count: '',
+};
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Build an RRULE such as FREQ=WEEKLY;COUNT=10 from the repeat fields
+const buildRecurrenceRule = (frequency, count) => {
+  if (!frequency) {
+    return null;
+  }
+  return count ? `FREQ=${frequency};COUNT=${count}` : `FREQ=${frequency}`;
+};
 
 const EventCalendar = () => {
+  const [subjects, setSubjects] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [month, setMonth] = useState(currentMonth());
+  const [newEvent, setNewEvent] = useState(emptyEvent);
+  const [error, setError] = useState('');
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      const [year, monthIndex] = month.split('-').map(Number);
+      const from = new Date(year, monthIndex - 1, 1);
+      const to = new Date(year, monthIndex, 0, 23, 59, 59);
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.EVENTS.GET_ALL), {
+        ...authConfig(),
+        params: { from: from.toISOString(), to: to.toISOString() },
+      });
+      setEvents(response.data.events || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig, month]);
+
+  useEffect(() => {
+    const fetchSubjects = async () => {
+      try {
+        const email = getCurrentUser()?.email;
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.TEACHER.SUBJECTS(email)), authConfig());
+        const list = response.data.subjects || [];
+        setSubjects(list);
+        if (list.length > 0) {
+          setNewEvent((prev) => ({ ...prev, subjectId: list[0].id }));
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchSubjects();
+  }, [authConfig]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setNewEvent((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddEvent = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await axios.post(
+        getApiUrl(API_ENDPOINTS.EVENTS.CREATE),
+        {
+          title: newEvent.title,
+          type: newEvent.type,
+          startTime: newEvent.startTime,
+          endTime: newEvent.endTime,
+          location: newEvent.location,
+          audienceType: 'subject',
+          audienceValue: newEvent.subjectId,
+          recurrenceRule: buildRecurrenceRule(newEvent.frequency, newEvent.count),
+        },
+        authConfig()
+      );
+      setNewEvent((prev) => ({ ...emptyEvent, subjectId: prev.subjectId }));
+      fetchEvents();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleDelete = async (eventId) => {
+    setError('');
+    try {
+      await axios.delete(getApiUrl(API_ENDPOINTS.EVENTS.DELETE(eventId)), authConfig());
+      fetchEvents();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const subjectName = (subjectId) => {
+    const subject = subjects.find((s) => String(s.id) === String(subjectId));
+    return subject ? `${subject.subjectName} (${subject.subjectCode})` : null;
+  };
+
   return (
     <EventCalendarContainer>
       <Sidebar />
       <Content>
         <h1>Events & Calendar</h1>
-        {/* */}
+        {error && <ErrorText>{error}</ErrorText>}
+        <CalendarFeed />
 
         <CalendarContainer>
-          {/* Display Calendar Here */}
-          Calendar
+          <RangeBar>
+            <FieldLabel>
+              Month
+              <EventInput type="month" value={month} onChange={(e) => setMonth(e.target.value)} />
+            </FieldLabel>
+          </RangeBar>
+
+          <Events>
+            {events.length === 0 && <p>No events this month.</p>}
+            {events.map((event) => (
+              <Event key={`${event.id}-${event.occurrenceStart}`}>
+                {event.audienceType === 'subject' && subjectName(event.audienceValue) && (
+                  <DeleteEventButton onClick={() => handleDelete(event.id)}>Delete</DeleteEventButton>
+                )}
+                <TypeBadge $type={event.type}>{event.type}</TypeBadge>
+                <strong>{event.title}</strong>
+                <EventMeta>
+                  {new Date(event.occurrenceStart).toLocaleString()} - {new Date(event.occurrenceEnd).toLocaleString()}
+                  {event.location && ` | ${event.location}`}
+                  {event.audienceType === 'subject' && ` | ${subjectName(event.audienceValue) || 'Subject'}`}
+                  {event.recurrenceRule && ' | Repeats'}
+                </EventMeta>
+              </Event>
+            ))}
+          </Events>
 
           {/* PDF Viewer */}
           <div style={{ marginTop: '20px' }}>
@@ -42,18 +192,59 @@ const EventCalendar = () => {
           </div>
         </CalendarContainer>
 
-        {/* <AddEventForm>
-          <h2>Add New Event</h2>
-          <EventInput
-            type="text"
-            placeholder="Enter Event"
-          />
-          <AddEventButton type="submit">Add Event</AddEventButton>
-        </AddEventForm> */}
-
-        {/* <Events>
-          <h2>event</h2>
-        </Events> */}
+        <h2>Add New Event</h2>
+        <EventForm onSubmit={handleAddEvent}>
+          <FieldLabel>
+            Title
+            <EventInput type="text" name="title" value={newEvent.title} onChange={handleChange} required />
+          </FieldLabel>
+          <FieldLabel>
+            Type
+            <EventSelect name="type" value={newEvent.type} onChange={handleChange}>
+              {EVENT_TYPES.map((type) => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </EventSelect>
+          </FieldLabel>
+          <FieldLabel>
+            Subject
+            <EventSelect name="subjectId" value={newEvent.subjectId} onChange={handleChange} required>
+              {subjects.map((subject) => (
+                <option key={subject.id} value={subject.id}>
+                  {subject.subjectName} ({subject.subjectCode})
+                </option>
+              ))}
+            </EventSelect>
+          </FieldLabel>
+          <FieldLabel>
+            Starts
+            <EventInput type="datetime-local" name="startTime" value={newEvent.startTime} onChange={handleChange} required />
+          </FieldLabel>
+          <FieldLabel>
+            Ends
+            <EventInput type="datetime-local" name="endTime" value={newEvent.endTime} onChange={handleChange} required />
+          </FieldLabel>
+          <FieldLabel>
+            Location
+            <EventInput type="text" name="location" value={newEvent.location} onChange={handleChange} />
+          </FieldLabel>
+          <FieldLabel>
+            Repeats
+            <EventSelect name="frequency" value={newEvent.frequency} onChange={handleChange}>
+              <option value="">Does not repeat</option>
+              <option value="DAILY">Daily</option>
+              <option value="WEEKLY">Weekly</option>
+              <option value="MONTHLY">Monthly</option>
+            </EventSelect>
+          </FieldLabel>
+          {newEvent.frequency && (
+            <FieldLabel>
+              Occurrences
+              <EventInput type="number" min="1" name="count" value={newEvent.count} onChange={handleChange} />
+            </FieldLabel>
+          )}
+          <AddEventButton type="submit" disabled={subjects.length === 0}>Add Event</AddEventButton>
+        </EventForm>
       </Content>
     </EventCalendarContainer>
   );
@@ -1,11 +1,139 @@
 // CheckExamSection.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import Sidebar from './Sidebar';
-import { ExamContainer, SidebarContainer, Content, ExamHeader, ExamForm, FormLabel, FormInput, AddButton } 
-from '../../styles/ExamStyles'; 
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
+import {
+  ExamContainer,
+  SidebarContainer,
+  Content,
+  ExamHeader,
+  ExamForm,
+  FormLabel,
+  FormInput,
+  FormSelect,
+  AddButton,
+  ExamList,
+  ExamListItem,
+  MarksTable,
+  ErrorText,
+} from '../../styles/ExamStyles';
+import { getAccessToken, getCurrentUser } from '../../context/authStore';
+
+const EXAM_TYPES = ['quiz', 'midterm', 'final', 'practical', 'other'];
+
+const emptyExam = {
+  subjectId: '',
+  title: '',
+  examType: 'midterm',
+  examDate: '',
+  maxMarks: '',
+  venue: '',
+};
 
 const CheckExamSection = () => {
+  const [subjects, setSubjects] = useState([]);
+  const [exams, setExams] = useState([]);
+  const [newExam, setNewExam] = useState(emptyExam);
+  const [selectedExam, setSelectedExam] = useState(null);
+  const [marks, setMarks] = useState([]);
+  const [error, setError] = useState('');
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  const fetchExams = useCallback(async () => {
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.EXAMS.GET_ALL), authConfig());
+      setExams(response.data.exams || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  }, [authConfig]);
+
+  useEffect(() => {
+    const fetchSubjects = async () => {
+      try {
+        const email = getCurrentUser()?.email;
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.TEACHER.SUBJECTS(email)), authConfig());
+        const list = response.data.subjects || [];
+        setSubjects(list);
+        if (list.length > 0) {
+          setNewExam((prev) => ({ ...prev, subjectId: list[0].id }));
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchSubjects();
+    fetchExams();
+  }, [authConfig, fetchExams]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setNewExam((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddExam = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await axios.post(
+        getApiUrl(API_ENDPOINTS.EXAMS.CREATE),
+        { ...newExam, maxMarks: parseFloat(newExam.maxMarks) },
+        authConfig()
+      );
+      setNewExam((prev) => ({ ...emptyExam, subjectId: prev.subjectId }));
+      fetchExams();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleSelectExam = async (exam) => {
+    setError('');
+    try {
+      const response = await axios.get(getApiUrl(API_ENDPOINTS.EXAMS.RESULTS(exam.id)), authConfig());
+      setSelectedExam(exam);
+      setMarks(response.data.results || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const updateMark = (studentEmail, changes) => {
+    setMarks((prev) =>
+      prev.map((row) => (row.studentEmail === studentEmail ? { ...row, ...changes } : row))
+    );
+  };
+
+  const handleSaveMarks = async () => {
+    setError('');
+    const results = marks
+      .filter((row) => row.absent || (row.marksObtained !== null && row.marksObtained !== ''))
+      .map((row) => ({
+        studentEmail: row.studentEmail,
+        marksObtained: row.absent ? null : parseFloat(row.marksObtained),
+        absent: row.absent,
+        remarks: row.remarks,
+      }));
+
+    try {
+      await axios.post(getApiUrl(API_ENDPOINTS.EXAMS.RESULTS(selectedExam.id)), { results }, authConfig());
+      handleSelectExam(selectedExam);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const calculateTotalMarks = () => {
+    return marks.reduce((total, row) => total + (parseFloat(row.marksObtained) || 0), 0);
+  };
+
   return (
     <ExamContainer>
       <SidebarContainer>
@@ -13,33 +141,104 @@ const CheckExamSection = () => {
       </SidebarContainer>
       <Content>
         <ExamHeader>Exam Details</ExamHeader>
-        <ExamForm>
-          <FormLabel>Name:</FormLabel>
-          <FormInput
-            type="text"
-            required
-          />
-          <FormLabel>Registration Number:</FormLabel>
-          <FormInput
-            type="text"
-            required
-          />
-          <FormLabel>Class:</FormLabel>
-          <FormInput
-            type="text"
-            required
-          />
-          <FormLabel>Marks:</FormLabel>
-          <FormInput
-            type="number"
-            required
-          />
+        {error && <ErrorText>{error}</ErrorText>}
+        <ExamForm onSubmit={handleAddExam}>
+          <FormLabel>Subject:</FormLabel>
+          <FormSelect name="subjectId" value={newExam.subjectId} onChange={handleChange} required>
+            {subjects.map((subject) => (
+              <option key={subject.id} value={subject.id}>
+                {subject.subjectName} ({subject.subjectCode})
+              </option>
+            ))}
+          </FormSelect>
+          <FormLabel>Title:</FormLabel>
+          <FormInput type="text" name="title" value={newExam.title} onChange={handleChange} required />
+          <FormLabel>Type:</FormLabel>
+          <FormSelect name="examType" value={newExam.examType} onChange={handleChange}>
+            {EXAM_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </FormSelect>
+          <FormLabel>Date:</FormLabel>
+          <FormInput type="date" name="examDate" value={newExam.examDate} onChange={handleChange} required />
+          <FormLabel>Maximum Marks:</FormLabel>
+          <FormInput type="number" name="maxMarks" value={newExam.maxMarks} onChange={handleChange} required />
+          <FormLabel>Venue:</FormLabel>
+          <FormInput type="text" name="venue" value={newExam.venue} onChange={handleChange} />
           <AddButton type="submit">Add Exam</AddButton>
         </ExamForm>
-        <h2>Total Marks:</h2>
+
         <h3>Exam Details:</h3>
-        <ul>
-        </ul>
+        <ExamList>
+          {exams.map((exam) => (
+            <ExamListItem
+              key={exam.id}
+              $active={selectedExam?.id === exam.id}
+              onClick={() => handleSelectExam(exam)}
+            >
+              <span>
+                {exam.title} ({exam.examType}) - {exam.subject?.subjectCode}
+              </span>
+              <span>
+                {exam.examDate} • Max {exam.maxMarks}
+              </span>
+            </ExamListItem>
+          ))}
+        </ExamList>
+
+        {selectedExam && (
+          <>
+            <h2>Total Marks: {calculateTotalMarks()}</h2>
+            <MarksTable>
+              <thead>
+                <tr>
+                  <th>Roll No</th>
+                  <th>Name</th>
+                  <th>Marks (out of {selectedExam.maxMarks})</th>
+                  <th>Absent</th>
+                  <th>Remarks</th>
+                </tr>
+              </thead>
+              <tbody>
+                {marks.map((row) => (
+                  <tr key={row.studentEmail}>
+                    <td>{row.rollNo}</td>
+                    <td>{row.studentName}</td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        max={selectedExam.maxMarks}
+                        value={row.marksObtained ?? ''}
+                        disabled={row.absent}
+                        onChange={(e) => updateMark(row.studentEmail, { marksObtained: e.target.value })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={row.absent}
+                        onChange={(e) => updateMark(row.studentEmail, { absent: e.target.checked })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={row.remarks || ''}
+                        onChange={(e) => updateMark(row.studentEmail, { remarks: e.target.value })}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </MarksTable>
+            <AddButton type="button" onClick={handleSaveMarks}>
+              Save Marks
+            </AddButton>
+          </>
+        )}
       </Content>
     </ExamContainer>
   );
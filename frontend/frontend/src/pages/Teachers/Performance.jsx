@@ -1,41 +1,204 @@
 // CheckPerformanceSection.js
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
 import Sidebar from './Sidebar';
-import { PerformanceContainer, Content, PerformanceContent, PerformanceHeader, SchoolPerformance, IndividualPerformance } 
-from '../../styles/PerformanceStyles'; 
+import 'chart.js/auto';
+import { Bar } from 'react-chartjs-2';
+import { getApiUrl, API_ENDPOINTS } from '../../config/api';
+import {
+  PerformanceContainer,
+  Content,
+  PerformanceContent,
+  PerformanceHeader,
+  SchoolPerformance,
+  IndividualPerformance,
+  PerformanceGraphContainer,
+  StatGrid,
+  StatCard,
+  SubjectSelect,
+  PerformanceTable,
+  ErrorText,
+} from '../../styles/PerformanceStyles';
+import { getAccessToken } from '../../context/authStore';
+
+const formatScore = (value) => (value === null || value === undefined ? '-' : `${value}%`);
 
 const CheckPerformanceSection = () => {
-  // Sample data for school performance
-  const schoolPerformanceData = {
-    averageScore: 85,
-    totalStudents: 100,
-  };
+  const [subjects, setSubjects] = useState([]);
+  const [selectedSubjectId, setSelectedSubjectId] = useState('');
+  const [performance, setPerformance] = useState(null);
+  const [error, setError] = useState('');
+
+  const authConfig = useCallback(() => ({
+    headers: {
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+  }), []);
+
+  useEffect(() => {
+    const fetchSubjects = async () => {
+      try {
+        const response = await axios.get(getApiUrl(API_ENDPOINTS.PERFORMANCE.SUBJECTS), authConfig());
+        const list = response.data.subjects || [];
+        setSubjects(list);
+        if (list.length > 0) {
+          setSelectedSubjectId(String(list[0].subject.id));
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchSubjects();
+  }, [authConfig]);
+
+  useEffect(() => {
+    if (!selectedSubjectId) {
+      return;
+    }
+
+    const fetchPerformance = async () => {
+      try {
+        const response = await axios.get(
+          getApiUrl(API_ENDPOINTS.PERFORMANCE.SUBJECT(selectedSubjectId)),
+          authConfig()
+        );
+        setPerformance(response.data.performance);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
 
-  // Sample data for individual student performance
-  const individualPerformanceData = [
-    { id: 1, name: 'John Doe', score: 90 },
-    { id: 2, name: 'Jane Smith', score: 85 },
-    { id: 3, name: 'Michael Johnson', score: 92 },
-  ];
+    fetchPerformance();
+  }, [selectedSubjectId, authConfig]);
+
+  const distributionChartData = {
+    labels: (performance?.distribution || []).map((bucket) => bucket.range),
+    datasets: [
+      {
+        label: 'Students',
+        backgroundColor: '#007bff',
+        borderColor: '#007bff',
+        borderWidth: 1,
+        data: (performance?.distribution || []).map((bucket) => bucket.count),
+      },
+    ],
+  };
 
   return (
     <PerformanceContainer>
       <Sidebar />
       <Content>
         <PerformanceContent>
-          <PerformanceHeader>School Performance</PerformanceHeader>
-          <SchoolPerformance>
-            <p>Average Score: {schoolPerformanceData.averageScore}</p>
-            <p>Total Students: {schoolPerformanceData.totalStudents}</p>
-          </SchoolPerformance>
-          <PerformanceHeader>Individual Performance</PerformanceHeader>
-          <IndividualPerformance>
-            {individualPerformanceData.map((student) => (
-              <p key={student.id}>
-                {student.name}: {student.score}
-              </p>
-            ))}
-          </IndividualPerformance>
+          <PerformanceHeader>Class Performance</PerformanceHeader>
+          {error && <ErrorText>{error}</ErrorText>}
+          {subjects.length === 0 && !error && <p>You are not teaching any subjects yet.</p>}
+          {subjects.length > 0 && (
+            <SubjectSelect value={selectedSubjectId} onChange={(e) => setSelectedSubjectId(e.target.value)}>
+              {subjects.map((row) => (
+                <option key={row.subject.id} value={row.subject.id}>
+                  {row.subject.subjectName} ({row.subject.subjectCode})
+                </option>
+              ))}
+            </SubjectSelect>
+          )}
+
+          {performance && (
+            <>
+              <SchoolPerformance>
+                <StatGrid>
+                  <StatCard>
+                    <span>Class Average</span>
+                    <strong>{formatScore(performance.classAverage.overall)}</strong>
+                  </StatCard>
+                  <StatCard>
+                    <span>Exams</span>
+                    <strong>{formatScore(performance.classAverage.exams)}</strong>
+                  </StatCard>
+                  <StatCard>
+                    <span>Assignments</span>
+                    <strong>{formatScore(performance.classAverage.assignments)}</strong>
+                  </StatCard>
+                  <StatCard>
+                    <span>Attendance</span>
+                    <strong>{formatScore(performance.classAverage.attendance)}</strong>
+                  </StatCard>
+                  <StatCard>
+                    <span>Students</span>
+                    <strong>{performance.students.length}</strong>
+                  </StatCard>
+                </StatGrid>
+              </SchoolPerformance>
+
+              <PerformanceHeader>Score Distribution</PerformanceHeader>
+              <PerformanceGraphContainer>
+                <Bar
+                  data={distributionChartData}
+                  options={{ scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }}
+                />
+              </PerformanceGraphContainer>
+
+              {performance.assessments.length > 0 && (
+                <>
+                  <PerformanceHeader>Assessments</PerformanceHeader>
+                  <PerformanceTable>
+                    <thead>
+                      <tr>
+                        <th>Date</th>
+                        <th>Title</th>
+                        <th>Type</th>
+                        <th>Average</th>
+                        <th>Highest</th>
+                        <th>Lowest</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {performance.assessments.map((assessment) => (
+                        <tr key={`${assessment.type}-${assessment.id}`}>
+                          <td>{assessment.date}</td>
+                          <td>{assessment.title}</td>
+                          <td>{assessment.type}</td>
+                          <td>{formatScore(assessment.average)}</td>
+                          <td>{formatScore(assessment.highest)}</td>
+                          <td>{formatScore(assessment.lowest)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </PerformanceTable>
+                </>
+              )}
+
+              <PerformanceHeader>Individual Performance</PerformanceHeader>
+              <IndividualPerformance>
+                <PerformanceTable>
+                  <thead>
+                    <tr>
+                      <th>Rank</th>
+                      <th>Roll No</th>
+                      <th>Name</th>
+                      <th>Exams</th>
+                      <th>Assignments</th>
+                      <th>Attendance</th>
+                      <th>Overall</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {performance.students.map((student) => (
+                      <tr key={student.studentEmail}>
+                        <td>{student.rank ?? '-'}</td>
+                        <td>{student.rollNo}</td>
+                        <td>{student.studentName}</td>
+                        <td>{formatScore(student.exams)}</td>
+                        <td>{formatScore(student.assignments)}</td>
+                        <td>{formatScore(student.attendance)}</td>
+                        <td>{formatScore(student.overall)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </PerformanceTable>
+              </IndividualPerformance>
+            </>
+          )}
         </PerformanceContent>
       </Content>
     </PerformanceContainer>
@@ -1,6 +1,6 @@
 import React, { useState } from "react";
 import styled from "styled-components";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import {
   BsGraphUp,
   BsPeople,
@@ -13,8 +13,11 @@ import {
   BsChatDots,
   BsCalendarEvent,
   BsQuestionSquare,
+  BsEnvelopePaper,
+  BsBoxArrowRight,
 } from "react-icons/bs";
 import bg1 from "../../assets/bg1.png";
+import { useAuth } from "../../context/useAuth";
 
 const SidebarContainer = styled.div`
   position: fixed;
@@ -93,11 +96,22 @@ const ToggleIcon = styled.span`
 
 const Sidebar = () => {
   const [isOpen, setIsOpen] = useState(true);
+  const navigate = useNavigate();
+  const { logout } = useAuth();
 
   const toggleSidebar = () => {
     setIsOpen(!isOpen);
   };
 
+  const handleLogout = async (e) => {
+    e.preventDefault();
+    try {
+      await logout();
+    } finally {
+      navigate("/signin");
+    }
+  };
+
   return (
     <SidebarContainer $isOpen={isOpen}>
       <SidebarHeader>
@@ -125,6 +139,12 @@ const Sidebar = () => {
           </SidebarIcon>
           <StyledLink to="/teacher/attendance">Attendance</StyledLink>
         </SidebarNavItem>
+        <SidebarNavItem>
+          <SidebarIcon>
+            <BsEnvelopePaper />
+          </SidebarIcon>
+          <StyledLink to="/teacher/leave">Leave Requests</StyledLink>
+        </SidebarNavItem>
         <SidebarNavItem>
           <SidebarIcon>
             <BsChatDots />
@@ -138,6 +158,13 @@ const Sidebar = () => {
           </SidebarIcon>
           <StyledLink to="/teacher/settings">Settings & Profile</StyledLink>
         </SidebarNavItem>
+
+        <SidebarNavItem>
+          <SidebarIcon>
+            <BsBoxArrowRight />
+          </SidebarIcon>
+          <StyledLink to="/signin" onClick={handleLogout}>Log Out</StyledLink>
+        </SidebarNavItem>
       </SidebarNav>
       <ToggleButton onClick={toggleSidebar}>
         <ToggleIcon $isOpen={isOpen}>▲</ToggleIcon>
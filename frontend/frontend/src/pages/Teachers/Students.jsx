@@ -16,6 +16,7 @@ import {
   ActionButton,
   ButtonGroup,
 } from "../../styles/StudentsStyles";
+import { getAccessToken } from "../../context/authStore";
 
 const API_BASE_URL = "http://localhost:8080/api";
 
@@ -27,7 +28,7 @@ const StudentSection = () => {
   useEffect(() => {
     const fetchStudents = async () => {
       try {
-        const token = localStorage.getItem("authToken");
+        const token = getAccessToken();
         const response = await axios.get(
           `${API_BASE_URL}/faculty/students/all`,
           {
@@ -110,3 +110,56 @@ export const AssignmentDoneMessage = styled.p`
   color: #28a745;
   font-weight: bold;
 `;
+
+export const AddAssignmentSelect = styled.select`
+  padding: 10px;
+  margin-bottom: 10px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  width: 100%;
+`;
+
+export const AssignmentMeta = styled.p`
+  color: #777;
+  font-size: 14px;
+  margin: 4px 0;
+`;
+
+export const LateBadge = styled.span`
+  background-color: #ffc107;
+  color: #333;
+  border-radius: 4px;
+  padding: 2px 6px;
+  font-size: 12px;
+  margin-left: 8px;
+`;
+
+export const LinkButton = styled.button`
+  background: none;
+  border: none;
+  color: #007bff;
+  cursor: pointer;
+  padding: 0;
+  text-decoration: underline;
+`;
+
+export const SubmissionTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-bottom: 20px;
+
+  th,
+  td {
+    border: 1px solid #ddd;
+    padding: 8px;
+    text-align: left;
+  }
+
+  th {
+    background-color: #f2f2f2;
+  }
+`;
+
+export const ErrorText = styled.p`
+  color: #dc3545;
+`;
@@ -82,6 +82,11 @@ export const AttendanceStatus = styled.div`
     background-color: #f8d7da;
     color: #721c24;
   }
+
+  &.excused {
+    background-color: #fff3cd;
+    color: #856404;
+  }
 `;
 
 export const CheckboxLabel = styled.label`
@@ -233,3 +238,65 @@ export const RemarksText = styled.div`
   padding-top: 0.5rem;
   border-top: 1px dashed #eee;
 `;
+
+export const SessionPanel = styled.div`
+  margin: 15px 0;
+  padding: 12px;
+  background-color: #f8f9fa;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+  align-items: center;
+
+  select,
+  input {
+    padding: 6px;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+  }
+`;
+
+export const SessionSummary = styled.div`
+  flex-basis: 100%;
+  color: #555;
+`;
+
+export const SessionButton = styled.button`
+  padding: 6px 12px;
+  background-color: ${({ $danger }) => ($danger ? '#e74c3c' : '#3498db')};
+  color: white;
+  border: none;
+  border-radius: 4px;
+  cursor: pointer;
+
+  &:disabled {
+    background-color: #95a5a6;
+    cursor: not-allowed;
+  }
+`;
+
+export const CheckinBox = styled.div`
+  margin: 15px 0;
+  padding: 15px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  background-color: #fff;
+`;
+
+export const QrImage = styled.img`
+  display: block;
+  width: 240px;
+  height: 240px;
+  margin: 10px 0;
+`;
+
+export const CheckinRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 6px 0;
+  border-bottom: 1px solid #eee;
+  color: ${({ $present }) => ($present ? '#27ae60' : '#555')};
+`;
@@ -52,7 +52,88 @@ export const AddEventButton = styled.button`
   cursor: pointer;
 `;
 
+export const EventForm = styled.form`
+  margin-top: 20px;
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+  gap: 10px;
+  align-items: end;
+`;
+
+export const EventSelect = styled.select`
+  padding: 10px;
+  border: 1px solid #ccc;
+  border-radius: 5px;
+`;
+
+export const FieldLabel = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  font-size: 14px;
+  color: #555;
+`;
+
+export const RangeBar = styled.div`
+  display: flex;
+  gap: 10px;
+  align-items: center;
+  margin-bottom: 10px;
+`;
+
+export const EventMeta = styled.div`
+  font-size: 14px;
+  color: #555;
+  margin-top: 4px;
+`;
+
+const TYPE_COLORS = {
+  holiday: '#28a745',
+  exam: '#dc3545',
+  deadline: '#fd7e14',
+  meeting: '#007bff',
+};
+
+export const TypeBadge = styled.span`
+  display: inline-block;
+  padding: 2px 8px;
+  margin-right: 8px;
+  border-radius: 10px;
+  font-size: 12px;
+  color: #fff;
+  text-transform: capitalize;
+  background-color: ${({ $type }) => TYPE_COLORS[$type] || '#6c757d'};
+`;
+
+export const DeleteEventButton = styled.button`
+  float: right;
+  padding: 4px 10px;
+  background-color: #dc3545;
+  color: #fff;
+  border: none;
+  border-radius: 5px;
+  cursor: pointer;
+`;
+
 export const ErrorText = styled.p`
   color: red;
   margin-top: 10px;
 `;
+
+export const FeedBox = styled.div`
+  margin: 20px 0;
+  padding: 15px;
+  background-color: #f8f9fa;
+  border: 1px solid #ddd;
+  border-radius: 8px;
+`;
+
+export const FeedUrl = styled.input`
+  width: 100%;
+  padding: 8px;
+  margin: 8px 0;
+  border: 1px solid #ccc;
+  border-radius: 5px;
+  font-family: monospace;
+  font-size: 12px;
+`;
@@ -65,3 +65,41 @@ export const ExamChartContainer = styled.div`
   max-width: 600px;
   margin: 0 auto;
 `;
+
+export const FormSelect = styled.select`
+  padding: 8px;
+  margin-bottom: 20px;
+`;
+
+export const ExamList = styled.ul`
+  list-style: none;
+  padding: 0;
+`;
+
+export const ExamListItem = styled.li`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 10px;
+  margin-bottom: 8px;
+  border-radius: 4px;
+  background-color: ${({ $active }) => ($active ? '#e7f1ff' : '#f9f9f9')};
+  cursor: pointer;
+`;
+
+export const MarksTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-bottom: 20px;
+
+  th,
+  td {
+    padding: 8px;
+    border-bottom: 1px solid #ddd;
+    text-align: left;
+  }
+`;
+
+export const ErrorText = styled.p`
+  color: #dc3545;
+`;
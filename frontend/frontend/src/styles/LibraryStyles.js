@@ -94,3 +94,57 @@ export const BorrowButton = styled.button`
   border-radius: 4px;
   cursor: pointer;
 `;
+
+export const SearchBar = styled.input`
+  width: 100%;
+  max-width: 400px;
+  padding: 8px;
+  margin-bottom: 20px;
+  font-size: 16px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+`;
+
+export const BookMeta = styled.span`
+  margin-left: 10px;
+  color: #777;
+  font-size: 14px;
+`;
+
+export const StockInput = styled.input`
+  width: 60px;
+  margin-left: 10px;
+  padding: 4px;
+`;
+
+export const IssueInput = styled.input`
+  width: 180px;
+  margin-left: 10px;
+  padding: 4px;
+`;
+
+export const LoanTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-bottom: 20px;
+
+  th,
+  td {
+    border: 1px solid #ddd;
+    padding: 8px;
+    text-align: left;
+  }
+
+  th {
+    background-color: #f2f2f2;
+  }
+`;
+
+export const StatusText = styled.span`
+  color: ${({ $overdue }) => ($overdue ? '#dc3545' : 'inherit')};
+  font-weight: ${({ $overdue }) => ($overdue ? 'bold' : 'normal')};
+`;
+
+export const ErrorText = styled.p`
+  color: #dc3545;
+`;
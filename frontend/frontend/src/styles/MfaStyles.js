@@ -0,0 +1,47 @@
+import styled from 'styled-components';
+
+export const MfaQrCode = styled.img`
+  display: block;
+  width: 200px;
+  height: 200px;
+  margin: 12px 0;
+`;
+
+export const MfaSecret = styled.code`
+  display: inline-block;
+  padding: 4px 8px;
+  background-color: #f4f4f4;
+  border-radius: 4px;
+  letter-spacing: 1px;
+  word-break: break-all;
+`;
+
+export const MfaForm = styled.form`
+  display: flex;
+  align-items: center;
+  margin-top: 12px;
+`;
+
+export const MfaInput = styled.input`
+  width: 200px;
+  padding: 6px 10px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+`;
+
+export const RecoveryCodeList = styled.ul`
+  display: grid;
+  grid-template-columns: repeat(2, max-content);
+  gap: 6px 24px;
+  padding: 12px 16px;
+  background-color: #fffbea;
+  border: 1px dashed #f1c40f;
+  border-radius: 5px;
+  font-family: monospace;
+  list-style: none;
+`;
+
+export const MfaNote = styled.p`
+  font-size: 13px;
+  color: #666;
+`;
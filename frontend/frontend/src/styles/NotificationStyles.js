@@ -0,0 +1,36 @@
+import styled from 'styled-components';
+
+export const NotificationItem = styled.div`
+  margin-bottom: 10px;
+  padding: 10px;
+  background-color: ${({ $unread }) => ($unread ? '#eaf4fc' : '#f9f9f9')};
+  border-left: 4px solid ${({ $unread }) => ($unread ? '#3498db' : '#ddd')};
+  border-radius: 5px;
+  cursor: ${({ $unread }) => ($unread ? 'pointer' : 'default')};
+`;
+
+export const NotificationTitle = styled.div`
+  font-weight: ${({ $unread }) => ($unread ? 'bold' : 'normal')};
+`;
+
+export const NotificationMessage = styled.div`
+  margin-top: 4px;
+  color: #555;
+  white-space: pre-line;
+`;
+
+export const NotificationMeta = styled.div`
+  margin-top: 4px;
+  font-size: 12px;
+  color: #888;
+`;
+
+export const MarkAllButton = styled.button`
+  margin-bottom: 10px;
+  padding: 6px 12px;
+  background-color: #3498db;
+  color: white;
+  border: none;
+  border-radius: 4px;
+  cursor: pointer;
+`;
@@ -42,3 +42,79 @@ export const PerformanceGraphContainer = styled.div`
 export const TotalMarks = styled.div`
   font-weight: bold;
 `;
+
+export const StatGrid = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 15px;
+  margin-bottom: 20px;
+`;
+
+export const StatCard = styled.div`
+  background-color: #f9f9f9;
+  border-radius: 8px;
+  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+  padding: 15px 20px;
+  min-width: 150px;
+
+  span {
+    display: block;
+    color: #777;
+    font-size: 14px;
+  }
+
+  strong {
+    font-size: 22px;
+  }
+`;
+
+export const SubjectSelect = styled.select`
+  padding: 8px;
+  margin-bottom: 20px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+`;
+
+export const PerformanceTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-bottom: 20px;
+
+  th,
+  td {
+    border: 1px solid #ddd;
+    padding: 8px;
+    text-align: left;
+  }
+
+  th {
+    background-color: #f2f2f2;
+  }
+`;
+
+export const ClickableRow = styled.tr`
+  cursor: pointer;
+  background-color: ${({ $active }) => ($active ? '#e9f2ff' : 'transparent')};
+
+  &:hover {
+    background-color: #f5f9ff;
+  }
+`;
+
+export const DownloadButton = styled.button`
+  background-color: #007bff;
+  color: #fff;
+  border: none;
+  border-radius: 4px;
+  padding: 8px 16px;
+  margin-bottom: 20px;
+  cursor: pointer;
+  transition: background-color 0.3s ease;
+  &:hover {
+    background-color: #0056b3;
+  }
+`;
+
+export const ErrorText = styled.p`
+  color: #dc3545;
+`;
@@ -0,0 +1,50 @@
+import styled from 'styled-components';
+
+export const RoleForm = styled.form`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin: 12px 0;
+`;
+
+export const RoleInput = styled.input`
+  padding: 6px 10px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+`;
+
+export const RoleSelect = styled.select`
+  padding: 6px 10px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+`;
+
+export const RoleTag = styled.span`
+  display: inline-block;
+  padding: 2px 8px;
+  margin-right: 6px;
+  background-color: #eaf4fc;
+  border-radius: 10px;
+  font-size: 12px;
+`;
+
+export const PermissionGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+  gap: 6px 16px;
+  margin: 12px 0;
+  font-size: 13px;
+`;
+
+export const PermissionOption = styled.label`
+  display: flex;
+  align-items: flex-start;
+  gap: 6px;
+  cursor: pointer;
+
+  small {
+    display: block;
+    color: #888;
+  }
+`;
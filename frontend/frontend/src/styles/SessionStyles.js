@@ -0,0 +1,46 @@
+import styled from 'styled-components';
+
+export const SessionBox = styled.div`
+  margin-top: 24px;
+  padding: 16px;
+  background-color: #fff;
+  border-radius: 8px;
+  box-shadow: 0 2px 6px rgba(0, 0, 0, 0.08);
+`;
+
+export const SessionItem = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  padding: 10px;
+  margin-bottom: 8px;
+  background-color: ${({ $current }) => ($current ? '#eaf4fc' : '#f9f9f9')};
+  border-left: 4px solid ${({ $current }) => ($current ? '#3498db' : '#ddd')};
+  border-radius: 5px;
+`;
+
+export const SessionDevice = styled.div`
+  font-weight: bold;
+  word-break: break-word;
+`;
+
+export const SessionMeta = styled.div`
+  margin-top: 4px;
+  font-size: 12px;
+  color: #888;
+`;
+
+export const SessionButton = styled.button`
+  margin-left: 12px;
+  padding: 6px 12px;
+  background-color: ${({ $danger }) => ($danger ? '#e74c3c' : '#3498db')};
+  color: white;
+  border: none;
+  border-radius: 4px;
+  cursor: pointer;
+  white-space: nowrap;
+`;
+
+export const SessionError = styled.p`
+  color: #e74c3c;
+`;
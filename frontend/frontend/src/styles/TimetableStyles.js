@@ -0,0 +1,119 @@
+// TimetableStyles.js
+import styled from 'styled-components';
+
+export const TimetableWrapper = styled.div`
+  overflow-x: auto;
+`;
+
+export const TimetableTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  background-color: #fff;
+  font-size: 14px;
+
+  th,
+  td {
+    border: 1px solid #ddd;
+    padding: 8px;
+    vertical-align: top;
+    text-align: left;
+  }
+
+  th {
+    background-color: #f1f3f5;
+  }
+`;
+
+export const PeriodTime = styled.div`
+  font-size: 12px;
+  color: #777;
+`;
+
+export const SlotCell = styled.div`
+  padding: 4px 6px;
+  margin-bottom: 4px;
+  border-radius: 4px;
+  background-color: ${({ $current }) => ($current ? '#d4edda' : '#e7f1ff')};
+
+  div {
+    font-size: 12px;
+    color: #555;
+  }
+`;
+
+export const SlotRemoveButton = styled.button`
+  margin-top: 4px;
+  padding: 2px 6px;
+  font-size: 12px;
+  background-color: #dc3545;
+  color: #fff;
+  border: none;
+  border-radius: 4px;
+  cursor: pointer;
+`;
+
+export const TimetableContainer = styled.div`
+  display: flex;
+`;
+
+export const Content = styled.div`
+  flex: 1;
+  padding: 20px;
+`;
+
+export const SlotForm = styled.form`
+  margin: 20px 0;
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+  gap: 10px;
+  align-items: end;
+`;
+
+export const FormField = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  font-size: 14px;
+  color: #555;
+
+  input,
+  select {
+    padding: 10px;
+    border: 1px solid #ccc;
+    border-radius: 5px;
+  }
+`;
+
+export const FormButton = styled.button`
+  padding: 10px 20px;
+  background-color: #007bff;
+  color: #fff;
+  border: none;
+  border-radius: 5px;
+  cursor: pointer;
+
+  &:disabled {
+    background-color: #9bbbe0;
+    cursor: not-allowed;
+  }
+`;
+
+export const RoomList = styled.ul`
+  list-style: none;
+  padding: 0;
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+
+  li {
+    padding: 6px 10px;
+    background-color: #f1f3f5;
+    border-radius: 5px;
+    font-size: 14px;
+  }
+`;
+
+export const ErrorText = styled.p`
+  color: red;
+  margin-top: 10px;
+`;